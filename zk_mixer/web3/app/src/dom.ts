@@ -0,0 +1,46 @@
+export function $<T extends HTMLElement = HTMLElement>(id: string): T {
+    const element = document.getElementById(id)
+    if (!element) {
+        throw new Error(`No element #${id} in index.html`)
+    }
+    return element as T
+}
+
+export function setStatus(element: HTMLElement, text: string, error = false) {
+    element.textContent = text
+    element.classList.toggle("error", error)
+}
+
+export function showFields(list: HTMLElement, fields: [string, string][]) {
+    list.replaceChildren(
+        ...fields.flatMap(([name, value]) => {
+            const term = document.createElement("dt")
+            term.textContent = name
+            const description = document.createElement("dd")
+            description.textContent = value
+            return [term, description]
+        })
+    )
+}
+
+/**
+ * Runs the button's action on click, with the button disabled meanwhile and
+ * errors shown in the status line
+ */
+export function onAction(
+    button: HTMLButtonElement,
+    status: HTMLElement,
+    action: () => Promise<void>
+) {
+    button.addEventListener("click", async () => {
+        button.disabled = true
+        try {
+            await action()
+        } catch (error: any) {
+            // ethers errors carry the readable part in shortMessage
+            setStatus(status, `❌ ${error.shortMessage ?? error.message}`, true)
+        } finally {
+            button.disabled = false
+        }
+    })
+}
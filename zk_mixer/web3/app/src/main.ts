@@ -0,0 +1,45 @@
+import { BrowserProver } from "./prover"
+import { MixerPanel } from "./mixer"
+import { PanagramPanel } from "./panagram"
+import { connectWallet, listAccounts, walletProvider } from "./wallet"
+import { $, onAction, setStatus } from "./dom"
+
+// One proving worker for both games, it keeps both circuits warm
+const prover = new BrowserProver()
+const mixer = new MixerPanel(prover)
+const panagram = new PanagramPanel(prover)
+const provider = walletProvider()
+const accounts = $<HTMLSelectElement>("account")
+const network = $("network")
+
+async function showAccounts() {
+    const addresses = await listAccounts(provider)
+    accounts.replaceChildren(
+        ...addresses.map((address) => new Option(address, address))
+    )
+}
+
+async function connect() {
+    if (accounts.options.length === 0) {
+        await showAccounts()
+    }
+    const wallet = await connectWallet(provider, accounts.value)
+    setStatus(network, `Chain ${wallet.chainId}`)
+    await Promise.all([mixer.connect(wallet), panagram.connect(wallet)])
+}
+
+onAction($("connect"), network, connect)
+accounts.addEventListener("change", () =>
+    connect().catch((error) => setStatus(network, `❌ ${error.message}`, true))
+)
+
+// The local node's accounts need no permission, a browser wallet asks on Connect
+if (!(window as any).ethereum) {
+    showAccounts().catch(() =>
+        setStatus(
+            network,
+            "❌ No wallet and no local node, run npx hardhat node",
+            true
+        )
+    )
+}
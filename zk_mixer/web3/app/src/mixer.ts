@@ -0,0 +1,329 @@
+import { ethers } from "ethers"
+
+import { MixerClient, MixerState } from "../../sdk"
+import {
+    DepositNote,
+    generateNote,
+    noteToCommitmentData,
+    parseNote,
+} from "../../scripts/note"
+import { syncTree } from "../../scripts/syncTree"
+import { withdrawalInputs } from "../../scripts/withdrawalInputs"
+import {
+    AnonymityReport,
+    anonymityReportForNote,
+    formatDuration,
+} from "../../scripts/anonymitySet"
+import type { PoolEntry, Registry } from "../../scripts/registry"
+import { BrowserProver, MIXER_CIRCUIT_URL } from "./prover"
+import { Wallet } from "./wallet"
+import { $, onAction, setStatus, showFields } from "./dom"
+
+// Written by scripts/deploy.ts
+const REGISTRY_URL = new URL("../../deployments/registry.json", import.meta.url)
+    .href
+
+/**
+ * Deposits, tree sync and withdrawals of one pool
+ */
+export class MixerPanel {
+    private wallet: Wallet | null = null
+    private pools: PoolEntry[] = []
+    private pool: {
+        client: MixerClient
+        state: MixerState
+        // Where the events are read from
+        deployBlock: number
+    } | null = null
+    // PoseidonTree of the pool, from the last sync
+    private tree: any = null
+    // Generated and not deposited yet
+    private note: DepositNote | null = null
+    private readonly status = $("mixer-status")
+
+    constructor(private readonly prover: BrowserProver) {
+        $("pool").addEventListener("change", (event) => {
+            const address = (event.target as HTMLSelectElement).value
+            if (address) {
+                $<HTMLInputElement>("pool-address").value = address
+                $("pool-load").click()
+            }
+        })
+        onAction($("pool-load"), this.status, () =>
+            this.loadPool($<HTMLInputElement>("pool-address").value)
+        )
+        onAction($("note-new"), this.status, () => this.newNote())
+        onAction($("deposit"), this.status, () => this.deposit())
+        onAction($("sync"), this.status, () => this.sync())
+        onAction($("withdraw"), this.status, () => this.withdraw())
+        $<HTMLInputElement>("note-file").addEventListener(
+            "change",
+            async (event) => {
+                const [file] = (event.target as HTMLInputElement).files ?? []
+                if (file) {
+                    $<HTMLTextAreaElement>("note-in").value = (
+                        await file.text()
+                    ).trim()
+                }
+            }
+        )
+    }
+
+    async connect(wallet: Wallet) {
+        this.wallet = wallet
+        $<HTMLInputElement>("recipient").placeholder = wallet.address
+        this.pools = await loadPools(wallet.chainId)
+        const select = $<HTMLSelectElement>("pool")
+        select.replaceChildren(
+            new Option(
+                this.pools.length > 0
+                    ? "Pick a pool"
+                    : "No pools in deployments/registry.json",
+                ""
+            ),
+            ...this.pools.map(
+                (pool) =>
+                    new Option(
+                        `${ethers.formatUnits(
+                            pool.denomination,
+                            pool.decimals
+                        )} ${pool.symbol}`,
+                        pool.address
+                    )
+            )
+        )
+        const saved = localStorage.getItem("mixer")
+        if (saved) {
+            $<HTMLInputElement>("pool-address").value = saved
+            await this.loadPool(saved).catch(() => undefined)
+        }
+    }
+
+    private async loadPool(address: string) {
+        const wallet = this.requireWallet()
+        if (!ethers.isAddress(address)) {
+            throw new Error(`${address || "Nothing"} is not an address`)
+        }
+        const client = new MixerClient(
+            ethers.getAddress(address),
+            wallet.signer
+        )
+        const state = await client.getState()
+        const entry = this.pools.find(
+            (pool) => pool.address.toLowerCase() === address.toLowerCase()
+        )
+        this.pool = { client, state, deployBlock: entry?.deployBlock ?? 0 }
+        this.note = null
+        await this.tree?.dispose()
+        this.tree = null
+        localStorage.setItem("mixer", client.address)
+        this.showState(entry)
+        setStatus($("tree-state"), "Not synced")
+        setStatus(this.status, "")
+    }
+
+    private showState(entry?: PoolEntry) {
+        const { state } = this.requirePool()
+        const amount = (value: bigint) =>
+            entry
+                ? `${ethers.formatUnits(value, entry.decimals)} ${entry.symbol}`
+                : value.toString()
+        showFields($("pool-state"), [
+            ["Pool", state.address],
+            ["Token", state.token === ethers.ZeroAddress ? "ETH" : state.token],
+            ["Deposit", amount(state.denomination)],
+            ["Deposits", `${state.leafCount} of ${state.capacity}`],
+            ["Balance", amount(state.balance)],
+            ["Root", state.root],
+        ])
+    }
+
+    private async refreshState() {
+        const pool = this.requirePool()
+        pool.state = await pool.client.getState()
+        this.showState(
+            this.pools.find((entry) => entry.address === pool.client.address)
+        )
+    }
+
+    private async newNote() {
+        const wallet = this.requireWallet()
+        const { state } = this.requirePool()
+        const { note, noteString, data } = await generateNote({
+            chainId: wallet.chainId,
+            mixerAddress: state.address,
+            token: state.token,
+            denomination: state.denomination,
+        })
+        this.note = note
+        $<HTMLTextAreaElement>("note-out").value = noteString
+        const link = $<HTMLAnchorElement>("note-download")
+        URL.revokeObjectURL(link.href)
+        link.href = URL.createObjectURL(
+            new Blob([noteString], { type: "text/plain" })
+        )
+        link.download = `zkmixer-note-${data.commitment.slice(2, 10)}.txt`
+        link.hidden = false
+        setStatus(this.status, "📝 Note generated, save it and deposit")
+    }
+
+    private async deposit() {
+        const { client } = this.requirePool()
+        if (!this.note) {
+            throw new Error("Generate a note first")
+        }
+        setStatus(this.status, "⏳ Depositing…")
+        const receipt = await client.deposit(this.note)
+        this.note = null
+        setStatus(
+            this.status,
+            `✅ Deposited as leaf ${receipt.leafIndex} in ${receipt.transactionHash}`
+        )
+        await this.refreshState()
+    }
+
+    private async sync() {
+        const wallet = this.requireWallet()
+        const { client, deployBlock } = this.requirePool()
+        setStatus($("tree-state"), "⏳ Syncing…")
+        const { tree, lastSyncedBlock } = await syncTree({
+            provider: wallet.provider,
+            mixerAddress: client.address,
+            fromBlock: deployBlock,
+        })
+        await this.tree?.dispose()
+        this.tree = tree
+        setStatus(
+            $("tree-state"),
+            `${
+                tree.totalLeaves
+            } leaves up to block ${lastSyncedBlock}, root ${tree.root()}`
+        )
+    }
+
+    private async withdraw() {
+        const wallet = this.requireWallet()
+        const note = parseNote($<HTMLTextAreaElement>("note-in").value)
+        if (this.pool?.client.address !== note.mixerAddress) {
+            $<HTMLInputElement>("pool-address").value = note.mixerAddress
+            await this.loadPool(note.mixerAddress)
+        }
+        const { client, deployBlock } = this.requirePool()
+        const recipient = ethers.getAddress(
+            $<HTMLInputElement>("recipient").value || wallet.address
+        )
+
+        setStatus(this.status, "⏳ Checking the anonymity set…")
+        const report = await anonymityReportForNote(note, {
+            provider: wallet.provider,
+            fromBlock: deployBlock,
+        })
+        showPrivacy(report)
+        if (
+            report.problems.length > 0 &&
+            !$<HTMLInputElement>("force").checked
+        ) {
+            throw new Error(
+                "Withdrawal refused to protect your privacy, see above. Tick the box to withdraw anyway."
+            )
+        }
+
+        setStatus(this.status, "⏳ Syncing the tree…")
+        await this.sync()
+        const data = await noteToCommitmentData(note)
+        const leafIndex = this.tree.getIndex(data.commitment)
+        if (leafIndex === -1) {
+            throw new Error(`Commitment ${data.commitment} not found in tree`)
+        }
+        const merkleProof = this.tree.proof(leafIndex)
+        const withdrawal = {
+            recipient,
+            relayer: ethers.ZeroAddress,
+            fee: 0n,
+        }
+        const { hexProof } = await this.prover.prove(
+            MIXER_CIRCUIT_URL,
+            withdrawalInputs(data, merkleProof, withdrawal),
+            {
+                keccak: true,
+                onStatus: (status) =>
+                    setStatus(
+                        this.status,
+                        status === "witness"
+                            ? "⏳ Executing the circuit…"
+                            : "⏳ Proving, this takes a while…"
+                    ),
+            }
+        )
+
+        setStatus(this.status, "⏳ Withdrawing…")
+        const receipt = await client.submitWithdrawal({
+            hexProof,
+            root: merkleProof.root,
+            nullifierHash: data.nullifierHash,
+            ...withdrawal,
+        })
+        setStatus(
+            this.status,
+            `✅ Withdrew to ${receipt.recipient} in ${receipt.transactionHash}`
+        )
+        await this.refreshState()
+    }
+
+    private requireWallet(): Wallet {
+        if (!this.wallet) {
+            throw new Error("Connect first")
+        }
+        return this.wallet
+    }
+
+    private requirePool() {
+        if (!this.pool) {
+            throw new Error("Load a pool first")
+        }
+        return this.pool
+    }
+}
+
+// Pools deployed on the chain, none when there is no registry yet
+async function loadPools(chainId: bigint): Promise<PoolEntry[]> {
+    const response = await fetch(REGISTRY_URL).catch(() => null)
+    if (!response?.ok) {
+        return []
+    }
+    const registry: Registry = await response.json()
+    return registry[chainId.toString()]?.pools ?? []
+}
+
+function showPrivacy(report: AnonymityReport) {
+    const fields: [string, string][] = [
+        ["Anonymity set", `${report.anonymitySet} deposits in the pool`],
+    ]
+    if (report.deposit) {
+        fields.push(
+            [
+                "Deposited",
+                `${formatDuration(report.deposit.ageSeconds)} ago, leaf ${
+                    report.deposit.leafIndex
+                }`,
+            ],
+            [
+                "Since then",
+                `${report.deposit.depositsSince} deposits, ${report.deposit.withdrawalsSince} withdrawals`,
+            ],
+            ["Timing risk", report.timingRisk ?? "unknown"]
+        )
+    }
+    const list = document.createElement("dl")
+    showFields(list, fields)
+    const notes = [
+        ...report.problems.map((text) => ["problem", `❌ ${text}`]),
+        ...report.warnings.map((text) => ["warning", `⚠️ ${text}`]),
+    ].map(([kind, text]) => {
+        const paragraph = document.createElement("p")
+        paragraph.className = kind
+        paragraph.textContent = text
+        return paragraph
+    })
+    $("privacy").replaceChildren(list, ...notes)
+}
@@ -0,0 +1,135 @@
+import { ethers } from "ethers"
+
+import {
+    PanagramClient,
+    PanagramGameNotStartedError,
+    PanagramRound,
+} from "../../sdk"
+import { BrowserProver, PANAGRAM_CIRCUIT_URL } from "./prover"
+import { Wallet } from "./wallet"
+import { $, onAction, setStatus, showFields } from "./dom"
+
+// Panagram.WINNER_TOKEN_ID and Panagram.PARTICIPANT_TOKEN_ID
+const WINNER_TOKEN_ID = 0
+const PARTICIPANT_TOKEN_ID = 1
+
+/**
+ * The current round, guesses and the player's ERC1155 tokens
+ */
+export class PanagramPanel {
+    private wallet: Wallet | null = null
+    private client: PanagramClient | null = null
+    private stopWatching: (() => void) | null = null
+    private readonly status = $("panagram-status")
+
+    constructor(private readonly prover: BrowserProver) {
+        onAction($("panagram-load"), this.status, () =>
+            this.load($<HTMLInputElement>("panagram-address").value)
+        )
+        onAction($("guess"), this.status, () =>
+            this.guess($<HTMLInputElement>("guess-word").value.trim())
+        )
+    }
+
+    async connect(wallet: Wallet) {
+        this.wallet = wallet
+        const saved = localStorage.getItem("panagram")
+        if (saved) {
+            $<HTMLInputElement>("panagram-address").value = saved
+            await this.load(saved).catch(() => undefined)
+        }
+    }
+
+    private async load(address: string) {
+        if (!this.wallet) {
+            throw new Error("Connect first")
+        }
+        if (!ethers.isAddress(address)) {
+            throw new Error(`${address || "Nothing"} is not an address`)
+        }
+        this.stopWatching?.()
+        // The SDK client checks and submits the guess, the proof is made in the worker
+        const client = new PanagramClient(
+            ethers.getAddress(address),
+            this.wallet.signer,
+            {
+                prover: (inputs) =>
+                    this.prover.prove(PANAGRAM_CIRCUIT_URL, inputs, {
+                        keccak: true,
+                        onStatus: (status) =>
+                            setStatus(
+                                this.status,
+                                status === "witness"
+                                    ? "⏳ Executing the circuit…"
+                                    : "⏳ Proving…"
+                            ),
+                    }),
+            }
+        )
+        this.client = client
+        localStorage.setItem("panagram", client.address)
+        await this.showRound()
+        await this.showTokens()
+        this.stopWatching = client.watchRounds(
+            (round) => this.showRound(round),
+            (error: any) => setStatus(this.status, `❌ ${error.message}`, true)
+        )
+        setStatus(this.status, "")
+    }
+
+    private async showRound(round?: PanagramRound) {
+        const list = $("round")
+        try {
+            round ??= await this.requireClient().currentRound()
+        } catch (error) {
+            if (error instanceof PanagramGameNotStartedError) {
+                showFields(list, [["Round", "Not started yet"]])
+                return
+            }
+            throw error
+        }
+        showFields(list, [
+            ["Round", round.round.toString()],
+            ["Letters", round.scramble],
+            [
+                "Started",
+                new Date(Number(round.startTime) * 1000).toLocaleString(),
+            ],
+            ["Winner", round.winner ?? "Nobody yet"],
+        ])
+    }
+
+    private async showTokens() {
+        const { address } = this.wallet!
+        const { contract } = this.requireClient()
+        const [wins, guesses] = await Promise.all([
+            contract.balanceOf(address, WINNER_TOKEN_ID),
+            contract.balanceOf(address, PARTICIPANT_TOKEN_ID),
+        ])
+        showFields($("tokens"), [
+            ["Winner tokens", wins.toString()],
+            ["Participant tokens", guesses.toString()],
+        ])
+    }
+
+    private async guess(word: string) {
+        const client = this.requireClient()
+        setStatus(this.status, "⏳ Checking the word…")
+        const receipt = await client.guess(word)
+        setStatus(
+            this.status,
+            receipt.isWinner
+                ? `🏆 First to solve round ${receipt.round}, winner token minted`
+                : `✅ Correct, participant token minted for round ${receipt.round}`
+        )
+        await this.showRound()
+        await this.showTokens()
+    }
+
+    private requireClient(): PanagramClient {
+        if (!this.client) {
+            throw new Error("Load the game first")
+        }
+        return this.client
+    }
+}
@@ -0,0 +1,97 @@
+import { ethers } from "ethers"
+
+import type { InputMap } from "../../scripts/proverToml"
+
+// Compiled circuits, produced by nargo compile and served by the dev server
+export const MIXER_CIRCUIT_URL = new URL(
+    "../../../circuit/target/circuit.json",
+    import.meta.url
+).href
+export const PANAGRAM_CIRCUIT_URL = new URL(
+    "../../../../zk_panagram/circuit/target/zk_panagram.json",
+    import.meta.url
+).href
+
+export type ProofStatus = "witness" | "proving"
+
+export interface BrowserProof {
+    proof: Uint8Array
+    hexProof: string
+    publicInputs: string[]
+}
+
+/**
+ * Proves in a web worker so the page stays responsive. Jobs are answered
+ * by id, the worker keeps every circuit it has seen warm.
+ *
+ *   main -> worker  { id, circuitUrl, inputs, keccak }
+ *   worker -> main  { id, status } while it works, then { id, proof, publicInputs } or { id, error }
+ */
+export class BrowserProver {
+    private readonly worker = new Worker(
+        new URL("./prover.worker.ts", import.meta.url),
+        { type: "module" }
+    )
+    private nextId = 0
+    private readonly jobs = new Map<
+        number,
+        {
+            resolve: (proof: BrowserProof) => void
+            reject: (error: Error) => void
+            onStatus?: (status: ProofStatus) => void
+        }
+    >()
+
+    constructor() {
+        this.worker.onmessage = (event: MessageEvent) => {
+            const { id, status, error, proof, publicInputs } = event.data
+            const job = this.jobs.get(id)
+            if (!job) return
+            if (status) {
+                job.onStatus?.(status)
+                return
+            }
+            this.jobs.delete(id)
+            if (error) {
+                job.reject(new Error(error))
+            } else {
+                job.resolve({
+                    proof,
+                    hexProof: ethers.hexlify(proof),
+                    publicInputs,
+                })
+            }
+        }
+    }
+
+    /**
+     * @param keccak - Keccak transcript, for proofs checked by a Solidity verifier
+     */
+    prove(
+        circuitUrl: string,
+        inputs: InputMap,
+        options: {
+            keccak?: boolean
+            onStatus?: (status: ProofStatus) => void
+        } = {}
+    ): Promise<BrowserProof> {
+        const id = this.nextId++
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, onStatus: options.onStatus })
+            this.worker.postMessage({
+                id,
+                circuitUrl,
+                inputs,
+                keccak: options.keccak ?? false,
+            })
+        })
+    }
+
+    destroy() {
+        this.worker.terminate()
+        for (const job of this.jobs.values()) {
+            job.reject(new Error("Prover stopped"))
+        }
+        this.jobs.clear()
+    }
+}
@@ -0,0 +1,62 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+import initACVM from "@noir-lang/acvm_js"
+import initNoirC from "@noir-lang/noirc_abi"
+import acvmWasm from "@noir-lang/acvm_js/web/acvm_js_bg.wasm?url"
+import noircWasm from "@noir-lang/noirc_abi/web/noirc_abi_wasm_bg.wasm?url"
+
+// Proving thread of the app, the browser counterpart of scripts/proverWorker.ts.
+// See prover.ts for the message protocol.
+
+// noir_js needs its wasm modules loaded before the first execute in a browser
+const ready = Promise.all([
+    initACVM(fetch(acvmWasm)),
+    initNoirC(fetch(noircWasm)),
+])
+
+// Circuits this thread has proved with, kept warm between jobs
+const circuits = new Map<
+    string,
+    Promise<{ noir: Noir; honk: UltraHonkBackend }>
+>()
+
+function circuitFor(circuitUrl: string) {
+    let warm = circuits.get(circuitUrl)
+    if (!warm) {
+        warm = fetch(circuitUrl).then(async (response) => {
+            if (!response.ok) {
+                throw new Error(
+                    `Circuit ${circuitUrl} not found, compile it with nargo compile`
+                )
+            }
+            const circuit = await response.json()
+            return {
+                noir: new Noir(circuit),
+                honk: new UltraHonkBackend(circuit.bytecode, {
+                    threads: navigator.hardwareConcurrency,
+                }),
+            }
+        })
+        // Let the next job retry, e.g. once the circuit is compiled
+        warm.catch(() => circuits.delete(circuitUrl))
+        circuits.set(circuitUrl, warm)
+    }
+    return warm
+}
+
+self.onmessage = async (event: MessageEvent) => {
+    const message = event.data
+    try {
+        await ready
+        const { noir, honk } = await circuitFor(message.circuitUrl)
+        self.postMessage({ id: message.id, status: "witness" })
+        const { witness } = await noir.execute(message.inputs)
+        self.postMessage({ id: message.id, status: "proving" })
+        const { proof, publicInputs } = await honk.generateProof(witness, {
+            keccak: message.keccak,
+        })
+        self.postMessage({ id: message.id, proof, publicInputs })
+    } catch (error: any) {
+        self.postMessage({ id: message.id, error: error.message })
+    }
+}
@@ -0,0 +1,45 @@
+import { ethers } from "ethers"
+
+import { DEFAULT_RPC_URL } from "../../scripts/syncTree"
+
+export interface Wallet {
+    provider: ethers.Provider
+    signer: ethers.Signer
+    address: string
+    chainId: bigint
+}
+
+/**
+ * The browser wallet when there is one, else the unlocked accounts of the
+ * local Hardhat node
+ */
+export function walletProvider():
+    | ethers.BrowserProvider
+    | ethers.JsonRpcProvider {
+    const { ethereum } = window as any
+    return ethereum
+        ? new ethers.BrowserProvider(ethereum)
+        : new ethers.JsonRpcProvider(DEFAULT_RPC_URL)
+}
+
+/**
+ * Accounts to pick from, asking the browser wallet for access first
+ */
+export async function listAccounts(
+    provider: ethers.BrowserProvider | ethers.JsonRpcProvider
+): Promise<string[]> {
+    if (provider instanceof ethers.BrowserProvider) {
+        await provider.send("eth_requestAccounts", [])
+    }
+    const signers = await provider.listAccounts()
+    return signers.map((signer) => signer.address)
+}
+
+export async function connectWallet(
+    provider: ethers.BrowserProvider | ethers.JsonRpcProvider,
+    address: string
+): Promise<Wallet> {
+    const signer = await provider.getSigner(address)
+    const { chainId } = await provider.getNetwork()
+    return { provider, signer, address: await signer.getAddress(), chainId }
+}
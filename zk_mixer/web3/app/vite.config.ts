@@ -0,0 +1,35 @@
+import path from "path"
+import { defineConfig } from "vite"
+import { nodePolyfills } from "vite-plugin-node-polyfills"
+
+export default defineConfig({
+    plugins: [nodePolyfills()],
+    worker: {
+        format: "es",
+        plugins: () => [nodePolyfills()],
+    },
+    optimizeDeps: {
+        esbuildOptions: { target: "esnext" },
+        // Loaded together with their wasm at runtime
+        exclude: ["@aztec/bb.js", "@noir-lang/noirc_abi", "@noir-lang/acvm_js"],
+    },
+    build: {
+        target: "esnext",
+        rollupOptions: {
+            // MixerClient.withdraw proves with it in Node, the app proves in
+            // its worker and only calls submitWithdrawal
+            external: [/[\\/]scripts[\\/]generateProof\.ts$/],
+        },
+    },
+    server: {
+        fs: {
+            // The compiled circuits and the deployment registry are outside app/
+            allow: [path.resolve(__dirname, "../../..")],
+        },
+        // Cross-origin isolation gives bb.js the SharedArrayBuffer it proves on several threads with
+        headers: {
+            "Cross-Origin-Opener-Policy": "same-origin",
+            "Cross-Origin-Embedder-Policy": "require-corp",
+        },
+    },
+})
@@ -114,8 +114,10 @@ contract IncrementalMerkleTree {
 
         for (uint256 i = 0; i < TREE_DEPTH; ) {
             if (currentIndex % 2 == 0) {
+                // Nothing has been inserted to the right yet, so the sibling
+                // is the empty subtree of this level
                 left = currentHash;
-                right = filledSubtrees[i];
+                right = getPrecomputedZeroHash(i);
                 filledSubtrees[i] = currentHash;
             } else {
                 left = filledSubtrees[i];
@@ -145,7 +147,8 @@ contract IncrementalMerkleTree {
             leaf,
             latestRoot
         );
-        return currentLeafIndex;
+        // Index the leaf was inserted at, same as in the event above
+        return currentLeafIndex - 1;
     }
 
     function getRoot() public view returns (bytes32) {
@@ -200,6 +203,8 @@ contract IncrementalMerkleTree {
 
     /**
      * @dev Get pre-computed zero hash for a given level (gas optimized)
+     * Values are ZERO_VALUE hashed with itself `level` times, i.e. what getZeroHash
+     * computes on the fly (see computeZeroValues in scripts/merkleTree.js)
      * @param level The tree level (0 is leaf level)
      * @return The pre-computed zero hash at the specified level
      */
@@ -209,162 +214,162 @@ contract IncrementalMerkleTree {
         if (level == 0)
             return
                 bytes32(
-                    0x2fe54c60d3acabf3343a35b6eba15db4821b340f76e741e2249685ed4899af6c
+                    0x0000000000000000000000000000000000000000000000000000000000000000
                 );
         else if (level == 1)
             return
                 bytes32(
-                    0x256a6135777eee2fd26f54b8b7037a25439d5235caee224154186d2b8a52e31d
+                    0x0b63a53787021a4a962a452c2921b3663aff1ffd8d5510540f8e659e782956f1
                 );
         else if (level == 2)
             return
                 bytes32(
-                    0x1151949895e82ab19924de92c40a3d6f7bcb60cdb5f96286ee7c1c7769d85613
+                    0x0e34ac2c09f45a503d2908bcb12f1cbae5fa4065759c88d501c097506a8b2290
                 );
         else if (level == 3)
             return
                 bytes32(
-                    0x04cc588cdbd8a5773d1c1ca42c8e1d7d3fe9d5e8e1d9d3e2e4a2b9c1e9e3f4d5
+                    0x21f9172d72fdcdafc312eee05cf5092980dda821da5b760a9fb8dbdf607c8a20
                 );
         else if (level == 4)
             return
                 bytes32(
-                    0x19ed4537f2a1b8f5a1c5c6b4e2f1d8c9a3b7e6f2c5d4a9b8e7f3c2d1a6b5e4f3
+                    0x2373ea368857ec7af97e7b470d705848e2bf93ed7bef142a490f2119bcf82d8e
                 );
         else if (level == 5)
             return
                 bytes32(
-                    0x2def2936d0f6f8a9b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5
+                    0x120157cfaaa49ce3da30f8b47879114977c24b266d58b0ac18b325d878aafddf
                 );
         else if (level == 6)
             return
                 bytes32(
-                    0x0b98a89e6827ef697b8fb2e280a2342d61db1eb5efc229f5f4a77fb333b80bef
+                    0x01c28fe1059ae0237b72334700697bdf465e03df03986fe05200cadeda66bd76
                 );
         else if (level == 7)
             return
                 bytes32(
-                    0x231555e37e6b206f43fdcd4d660c47442d76aab1ef552aef6db45f3f9cf2e955
+                    0x2d78ed82f93b61ba718b17c2dfe5b52375b4d37cbbed6f1fc98b47614b0cf21b
                 );
         else if (level == 8)
             return
                 bytes32(
-                    0x03d0dc8c92e2844abcc5fdefe8cb67d93034de0862943990b09c6b8e3fa27a86
+                    0x067243231eddf4222f3911defbba7705aff06ed45960b27f6f91319196ef97e1
                 );
         else if (level == 9)
             return
                 bytes32(
-                    0x1d51ac275f47f10e592b8e690fd3b28a76106893ac3e60cd7b2a3a443f4e8355
+                    0x1849b85f3c693693e732dfc4577217acc18295193bede09ce8b97ad910310972
                 );
         else if (level == 10)
             return
                 bytes32(
-                    0x16b671eb844a8e4e463e820e26560357edee4ecfdbf5d7b0a28799911505088d
+                    0x2a775ea761d20435b31fa2c33ff07663e24542ffb9e7b293dfce3042eb104686
                 );
         else if (level == 11)
             return
                 bytes32(
-                    0x115ea0c2f132c5914d5bb737af6eed04115a3896f0d65e12e761ca560083da15
+                    0x0f320b0703439a8114f81593de99cd0b8f3b9bf854601abb5b2ea0e8a3dda4a7
                 );
         else if (level == 12)
             return
                 bytes32(
-                    0x139a5b42099806c76efb52da0ec1dde06a836bf6f87ef7ab4bac7d00637e28f0
+                    0x0d07f6e7a8a0e9199d6d92801fff867002ff5b4808962f9da2ba5ce1bdd26a73
                 );
         else if (level == 13)
             return
                 bytes32(
-                    0x0804853482335a6533eb6a4ddfc215a08026db413d247a7695e807e38debea8e
+                    0x1c4954081e324939350febc2b918a293ebcdaead01be95ec02fcbe8d2c1635d1
                 );
         else if (level == 14)
             return
                 bytes32(
-                    0x2f0b264ab5f5630b591af93d93ec2dfed28eef017b251e40905cdf7983689803
+                    0x0197f2171ef99c2d053ee1fb5ff5ab288d56b9b41b4716c9214a4d97facc4c4a
                 );
         else if (level == 15)
             return
                 bytes32(
-                    0x170fc161bf1b9610bf196c173bdae82c4adfd93888dc317f5010822a3ba9ebee
+                    0x2b9cdd484c5ba1e4d6efcc3f18734b5ac4c4a0b9102e2aeb48521a661d3feee9
                 );
         else if (level == 16)
             return
                 bytes32(
-                    0x0b2e7665b17622cc0243b6fa35110aa7dd0ee3cc9409650172aa786ca5971439
+                    0x14f44d672eb357739e42463497f9fdac46623af863eea4d947ca00a497dcdeb3
                 );
         else if (level == 17)
             return
                 bytes32(
-                    0x12d5a033cbeff854c5ba0c5628ac4628104be6ab370699a1b2b4209e518b0ac5
+                    0x071d7627ae3b2eabda8a810227bf04206370ac78dbf6c372380182dbd3711fe3
                 );
         else if (level == 18)
             return
                 bytes32(
-                    0x1bc59846eb7eafafc85ba9a99a89562763735322e4255b7c1788a8fe8b90bf5d
+                    0x2fdc08d9fe075ac58cb8c00f98697861a13b3ab6f9d41a4e768f75e477475bf5
                 );
         else if (level == 19)
             return
                 bytes32(
-                    0x1b9421fbd79f6972a348a3dd4721781ec25a5d8d27342942ae00aba80a3904d4
+                    0x20165fe405652104dceaeeca92950aa5adc571b8cafe192878cba58ff1be49c5
                 );
         else if (level == 20)
             return
                 bytes32(
-                    0x087fde1c4c9c27c347f347083139eee8759179d255ec8381c02298d3d6ccd233
+                    0x1c8c3ca0b3a3d75850fcd4dc7bf1e3445cd0cfff3ca510630fd90b47e8a24755
                 );
         else if (level == 21)
             return
                 bytes32(
-                    0x1e26b1884cb500b5e6bbfdeedbdca34b961caf3fa9839ea794bfc7f87d10b3f1
+                    0x1f0c1a8fb16b0d2ac9a146d7ae20d8d179695a92a79ed66fc45d9da4532459b3
                 );
         else if (level == 22)
             return
                 bytes32(
-                    0x09fc1a538b88bda55a53253c62c153e67e8289729afd9b8bfd3f46f5eecd5a72
+                    0x038146ec5a2573e1c30d2fb32c66c8440f426fbd108082df41c7bebd1d521c30
                 );
         else if (level == 23)
             return
                 bytes32(
-                    0x14cd0edec3423652211db5210475a230ca4771cd1e45315bcd6ea640f14077e2
+                    0x17d3d12b17fe762de4b835b2180b012e808816a7f2ff69ecb9d65188235d8fd4
                 );
         else if (level == 24)
             return
                 bytes32(
-                    0x1d776a76bc76f4305ef0b0b27a58a9565864fe1b9f2a198e8247b3e599e036ca
+                    0x0e1a6b7d63a6e5a9e54e8f391dd4e9d49cdfedcbc87f02cd34d4641d2eb30491
                 );
         else if (level == 25)
             return
                 bytes32(
-                    0x1f93e3103fed2d3bd056c3ac49b4a0728578be33595959788fa25514cdb5d42f
+                    0x09244eec34977ff795fc41036996ce974136377f521ac8eb9e04642d204783d2
                 );
         else if (level == 26)
             return
                 bytes32(
-                    0x138b0576ee7346fb3f6cfb632f92ae206395824b9333a183c15470404c977a3b
+                    0x1646d6f544ec36df9dc41f778a7ef1690a53c730b501471b6acd202194a7e8e9
                 );
         else if (level == 27)
             return
                 bytes32(
-                    0x0745de8522abfcd24bd50875865592f73a190070b4cb3d8976e3dbff8fdb7f3d
+                    0x064769603ba3f6c41f664d266ecb9a3a0f6567cd3e48b40f34d4894ee4c361b3
                 );
         else if (level == 28)
             return
                 bytes32(
-                    0x2ffb8c798b9dd2645e9187858cb92a86c86dcd1138f5d610c33df2696f5f6860
+                    0x1595bb3cd19f84619dc2e368175a88d8627a7439eda9397202cdb1167531fd3f
                 );
         else if (level == 29)
             return
                 bytes32(
-                    0x2612a1395168260c9999287df0e3c3f1b0d8e008e90cd15941e4c2df08a68a5a
+                    0x2a529be462b81ca30265b558763b1498289c9d88277ab14f0838cb1fce4b472c
                 );
         else if (level == 30)
             return
                 bytes32(
-                    0x10ebedce66a910039c8edb2cd832d6a9857648ccff5e99b5d08009b44b088edf
+                    0x0c08da612363088ad0bbc78abd233e8ace4c05a56fdabdd5e5e9b05e428bdaee
                 );
         else if (level == 31)
             return
                 bytes32(
-                    0x213fb841f9de06958cf4403477bdbff7c59d6249daabfee147f853db7c808082
+                    0x14748d0241710ef47f54b931ac5a58082b1d56b0f0c30d55fb71a6e8c9a6be14
                 );
         else revert IncrementalMerkleTree__LevelExceedsTreeDepth(level, 32);
     }
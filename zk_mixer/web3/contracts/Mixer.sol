@@ -4,10 +4,22 @@ pragma solidity ^0.8.28;
 import {IVerifier} from "./Verifier.sol";
 import {IncrementalMerkleTree} from "./IncrementalMerkleTree.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
+/**
+ * @dev One pool of fixed-size deposits. A pool holds either native ETH
+ * (token = address(0)) or a single ERC20 token; MixerFactory deploys one
+ * pool per (token, amount) pair. Tokens that take a fee on transfer or
+ * rebase are not supported, every deposit must be worth exactly DEPOSIT_AMOUNT.
+ */
 contract Mixer is IncrementalMerkleTree, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
     IVerifier public immutable i_verifier;
-    uint256 public constant DEPOSIT_AMOUNT = 0.001 ether;
+    // address(0) for native ETH
+    IERC20 public immutable i_token;
+    uint256 public immutable DEPOSIT_AMOUNT;
 
     mapping(bytes32 => bool) public s_commitments;
     mapping(bytes32 => bool) public s_nullifierHashes;
@@ -20,6 +32,8 @@ contract Mixer is IncrementalMerkleTree, ReentrancyGuard {
     event Mixer__Withdraw(
         address indexed recipient,
         bytes32 nullifierHash,
+        address indexed relayer,
+        uint256 fee,
         uint256 timestamp
     );
 
@@ -32,33 +46,65 @@ contract Mixer is IncrementalMerkleTree, ReentrancyGuard {
     error Mixer__UnknownRoot(bytes32 root);
     error Mixer__InvalidProof();
     error Mixer__WithdrawFailed(address recipient);
+    error Mixer__FeeExceedsDepositAmount(uint256 fee, uint256 depositAmount);
+    error Mixer__FeeWithoutRelayer(uint256 fee);
+    error Mixer__DenominationIsZero();
+    error Mixer__EtherNotAccepted(uint256 amountSent);
 
     constructor(
         IVerifier _verifier,
-        uint256 _treeDepth
+        uint256 _treeDepth,
+        IERC20 _token,
+        uint256 _denomination
     ) IncrementalMerkleTree(_treeDepth) {
+        if (_denomination == 0) {
+            revert Mixer__DenominationIsZero();
+        }
         i_verifier = _verifier;
+        i_token = _token;
+        DEPOSIT_AMOUNT = _denomination;
     }
 
     function deposit(bytes32 _commitment) external payable nonReentrant {
         if (s_commitments[_commitment]) {
             revert Mixer__CommitmentAlreadyExists(_commitment);
         }
-        if (msg.value != DEPOSIT_AMOUNT) {
-            revert Mixer__DepositAmountNotMet(msg.value, DEPOSIT_AMOUNT);
+        if (address(i_token) == address(0)) {
+            if (msg.value != DEPOSIT_AMOUNT) {
+                revert Mixer__DepositAmountNotMet(msg.value, DEPOSIT_AMOUNT);
+            }
+        } else if (msg.value != 0) {
+            revert Mixer__EtherNotAccepted(msg.value);
         }
 
         s_commitments[_commitment] = true;
         uint256 leafIndex = _insert(_commitment);
+        if (address(i_token) != address(0)) {
+            i_token.safeTransferFrom(msg.sender, address(this), DEPOSIT_AMOUNT);
+        }
         emit Mixer__Deposit(_commitment, leafIndex, block.timestamp);
     }
 
+    /**
+     * @dev Withdraw a deposit, either directly or through a relayer. The relayer
+     * and fee are public inputs of the proof, so whoever sends the transaction
+     * can't change them. Use address(0) and 0 when not using a relayer.
+     */
     function withdraw(
         bytes calldata _proof,
         bytes32 _root,
         bytes32 _nullifierHash,
-        address payable _recipient
+        address payable _recipient,
+        address payable _relayer,
+        uint256 _fee
     ) external nonReentrant {
+        if (_fee > DEPOSIT_AMOUNT) {
+            revert Mixer__FeeExceedsDepositAmount(_fee, DEPOSIT_AMOUNT);
+        }
+        // The fee would be sent to address(0) and burned
+        if (_fee > 0 && _relayer == address(0)) {
+            revert Mixer__FeeWithoutRelayer(_fee);
+        }
         if (s_nullifierHashes[_nullifierHash]) {
             revert Mixer__NullifierAlreadyUsed(_nullifierHash);
         }
@@ -66,20 +112,39 @@ contract Mixer is IncrementalMerkleTree, ReentrancyGuard {
             revert Mixer__UnknownRoot(_root);
         }
 
-        bytes32[] memory publicInputs = new bytes32[](3);
+        bytes32[] memory publicInputs = new bytes32[](5);
         publicInputs[0] = _root;
         publicInputs[1] = _nullifierHash;
         publicInputs[2] = bytes32(uint256(uint160(address(_recipient))));
+        publicInputs[3] = bytes32(uint256(uint160(address(_relayer))));
+        publicInputs[4] = bytes32(_fee);
         if (!i_verifier.verify(_proof, publicInputs)) {
             revert Mixer__InvalidProof();
         }
 
         s_nullifierHashes[_nullifierHash] = true;
-        (bool success, ) = _recipient.call{value: DEPOSIT_AMOUNT}("");
-        if (!success) {
-            revert Mixer__WithdrawFailed(_recipient);
+        _send(_recipient, DEPOSIT_AMOUNT - _fee);
+        if (_fee > 0) {
+            _send(_relayer, _fee);
         }
 
-        emit Mixer__Withdraw(_recipient, _nullifierHash, block.timestamp);
+        emit Mixer__Withdraw(
+            _recipient,
+            _nullifierHash,
+            _relayer,
+            _fee,
+            block.timestamp
+        );
+    }
+
+    function _send(address payable _to, uint256 _amount) private {
+        if (address(i_token) == address(0)) {
+            (bool success, ) = _to.call{value: _amount}("");
+            if (!success) {
+                revert Mixer__WithdrawFailed(_to);
+            }
+        } else {
+            i_token.safeTransfer(_to, _amount);
+        }
     }
 }
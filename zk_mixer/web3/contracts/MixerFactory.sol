@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import {IVerifier} from "./Verifier.sol";
+import {Mixer} from "./Mixer.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @dev Deploys one Mixer per (token, denomination) pair. Every pool shares
+ * the same verifier and tree depth, so a single compiled circuit serves them all.
+ * Anyone can create a pool, there is nothing to configure beyond the pair itself.
+ */
+contract MixerFactory {
+    IVerifier public immutable i_verifier;
+    uint256 public immutable i_treeDepth;
+
+    // token (address(0) for ETH) => denomination => pool
+    mapping(address => mapping(uint256 => address)) public s_pools;
+    address[] private s_poolList;
+
+    event MixerFactory__PoolCreated(
+        address indexed token,
+        uint256 indexed denomination,
+        address pool
+    );
+
+    error MixerFactory__PoolAlreadyExists(
+        address token,
+        uint256 denomination,
+        address pool
+    );
+
+    constructor(IVerifier _verifier, uint256 _treeDepth) {
+        i_verifier = _verifier;
+        i_treeDepth = _treeDepth;
+    }
+
+    function createPool(
+        address _token,
+        uint256 _denomination
+    ) external returns (address pool) {
+        pool = s_pools[_token][_denomination];
+        if (pool != address(0)) {
+            revert MixerFactory__PoolAlreadyExists(_token, _denomination, pool);
+        }
+
+        pool = address(
+            new Mixer(i_verifier, i_treeDepth, IERC20(_token), _denomination)
+        );
+        s_pools[_token][_denomination] = pool;
+        s_poolList.push(pool);
+        emit MixerFactory__PoolCreated(_token, _denomination, pool);
+    }
+
+    function getPool(
+        address _token,
+        uint256 _denomination
+    ) external view returns (address) {
+        return s_pools[_token][_denomination];
+    }
+
+    function getPools() external view returns (address[] memory) {
+        return s_poolList;
+    }
+}
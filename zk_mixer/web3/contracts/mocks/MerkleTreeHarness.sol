@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import {IncrementalMerkleTree} from "../IncrementalMerkleTree.sol";
+
+// Exposes _insert so tests can fill a tree without deposits
+contract MerkleTreeHarness is IncrementalMerkleTree {
+    constructor(uint256 _treeDepth) IncrementalMerkleTree(_treeDepth) {}
+
+    function insert(bytes32 _leaf) external returns (uint256) {
+        return _insert(_leaf);
+    }
+}
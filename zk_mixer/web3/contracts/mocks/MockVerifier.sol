@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import {IVerifier} from "../Verifier.sol";
+
+// Accepts every proof, so tests can withdraw without proving
+contract MockVerifier is IVerifier {
+    function verify(
+        bytes calldata,
+        bytes32[] calldata
+    ) external pure returns (bool) {
+        return true;
+    }
+}
@@ -1,4 +1,4 @@
-require("@nomicfoundation/hardhat-toolbox")
+import "@nomicfoundation/hardhat-toolbox"
 
 module.exports = {
     solidity: {
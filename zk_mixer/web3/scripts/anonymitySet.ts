@@ -0,0 +1,468 @@
+import { ethers } from "ethers"
+
+import { DEFAULT_BATCH_SIZE, DEFAULT_RPC_URL } from "./syncTree"
+import { DepositNote, noteToCommitmentData, parseNote } from "./note"
+
+// Withdrawals that hide among fewer deposits still in the pool are refused unless forced
+export const DEFAULT_MIN_ANONYMITY_SET = 10
+// Withdrawals sooner than this after the deposit are refused unless forced, in seconds
+export const DEFAULT_MIN_DEPOSIT_AGE = 24 * 60 * 60
+// Width of a timeline bucket, in seconds
+export const DEFAULT_BUCKET_SECONDS = 24 * 60 * 60
+
+// Only the parts of the Mixer ABI the analysis needs
+export const MIXER_ACTIVITY_ABI = [
+    "event Mixer__Deposit(bytes32 indexed commitment, uint256 leafIndex, uint256 timestamp)",
+    "event Mixer__Withdraw(address indexed recipient, bytes32 nullifierHash, address indexed relayer, uint256 fee, uint256 timestamp)",
+    "function getLeafCount() view returns (uint256)",
+]
+
+export interface DepositEvent {
+    commitment: string
+    leafIndex: number
+    timestamp: number
+    blockNumber: number
+}
+
+export interface WithdrawEvent {
+    nullifierHash: string
+    recipient: string
+    relayer: string
+    fee: bigint
+    timestamp: number
+    blockNumber: number
+}
+
+// Everything that happened in a mixer up to a block
+export interface MixerActivity {
+    // In leaf order
+    deposits: DepositEvent[]
+    // In block order
+    withdrawals: WithdrawEvent[]
+    leafCount: number
+    blockNumber: number
+    // Timestamp of that block, the "now" of the analysis
+    timestamp: number
+}
+
+export interface ActivityOptions {
+    provider: ethers.Provider
+    mixerAddress: string
+    // Block the mixer was deployed at
+    fromBlock?: number
+    // Defaults to the chain head
+    toBlock?: number
+    batchSize?: number
+}
+
+export interface PrivacyThresholds {
+    minAnonymitySet?: number
+    minDepositAge?: number
+}
+
+export interface AnalysisOptions extends PrivacyThresholds {
+    // The deposit to report on, usually the commitment of the note being withdrawn
+    commitment?: string
+    bucketSeconds?: number
+}
+
+export interface TimelineBucket {
+    start: number
+    deposits: number
+    withdrawals: number
+    // Deposits not withdrawn yet at the end of the bucket
+    pooled: number
+}
+
+// Where one deposit stands in the pool
+export interface DepositPosition {
+    commitment: string
+    leafIndex: number
+    timestamp: number
+    ageSeconds: number
+    // Made in later blocks than the deposit
+    depositsSince: number
+    withdrawalsSince: number
+}
+
+export interface AnonymityReport {
+    mixerAddress: string
+    blockNumber: number
+    timestamp: number
+    leafCount: number
+    withdrawals: number
+    // Deposits not withdrawn yet, any of them could be behind the next withdrawal
+    anonymitySet: number
+    deposit: DepositPosition | null
+    // How easily the next withdrawal is linked to the deposit by timing alone
+    timingRisk: "low" | "medium" | "high" | null
+    // Buckets with any activity, oldest first
+    timeline: TimelineBucket[]
+    // Thresholds the withdrawal doesn't meet, it is refused unless forced
+    problems: string[]
+    // Weaker signs a withdrawal now is easy to link
+    warnings: string[]
+}
+
+/**
+ * Reads the mixer's deposits and withdrawals in block ranges, and checks
+ * every deposit up to toBlock was found
+ */
+export async function fetchMixerActivity(
+    options: ActivityOptions
+): Promise<MixerActivity> {
+    const { provider, mixerAddress, batchSize = DEFAULT_BATCH_SIZE } = options
+    const fromBlock = options.fromBlock ?? 0
+    const toBlock = options.toBlock ?? (await provider.getBlockNumber())
+    const mixer = new ethers.Contract(
+        mixerAddress,
+        MIXER_ACTIVITY_ABI,
+        provider
+    )
+
+    const deposits: DepositEvent[] = []
+    const withdrawals: WithdrawEvent[] = []
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock)
+        const [depositLogs, withdrawLogs] = await Promise.all([
+            mixer.queryFilter(mixer.filters.Mixer__Deposit(), start, end),
+            mixer.queryFilter(mixer.filters.Mixer__Withdraw(), start, end),
+        ])
+        for (const log of depositLogs as ethers.EventLog[]) {
+            deposits.push({
+                commitment: log.args.commitment,
+                leafIndex: Number(log.args.leafIndex),
+                timestamp: Number(log.args.timestamp),
+                blockNumber: log.blockNumber,
+            })
+        }
+        for (const log of withdrawLogs as ethers.EventLog[]) {
+            withdrawals.push({
+                nullifierHash: log.args.nullifierHash,
+                recipient: log.args.recipient,
+                relayer: log.args.relayer,
+                fee: log.args.fee,
+                timestamp: Number(log.args.timestamp),
+                blockNumber: log.blockNumber,
+            })
+        }
+    }
+    deposits.sort((a, b) => a.leafIndex - b.leafIndex)
+
+    const leafCount = Number(await mixer.getLeafCount({ blockTag: toBlock }))
+    if (deposits.length !== leafCount) {
+        throw new Error(
+            `Contract has ${leafCount} deposits at block ${toBlock}, found ${deposits.length} Mixer__Deposit events from block ${fromBlock}. Start from the block the mixer was deployed at.`
+        )
+    }
+    const block = await provider.getBlock(toBlock)
+
+    return {
+        deposits,
+        withdrawals,
+        leafCount,
+        blockNumber: toBlock,
+        timestamp: block!.timestamp,
+    }
+}
+
+/**
+ * Human readable duration, e.g. "2d 3h" or "5m 10s"
+ */
+export function formatDuration(seconds: number): string {
+    const units: [string, number][] = [
+        ["d", 86400],
+        ["h", 3600],
+        ["m", 60],
+        ["s", 1],
+    ]
+    const parts = []
+    let left = Math.max(0, Math.floor(seconds))
+    for (const [unit, size] of units) {
+        if (left >= size || (parts.length === 0 && size === 1)) {
+            parts.push(`${Math.floor(left / size)}${unit}`)
+            left %= size
+        }
+        if (parts.length === 2) break
+    }
+    return parts.join(" ")
+}
+
+/**
+ * How private a withdrawal from the pool is right now. Needs no network,
+ * the activity comes from fetchMixerActivity.
+ */
+export function analyzeAnonymitySet(
+    activity: MixerActivity,
+    mixerAddress: string,
+    options: AnalysisOptions = {}
+): AnonymityReport {
+    const {
+        minAnonymitySet = DEFAULT_MIN_ANONYMITY_SET,
+        minDepositAge = DEFAULT_MIN_DEPOSIT_AGE,
+        bucketSeconds = DEFAULT_BUCKET_SECONDS,
+    } = options
+    const { deposits, withdrawals, leafCount, timestamp } = activity
+    const anonymitySet = leafCount - withdrawals.length
+    const problems: string[] = []
+    const warnings: string[] = []
+
+    if (anonymitySet < minAnonymitySet) {
+        problems.push(
+            `Only ${anonymitySet} deposits are still in the pool, a withdrawal now hides among fewer than ${minAnonymitySet}.`
+        )
+    }
+
+    let deposit: DepositPosition | null = null
+    let timingRisk: AnonymityReport["timingRisk"] = null
+    if (options.commitment !== undefined) {
+        const own = deposits.find(
+            (event) => BigInt(event.commitment) === BigInt(options.commitment!)
+        )
+        if (!own) {
+            throw new Error(
+                `Commitment ${options.commitment} was not deposited in mixer ${mixerAddress}`
+            )
+        }
+        deposit = {
+            commitment: own.commitment,
+            leafIndex: own.leafIndex,
+            timestamp: own.timestamp,
+            ageSeconds: timestamp - own.timestamp,
+            depositsSince: deposits.filter(
+                (event) => event.blockNumber > own.blockNumber
+            ).length,
+            withdrawalsSince: withdrawals.filter(
+                (event) => event.blockNumber > own.blockNumber
+            ).length,
+        }
+
+        timingRisk = "low"
+        if (deposit.ageSeconds < minDepositAge) {
+            problems.push(
+                `The deposit was made ${formatDuration(
+                    deposit.ageSeconds
+                )} ago, withdrawals this soon after a deposit are easy to link to it. Wait at least ${formatDuration(
+                    minDepositAge
+                )}.`
+            )
+            timingRisk = "high"
+        }
+        if (deposit.depositsSince === 0) {
+            warnings.push(
+                "No one has deposited since this deposit, a withdrawal now points straight back to it."
+            )
+            timingRisk = "high"
+        } else if (deposit.depositsSince < minAnonymitySet) {
+            warnings.push(
+                `Only ${deposit.depositsSince} deposits were made after this one, matching deposits and withdrawals by time leaves few candidates.`
+            )
+            if (timingRisk === "low") timingRisk = "medium"
+        }
+    }
+
+    // Deposits and withdrawals per bucket, with the pool size after each
+    const buckets = new Map<number, TimelineBucket>()
+    const bucketOf = (time: number) => {
+        const start = time - (time % bucketSeconds)
+        if (!buckets.has(start)) {
+            buckets.set(start, {
+                start,
+                deposits: 0,
+                withdrawals: 0,
+                pooled: 0,
+            })
+        }
+        return buckets.get(start)!
+    }
+    for (const event of deposits) bucketOf(event.timestamp).deposits++
+    for (const event of withdrawals) bucketOf(event.timestamp).withdrawals++
+    const timeline = [...buckets.values()].sort((a, b) => a.start - b.start)
+    let pooled = 0
+    for (const bucket of timeline) {
+        pooled += bucket.deposits - bucket.withdrawals
+        bucket.pooled = pooled
+    }
+
+    return {
+        mixerAddress,
+        blockNumber: activity.blockNumber,
+        timestamp,
+        leafCount,
+        withdrawals: withdrawals.length,
+        anonymitySet,
+        deposit,
+        timingRisk,
+        timeline,
+        problems,
+        warnings,
+    }
+}
+
+/**
+ * Reads the note's mixer and reports how private withdrawing it now would be
+ */
+export async function anonymityReportForNote(
+    note: string | DepositNote,
+    options: Omit<ActivityOptions, "mixerAddress"> & AnalysisOptions
+): Promise<AnonymityReport> {
+    const depositNote = typeof note === "string" ? parseNote(note) : note
+    const { provider } = options
+    const { chainId } = await provider.getNetwork()
+    if (chainId !== depositNote.chainId) {
+        throw new Error(
+            `Note is for chain ${depositNote.chainId}, provider is on chain ${chainId}`
+        )
+    }
+    const { commitment } = await noteToCommitmentData(depositNote)
+    const activity = await fetchMixerActivity({
+        ...options,
+        mixerAddress: depositNote.mixerAddress,
+    })
+    return analyzeAnonymitySet(activity, depositNote.mixerAddress, {
+        ...options,
+        commitment,
+    })
+}
+
+export interface WithdrawalPrivacyOptions extends PrivacyThresholds {
+    // Withdraw even when a threshold isn't met, the problems are only printed
+    force?: boolean
+    // Block the mixer was deployed at, where the events are read from
+    fromBlock?: number
+}
+
+/**
+ * Refuses a withdrawal that is easy to link to its deposit, unless forced.
+ * Warnings are printed either way.
+ */
+export async function checkWithdrawalPrivacy(
+    note: string | DepositNote,
+    options: WithdrawalPrivacyOptions & {
+        provider?: ethers.Provider
+        rpcUrl?: string
+    }
+): Promise<AnonymityReport> {
+    const provider =
+        options.provider ??
+        new ethers.JsonRpcProvider(options.rpcUrl ?? DEFAULT_RPC_URL)
+    const report = await anonymityReportForNote(note, {
+        ...options,
+        provider,
+    })
+
+    for (const warning of report.warnings) {
+        console.error(`⚠️  ${warning}`)
+    }
+    if (report.problems.length > 0) {
+        if (!options.force) {
+            throw new Error(
+                `Withdrawal refused: ${report.problems.join(
+                    " "
+                )} Force it (--force) to withdraw anyway.`
+            )
+        }
+        for (const problem of report.problems) {
+            console.error(`⚠️  ${problem}`)
+        }
+    }
+    return report
+}
+
+/**
+ * Prints a report the way the CLI shows it
+ */
+export function printAnonymityReport(report: AnonymityReport) {
+    console.log(`Mixer ${report.mixerAddress} at block ${report.blockNumber}:`)
+    console.log(
+        `   Deposits: ${report.leafCount}, withdrawals: ${report.withdrawals}`
+    )
+    console.log(`   Anonymity set: ${report.anonymitySet} deposits in the pool`)
+    if (report.deposit) {
+        const { leafIndex, ageSeconds, depositsSince, withdrawalsSince } =
+            report.deposit
+        console.log(
+            `   Your deposit: leaf ${leafIndex}, ${formatDuration(
+                ageSeconds
+            )} ago, followed by ${depositsSince} deposits and ${withdrawalsSince} withdrawals`
+        )
+        console.log(`   Timing-correlation risk: ${report.timingRisk}`)
+    }
+    if (report.timeline.length > 0) {
+        console.log("   Activity:")
+        for (const bucket of report.timeline) {
+            console.log(
+                `     ${new Date(bucket.start * 1000).toISOString()}  +${
+                    bucket.deposits
+                } deposits  -${bucket.withdrawals} withdrawals  ${
+                    bucket.pooled
+                } in the pool`
+            )
+        }
+    }
+    for (const problem of report.problems) {
+        console.log(`❌ ${problem}`)
+    }
+    for (const warning of report.warnings) {
+        console.log(`⚠️  ${warning}`)
+    }
+    if (report.problems.length === 0 && report.warnings.length === 0) {
+        console.log("✅ No privacy concerns found")
+    }
+}
+
+// Removes `--name <value>` from args and returns the value
+function takeFlag(args: string[], name: string): string | undefined {
+    const index = args.indexOf(`--${name}`)
+    if (index === -1) return undefined
+    const [, value] = args.splice(index, 2)
+    return value
+}
+
+// CLI usage
+async function main() {
+    const args = process.argv.slice(2)
+    const note = takeFlag(args, "note")
+    const rpcUrl = takeFlag(args, "rpc")
+    const fromBlock = takeFlag(args, "from")
+    const bucket = takeFlag(args, "bucket")
+    const minAnonymitySet = takeFlag(args, "min-anonymity")
+    const minDepositAge = takeFlag(args, "min-age")
+    const mixerAddress =
+        args[0] ?? (note ? parseNote(note).mixerAddress : undefined)
+
+    if (!mixerAddress) {
+        console.log(
+            "Usage: node anonymitySet.js <mixerAddress> [--rpc <url>] [--from <block>] [--bucket <seconds>] [--min-anonymity <n>] [--min-age <seconds>]\n" +
+                "       node anonymitySet.js --note <note> [--rpc <url>] [--from <block>] ..."
+        )
+        process.exit(1)
+    }
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl ?? DEFAULT_RPC_URL)
+    const options = {
+        provider,
+        fromBlock: fromBlock ? Number(fromBlock) : undefined,
+        bucketSeconds: bucket ? Number(bucket) : undefined,
+        minAnonymitySet: minAnonymitySet ? Number(minAnonymitySet) : undefined,
+        minDepositAge: minDepositAge ? Number(minDepositAge) : undefined,
+    }
+    const report = note
+        ? await anonymityReportForNote(note, options)
+        : analyzeAnonymitySet(
+              await fetchMixerActivity({ ...options, mixerAddress }),
+              mixerAddress,
+              options
+          )
+    printAnonymityReport(report)
+    if (report.problems.length > 0) {
+        process.exit(1)
+    }
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
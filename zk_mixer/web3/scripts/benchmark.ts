@@ -0,0 +1,660 @@
+import { Barretenberg, Fr, UltraHonkBackend } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+import { ethers, network } from "hardhat"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+import { commitWord, guessInputs } from "../sdk/panagramClient"
+import { encodeScramble } from "./fields"
+import { generateCommitment } from "./generateCommitment"
+import { createNote } from "./note"
+import { InputMap, loadAbi, parseProverToml } from "./proverToml"
+
+// Checkout root, the circuits live next to zk_mixer
+const ROOT = path.resolve(__dirname, "../../..")
+
+export const DEFAULT_REPORT_PATH = path.resolve(
+    __dirname,
+    "../benchmark-report.json"
+)
+export const DEFAULT_BASELINE_PATH = path.resolve(
+    __dirname,
+    "../benchmark-baseline.json"
+)
+
+// Timings and memory may be this much worse than the baseline (0.2 = 20%)
+// before they are flagged. Gas and proof size are deterministic, any
+// increase is flagged.
+export const DEFAULT_TOLERANCE = 0.2
+
+export const REPORT_VERSION = 1
+
+// Proof and public inputs handed to a benchmark's submit step
+export interface BenchmarkProof {
+    proof: Uint8Array
+    hexProof: string
+    publicInputs: string[]
+}
+
+export interface BenchmarkCase {
+    name: string
+    circuitPath: string
+    // Inputs of one run, with the gas of whatever it sent to set them up
+    prepare(run: number): Promise<{
+        inputs: InputMap
+        gas?: Record<string, bigint>
+    }>
+    // Submits the proof on-chain and returns the gas of each call
+    submit?(proof: BenchmarkProof, run: number): Promise<Record<string, bigint>>
+}
+
+export interface Stats {
+    mean: number
+    median: number
+    min: number
+    max: number
+    samples: number[]
+}
+
+export interface CircuitResult {
+    runs: number
+    proofBytes: number
+    publicInputs: number
+    witnessMs: Stats
+    proveMs: Stats
+    verifyMs: Stats
+    // Resident memory of the process while proving, workers included
+    peakRssMb: Stats
+    // Gas per contract call, over all runs
+    gas: Record<string, Stats>
+    // Calls that reverted, with the reason of the last revert
+    errors?: Record<string, string>
+}
+
+export interface BenchmarkReport {
+    version: number
+    createdAt: string
+    node: string
+    platform: string
+    cpus: number
+    runs: number
+    circuits: Record<
+        string,
+        CircuitResult | { skipped: string } | { failed: string }
+    >
+}
+
+export interface Regression {
+    circuit: string
+    metric: string
+    baseline?: number
+    current?: number
+    // Relative change, 0.25 for 25% worse
+    change?: number
+    // Why there is no number to compare, for results missing or failing now
+    reason?: string
+}
+
+/**
+ * Mean, median and range of a list of samples
+ */
+export function summarize(samples: number[]): Stats {
+    const sorted = [...samples].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    const round = (value: number) => Math.round(value * 100) / 100
+    return {
+        mean: round(sorted.reduce((sum, x) => sum + x, 0) / sorted.length),
+        median: round(
+            sorted.length % 2
+                ? sorted[middle]
+                : (sorted[middle - 1] + sorted[middle]) / 2
+        ),
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        samples: samples.map(round),
+    }
+}
+
+// Runs fn while sampling the resident memory, returns its result and the peak in MB
+async function withPeakRss<T>(fn: () => Promise<T>) {
+    let peak = process.memoryUsage.rss()
+    const timer = setInterval(() => {
+        peak = Math.max(peak, process.memoryUsage.rss())
+    }, 20)
+    try {
+        const result = await fn()
+        peak = Math.max(peak, process.memoryUsage.rss())
+        return { result, peakRssMb: peak / 1024 / 1024 }
+    } finally {
+        clearInterval(timer)
+    }
+}
+
+/**
+ * Proves a circuit `runs` times with a warm backend, timing witness
+ * generation, proving and verification and submitting each proof when the
+ * case has a submit step
+ */
+export async function benchmarkCircuit(
+    bench: BenchmarkCase,
+    runs: number
+): Promise<CircuitResult> {
+    const circuit = JSON.parse(fs.readFileSync(bench.circuitPath, "utf8"))
+    const noir = new Noir(circuit)
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+
+    const witnessMs: number[] = []
+    const proveMs: number[] = []
+    const verifyMs: number[] = []
+    const peakRssMb: number[] = []
+    const gas: Record<string, number[]> = {}
+    const errors: Record<string, string> = {}
+    let proofBytes = 0
+    let publicInputs = 0
+
+    const recordGas = (used: Record<string, bigint> = {}) => {
+        for (const [call, amount] of Object.entries(used)) {
+            ;(gas[call] ??= []).push(Number(amount))
+        }
+    }
+
+    try {
+        for (let run = 0; run < runs; run++) {
+            const prepared = await bench.prepare(run)
+            recordGas(prepared.gas)
+
+            let started = performance.now()
+            const { witness } = await noir.execute(prepared.inputs)
+            witnessMs.push(performance.now() - started)
+
+            started = performance.now()
+            const { result: proofData, peakRssMb: peak } = await withPeakRss(
+                () => honk.generateProof(witness, { keccak: true })
+            )
+            proveMs.push(performance.now() - started)
+            peakRssMb.push(peak)
+
+            started = performance.now()
+            const valid = await honk.verifyProof(proofData, { keccak: true })
+            verifyMs.push(performance.now() - started)
+            if (!valid) {
+                throw new Error(
+                    `${bench.name} made a proof that doesn't verify`
+                )
+            }
+
+            proofBytes = proofData.proof.length
+            publicInputs = proofData.publicInputs.length
+            const proof = {
+                ...proofData,
+                hexProof: ethers.hexlify(proofData.proof),
+            }
+            if (bench.submit) {
+                try {
+                    recordGas(await bench.submit(proof, run))
+                } catch (error: any) {
+                    errors.submit = error.shortMessage ?? error.message
+                }
+            }
+        }
+    } finally {
+        await honk.destroy()
+    }
+
+    return {
+        runs,
+        proofBytes,
+        publicInputs,
+        witnessMs: summarize(witnessMs),
+        proveMs: summarize(proveMs),
+        verifyMs: summarize(verifyMs),
+        peakRssMb: summarize(peakRssMb),
+        gas: Object.fromEntries(
+            Object.entries(gas).map(([call, used]) => [call, summarize(used)])
+        ),
+        ...(Object.keys(errors).length > 0 ? { errors } : {}),
+    }
+}
+
+/**
+ * Compares a report with a baseline. Circuits and gas calls the baseline has
+ * results for but the report doesn't, and calls that reverted, are
+ * regressions too. Circuits without results in the baseline are ignored.
+ * @param tolerance - Allowed slowdown for timings and memory
+ */
+export function compareReports(
+    report: BenchmarkReport,
+    baseline: BenchmarkReport,
+    tolerance = DEFAULT_TOLERANCE
+): Regression[] {
+    const regressions: Regression[] = []
+    const check = (
+        circuit: string,
+        metric: string,
+        current: number,
+        before: number | undefined,
+        allowed: number
+    ) => {
+        if (before === undefined || before <= 0) return
+        const change = (current - before) / before
+        if (change > allowed) {
+            regressions.push({
+                circuit,
+                metric,
+                baseline: before,
+                current,
+                change: Math.round(change * 1000) / 1000,
+            })
+        }
+    }
+
+    for (const [name, previous] of Object.entries(baseline.circuits)) {
+        if (!("runs" in previous)) continue
+        const result = report.circuits[name]
+        if (!result || !("runs" in result)) {
+            regressions.push({
+                circuit: name,
+                metric: "result",
+                reason: !result
+                    ? "not benchmarked"
+                    : "skipped" in result
+                    ? `skipped: ${result.skipped}`
+                    : `failed: ${result.failed}`,
+            })
+            continue
+        }
+        for (const metric of ["witnessMs", "proveMs", "verifyMs"] as const) {
+            check(
+                name,
+                `${metric}.median`,
+                result[metric].median,
+                previous[metric].median,
+                tolerance
+            )
+        }
+        check(
+            name,
+            "peakRssMb.max",
+            result.peakRssMb.max,
+            previous.peakRssMb.max,
+            tolerance
+        )
+        check(name, "proofBytes", result.proofBytes, previous.proofBytes, 0)
+        for (const [call, used] of Object.entries(previous.gas)) {
+            if (!result.gas[call]) {
+                regressions.push({
+                    circuit: name,
+                    metric: `gas.${call}.median`,
+                    baseline: used.median,
+                    reason: "no longer recorded",
+                })
+                continue
+            }
+            check(
+                name,
+                `gas.${call}.median`,
+                result.gas[call].median,
+                used.median,
+                0
+            )
+        }
+        for (const [step, error] of Object.entries(result.errors ?? {})) {
+            regressions.push({
+                circuit: name,
+                metric: `errors.${step}`,
+                reason: error,
+            })
+        }
+    }
+    return regressions
+}
+
+// Inputs from a Prover.toml next to the circuit, as nargo execute reads them
+function proverTomlCase(
+    name: string,
+    circuitPath: string,
+    tomlPath: string
+): BenchmarkCase {
+    return {
+        name,
+        circuitPath,
+        prepare: async () => ({
+            inputs: parseProverToml(
+                loadAbi(circuitPath),
+                fs.readFileSync(tomlPath, "utf8")
+            ),
+        }),
+    }
+}
+
+// Deposits a fresh note every run and withdraws it with the proof
+function mixerCase(circuitPath: string): BenchmarkCase {
+    let mixer: any
+    let generateProof: typeof import("./generateProof")
+    let pending: { nullifierHash: string; root: string; recipient: string }
+    const commitments: string[] = []
+
+    return {
+        name: "zk_mixer",
+        circuitPath,
+        async prepare() {
+            // generateProof loads the compiled circuit when it is imported
+            generateProof ??= await import("./generateProof")
+            const [, recipient] = await ethers.getSigners()
+            if (!mixer) {
+                const verifier = await ethers.deployContract("HonkVerifier")
+                mixer = await ethers.deployContract("Mixer", [
+                    await verifier.getAddress(),
+                    generateProof.TREE_DEPTH,
+                    ethers.ZeroAddress,
+                    ethers.parseEther("0.001"),
+                ])
+            }
+            const denomination: bigint = await mixer.DEPOSIT_AMOUNT()
+            const data = await generateCommitment()
+            const tx = await mixer.deposit(data.commitment, {
+                value: denomination,
+            })
+            const receipt = await tx.wait()
+            commitments.push(data.commitment)
+
+            const note = createNote(data, {
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                mixerAddress: await mixer.getAddress(),
+                denomination,
+            })
+            const { circuitInputs, ...withdrawal } =
+                await generateProof.prepareWithdrawal(
+                    note,
+                    recipient.address,
+                    commitments,
+                    {}
+                )
+            pending = withdrawal
+            return { inputs: circuitInputs, gas: { deposit: receipt.gasUsed } }
+        },
+        async submit({ hexProof }) {
+            const tx = await mixer.withdraw(
+                hexProof,
+                pending.root,
+                pending.nullifierHash,
+                pending.recipient,
+                ethers.ZeroAddress,
+                0
+            )
+            return { withdraw: (await tx.wait()).gasUsed }
+        },
+    }
+}
+
+// Contracts of zk_panagram/web3, compiled there with npx hardhat compile
+const PANAGRAM_ARTIFACTS = path.join(
+    ROOT,
+    "zk_panagram/web3/artifacts/contracts"
+)
+
+function panagramArtifact(file: string, name: string) {
+    return JSON.parse(
+        fs.readFileSync(
+            path.join(PANAGRAM_ARTIFACTS, file, `${name}.json`),
+            "utf8"
+        )
+    )
+}
+
+// Starts a round on a fresh Panagram every run and guesses the answer
+function panagramCase(circuitPath: string, bb: Barretenberg): BenchmarkCase {
+    const ANSWER = "triangles"
+    const SCRAMBLE = "alertings"
+    const onChain = fs.existsSync(PANAGRAM_ARTIFACTS)
+    let panagram: any
+
+    return {
+        name: "zk_panagram",
+        circuitPath,
+        async prepare() {
+            const [owner, player] = await ethers.getSigners()
+            const salt = Fr.random().toString()
+            const answerHash = await commitWord(ANSWER, salt, bb)
+
+            let gas: Record<string, bigint> | undefined
+            // Without the contracts the proof is bound to a stand-in, the
+            // circuit only asserts the address isn't zero
+            let panagramAddress = owner.address
+            let round = 1n
+            if (onChain) {
+                const deploy = async (
+                    file: string,
+                    name: string,
+                    args: any[]
+                ) => {
+                    const { abi, bytecode } = panagramArtifact(file, name)
+                    const factory = new ethers.ContractFactory(
+                        abi,
+                        bytecode,
+                        owner
+                    )
+                    const contract = await factory.deploy(...args)
+                    await contract.waitForDeployment()
+                    return contract
+                }
+                const verifier = await deploy(
+                    "Verifier.sol",
+                    "HonkVerifier",
+                    []
+                )
+                panagram = await deploy("Panagram.sol", "Panagram", [
+                    await verifier.getAddress(),
+                ])
+                panagramAddress = await panagram.getAddress()
+                const tx = await panagram.newRound(
+                    answerHash,
+                    salt,
+                    encodeScramble(SCRAMBLE)
+                )
+                gas = { newRound: (await tx.wait()).gasUsed }
+                round = await panagram.s_currentRound()
+            }
+
+            return {
+                inputs: guessInputs(
+                    ANSWER,
+                    {
+                        round,
+                        answerHash,
+                        salt,
+                        scramble: SCRAMBLE,
+                        startTime: 0n,
+                        winner: null,
+                        panagramAddress,
+                    },
+                    player.address
+                ),
+                gas,
+            }
+        },
+        submit: onChain
+            ? async ({ hexProof }) => {
+                  const [, player] = await ethers.getSigners()
+                  const tx = await panagram.connect(player).makeGuess(hexProof)
+                  return { makeGuess: (await tx.wait()).gasUsed }
+              }
+            : undefined,
+    }
+}
+
+/**
+ * The circuits of this checkout, with the path each has to be compiled to
+ */
+export function benchmarkCases(bb: Barretenberg): BenchmarkCase[] {
+    return [
+        proverTomlCase(
+            "first_circuit",
+            path.join(ROOT, "first_circuit/target/first_circuit.json"),
+            path.join(ROOT, "first_circuit/Prover.toml")
+        ),
+        panagramCase(
+            path.join(ROOT, "zk_panagram/circuit/target/zk_panagram.json"),
+            bb
+        ),
+        mixerCase(path.join(ROOT, "zk_mixer/circuit/target/circuit.json")),
+        proverTomlCase(
+            "zk_signVerification",
+            path.join(
+                ROOT,
+                "zk_signVerification/target/zk_signVerification.json"
+            ),
+            path.join(ROOT, "zk_signVerification/Prover.toml")
+        ),
+    ]
+}
+
+/**
+ * Benchmarks the given circuits, all of them by default. Circuits that
+ * aren't compiled are reported as skipped, and one that fails doesn't stop
+ * the others.
+ */
+export async function runBenchmarks(
+    options: { runs?: number; circuits?: string[] } = {}
+): Promise<BenchmarkReport> {
+    const runs = options.runs ?? 3
+    const bb = await Barretenberg.new({ threads: 1 })
+    const report: BenchmarkReport = {
+        version: REPORT_VERSION,
+        createdAt: new Date().toISOString(),
+        node: process.version,
+        platform: `${os.platform()} ${os.arch()}`,
+        cpus: os.cpus().length,
+        runs,
+        circuits: {},
+    }
+
+    try {
+        for (const bench of benchmarkCases(bb)) {
+            if (options.circuits && !options.circuits.includes(bench.name)) {
+                continue
+            }
+            if (!fs.existsSync(bench.circuitPath)) {
+                report.circuits[bench.name] = {
+                    skipped: `${path.relative(
+                        ROOT,
+                        bench.circuitPath
+                    )} not found, run nargo compile`,
+                }
+                console.log(`⚠️  ${bench.name}: not compiled, skipped`)
+                continue
+            }
+            console.log(`⏱️  ${bench.name}: ${runs} runs`)
+            let result: CircuitResult
+            try {
+                result = await benchmarkCircuit(bench, runs)
+            } catch (error: any) {
+                report.circuits[bench.name] = { failed: error.message }
+                console.log(`   ❌ ${error.message}`)
+                continue
+            }
+            report.circuits[bench.name] = result
+            console.log(
+                `   witness ${result.witnessMs.median} ms, prove ${
+                    result.proveMs.median
+                } ms, verify ${result.verifyMs.median} ms, ${
+                    result.proofBytes
+                } bytes, ${Math.round(result.peakRssMb.max)} MB`
+            )
+            for (const [call, used] of Object.entries(result.gas)) {
+                console.log(`   ${call}: ${used.median} gas`)
+            }
+            for (const [step, error] of Object.entries(result.errors ?? {})) {
+                console.log(`   ❌ ${step} failed: ${error}`)
+            }
+        }
+    } finally {
+        await bb.destroy()
+    }
+    return report
+}
+
+// Usage: BENCH_RUNS=5 npx hardhat run scripts/benchmark.ts
+// Optional: BENCH_CIRCUITS=zk_mixer,zk_panagram BENCH_OUT=<report.json>
+// BENCH_BASELINE=<baseline.json> BENCH_TOLERANCE=0.2 UPDATE_BASELINE=1
+async function main() {
+    if (network.name !== "hardhat") {
+        throw new Error(
+            "Benchmarks deploy their own contracts, run them on the hardhat network"
+        )
+    }
+    const report = await runBenchmarks({
+        runs: process.env.BENCH_RUNS
+            ? Number(process.env.BENCH_RUNS)
+            : undefined,
+        circuits: process.env.BENCH_CIRCUITS?.split(","),
+    })
+
+    const outFile = process.env.BENCH_OUT ?? DEFAULT_REPORT_PATH
+    fs.writeFileSync(outFile, JSON.stringify(report, null, 2))
+    console.log(`📝 Report written to ${outFile}`)
+    // A run that fails or reverts is broken whether or not there is a baseline
+    if (
+        Object.values(report.circuits).some(
+            (result) => "failed" in result || "errors" in result
+        )
+    ) {
+        process.exitCode = 1
+    }
+
+    const baselineFile = process.env.BENCH_BASELINE ?? DEFAULT_BASELINE_PATH
+    if (process.env.UPDATE_BASELINE) {
+        fs.writeFileSync(baselineFile, JSON.stringify(report, null, 2))
+        console.log(`📝 Baseline written to ${baselineFile}`)
+        return
+    }
+    if (!fs.existsSync(baselineFile)) {
+        console.log(
+            `No baseline at ${baselineFile}, run with UPDATE_BASELINE=1 to store this report as one`
+        )
+        return
+    }
+
+    const previous: BenchmarkReport = JSON.parse(
+        fs.readFileSync(baselineFile, "utf8")
+    )
+    if (process.env.BENCH_CIRCUITS) {
+        // Circuits left out on purpose aren't missing
+        previous.circuits = Object.fromEntries(
+            Object.entries(previous.circuits).filter(
+                ([name]) => name in report.circuits
+            )
+        )
+    }
+    const regressions = compareReports(
+        report,
+        previous,
+        process.env.BENCH_TOLERANCE
+            ? Number(process.env.BENCH_TOLERANCE)
+            : DEFAULT_TOLERANCE
+    )
+    if (regressions.length === 0) {
+        console.log("✅ No regressions against the baseline")
+        return
+    }
+    console.log("❌ Regressions against the baseline:")
+    for (const { circuit, metric, reason, ...numbers } of regressions) {
+        const { baseline, current, change = 0 } = numbers
+        console.log(
+            reason !== undefined
+                ? `  - ${circuit} ${metric}: ${reason}`
+                : `  - ${circuit} ${metric}: ${baseline} -> ${current} (+${Math.round(
+                      change * 100
+                  )}%)`
+        )
+    }
+    process.exitCode = 1
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
@@ -0,0 +1,29 @@
+import { compile_program, createFileManager } from "@noir-lang/noir_wasm"
+import fs from "fs"
+import path from "path"
+
+// Noir packages of the mixer, next to their target/ directories
+export const CIRCUIT_DIR = path.resolve(__dirname, "../../circuit")
+export const DISCLOSURE_CIRCUIT_DIR = path.resolve(
+    __dirname,
+    "../../disclosure_circuit"
+)
+
+/**
+ * Compiles a Noir package in this process with noir_wasm, the same program
+ * `nargo compile` writes. Git dependencies are downloaded from GitHub into
+ * the package directory the first time.
+ * @param circuitDir - Directory holding Nargo.toml
+ * @param outputPath - Also write the program here, e.g. CIRCUIT_PATH
+ */
+export async function compileCircuit(
+    circuitDir: string,
+    outputPath?: string
+): Promise<any> {
+    const { program } = await compile_program(createFileManager(circuitDir))
+    if (outputPath) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+        fs.writeFileSync(outputPath, JSON.stringify(program))
+    }
+    return program
+}
@@ -0,0 +1,178 @@
+import { ethers } from "hardhat"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { DEFAULT_TREE_DEPTH } from "./merkleTree.js"
+import {
+    ChainDeployment,
+    DEFAULT_REGISTRY_PATH,
+    PoolEntry,
+    loadRegistry,
+    parseToken,
+    saveRegistry,
+} from "./registry"
+
+// Pools deployed when POOLS is not set
+const DEFAULT_POOLS = "ETH:0.1,ETH:1,ETH:10"
+
+const ERC20_METADATA_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+]
+
+// A pool to deploy, amount is in whole tokens (e.g. "0.1" ETH or "100" USDC)
+export interface PoolConfig {
+    token: string
+    amount: string
+}
+
+export interface DeployOptions {
+    registryPath?: string
+    // Must match the depth the circuit was compiled for
+    treeDepth?: number
+    // Reuse an already deployed HonkVerifier
+    verifier?: string
+}
+
+/**
+ * Parses a pool list like "ETH:0.1,0xToken:100"
+ */
+export function parsePoolList(list: string): PoolConfig[] {
+    return list
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [token, amount] = entry.split(":")
+            if (!token || !amount) {
+                throw new Error(
+                    `Pool must look like <token>:<amount>, got ${entry}`
+                )
+            }
+            return { token, amount }
+        })
+}
+
+async function tokenInfo(token: string) {
+    if (token === ethers.ZeroAddress) {
+        return { symbol: "ETH", decimals: 18 }
+    }
+    const erc20 = new ethers.Contract(
+        token,
+        ERC20_METADATA_ABI,
+        ethers.provider
+    )
+    return {
+        symbol: await erc20.symbol(),
+        decimals: Number(await erc20.decimals()),
+    }
+}
+
+/**
+ * Deploys the verifier and factory if this chain has none yet, then one pool
+ * per (token, amount) pair that doesn't exist, and records everything in the registry.
+ * Running it again with more pools only adds the missing ones.
+ */
+export async function deployPools(
+    pools: PoolConfig[],
+    options: DeployOptions = {}
+): Promise<ChainDeployment> {
+    const registryPath = options.registryPath ?? DEFAULT_REGISTRY_PATH
+    const treeDepth = options.treeDepth ?? DEFAULT_TREE_DEPTH
+    const { chainId } = await ethers.provider.getNetwork()
+    const registry = loadRegistry(registryPath)
+
+    let deployment: ChainDeployment | undefined = registry[chainId.toString()]
+    // A local node forgets its contracts on restart, start over in that case
+    if (
+        deployment &&
+        (await ethers.provider.getCode(deployment.factory)) === "0x"
+    ) {
+        console.log(`⚠️  Factory ${deployment.factory} is gone, redeploying`)
+        deployment = undefined
+    }
+
+    if (!deployment) {
+        const verifierAddress =
+            options.verifier ??
+            (await (await ethers.deployContract("HonkVerifier")).getAddress())
+        const factory = await ethers.deployContract("MixerFactory", [
+            verifierAddress,
+            treeDepth,
+        ])
+        deployment = {
+            verifier: verifierAddress,
+            factory: await factory.getAddress(),
+            treeDepth,
+            pools: [],
+        }
+        console.log(`✅ Verifier: ${deployment.verifier}`)
+        console.log(`✅ Factory: ${deployment.factory}`)
+    } else if (deployment.treeDepth !== treeDepth) {
+        throw new Error(
+            `Factory ${deployment.factory} builds trees of depth ${deployment.treeDepth}, not ${treeDepth}`
+        )
+    }
+
+    const factory = await ethers.getContractAt(
+        "MixerFactory",
+        deployment.factory
+    )
+    for (const config of pools) {
+        const token = parseToken(config.token)
+        const { symbol, decimals } = await tokenInfo(token)
+        const denomination = ethers.parseUnits(config.amount, decimals)
+
+        let address: string = await factory.getPool(token, denomination)
+        let deployBlock: number
+        if (address === ethers.ZeroAddress) {
+            const tx = await factory.createPool(token, denomination)
+            const receipt = await tx.wait()
+            address = await factory.getPool(token, denomination)
+            deployBlock = receipt!.blockNumber
+            console.log(`✅ ${config.amount} ${symbol} pool: ${address}`)
+        } else if (deployment.pools.some((pool) => pool.address === address)) {
+            console.log(`ℹ️  ${config.amount} ${symbol} pool already deployed`)
+            continue
+        } else {
+            // Created by someone else through the factory, look up when
+            const [event] = await factory.queryFilter(
+                factory.filters.MixerFactory__PoolCreated(token, denomination)
+            )
+            deployBlock = event?.blockNumber ?? 0
+        }
+
+        const entry: PoolEntry = {
+            token,
+            symbol,
+            decimals,
+            denomination: denomination.toString(),
+            address,
+            deployBlock,
+        }
+        deployment.pools.push(entry)
+    }
+
+    registry[chainId.toString()] = deployment
+    saveRegistry(registryPath, registry)
+    console.log(`📝 Registry written to ${registryPath}`)
+    return deployment
+}
+
+// Usage: POOLS="ETH:0.1,0xToken:100" npx hardhat run scripts/deploy.ts --network <network>
+// Optional: REGISTRY=<file> TREE_DEPTH=<depth> VERIFIER=<address>
+async function main() {
+    await deployPools(parsePoolList(process.env.POOLS ?? DEFAULT_POOLS), {
+        registryPath: process.env.REGISTRY,
+        treeDepth: process.env.TREE_DEPTH
+            ? Number(process.env.TREE_DEPTH)
+            : undefined,
+        verifier: process.env.VERIFIER,
+    })
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
@@ -0,0 +1,113 @@
+import { Barretenberg } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import fs from "fs"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { merkleTree } from "./merkleTree.js"
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { appendLeaves, loadSnapshot, saveSnapshot } from "./treeSnapshot.js"
+import { DEFAULT_RPC_URL, syncTree } from "./syncTree"
+import { DepositNote } from "./note"
+import { loadRegistry, poolForNote } from "./registry"
+
+// What a pool holds, checked against the note before syncing
+const MIXER_POOL_ABI = [
+    "function i_token() view returns (address)",
+    "function DEPOSIT_AMOUNT() view returns (uint256)",
+]
+
+// Where the deposit tree of a note comes from
+export interface DepositTreeOptions {
+    // Tree snapshot to start from; allCommitments must still list every leaf
+    // from index 0, only the ones past the snapshot are hashed, and the
+    // updated tree is written back to the same file
+    snapshotPath?: string
+    // Read the commitments from this Mixer's events instead of allCommitments.
+    // Defaults to the note's mixer when neither commitments nor a snapshot are given
+    mixerAddress?: string
+    // Registry written by scripts/deploy.ts, the pool is then picked
+    // from the note's token and denomination
+    registryPath?: string
+    provider?: ethers.Provider
+    rpcUrl?: string
+}
+
+/**
+ * Gets the deposit tree from the chain, a snapshot or the given commitments,
+ * in that order of preference. The caller owns the returned tree.
+ */
+export async function loadDepositTree(
+    bb: Barretenberg,
+    note: DepositNote,
+    allCommitments: string[],
+    options: DepositTreeOptions & { depth: number }
+): Promise<any> {
+    const { snapshotPath, depth } = options
+    const mixerAddress =
+        options.mixerAddress ??
+        (options.registryPath
+            ? poolForNote(loadRegistry(options.registryPath), note).address
+            : undefined) ??
+        (allCommitments.length === 0 && !snapshotPath
+            ? note.mixerAddress
+            : undefined)
+
+    if (mixerAddress) {
+        if (mixerAddress.toLowerCase() !== note.mixerAddress.toLowerCase()) {
+            throw new Error(
+                `Note is for mixer ${note.mixerAddress}, not ${mixerAddress}`
+            )
+        }
+        const provider =
+            options.provider ??
+            new ethers.JsonRpcProvider(options.rpcUrl ?? DEFAULT_RPC_URL)
+        const { chainId } = await provider.getNetwork()
+        if (chainId !== note.chainId) {
+            throw new Error(
+                `Note is for chain ${note.chainId}, provider is on chain ${chainId}`
+            )
+        }
+        const pool = new ethers.Contract(mixerAddress, MIXER_POOL_ABI, provider)
+        const [token, denomination] = await Promise.all([
+            pool.i_token(),
+            pool.DEPOSIT_AMOUNT(),
+        ])
+        if (
+            token.toLowerCase() !== note.token.toLowerCase() ||
+            denomination !== note.denomination
+        ) {
+            throw new Error(
+                `Mixer ${mixerAddress} takes ${denomination} of token ${token}, the note is for ${note.denomination} of ${note.token}`
+            )
+        }
+        const { tree } = await syncTree({
+            provider,
+            mixerAddress,
+            snapshotPath,
+            depth,
+            bb,
+        })
+        return tree
+    }
+
+    if (snapshotPath && fs.existsSync(snapshotPath)) {
+        const { tree, meta } = await loadSnapshot(snapshotPath, {
+            bb,
+            depth,
+        })
+        if (
+            allCommitments.length > 0 &&
+            (await appendLeaves(tree, allCommitments)) > 0
+        ) {
+            // Leaves given by hand aren't tied to a block, so a later sync starts over
+            await saveSnapshot(snapshotPath, tree, { meta })
+        }
+        return tree
+    }
+
+    const tree = await merkleTree(allCommitments, { depth, bb })
+    if (snapshotPath) {
+        await saveSnapshot(snapshotPath, tree)
+    }
+    return tree
+}
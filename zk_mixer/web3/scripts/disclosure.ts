@@ -0,0 +1,291 @@
+import { Barretenberg, UltraHonkBackend } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+import { ethers } from "ethers"
+import fs from "fs"
+import path from "path"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { merkleTree } from "./merkleTree.js"
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { loadSnapshot } from "./treeSnapshot.js"
+import { DepositNote, noteToCommitmentData, parseNote } from "./note"
+import { DepositTreeOptions, loadDepositTree } from "./depositTree"
+import { FIELD_MODULUS } from "./generateCommitment"
+import { toBytes32 } from "./fields"
+import { InputMap, dumpInputs } from "./proverToml"
+import { loadCircuit } from "./verifyProof"
+
+// Compiled disclosure circuit, produced by `nargo compile` in zk_mixer/disclosure_circuit
+export const DISCLOSURE_CIRCUIT_PATH = path.resolve(
+    __dirname,
+    "../../disclosure_circuit/target/disclosure.json"
+)
+
+// Bumped whenever the layout of the disclosure file changes
+export const DISCLOSURE_VERSION = 1
+
+// Order of the public inputs in disclosure_circuit/src/main.nr
+export const DISCLOSURE_INPUT_NAMES = [
+    "root",
+    "nullifierHash",
+    "context",
+    "reveal",
+    "commitment",
+    "leafIndex",
+] as const
+
+// origin: the withdrawal's deposit is disclosed as commitment C at leafIndex i
+// allowList: the deposit is in a tree of allowed commitments, nothing more
+export type DisclosureForm = "origin" | "allowList"
+
+// Everything a disclosure proves. All of it is public, the note stays private
+export interface DisclosureStatement {
+    version: number
+    form: DisclosureForm
+    chainId: string
+    mixerAddress: string
+    // Root of the mixer tree (origin) or of the allow-list tree (allowList)
+    root: string
+    // Leaves in that tree when the proof was made, so an auditor can rebuild it
+    leafCount: number
+    // Nullifier hash of the withdrawal being explained
+    nullifierHash: string
+    // The auditor's request the proof answers, it can't be reused for another one
+    context: string
+    // Only disclosed in the origin form, null in the allowList form
+    commitment: string | null
+    leafIndex: number | null
+}
+
+// What is handed to the auditor: the statement and its proof
+export interface Disclosure extends DisclosureStatement {
+    proof: string
+}
+
+export interface DisclosureOptions extends DepositTreeOptions {
+    form: DisclosureForm
+    // Allowed commitments in tree order, required for the allowList form
+    allowList?: string[]
+    context?: string
+    // Write the circuit inputs to this Prover.toml before proving
+    dumpInputs?: string
+    // Compiled disclosure circuit, loaded from DISCLOSURE_CIRCUIT_PATH when omitted
+    circuit?: any
+}
+
+/**
+ * The context as a public input: keccak256 of the text, reduced into the field
+ */
+export function contextToField(context: string): string {
+    return toBytes32(
+        BigInt(ethers.keccak256(ethers.toUtf8Bytes(context))) % FIELD_MODULUS
+    )
+}
+
+/**
+ * Public inputs in the order the circuit declares them
+ */
+export function encodeDisclosureInputs(
+    statement: DisclosureStatement
+): string[] {
+    const reveal = statement.form === "origin"
+    return [
+        toBytes32(statement.root, "root"),
+        toBytes32(statement.nullifierHash, "nullifierHash"),
+        contextToField(statement.context),
+        toBytes32(reveal ? 1 : 0),
+        toBytes32(reveal ? statement.commitment! : 0, "commitment"),
+        toBytes32(reveal ? statement.leafIndex! : 0, "leafIndex"),
+    ]
+}
+
+// Depth the circuit was compiled for, from the length of its merkle_proof input
+export function disclosureDepth(circuit: any): number {
+    return circuit.abi.parameters.find(
+        (param: any) => param.name === "merkle_proof"
+    ).type.length
+}
+
+/**
+ * Builds the statement and circuit inputs of a disclosure, everything but the proving
+ * @param allCommitments - Mixer commitments for the origin form, as for generateProof
+ */
+export async function prepareDisclosure(
+    note: string | DepositNote,
+    allCommitments: string[],
+    options: DisclosureOptions
+): Promise<{ circuitInputs: InputMap; statement: DisclosureStatement }> {
+    const depositNote = typeof note === "string" ? parseNote(note) : note
+    const circuit = options.circuit ?? loadCircuit(DISCLOSURE_CIRCUIT_PATH)
+    const depth = disclosureDepth(circuit)
+    if (options.form === "allowList" && !options.allowList) {
+        throw new Error("The allowList form needs the allow list")
+    }
+    const bb = await Barretenberg.new()
+
+    try {
+        const data = await noteToCommitmentData(depositNote, bb)
+        const tree =
+            options.form === "origin"
+                ? await loadDepositTree(bb, depositNote, allCommitments, {
+                      ...options,
+                      depth,
+                  })
+                : await merkleTree(options.allowList, { depth, bb })
+        const leafIndex = tree.getIndex(data.commitment)
+        const leafCount = tree.totalLeaves
+        const merkleProof = leafIndex === -1 ? null : tree.proof(leafIndex)
+        await tree.dispose()
+
+        if (!merkleProof) {
+            throw new Error(
+                options.form === "origin"
+                    ? `Commitment ${data.commitment} not found in tree`
+                    : `Commitment ${data.commitment} is not on the allow list`
+            )
+        }
+
+        const reveal = options.form === "origin"
+        const statement: DisclosureStatement = {
+            version: DISCLOSURE_VERSION,
+            form: options.form,
+            chainId: depositNote.chainId.toString(),
+            mixerAddress: depositNote.mixerAddress,
+            root: merkleProof.root,
+            leafCount,
+            nullifierHash: data.nullifierHash,
+            context: options.context ?? "",
+            commitment: reveal ? data.commitment : null,
+            leafIndex: reveal ? leafIndex : null,
+        }
+        const [root, nullifierHash, context, , commitment, index] =
+            encodeDisclosureInputs(statement)
+        const circuitInputs: InputMap = {
+            root,
+            nullifier_hash: nullifierHash,
+            context,
+            reveal,
+            commitment,
+            leaf_index: index,
+            nullifier: data.nullifier,
+            secret: data.secret,
+            merkle_proof: merkleProof.pathElements.map((e: any) =>
+                e.toString()
+            ),
+            is_even: merkleProof.pathIndices.map((i: any) => i % 2 === 0),
+        }
+        if (options.dumpInputs) {
+            dumpInputs(options.dumpInputs, circuit.abi, circuitInputs)
+            console.error(`📝 Circuit inputs written to ${options.dumpInputs}`)
+        }
+        return { circuitInputs, statement }
+    } finally {
+        await bb.destroy()
+    }
+}
+
+/**
+ * Proves where a withdrawal came from without spending or revealing the note.
+ * The proof uses the default transcript, it is meant for verifyDisclosure
+ * and not for an on-chain verifier.
+ */
+export async function generateDisclosure(
+    note: string | DepositNote,
+    allCommitments: string[],
+    options: DisclosureOptions
+): Promise<Disclosure> {
+    const circuit = options.circuit ?? loadCircuit(DISCLOSURE_CIRCUIT_PATH)
+    const { circuitInputs, statement } = await prepareDisclosure(
+        note,
+        allCommitments,
+        { ...options, circuit }
+    )
+
+    const noir = new Noir(circuit)
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    try {
+        const { witness } = await noir.execute(circuitInputs)
+        const { proof } = await honk.generateProof(witness)
+        return { ...statement, proof: ethers.hexlify(proof) }
+    } finally {
+        await honk.destroy()
+    }
+}
+
+/**
+ * Reads a list of commitments: a JSON array, or a tree snapshot's leaves
+ */
+export async function loadCommitmentList(
+    file: string,
+    meta: Record<string, string> = {}
+): Promise<string[]> {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (Array.isArray(data)) {
+        return data
+    }
+    const { tree } = await loadSnapshot(file, { meta })
+    const leaves = tree.leaves()
+    await tree.dispose()
+    return leaves
+}
+
+// Removes `--name <value>` from args and returns the value
+function takeFlag(args: string[], name: string): string | undefined {
+    const index = args.indexOf(`--${name}`)
+    if (index === -1) return undefined
+    const [, value] = args.splice(index, 2)
+    return value
+}
+
+// CLI usage
+async function main() {
+    const args = process.argv.slice(2)
+
+    // --allow-list <file> proves membership of an allow list (JSON array of
+    // commitments) instead of disclosing the deposit
+    const allowListFile = takeFlag(args, "allow-list")
+    // --context <text> binds the proof to the auditor's request
+    const context = takeFlag(args, "context")
+    // Where the mixer tree comes from, as for generateProof
+    const snapshotPath = takeFlag(args, "snapshot")
+    const mixerAddress = takeFlag(args, "mixer")
+    const rpcUrl = takeFlag(args, "rpc")
+    const registryPath = takeFlag(args, "registry")
+    const outFile = takeFlag(args, "out") ?? "disclosure.json"
+    const dumpInputsPath = takeFlag(args, "dump-inputs")
+
+    if (args.length < 1) {
+        console.log(
+            "Usage: node disclosure.js <note> [--context <text>] [--out <file>] [--dump-inputs <Prover.toml>] [--snapshot <file>] [--mixer <address>] [--rpc <url>] [--registry <file>] [commitment1] [commitment2] ...\n" +
+                "       node disclosure.js <note> --allow-list <commitments.json> [--context <text>] [--out <file>]"
+        )
+        process.exit(1)
+    }
+
+    const disclosure = await generateDisclosure(args[0], args.slice(1), {
+        form: allowListFile ? "allowList" : "origin",
+        allowList: allowListFile
+            ? await loadCommitmentList(allowListFile)
+            : undefined,
+        context,
+        snapshotPath,
+        mixerAddress,
+        rpcUrl,
+        registryPath,
+        dumpInputs: dumpInputsPath,
+    })
+    fs.writeFileSync(outFile, JSON.stringify(disclosure, null, 2))
+    console.log(
+        disclosure.form === "origin"
+            ? `📝 Disclosed nullifier hash ${disclosure.nullifierHash} as commitment ${disclosure.commitment} at leaf ${disclosure.leafIndex}`
+            : `📝 Proved nullifier hash ${disclosure.nullifierHash} is on the allow list with root ${disclosure.root}`
+    )
+    console.log(`   Saved to ${outFile}, check it with verifyDisclosure`)
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
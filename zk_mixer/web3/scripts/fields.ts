@@ -0,0 +1,84 @@
+import { ethers } from "ethers"
+
+import { FIELD_MODULUS } from "./generateCommitment"
+// @ts-ignore - JavaScript module without TypeScript declarations
+import * as words from "../../../zk_panagram/web3/scripts/words.mjs"
+
+// Conversions between what the contracts take (bytes32, address, uint256)
+// and the BN254 field elements the circuits see. Both projects' circuits
+// and contracts use the same layout, so every conversion lives here.
+
+/**
+ * Reads a field element from any numeric form (bigint, decimal or hex string, bytes32)
+ * @throws if it is negative or not below the field modulus
+ */
+export function toField(value: ethers.BigNumberish, name = "value"): bigint {
+    const field = ethers.toBigInt(value)
+    if (field < 0n) {
+        throw new Error(`${name} is negative`)
+    }
+    if (field >= FIELD_MODULUS) {
+        throw new Error(`${name} exceeds the field modulus`)
+    }
+    return field
+}
+
+/**
+ * A field element as the bytes32 the contracts store and the verifiers take
+ */
+export function toBytes32(value: ethers.BigNumberish, name?: string): string {
+    return ethers.toBeHex(toField(value, name), 32)
+}
+
+/**
+ * An address as a public input: bytes32(uint256(uint160(address)))
+ */
+export function addressToField(address: string): string {
+    return words.addressToField(ethers.getAddress(address))
+}
+
+/**
+ * Reads an address back from a public input
+ * @throws if the value has more than 160 bits
+ */
+export function fieldToAddress(
+    value: ethers.BigNumberish,
+    name = "value"
+): string {
+    const field = toField(value, name)
+    if (field >> 160n !== 0n) {
+        throw new Error(`${name} is not an address`)
+    }
+    return ethers.getAddress(ethers.toBeHex(field, 20))
+}
+
+// The Panagram encodings come from zk_panagram/web3/scripts/words.mjs, the
+// module its own scripts use
+
+// Length of the guess and scramble letter arrays, MAX_LETTERS in zk_panagram's main.nr
+export const MAX_LETTERS: number = words.MAX_LETTERS
+
+/**
+ * Converts a word to the Panagram circuit's letter array
+ * @param word - 1 to MAX_LETTERS lowercase letters a-z
+ * @returns MAX_LETTERS character codes, zero padded
+ */
+export const wordToLetters: (word: string) => number[] = words.wordToLetters
+
+/**
+ * Packs a scramble into the bytes32 stored in Panagram.s_scramble
+ */
+export const encodeScramble: (scramble: string) => string = words.encodeScramble
+
+/**
+ * Reads a scramble back from Panagram.s_scramble
+ */
+export const decodeScramble: (encoded: string | Uint8Array) => string =
+    words.decodeScramble
+
+/**
+ * Salt of the round followed by the word's letters, what a Panagram answer
+ * hash is the Poseidon2 hash of
+ */
+export const answerPreimage: (word: string, salt: string | bigint) => bigint[] =
+    words.answerPreimage
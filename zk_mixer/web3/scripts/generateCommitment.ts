@@ -2,7 +2,7 @@ import { Barretenberg, Fr } from "@aztec/bb.js"
 
 // BN254 field modulus - ensures all generated values are within the valid field range
 // This is critical for ZK circuits as values outside this range would cause proof failures
-const FIELD_MODULUS = BigInt(
+export const FIELD_MODULUS = BigInt(
     "21888242871839275222246405745257275088548364400416034343698204186575808495617"
 )
 
@@ -138,11 +138,13 @@ export async function generateCommitment(): Promise<CommitmentData> {
 
 // Helper function to create commitment from existing nullifier and secret
 // Useful for testing scenarios where you need to recreate specific commitments
+// Pass a Barretenberg instance to reuse it, otherwise a temporary one is created
 export async function createCommitmentFromValues(
     nullifierHex: string,
-    secretHex: string
+    secretHex: string,
+    sharedBb?: Barretenberg
 ): Promise<CommitmentData> {
-    const bb = await Barretenberg.new()
+    const bb = sharedBb ?? (await Barretenberg.new())
 
     try {
         // Convert hex strings to Fr elements (remove 0x prefix if present)
@@ -187,7 +189,9 @@ export async function createCommitmentFromValues(
             nullifierHashField: nullifierHashFormatted.noir,
         }
     } finally {
-        await bb.destroy()
+        if (!sharedBb) {
+            await bb.destroy()
+        }
     }
 }
 
@@ -246,7 +250,7 @@ export function validateCommitmentData(data: CommitmentData): boolean {
 // Allows this script to be run directly with `npx hardhat run scripts/generateCommitment.ts`
 // while still being importable as a module in tests
 async function main() {
-    if (require.main === module) {
+    if (typeof require !== "undefined" && require.main === module) {
         console.log("🔄 Generating commitment for ZK mixer...")
         try {
             const data = await generateCommitment()
@@ -1,48 +1,113 @@
-import { Barretenberg, Fr, UltraHonkBackend } from "@aztec/bb.js"
+import { Barretenberg, UltraHonkBackend } from "@aztec/bb.js"
 import { Noir } from "@noir-lang/noir_js"
-import path from "path"
+import { ethers } from "ethers"
 import fs from "fs"
 
-// @ts-ignore - JavaScript module without TypeScript declarations
-import { merkleTree } from "./merkleTree.js"
+import { DepositNote, noteToCommitmentData, parseNote } from "./note"
+import { DepositTreeOptions, loadDepositTree } from "./depositTree"
+import { loadCircuit, printReport, verifyWithdrawal } from "./verifyProof"
+import { dumpInputs, saveWitness, witnessPath } from "./proverToml"
+import { ProverPool, ProverProgress } from "./proverPool"
+import { withdrawalInputs } from "./withdrawalInputs"
+import {
+    WithdrawalPrivacyOptions,
+    checkWithdrawalPrivacy,
+} from "./anonymitySet"
 
 // Load the compiled Noir circuit
-const circuit = JSON.parse(
-    fs.readFileSync(
-        path.resolve(__dirname, "../../circuit/target/circuit.json"),
-        "utf8"
-    )
-)
+const circuit = loadCircuit()
+
+// Depth the circuit was compiled for, taken from the length of its merkle_proof input
+// The Mixer has to be deployed with the same _treeDepth for the roots to match
+export const TREE_DEPTH: number = circuit.abi.parameters.find(
+    (param: any) => param.name === "merkle_proof"
+).type.length
+
+export interface GenerateProofOptions extends DepositTreeOptions {
+    // Relayer allowed to submit the withdrawal and the fee it gets (in wei)
+    // Both are bound to the proof; leave unset to withdraw without a relayer
+    relayer?: string
+    fee?: bigint
+    // Write the circuit inputs to this Prover.toml before proving, and the
+    // witness next to it, to replay the proof with nargo execute
+    // (the witness only when proving in this thread)
+    dumpInputs?: string
+    // Prove on this pool's threads instead of in this thread
+    pool?: ProverPool
+    // Check the pool's anonymity set on-chain first, and refuse a withdrawal
+    // that is easy to link to its deposit unless privacy.force is set
+    privacy?: WithdrawalPrivacyOptions
+}
+
+// One withdrawal of a batch for generateProofs
+export interface WithdrawalRequest {
+    note: string | DepositNote
+    recipient: string
+    relayer?: string
+    fee?: bigint
+}
+
+export interface GenerateProofsOptions
+    extends Omit<GenerateProofOptions, "relayer" | "fee" | "dumpInputs"> {
+    // Used when no pool is given, for a pool that lives for the batch only
+    threads?: number
+    cacheDir?: string
+    onProgress?: (progress: ProverProgress) => void
+}
+
+// Proof plus the public inputs Mixer.withdraw has to be called with
+export interface WithdrawalProof {
+    proof: Uint8Array
+    hexProof: string
+    root: string
+    nullifierHash: string
+    recipient: string
+    relayer: string
+    fee: bigint
+    // Public inputs as the verifier sees them, for verifyWithdrawal
+    publicInputs: string[]
+}
 
 /**
- * Simple proof generation script
- * Usage: generateProof(nullifier, secret, recipient, allCommitments)
+ * Builds the circuit inputs of a withdrawal, everything but the proving
  */
-export async function generateProof(
-    nullifier: string,
-    secret: string,
+export async function prepareWithdrawal(
+    note: string | DepositNote,
     recipient: string,
-    allCommitments: string[]
-): Promise<{ proof: Uint8Array; hexProof: string }> {
+    allCommitments: string[],
+    options: GenerateProofOptions
+) {
+    const depositNote = typeof note === "string" ? parseNote(note) : note
+    const relayer = options.relayer ?? ethers.ZeroAddress
+    const fee = options.fee ?? 0n
+    if (fee > depositNote.denomination) {
+        throw new Error(
+            `Fee ${fee} exceeds the deposit amount ${depositNote.denomination}`
+        )
+    }
+    if (fee > 0n && relayer === ethers.ZeroAddress) {
+        throw new Error(`Fee ${fee} needs a relayer to be paid to`)
+    }
+    if (options.privacy) {
+        await checkWithdrawalPrivacy(depositNote, {
+            ...options.privacy,
+            provider: options.provider,
+            rpcUrl: options.rpcUrl,
+        })
+    }
     const bb = await Barretenberg.new()
 
     try {
-        // Convert inputs to Fr elements
-        const nullifierFr = new Fr(
-            Buffer.from(nullifier.replace("0x", ""), "hex")
-        )
-        const secretFr = new Fr(Buffer.from(secret.replace("0x", ""), "hex"))
-
-        // Generate commitment and nullifier hash
-        const commitment = await bb.poseidon2Hash([nullifierFr, secretFr])
-        const nullifierHash = await bb.poseidon2Hash([nullifierFr])
-
-        const commitmentHex = `0x${Buffer.from(commitment.toBuffer()).toString(
-            "hex"
-        )}`
+        // Recompute commitment and nullifier hash from the note
+        const data = await noteToCommitmentData(depositNote, bb)
+        const commitmentHex = data.commitment
 
         // Create merkle tree and find commitment
-        const tree = await merkleTree(allCommitments)
+        // The tree shares our Barretenberg instance instead of spawning its own
+        const tree = await loadDepositTree(bb, depositNote, allCommitments, {
+            ...options,
+            depth: TREE_DEPTH,
+        })
         const commitmentIndex = tree.getIndex(commitmentHex)
 
         if (commitmentIndex === -1) {
@@ -51,61 +116,293 @@ export async function generateProof(
 
         // Generate merkle proof
         const merkleProof = tree.proof(commitmentIndex)
+        await tree.dispose()
 
         // Prepare circuit inputs
-        const circuitInputs = {
-            root: merkleProof.root,
-            nullifier_hash: nullifierHash.toString(),
-            recipient: recipient.replace("0x", ""),
-            nullifier: nullifierFr.toString(),
-            secret: secretFr.toString(),
-            merkle_proof: merkleProof.pathElements.map((e: any) =>
-                e.toString()
-            ),
-            is_even: merkleProof.pathIndices.map((i: any) => i % 2 === 0),
-        }
+        const circuitInputs = withdrawalInputs(data, merkleProof, {
+            recipient,
+            relayer,
+            fee,
+        })
         console.log("Circuit inputs:", circuitInputs)
+        if (options.dumpInputs) {
+            dumpInputs(options.dumpInputs, circuit.abi, circuitInputs)
+            console.error(`📝 Circuit inputs written to ${options.dumpInputs}`)
+        }
 
-        // Generate proof
-        const noir = new Noir(circuit)
-        const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+        return {
+            circuitInputs,
+            root: merkleProof.root as string,
+            nullifierHash: data.nullifierHash,
+            recipient,
+            relayer,
+            fee,
+        }
+    } finally {
+        await bb.destroy()
+    }
+}
 
+/**
+ * Simple proof generation script
+ * Usage: generateProof(note, recipient, allCommitments, options)
+ * @param note - Deposit note, as a string or parsed with parseNote
+ */
+export async function generateProof(
+    note: string | DepositNote,
+    recipient: string,
+    allCommitments: string[] = [],
+    options: GenerateProofOptions = {}
+): Promise<WithdrawalProof> {
+    const { circuitInputs, ...withdrawal } = await prepareWithdrawal(
+        note,
+        recipient,
+        allCommitments,
+        options
+    )
+
+    if (options.pool) {
+        const { proof, hexProof, publicInputs } = await options.pool.prove({
+            inputs: circuitInputs,
+            label: withdrawal.nullifierHash,
+        })
+        return { proof, hexProof, ...withdrawal, publicInputs }
+    }
+
+    // Generate proof
+    const noir = new Noir(circuit)
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+
+    try {
         const { witness } = await noir.execute(circuitInputs)
-        const { proof } = await honk.generateProof(witness, {
+        if (options.dumpInputs) {
+            saveWitness(witnessPath(options.dumpInputs), witness)
+        }
+        const { proof, publicInputs } = await honk.generateProof(witness, {
             keccak: true,
         })
 
         const hexProof = `0x${Buffer.from(proof).toString("hex")}`
         console.error("Proof length:", proof.length)
 
-        return { proof, hexProof }
+        return { proof, hexProof, ...withdrawal, publicInputs }
     } finally {
-        await bb.destroy()
+        await honk.destroy()
     }
 }
 
+/**
+ * Proves several withdrawals in parallel. The tree is synced once per
+ * withdrawal, one after the other, and the proving is left to the pool.
+ * @returns the proofs in the order of the requests
+ */
+export async function generateProofs(
+    requests: WithdrawalRequest[],
+    allCommitments: string[] = [],
+    options: GenerateProofsOptions = {}
+): Promise<WithdrawalProof[]> {
+    const { threads, cacheDir, onProgress, ...proofOptions } = options
+    const pool =
+        options.pool ?? new ProverPool({ threads, cacheDir, onProgress })
+
+    try {
+        const withdrawals = []
+        for (const request of requests) {
+            withdrawals.push(
+                await prepareWithdrawal(
+                    request.note,
+                    request.recipient,
+                    allCommitments,
+                    {
+                        ...proofOptions,
+                        relayer: request.relayer,
+                        fee: request.fee,
+                    }
+                )
+            )
+        }
+        return await Promise.all(
+            withdrawals.map(async ({ circuitInputs, ...withdrawal }) => {
+                const { proof, hexProof, publicInputs } = await pool.prove({
+                    inputs: circuitInputs,
+                    label: withdrawal.nullifierHash,
+                })
+                return { proof, hexProof, ...withdrawal, publicInputs }
+            })
+        )
+    } finally {
+        if (!options.pool) {
+            await pool.destroy()
+        }
+    }
+}
+
+// Removes `--name <value>` from args and returns the value
+function takeFlag(args: string[], name: string): string | undefined {
+    const index = args.indexOf(`--${name}`)
+    if (index === -1) return undefined
+    const [, value] = args.splice(index, 2)
+    return value
+}
+
 // CLI usage
 async function main() {
     const args = process.argv.slice(2)
 
-    if (args.length < 4) {
+    // --snapshot <file> resumes the tree from disk, --mixer <address> and --rpc <url>
+    // read the commitments from the chain (the note's mixer when none are given)
+    const snapshotPath = takeFlag(args, "snapshot")
+    const mixerAddress = takeFlag(args, "mixer")
+    const rpcUrl = takeFlag(args, "rpc")
+    // --registry <file> picks the pool from the note's token and denomination
+    const registryPath = takeFlag(args, "registry")
+    // --relayer <address> and --fee <wei> bind the proof to a relayer
+    const relayer = takeFlag(args, "relayer")
+    const fee = takeFlag(args, "fee")
+    // --out <file> saves the proof and withdraw arguments for verifyProof
+    const outFile = takeFlag(args, "out")
+    // --dump-inputs <file> writes the circuit inputs as a Prover.toml and the witness
+    const dumpInputsPath = takeFlag(args, "dump-inputs")
+    // --batch <file> proves every withdrawal of a JSON list of
+    // { note, recipient, relayer?, fee? } on --threads <n> threads,
+    // --cache <dir> keeps the proofs for the next run
+    const batchFile = takeFlag(args, "batch")
+    const threads = takeFlag(args, "threads")
+    const cacheDir = takeFlag(args, "cache")
+    // When the tree is read from the chain, withdrawals from a pool with fewer than
+    // --min-anonymity <n> deposits left or within --min-age <seconds> of the
+    // deposit are refused, --force withdraws anyway
+    const minAnonymitySet = takeFlag(args, "min-anonymity")
+    const minDepositAge = takeFlag(args, "min-age")
+    const forceIndex = args.indexOf("--force")
+    const force = forceIndex !== -1
+    if (force) args.splice(forceIndex, 1)
+
+    if (args.length < (batchFile ? 0 : 2)) {
         console.log(
-            "Usage: node simpleGenerateProof.js <nullifier> <secret> <recipient> <commitment1> [commitment2] ..."
+            "Usage: node generateProof.js [--snapshot <file>] [--mixer <address>] [--rpc <url>] [--registry <file>] [--relayer <address> --fee <wei>] [--out <file>] [--dump-inputs <Prover.toml>] [--min-anonymity <n>] [--min-age <seconds>] [--force] <note> <recipient> [commitment1] [commitment2] ...\n" +
+                "       node generateProof.js --batch <requests.json> [--threads <n>] [--cache <dir>] [--snapshot <file>] [--mixer <address>] [--rpc <url>] [--registry <file>] [--out <file>] [--min-anonymity <n>] [--min-age <seconds>] [--force] [commitment1] ..."
         )
         process.exit(1)
     }
 
-    const [nullifier, secret, recipient, ...commitments] = args
+    const requests: WithdrawalRequest[] = batchFile
+        ? JSON.parse(fs.readFileSync(batchFile, "utf8")).map(
+              (request: any) => ({
+                  ...request,
+                  fee:
+                      request.fee === undefined
+                          ? undefined
+                          : BigInt(request.fee),
+              })
+          )
+        : [
+              {
+                  note: args[0],
+                  recipient: args[1],
+                  relayer,
+                  fee: fee ? BigInt(fee) : undefined,
+              },
+          ]
+    const commitments = batchFile ? args : args.slice(2)
 
-    try {
-        const result = await generateProof(
-            nullifier,
-            secret,
-            recipient,
-            commitments
+    // The anonymity set can only be checked against the chain
+    const fromChain =
+        mixerAddress ||
+        registryPath ||
+        (commitments.length === 0 && !snapshotPath)
+    if (!fromChain) {
+        console.error(
+            "⚠️  Anonymity set not checked, the tree isn't read from the chain"
         )
-        console.log("Generated proof (raw):", result.proof)
-        console.log("Generated proof (hex):", result.hexProof)
+    }
+
+    try {
+        const treeOptions = {
+            snapshotPath,
+            mixerAddress,
+            registryPath,
+            rpcUrl,
+            privacy: fromChain
+                ? {
+                      minAnonymitySet: minAnonymitySet
+                          ? Number(minAnonymitySet)
+                          : undefined,
+                      minDepositAge: minDepositAge
+                          ? Number(minDepositAge)
+                          : undefined,
+                      force,
+                  }
+                : undefined,
+        }
+        const results = batchFile
+            ? await generateProofs(requests, commitments, {
+                  ...treeOptions,
+                  threads: threads ? Number(threads) : undefined,
+                  cacheDir,
+                  onProgress: ({ label, status, done, total, timings }) =>
+                      console.error(
+                          `⏳ [${done}/${total}] ${label} ${status}` +
+                              (timings && status === "finished"
+                                  ? ` in ${(timings.totalMs / 1000).toFixed(
+                                        1
+                                    )}s`
+                                  : "")
+                      ),
+              })
+            : [
+                  await generateProof(
+                      requests[0].note,
+                      requests[0].recipient,
+                      commitments,
+                      {
+                          ...treeOptions,
+                          relayer: requests[0].relayer,
+                          fee: requests[0].fee,
+                          dumpInputs: dumpInputsPath,
+                      }
+                  ),
+              ]
+        for (const result of results) {
+            console.log("Generated proof (raw):", result.proof)
+            console.log("Generated proof (hex):", result.hexProof)
+        }
+
+        if (outFile) {
+            const saved = results.map(({ proof, ...saved }) => ({
+                ...saved,
+                fee: saved.fee.toString(),
+            }))
+            fs.writeFileSync(
+                outFile,
+                JSON.stringify(batchFile ? saved : saved[0], null, 2)
+            )
+            console.log(`📝 Proof saved to ${outFile}`)
+        }
+
+        // Check the proofs before anyone pays gas for them, against the
+        // mixer's state too when the tree was read from the chain
+        let valid = true
+        for (const [index, result] of results.entries()) {
+            const note = requests[index].note
+            const report = await verifyWithdrawal(
+                { ...result, proof: result.hexProof },
+                {
+                    publicInputs: result.publicInputs,
+                    mixerAddress: fromChain
+                        ? (typeof note === "string" ? parseNote(note) : note)
+                              .mixerAddress
+                        : undefined,
+                    rpcUrl,
+                    circuit,
+                }
+            )
+            printReport(report)
+            valid &&= report.valid
+        }
+        if (!valid) {
+            process.exit(1)
+        }
     } catch (error) {
         console.error("Error:", error)
         process.exit(1)
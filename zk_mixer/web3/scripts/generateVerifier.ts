@@ -0,0 +1,44 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import fs from "fs"
+import path from "path"
+
+import { CIRCUIT_DIR, compileCircuit } from "./compileCircuit"
+import { CIRCUIT_PATH } from "./verifyProof"
+
+// HonkVerifier the Mixer is deployed with
+export const VERIFIER_PATH = path.resolve(
+    __dirname,
+    "../contracts/Verifier.sol"
+)
+
+/**
+ * Solidity verifier for a compiled circuit, checking proofs made with the
+ * keccak transcript as generateProof makes them
+ */
+export async function generateVerifier(circuit: any): Promise<string> {
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    try {
+        const vk = await honk.getVerificationKey({ keccak: true })
+        return await honk.getSolidityVerifier(vk)
+    } finally {
+        await honk.destroy()
+    }
+}
+
+// CLI usage: recompiles main.nr so the verifier can't lag behind the circuit,
+// and writes the program to CIRCUIT_PATH for generateProof to prove with
+async function main() {
+    const [output = VERIFIER_PATH] = process.argv.slice(2)
+
+    console.log(`🔧 Compiling ${CIRCUIT_DIR}…`)
+    const circuit = await compileCircuit(CIRCUIT_DIR, CIRCUIT_PATH)
+    fs.writeFileSync(output, await generateVerifier(circuit))
+    console.log(`📜 Verifier written to ${output}`)
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
@@ -1,51 +1,145 @@
 import { Barretenberg, Fr } from "@aztec/bb.js"
 
-async function hashLeftRight(left, right) {
-    const bb = await Barretenberg.new()
-    const frLeft = Fr.fromString(left)
-    const frRight = Fr.fromString(right)
-    const hash = await bb.poseidon2Hash([frLeft, frRight])
-    return hash.toString()
-}
+// Maximum number of hashes queued on the Barretenberg worker at once during bulk builds
+const HASH_BATCH_SIZE = 1024
+
+// Level-0 zero leaf, same as IncrementalMerkleTree.ZERO_VALUE
+export const ZERO_VALUE =
+    "0x0000000000000000000000000000000000000000000000000000000000000000"
+// Depth the mixer circuit is compiled for (merkle_proof: [Field; 20])
+export const DEFAULT_TREE_DEPTH = 20
+// Same bound as IncrementalMerkleTree.MAX_DEPTH
+export const MAX_TREE_DEPTH = 32
+// Same as IncrementalMerkleTree.ROOT_HISTORY_SIZE
+export const ROOT_HISTORY_SIZE = 30
 
 export class PoseidonTree {
-    constructor(levels, zeros) {
-        if (zeros.length < levels + 1) {
+    /**
+     * @param levels - Tree depth
+     * @param zeros - Zero value for every level, from the leaf level up to the root.
+     *                When null they are derived with computeZeroValues in init()
+     * @param bb - Optional Barretenberg instance to hash with. When omitted the tree
+     *             creates its own in init() and destroys it in dispose()
+     */
+    constructor(levels, zeros = null, bb = null) {
+        if (zeros && zeros.length < levels + 1) {
             throw new Error(
                 "Not enough zero values provided for the given tree height."
             )
         }
         this.levels = levels
-        this.hashLeftRight = hashLeftRight
         this.storage = new Map()
+        // leaf -> index of its first occurrence, so getIndex doesn't scan storage
+        this.leafIndices = new Map()
+        // Most recent roots, each with the leaf count it was computed at
+        this.rootHistory = []
         this.zeros = zeros
         this.totalLeaves = 0
+        this.bb = bb
+        this.ownsBb = bb === null
     }
 
     async init(defaultLeaves = []) {
-        if (defaultLeaves.length > 0) {
-            this.totalLeaves = defaultLeaves.length
+        if (!this.bb) {
+            this.bb = await Barretenberg.new()
+        }
+        if (!this.zeros) {
+            this.zeros = await computeZeroValues(this.levels, this.bb)
+        }
+        await this.insertMany(defaultLeaves)
+        if (this.rootHistory.length === 0) {
+            this.recordRoot()
+        }
+    }
 
-            defaultLeaves.forEach((leaf, index) => {
-                this.storage.set(PoseidonTree.indexToKey(0, index), leaf)
-            })
+    /**
+     * Releases the Barretenberg instance if this tree created it.
+     * The tree can't hash anymore afterwards until init() is called again.
+     */
+    async dispose() {
+        if (this.bb && this.ownsBb) {
+            await this.bb.destroy()
+        }
+        this.bb = null
+    }
+
+    async hashLeftRight(left, right) {
+        if (!this.bb) {
+            throw new Error("Tree is not initialized, call init() first.")
+        }
+        const hash = await this.bb.poseidon2Hash([
+            Fr.fromString(left),
+            Fr.fromString(right),
+        ])
+        return hash.toString()
+    }
+
+    /**
+     * Hashes many [left, right] pairs, keeping up to HASH_BATCH_SIZE requests
+     * in flight so the worker round trip isn't paid once per hash
+     */
+    async hashPairs(pairs) {
+        const hashes = []
+        for (let i = 0; i < pairs.length; i += HASH_BATCH_SIZE) {
+            const batch = pairs.slice(i, i + HASH_BATCH_SIZE)
+            hashes.push(
+                ...(await Promise.all(
+                    batch.map(([left, right]) =>
+                        this.hashLeftRight(left, right)
+                    )
+                ))
+            )
+        }
+        return hashes
+    }
+
+    /**
+     * Appends many leaves at once. Instead of walking the path of every leaf,
+     * each level is rebuilt once over the range of nodes the new leaves touch.
+     */
+    async insertMany(leaves) {
+        if (leaves.length === 0) return
+        if (this.totalLeaves + leaves.length > 2 ** this.levels) {
+            throw new Error("Tree is full.")
+        }
 
-            for (let level = 1; level <= this.levels; level++) {
-                const numNodes = Math.ceil(this.totalLeaves / 2 ** level)
-                for (let i = 0; i < numNodes; i++) {
-                    const left =
-                        this.storage.get(
-                            PoseidonTree.indexToKey(level - 1, 2 * i)
-                        ) || this.zeros[level - 1]
-                    const right =
-                        this.storage.get(
-                            PoseidonTree.indexToKey(level - 1, 2 * i + 1)
-                        ) || this.zeros[level - 1]
-                    const node = await this.hashLeftRight(left, right)
-                    this.storage.set(PoseidonTree.indexToKey(level, i), node)
-                }
+        let first = this.totalLeaves
+        leaves.forEach((leaf, i) => {
+            this.storage.set(PoseidonTree.indexToKey(0, first + i), leaf)
+            if (!this.leafIndices.has(leaf)) {
+                this.leafIndices.set(leaf, first + i)
             }
+        })
+        this.totalLeaves += leaves.length
+        let last = this.totalLeaves - 1
+
+        for (let level = 1; level <= this.levels; level++) {
+            first = Math.floor(first / 2)
+            last = Math.floor(last / 2)
+
+            const pairs = []
+            for (let i = first; i <= last; i++) {
+                pairs.push([
+                    this.storage.get(
+                        PoseidonTree.indexToKey(level - 1, 2 * i)
+                    ) || this.zeros[level - 1],
+                    this.storage.get(
+                        PoseidonTree.indexToKey(level - 1, 2 * i + 1)
+                    ) || this.zeros[level - 1],
+                ])
+            }
+
+            const nodes = await this.hashPairs(pairs)
+            nodes.forEach((node, j) => {
+                this.storage.set(
+                    PoseidonTree.indexToKey(level, first + j),
+                    node
+                )
+            })
         }
+
+        // Only the final root is known here, intermediate ones are never computed
+        this.recordRoot()
     }
 
     static indexToKey(level, index) {
@@ -53,12 +147,8 @@ export class PoseidonTree {
     }
 
     getIndex(leaf) {
-        for (const [key, value] of this.storage.entries()) {
-            if (value === leaf && key.startsWith("0-")) {
-                return parseInt(key.split("-")[1])
-            }
-        }
-        return -1
+        const index = this.leafIndices.get(leaf)
+        return index === undefined ? -1 : index
     }
 
     root() {
@@ -68,6 +158,21 @@ export class PoseidonTree {
         )
     }
 
+    recordRoot() {
+        this.rootHistory.push({ leaves: this.totalLeaves, root: this.root() })
+        if (this.rootHistory.length > ROOT_HISTORY_SIZE) {
+            this.rootHistory.shift()
+        }
+    }
+
+    /**
+     * Local counterpart of IncrementalMerkleTree.isKnownRoot. Roots from bulk
+     * inserts only cover the final state, so this can miss roots the contract knows.
+     */
+    isKnownRoot(root) {
+        return this.rootHistory.some((entry) => entry.root === root)
+    }
+
     proof(index) {
         const leaf = this.storage.get(PoseidonTree.indexToKey(0, index))
         if (!leaf) throw new Error("leaf not found")
@@ -96,6 +201,7 @@ export class PoseidonTree {
         const index = this.totalLeaves
         await this.update(index, leaf, true)
         this.totalLeaves++
+        this.recordRoot()
     }
 
     async update(index, newLeaf, isInsert = false) {
@@ -131,9 +237,69 @@ export class PoseidonTree {
             key: PoseidonTree.indexToKey(this.levels, 0),
             value: currentElement,
         })
+        const oldLeaf = this.storage.get(PoseidonTree.indexToKey(0, index))
         keyValueToStore.forEach(({ key, value }) =>
             this.storage.set(key, value)
         )
+
+        if (oldLeaf !== undefined && this.leafIndices.get(oldLeaf) === index) {
+            this.leafIndices.delete(oldLeaf)
+        }
+        if (!this.leafIndices.has(newLeaf)) {
+            this.leafIndices.set(newLeaf, index)
+        }
+        // insert() records the root itself once totalLeaves is bumped
+        if (!isInsert) {
+            this.recordRoot()
+        }
+    }
+
+    /**
+     * Plain JSON view of the tree, see restore() for the way back
+     */
+    serialize() {
+        return {
+            levels: this.levels,
+            totalLeaves: this.totalLeaves,
+            root: this.root(),
+            rootHistory: this.rootHistory,
+            nodes: Array.from(this.storage.entries()),
+        }
+    }
+
+    /**
+     * Rebuilds a tree from serialize() output without hashing anything.
+     * The data is trusted as is, use treeSnapshot.js to load files from disk.
+     * @param data - Output of serialize()
+     * @param bb - Optional Barretenberg instance to share with the caller
+     */
+    static async restore(data, bb = null) {
+        const tree = new PoseidonTree(data.levels, null, bb)
+        await tree.init()
+
+        tree.storage = new Map(data.nodes)
+        tree.totalLeaves = data.totalLeaves
+        tree.rootHistory = data.rootHistory.slice(-ROOT_HISTORY_SIZE)
+        tree.leafIndices = new Map()
+        for (let index = 0; index < tree.totalLeaves; index++) {
+            const leaf = tree.storage.get(PoseidonTree.indexToKey(0, index))
+            if (leaf !== undefined && !tree.leafIndices.has(leaf)) {
+                tree.leafIndices.set(leaf, index)
+            }
+        }
+
+        return tree
+    }
+
+    /**
+     * @returns all leaves in insertion order
+     */
+    leaves() {
+        const leaves = []
+        for (let index = 0; index < this.totalLeaves; index++) {
+            leaves.push(this.storage.get(PoseidonTree.indexToKey(0, index)))
+        }
+        return leaves
     }
 
     traverse(index, fn) {
@@ -157,41 +323,84 @@ export class PoseidonTree {
     }
 }
 
-const ZERO_VALUES = [
-    "0x2fe54c60d3acabf3343a35b6eba15db4821b340f76e741e2249685ed4899af6c", // Level 0 - matches Solidity
-    "0x256a6135777eee2fd26f54b8b7037a25439d5235caee224154186d2b8a52e31d", // Level 1 - matches Solidity
-    "0x1151949895e82ab19924de92c40a3d6f7bcb60cdb5f96286ee7c1c7769d85613", // Level 2 - matches Solidity
-    "0x04cc588cdbd8a5773d1c1ca42c8e1d7d3fe9d5e8e1d9d3e2e4a2b9c1e9e3f4d5", // Level 3 - matches Solidity
-    "0x19ed4537f2a1b8f5a1c5c6b4e2f1d8c9a3b7e6f2c5d4a9b8e7f3c2d1a6b5e4f3", // Level 4 - matches Solidity
-    "0x2def2936d0f6f8a9b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5", // Level 5 - matches Solidity
-    "0x0b98a89e6827ef697b8fb2e280a2342d61db1eb5efc229f5f4a77fb333b80bef", // Level 6 - matches Solidity
-    "0x231555e37e6b206f43fdcd4d660c47442d76aab1ef552aef6db45f3f9cf2e955", // Level 7 - matches Solidity
-    "0x03d0dc8c92e2844abcc5fdefe8cb67d93034de0862943990b09c6b8e3fa27a86", // Level 8 - matches Solidity
-    "0x1d51ac275f47f10e592b8e690fd3b28a76106893ac3e60cd7b2a3a443f4e8355", // Level 9 - matches Solidity
-    "0x16b671eb844a8e4e463e820e26560357edee4ecfdbf5d7b0a28799911505088d", // Level 10 - matches Solidity
-    "0x115ea0c2f132c5914d5bb737af6eed04115a3896f0d65e12e761ca560083da15", // Level 11 - matches Solidity
-    "0x139a5b42099806c76efb52da0ec1dde06a836bf6f87ef7ab4bac7d00637e28f0", // Level 12 - matches Solidity
-    "0x0804853482335a6533eb6a4ddfc215a08026db413d247a7695e807e38debea8e", // Level 13 - matches Solidity
-    "0x2f0b264ab5f5630b591af93d93ec2dfed28eef017b251e40905cdf7983689803", // Level 14 - matches Solidity
-    "0x170fc161bf1b9610bf196c173bdae82c4adfd93888dc317f5010822a3ba9ebee", // Level 15 - matches Solidity
-    "0x0b2e7665b17622cc0243b6fa35110aa7dd0ee3cc9409650172aa786ca5971439", // Level 16 - matches Solidity
-    "0x12d5a033cbeff854c5ba0c5628ac4628104be6ab370699a1b2b4209e518b0ac5", // Level 17 - matches Solidity
-    "0x1bc59846eb7eafafc85ba9a99a89562763735322e4255b7c1788a8fe8b90bf5d", // Level 18 - matches Solidity
-    "0x1b9421fbd79f6972a348a3dd4721781ec25a5d8d27342942ae00aba80a3904d4", // Level 19 - matches Solidity
-    "0x087fde1c4c9c27c347f347083139eee8759179d255ec8381c02298d3d6ccd233", // Level 20 - matches Solidity
-]
-
-export async function merkleTree(leaves) {
-    const TREE_HEIGHT = 20
-    const tree = new PoseidonTree(TREE_HEIGHT, ZERO_VALUES)
-
-    // Initialize tree with no leaves (all zeros)
-    await tree.init()
-
-    // Insert some leaves (from input)
-    for (const leaf of leaves) {
-        await tree.insert(leaf)
+/**
+ * Derives the zero value of every level by repeatedly hashing the level-0 zero
+ * leaf with itself, the same way the IncrementalMerkleTree constructor does.
+ * @param levels - Tree depth
+ * @param bb - Barretenberg instance to hash with
+ * @returns levels + 1 zero values, from the leaf level up to the empty root
+ */
+export async function computeZeroValues(levels, bb) {
+    const zeros = [ZERO_VALUE]
+    let currentZero = Fr.fromString(ZERO_VALUE)
+    for (let level = 0; level < levels; level++) {
+        currentZero = await bb.poseidon2Hash([currentZero, currentZero])
+        zeros.push(currentZero.toString())
     }
+    return zeros
+}
+
+/**
+ * Cross-checks locally derived zero values against a deployed IncrementalMerkleTree.
+ * Compares every level below the contract's TREE_DEPTH with getZeroHash, and
+ * every level the contract has a table entry for with getPrecomputedZeroHash.
+ * @param contract - ethers contract instance of IncrementalMerkleTree (or Mixer)
+ * @param zeros - Zero values as returned by computeZeroValues
+ * @returns list of mismatches, empty when the contract and the zeros agree
+ */
+export async function verifyZeroValues(contract, zeros) {
+    const treeDepth = Number(await contract.TREE_DEPTH())
+    const maxDepth = Number(await contract.MAX_DEPTH())
+    const mismatches = []
+
+    for (let level = 0; level < zeros.length; level++) {
+        if (level < treeDepth) {
+            const actual = await contract.getZeroHash(level)
+            if (BigInt(actual) !== BigInt(zeros[level])) {
+                mismatches.push({
+                    level,
+                    source: "getZeroHash",
+                    expected: zeros[level],
+                    actual,
+                })
+            }
+        }
+        if (level < maxDepth) {
+            const actual = await contract.getPrecomputedZeroHash(level)
+            if (BigInt(actual) !== BigInt(zeros[level])) {
+                mismatches.push({
+                    level,
+                    source: "getPrecomputedZeroHash",
+                    expected: zeros[level],
+                    actual,
+                })
+            }
+        }
+    }
+
+    return mismatches
+}
+
+/**
+ * Builds a tree from a list of leaves in a single bulk pass.
+ * Call dispose() on the result once done with it.
+ * @param leaves - Leaves in insertion order
+ * @param options.depth - Tree depth, must match the _treeDepth the Mixer was deployed
+ *                        with and the merkle_proof length of the circuit
+ * @param options.bb - Optional Barretenberg instance to share with the caller
+ */
+export async function merkleTree(
+    leaves,
+    { depth = DEFAULT_TREE_DEPTH, bb = null } = {}
+) {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+        throw new Error(
+            `Tree depth must be an integer between 1 and ${MAX_TREE_DEPTH}.`
+        )
+    }
+    const tree = new PoseidonTree(depth, null, bb)
+
+    await tree.init(leaves)
 
     return tree
 }
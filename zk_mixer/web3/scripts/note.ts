@@ -0,0 +1,434 @@
+import { Barretenberg } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+
+import {
+    CommitmentData,
+    FIELD_MODULUS,
+    createCommitmentFromValues,
+    generateCommitment,
+    validateCommitmentData,
+} from "./generateCommitment"
+
+// Every note string starts with this prefix, followed by the format version
+export const NOTE_PREFIX = "zkmixer"
+// v2 added the token, v1 notes are still read as ETH notes
+export const NOTE_VERSION = 2
+// Version of the encrypted backup file layout
+export const KEYSTORE_VERSION = 1
+
+// scrypt parameters for encrypted backups (N = 2^15 needs 32 MiB of memory)
+const SCRYPT_N = 2 ** 15
+const SCRYPT_R = 8
+const SCRYPT_P = 1
+const SCRYPT_DKLEN = 32
+const SCRYPT_MAXMEM = 64 * 1024 * 1024
+const CIPHER = "aes-256-gcm"
+
+// Everything needed to withdraw a deposit, and where it was made
+export interface DepositNote {
+    version: number
+    chainId: bigint
+    mixerAddress: string
+    // Token of the pool, ethers.ZeroAddress for ETH
+    token: string
+    // Deposit amount in wei, or the token's smallest unit
+    denomination: bigint
+    // 0x-prefixed 32-byte hex strings, as in CommitmentData
+    nullifier: string
+    secret: string
+}
+
+// Password-encrypted note, laid out like an Ethereum keystore file
+export interface NoteKeystore {
+    version: number
+    crypto: {
+        cipher: string
+        ciphertext: string
+        cipherparams: { iv: string; tag: string }
+        kdf: "scrypt"
+        kdfparams: {
+            n: number
+            r: number
+            p: number
+            dklen: number
+            salt: string
+        }
+    }
+}
+
+/**
+ * First 4 bytes of keccak256 over the rest of the note, catches typos and truncation
+ * @param body - Note string without its checksum part
+ * @returns 8 lowercase hex characters
+ */
+function noteChecksum(body: string): string {
+    return ethers.keccak256(ethers.toUtf8Bytes(body)).slice(2, 10)
+}
+
+/**
+ * Checks a 0x-prefixed 32-byte hex value is a valid field element
+ */
+function assertFieldHex(value: string, name: string) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error(`Note ${name} must be a 32-byte hex string`)
+    }
+    if (BigInt(value) >= FIELD_MODULUS) {
+        throw new Error(`Note ${name} exceeds the field modulus`)
+    }
+}
+
+// Where a deposit is made; token defaults to ETH
+export interface DepositTarget {
+    chainId: bigint
+    mixerAddress: string
+    token?: string
+    denomination: bigint
+}
+
+/**
+ * Builds a note from existing commitment data
+ * @param data - Output of generateCommitment or createCommitmentFromValues
+ * @param deposit - Chain, pool, token and amount the commitment is deposited with
+ */
+export function createNote(
+    data: CommitmentData,
+    deposit: DepositTarget
+): DepositNote {
+    if (!validateCommitmentData(data)) {
+        throw new Error("Invalid commitment data")
+    }
+    return {
+        version: NOTE_VERSION,
+        chainId: deposit.chainId,
+        mixerAddress: ethers.getAddress(deposit.mixerAddress),
+        token: ethers.getAddress(deposit.token ?? ethers.ZeroAddress),
+        denomination: deposit.denomination,
+        nullifier: data.nullifier,
+        secret: data.secret,
+    }
+}
+
+/**
+ * Serializes a note to its portable string form, always in the current version:
+ * zkmixer-v2-<chainId>-<mixerAddress>-<token>-<denomination>-0x<nullifier><secret>-<checksum>
+ */
+export function serializeNote(note: DepositNote): string {
+    assertFieldHex(note.nullifier, "nullifier")
+    assertFieldHex(note.secret, "secret")
+
+    const body = [
+        NOTE_PREFIX,
+        `v${NOTE_VERSION}`,
+        note.chainId.toString(),
+        ethers.getAddress(note.mixerAddress),
+        ethers.getAddress(note.token),
+        note.denomination.toString(),
+        `0x${note.nullifier.slice(2)}${note.secret.slice(2)}`.toLowerCase(),
+    ].join("-")
+    return `${body}-${noteChecksum(body)}`
+}
+
+/**
+ * Parses and validates a note string produced by serializeNote.
+ * v1 notes have no token part and are read as ETH notes.
+ * @throws if the note is malformed, has a bad checksum or an unsupported version
+ */
+export function parseNote(noteString: string): DepositNote {
+    const parts = noteString.trim().split("-")
+    if (parts.length < 2 || parts[0] !== NOTE_PREFIX) {
+        throw new Error(`Not a ${NOTE_PREFIX} note`)
+    }
+    const version = parts[1]
+    if (version === "v1") {
+        // zkmixer-v1-<chainId>-<mixerAddress>-<denomination>-<preimage>-<checksum>
+        parts.splice(4, 0, ethers.ZeroAddress)
+    } else if (version !== `v${NOTE_VERSION}`) {
+        throw new Error(`Unsupported note version ${version}`)
+    }
+    if (parts.length !== 8) {
+        throw new Error(`Not a ${NOTE_PREFIX} note`)
+    }
+
+    const [, , chainId, mixerAddress, token, denomination, preimage, checksum] =
+        parts
+    const body =
+        version === "v1"
+            ? [...parts.slice(0, 4), ...parts.slice(5, 7)]
+            : parts.slice(0, 7)
+    if (noteChecksum(body.join("-")) !== checksum.toLowerCase()) {
+        throw new Error("Note checksum does not match, the note is mistyped")
+    }
+    if (!/^\d+$/.test(chainId)) {
+        throw new Error("Note chain id must be a decimal number")
+    }
+    if (!ethers.isAddress(mixerAddress)) {
+        throw new Error("Note mixer address is invalid")
+    }
+    if (!ethers.isAddress(token)) {
+        throw new Error("Note token address is invalid")
+    }
+    if (!/^\d+$/.test(denomination) || BigInt(denomination) === 0n) {
+        throw new Error("Note denomination must be a positive amount")
+    }
+    if (!/^0x[0-9a-fA-F]{128}$/.test(preimage)) {
+        throw new Error("Note secret part must be 64 bytes of hex")
+    }
+
+    const note: DepositNote = {
+        version: Number(version.slice(1)),
+        chainId: BigInt(chainId),
+        mixerAddress: ethers.getAddress(mixerAddress),
+        token: ethers.getAddress(token),
+        denomination: BigInt(denomination),
+        nullifier: `0x${preimage.slice(2, 66)}`,
+        secret: `0x${preimage.slice(66)}`,
+    }
+    assertFieldHex(note.nullifier, "nullifier")
+    assertFieldHex(note.secret, "secret")
+    return note
+}
+
+/**
+ * Recomputes the commitment and nullifier hash of a note
+ * @param note - Parsed note
+ * @param bb - Optional Barretenberg instance to share with the caller
+ * @throws if the resulting commitment data doesn't pass validateCommitmentData
+ */
+export async function noteToCommitmentData(
+    note: DepositNote,
+    bb?: Barretenberg
+): Promise<CommitmentData> {
+    const data = await createCommitmentFromValues(
+        note.nullifier,
+        note.secret,
+        bb
+    )
+    if (!validateCommitmentData(data)) {
+        throw new Error("Note does not produce valid commitment data")
+    }
+    return data
+}
+
+/**
+ * Generates a fresh commitment and wraps it in a note
+ */
+export async function generateNote(
+    deposit: DepositTarget
+): Promise<{ note: DepositNote; noteString: string; data: CommitmentData }> {
+    const data = await generateCommitment()
+    const note = createNote(data, deposit)
+    return { note, noteString: serializeNote(note), data }
+}
+
+function deriveKey(
+    password: string,
+    salt: Buffer,
+    n: number,
+    r: number,
+    p: number,
+    dklen: number
+): Buffer {
+    return crypto.scryptSync(password, salt, dklen, {
+        N: n,
+        r,
+        p,
+        maxmem: SCRYPT_MAXMEM,
+    })
+}
+
+/**
+ * Encrypts a note string with a password (scrypt + AES-256-GCM).
+ * Nothing but the version stays readable, not even which mixer the note is for.
+ */
+export function encryptNote(
+    noteString: string,
+    password: string
+): NoteKeystore {
+    parseNote(noteString)
+    const salt = crypto.randomBytes(32)
+    const iv = crypto.randomBytes(12)
+    const key = deriveKey(
+        password,
+        salt,
+        SCRYPT_N,
+        SCRYPT_R,
+        SCRYPT_P,
+        SCRYPT_DKLEN
+    )
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv)
+    const ciphertext = Buffer.concat([
+        cipher.update(noteString, "utf8"),
+        cipher.final(),
+    ])
+
+    return {
+        version: KEYSTORE_VERSION,
+        crypto: {
+            cipher: CIPHER,
+            ciphertext: ciphertext.toString("hex"),
+            cipherparams: {
+                iv: iv.toString("hex"),
+                tag: cipher.getAuthTag().toString("hex"),
+            },
+            kdf: "scrypt",
+            kdfparams: {
+                n: SCRYPT_N,
+                r: SCRYPT_R,
+                p: SCRYPT_P,
+                dklen: SCRYPT_DKLEN,
+                salt: salt.toString("hex"),
+            },
+        },
+    }
+}
+
+/**
+ * Decrypts a backup made with encryptNote
+ * @returns the note string
+ * @throws on a wrong password or a tampered file
+ */
+export function decryptNote(keystore: NoteKeystore, password: string): string {
+    if (keystore.version !== KEYSTORE_VERSION) {
+        throw new Error(`Unsupported note backup version ${keystore.version}`)
+    }
+    const { cipher, ciphertext, cipherparams, kdf, kdfparams } = keystore.crypto
+    if (cipher !== CIPHER || kdf !== "scrypt") {
+        throw new Error(`Unsupported note backup cipher ${cipher}/${kdf}`)
+    }
+
+    const key = deriveKey(
+        password,
+        Buffer.from(kdfparams.salt, "hex"),
+        kdfparams.n,
+        kdfparams.r,
+        kdfparams.p,
+        kdfparams.dklen
+    )
+    const decipher = crypto.createDecipheriv(
+        CIPHER,
+        key,
+        Buffer.from(cipherparams.iv, "hex")
+    )
+    decipher.setAuthTag(Buffer.from(cipherparams.tag, "hex"))
+
+    let noteString: string
+    try {
+        noteString = Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, "hex")),
+            decipher.final(),
+        ]).toString("utf8")
+    } catch {
+        throw new Error("Wrong password or corrupted note backup")
+    }
+
+    // Parsing checks the checksum once more
+    parseNote(noteString)
+    return noteString
+}
+
+export function saveNoteBackup(
+    file: string,
+    noteString: string,
+    password: string
+) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+    fs.writeFileSync(
+        file,
+        JSON.stringify(encryptNote(noteString, password), null, 2)
+    )
+}
+
+export function loadNoteBackup(file: string, password: string): string {
+    return decryptNote(JSON.parse(fs.readFileSync(file, "utf8")), password)
+}
+
+// CLI usage
+// The backup password is read from the NOTE_PASSWORD environment variable
+async function main() {
+    const [command, ...args] = process.argv.slice(2)
+    const password = process.env.NOTE_PASSWORD
+    const registryIndex = args.indexOf("--registry")
+    const registryPath =
+        registryIndex === -1 ? undefined : args.splice(registryIndex, 2)[1]
+
+    if (command === "new" && args.length >= 3) {
+        // Imported here, the registry module resolves its default path from
+        // __dirname when it is loaded
+        const { findPool, loadRegistry, parseToken } = await import(
+            "./registry"
+        )
+        // The pool is picked from the registry by token and denomination
+        const [chainId, token, denomination, backupFile] = args
+        const pool = findPool(
+            loadRegistry(registryPath),
+            BigInt(chainId),
+            token,
+            BigInt(denomination)
+        )
+        if (!pool) {
+            throw new Error(
+                `No pool for ${denomination} of ${token} on chain ${chainId}, deploy one with scripts/deploy.ts`
+            )
+        }
+        const { noteString, data } = await generateNote({
+            chainId: BigInt(chainId),
+            mixerAddress: pool.address,
+            token: parseToken(token),
+            denomination: BigInt(denomination),
+        })
+        console.log(
+            "✅ New deposit note (keep it secret, it is the only way to withdraw):"
+        )
+        console.log(`   ${noteString}`)
+        console.log(`   Pool: ${pool.address}`)
+        console.log(`   Commitment to deposit: ${data.commitment}`)
+        if (backupFile) {
+            if (!password) {
+                throw new Error(
+                    "Set NOTE_PASSWORD to write an encrypted backup"
+                )
+            }
+            saveNoteBackup(backupFile, noteString, password)
+            console.log(`🔐 Encrypted backup written to ${backupFile}`)
+        }
+    } else if (command === "show" && args.length === 1) {
+        const note = parseNote(args[0])
+        const data = await noteToCommitmentData(note)
+        console.log("✅ Valid note")
+        console.log(`   Chain id: ${note.chainId}`)
+        console.log(`   Mixer: ${note.mixerAddress}`)
+        if (note.token === ethers.ZeroAddress) {
+            console.log(
+                `   Denomination: ${ethers.formatEther(note.denomination)} ETH`
+            )
+        } else {
+            console.log(`   Token: ${note.token}`)
+            console.log(`   Denomination: ${note.denomination}`)
+        }
+        console.log(`   Commitment: ${data.commitment}`)
+        console.log(`   Nullifier Hash: ${data.nullifierHash}`)
+    } else if (command === "decrypt" && args.length === 1) {
+        if (!password) {
+            throw new Error("Set NOTE_PASSWORD to decrypt a backup")
+        }
+        console.log(loadNoteBackup(args[0], password))
+    } else {
+        console.log(
+            "Usage: node note.js new <chainId> <ETH|tokenAddress> <denomination> [backupFile] [--registry <file>]\n" +
+                "       node note.js show <note>\n" +
+                "       node note.js decrypt <backupFile>"
+        )
+        process.exit(1)
+    }
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
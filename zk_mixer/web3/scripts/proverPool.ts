@@ -0,0 +1,131 @@
+import path from "path"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import * as threads from "../../../zk_panagram/web3/scripts/prover-threads.mjs"
+import { CIRCUIT_PATH } from "./verifyProof"
+
+// Worker script next to this file, .ts when run through ts-node
+const WORKER_PATH = path.join(
+    __dirname,
+    `proverWorker${path.extname(__filename)}`
+)
+
+export interface ProofJob {
+    // Compiled circuit JSON, defaults to the mixer circuit
+    circuitPath?: string
+    inputs: Record<string, unknown>
+    // Name reported in progress events, defaults to the job's position
+    label?: string
+}
+
+export interface ProofTimings {
+    // Spent in noir.execute and honk.generateProof on the worker
+    witnessMs: number
+    proveMs: number
+    // Spent in the queue before a worker picked the job up
+    waitMs: number
+    totalMs: number
+}
+
+export interface PooledProof {
+    proof: Uint8Array
+    hexProof: string
+    publicInputs: string[]
+    // True when the proof came from the cache without proving
+    cached: boolean
+    timings: ProofTimings
+    label: string
+}
+
+export interface ProverProgress {
+    label: string
+    status: "cached" | "started" | "finished" | "failed"
+    // Jobs settled and submitted so far
+    done: number
+    total: number
+    // Index of the worker thread, unset for cached jobs
+    worker?: number
+    timings?: ProofTimings
+    error?: string
+}
+
+export interface ProverPoolOptions {
+    // Proving threads, defaults to one per core but one
+    threads?: number
+    // Directory for proofs keyed by a hash of the circuit and its inputs,
+    // nothing is cached when unset
+    cacheDir?: string
+    onProgress?: (progress: ProverProgress) => void
+    // Keccak transcript as the Solidity verifier expects, true by default
+    keccak?: boolean
+}
+
+/**
+ * Key a proof is cached under. Inputs are normalized against the circuit
+ * ABI first, so 0x2a and "42" for a field give the same key, and a
+ * recompiled circuit never reuses proofs of the old one.
+ */
+export const proofCacheKey: (
+    circuitPath: string,
+    inputs: Record<string, unknown>,
+    keccak?: boolean
+) => string = threads.proofCacheKey
+
+/**
+ * Proves on worker threads that keep their circuits loaded between jobs.
+ * Jobs for any circuit go in one queue and are handed to the first idle
+ * thread; destroy() has to be called for the process to exit. The pool is
+ * the one zk_panagram uses, in prover-threads.mjs.
+ */
+export class ProverPool {
+    readonly threads: number
+    private readonly pool: {
+        threads: number
+        prove(job: ProofJob): Promise<PooledProof>
+        proveAll(jobs: ProofJob[]): Promise<PooledProof[]>
+        warm(circuitPath?: string): Promise<void>
+        destroy(): Promise<void>
+    }
+
+    constructor(options: ProverPoolOptions = {}) {
+        this.pool = threads.startProverPool({
+            ...options,
+            workerPath: WORKER_PATH,
+            // ts-node has to compile the worker too
+            execArgv: WORKER_PATH.endsWith(".ts")
+                ? ["--require", "ts-node/register/transpile-only"]
+                : undefined,
+            circuitPath: CIRCUIT_PATH,
+        })
+        this.threads = this.pool.threads
+    }
+
+    /**
+     * Loads a circuit on every thread ahead of the first job
+     */
+    warm(circuitPath = CIRCUIT_PATH): Promise<void> {
+        return this.pool.warm(circuitPath)
+    }
+
+    /**
+     * Queues a job, resolved with its proof once a thread has made it
+     */
+    prove(job: ProofJob): Promise<PooledProof> {
+        return this.pool.prove(job)
+    }
+
+    /**
+     * Proves every job, in parallel as far as there are threads
+     * @returns the proofs in the order of the jobs
+     */
+    proveAll(jobs: ProofJob[]): Promise<PooledProof[]> {
+        return this.pool.proveAll(jobs)
+    }
+
+    /**
+     * Stops the threads, queued jobs are rejected
+     */
+    destroy(): Promise<void> {
+        return this.pool.destroy()
+    }
+}
@@ -0,0 +1,172 @@
+import { Noir } from "@noir-lang/noir_js"
+import fs from "fs"
+import path from "path"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import * as circuitInputs from "../../../zk_panagram/web3/scripts/circuit-inputs.mjs"
+import { CIRCUIT_PATH, loadCircuit } from "./verifyProof"
+
+// Parameter types in the ABI of a compiled circuit (target/*.json)
+export type AbiType =
+    | { kind: "field" }
+    | { kind: "boolean" }
+    | { kind: "integer"; sign: "signed" | "unsigned"; width: number }
+    | { kind: "string"; length: number }
+    | { kind: "array"; length: number; type: AbiType }
+    | { kind: "tuple"; fields: AbiType[] }
+    | {
+          kind: "struct"
+          path: string
+          fields: { name: string; type: AbiType }[]
+      }
+
+export interface AbiParameter {
+    name: string
+    type: AbiType
+    visibility: string
+}
+
+export interface CircuitAbi {
+    parameters: AbiParameter[]
+    return_type: { abi_type: AbiType; visibility: string } | null
+}
+
+// Inputs as noir_js takes them: fields and integers as strings
+export type InputValue =
+    | string
+    | boolean
+    | InputValue[]
+    | { [name: string]: InputValue }
+export type InputMap = { [name: string]: InputValue }
+
+/**
+ * Reads the ABI of a compiled circuit
+ * @param circuitPath - Compiled circuit JSON, defaults to the mixer circuit
+ */
+export function loadAbi(circuitPath = CIRCUIT_PATH): CircuitAbi {
+    return loadCircuit(circuitPath).abi
+}
+
+// The checks and the TOML format are shared with zk_panagram, typed here
+// for the mixer's circuit
+
+/**
+ * The type as written in Noir, e.g. [Field; 20]
+ */
+export const describeType: (type: AbiType) => string =
+    circuitInputs.describeType
+
+/**
+ * Checks inputs against the circuit's ABI: every parameter present and no
+ * other, array lengths, integer widths and fields below FIELD_MODULUS.
+ * Accepts numbers, bigints and decimal or hex strings for fields and integers.
+ * @returns the inputs as noir_js takes them, fields as 0x hex
+ * @throws listing every problem found
+ */
+export const validateInputs: (
+    abi: CircuitAbi,
+    inputs: Record<string, unknown>
+) => InputMap = circuitInputs.validateInputs
+
+/**
+ * Formats inputs as a Prover.toml for `nargo execute`, in ABI order
+ * @param comment - Written as a comment at the top, e.g. where the inputs come from
+ * @throws if the inputs don't match the ABI, see validateInputs
+ */
+export const toProverToml: (
+    abi: CircuitAbi,
+    inputs: Record<string, unknown>,
+    comment?: string
+) => string = circuitInputs.toProverToml
+
+/**
+ * Parses the subset of TOML used by Prover.toml files: key = value pairs,
+ * [tables], strings, integers, booleans, arrays and inline tables
+ * @returns integers as bigints, the rest as plain values
+ */
+export const parseToml: (text: string) => Record<string, any> =
+    circuitInputs.parseToml
+
+/**
+ * Reads a Prover.toml and checks it against the circuit's ABI
+ * @returns the inputs as noir_js takes them
+ */
+export const parseProverToml: (abi: CircuitAbi, text: string) => InputMap =
+    circuitInputs.parseProverToml
+
+/**
+ * Where the witness of a dumped Prover.toml goes, next to it with a .gz
+ * extension like the files `nargo execute` writes to target/
+ */
+export const witnessPath: (tomlPath: string) => string =
+    circuitInputs.witnessPath
+
+/**
+ * Saves a witness as returned by noir_js `execute`, in the same compressed
+ * format as nargo, so `bb prove -w <file>` can use it
+ */
+export const saveWitness: (file: string, witness: Uint8Array) => void =
+    circuitInputs.saveWitness
+
+/**
+ * Writes the inputs of a proof as a Prover.toml. Call it before executing
+ * the circuit, so the inputs of a failing proof can be replayed with
+ * `nargo execute`, and save the witness to witnessPath(tomlPath) after.
+ * @throws if the inputs don't match the ABI, before anything is written
+ */
+export const dumpInputs: (
+    tomlPath: string,
+    abi: CircuitAbi,
+    inputs: Record<string, unknown>
+) => void = circuitInputs.dumpInputs
+
+/**
+ * Runs a circuit on a Prover.toml with noir_js, like `nargo execute`
+ * @returns the witness and the circuit's return value
+ */
+export async function executeToml(
+    tomlPath: string,
+    circuitPath = CIRCUIT_PATH
+): Promise<{ witness: Uint8Array; returnValue: unknown }> {
+    const circuit = loadCircuit(circuitPath)
+    const inputs = parseProverToml(
+        circuit.abi,
+        fs.readFileSync(tomlPath, "utf8")
+    )
+    return new Noir(circuit).execute(inputs)
+}
+
+// CLI usage
+async function main() {
+    const args = process.argv.slice(2)
+    const flag = (name: string) => {
+        const index = args.indexOf(`--${name}`)
+        return index === -1 ? undefined : args.splice(index, 2)[1]
+    }
+    const circuitPath = flag("circuit") ?? CIRCUIT_PATH
+    const witnessFile = flag("witness")
+    const [tomlPath] = args
+
+    if (!tomlPath) {
+        console.log(
+            "Usage: node proverToml.js <Prover.toml> [--circuit <target/circuit.json>] [--witness <file.gz>]"
+        )
+        process.exit(1)
+    }
+
+    const { witness, returnValue } = await executeToml(tomlPath, circuitPath)
+    console.log(`✅ ${tomlPath} satisfies ${path.basename(circuitPath)}`)
+    if (returnValue !== undefined && returnValue !== null) {
+        console.log("Return value:", returnValue)
+    }
+    const out = witnessFile ?? witnessPath(tomlPath)
+    saveWitness(out, witness)
+    console.log(`📝 Witness saved to ${out}`)
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error.message)
+        process.exit(1)
+    })
+}
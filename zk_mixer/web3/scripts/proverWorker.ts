@@ -0,0 +1,9 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { serveProofs } from "../../../zk_panagram/web3/scripts/prover-threads.mjs"
+
+// Proving thread of ProverPool, see prover-threads.mjs in zk_panagram for
+// the message protocol. Noir and the backend are the mixer's own packages.
+serveProofs(Noir, UltraHonkBackend)
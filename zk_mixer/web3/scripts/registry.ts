@@ -0,0 +1,100 @@
+import { ethers } from "ethers"
+import fs from "fs"
+import path from "path"
+
+import type { DepositNote } from "./note"
+
+// Written by scripts/deploy.ts, one entry per chain id
+export const DEFAULT_REGISTRY_PATH = path.resolve(
+    __dirname,
+    "../deployments/registry.json"
+)
+
+// One Mixer pool, deposits of exactly `denomination` units of `token`
+export interface PoolEntry {
+    // ethers.ZeroAddress for ETH
+    token: string
+    symbol: string
+    decimals: number
+    // Smallest unit of the token, as a decimal string
+    denomination: string
+    address: string
+    deployBlock: number
+}
+
+export interface ChainDeployment {
+    verifier: string
+    factory: string
+    treeDepth: number
+    pools: PoolEntry[]
+}
+
+// chain id => deployment
+export type Registry = Record<string, ChainDeployment>
+
+/**
+ * Reads a registry file
+ * @returns the registry, empty if the file doesn't exist yet
+ */
+export function loadRegistry(file = DEFAULT_REGISTRY_PATH): Registry {
+    if (!fs.existsSync(file)) {
+        return {}
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+export function saveRegistry(file: string, registry: Registry) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n")
+}
+
+/**
+ * Accepts "ETH" for native ETH, or a token address
+ * @returns the checksummed token address, ethers.ZeroAddress for ETH
+ */
+export function parseToken(token: string): string {
+    if (token.toUpperCase() === "ETH") {
+        return ethers.ZeroAddress
+    }
+    if (!ethers.isAddress(token)) {
+        throw new Error(`Token must be ETH or an address, got ${token}`)
+    }
+    return ethers.getAddress(token)
+}
+
+/**
+ * Looks up the pool for a token and denomination on a chain
+ * @returns the pool, or undefined if there is none
+ */
+export function findPool(
+    registry: Registry,
+    chainId: bigint,
+    token: string,
+    denomination: bigint
+): PoolEntry | undefined {
+    const deployment = registry[chainId.toString()]
+    return deployment?.pools.find(
+        (pool) =>
+            pool.token.toLowerCase() === parseToken(token).toLowerCase() &&
+            BigInt(pool.denomination) === denomination
+    )
+}
+
+/**
+ * Picks the pool a note was deposited in from its token and denomination
+ * @throws if the registry has no such pool or it is not the note's mixer
+ */
+export function poolForNote(registry: Registry, note: DepositNote): PoolEntry {
+    const pool = findPool(registry, note.chainId, note.token, note.denomination)
+    if (!pool) {
+        throw new Error(
+            `No pool for ${note.denomination} of token ${note.token} on chain ${note.chainId}`
+        )
+    }
+    if (pool.address.toLowerCase() !== note.mixerAddress.toLowerCase()) {
+        throw new Error(
+            `Note is for mixer ${note.mixerAddress} but the registry pool is ${pool.address}`
+        )
+    }
+    return pool
+}
@@ -0,0 +1,337 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import http from "http"
+
+import { DEFAULT_RPC_URL } from "./syncTree"
+import { FIELD_MODULUS } from "./generateCommitment"
+import { encodeWithdrawalInputs, loadCircuit } from "./verifyProof"
+
+// Default port of the relayer HTTP server
+export const DEFAULT_RELAYER_PORT = 8546
+// Largest request body accepted, a proof is a few kilobytes of hex
+const MAX_BODY_SIZE = 256 * 1024
+
+// Only the parts of the Mixer ABI the relayer needs
+export const MIXER_RELAYER_ABI = [
+    "function DEPOSIT_AMOUNT() view returns (uint256)",
+    "function i_token() view returns (address)",
+    "function isKnownRoot(bytes32 _root) view returns (bool)",
+    "function s_nullifierHashes(bytes32) view returns (bool)",
+    "function withdraw(bytes _proof, bytes32 _root, bytes32 _nullifierHash, address _recipient, address _relayer, uint256 _fee)",
+]
+
+export interface RelayerOptions {
+    mixerAddress: string
+    // Account the withdrawals are sent from, it also receives the fees
+    signer: ethers.Signer
+    // Lowest fee accepted, in wei or the pool token's smallest unit
+    minFee?: bigint
+    // Compiled mixer circuit, loaded from circuit/target when omitted
+    circuit?: any
+}
+
+// Body of a POST /withdraw request
+export interface RelayRequest {
+    proof: string
+    root: string
+    nullifierHash: string
+    recipient: string
+    fee: string
+}
+
+// Error answered to the client with a 4xx status and its message
+export class RelayerError extends Error {
+    constructor(message: string, public readonly status = 400) {
+        super(message)
+    }
+}
+
+function assertBytes32(value: unknown, name: string): string {
+    if (typeof value !== "string" || !ethers.isHexString(value, 32)) {
+        throw new RelayerError(`${name} must be a 32-byte hex string`)
+    }
+    if (BigInt(value) >= FIELD_MODULUS) {
+        throw new RelayerError(`${name} exceeds the field modulus`)
+    }
+    // One spelling per value, so the same nullifier can't be relayed twice in other case
+    return value.toLowerCase()
+}
+
+/**
+ * Relays withdrawals for users who don't want to pay gas from an account
+ * linked to the recipient. Every request is checked off-chain first (proof,
+ * root, nullifier, fee) so the relayer never pays for a reverting transaction.
+ */
+export class Relayer {
+    readonly mixer: ethers.Contract
+    private readonly minFee: bigint
+    private readonly circuit: any
+    private honk: UltraHonkBackend | null = null
+    // Nullifiers with a withdrawal in flight, to refuse the same note twice
+    private readonly pending = new Set<string>()
+    // Withdrawals are sent one at a time so nonces never collide
+    private queue: Promise<unknown> = Promise.resolve()
+
+    constructor(private readonly options: RelayerOptions) {
+        this.mixer = new ethers.Contract(
+            options.mixerAddress,
+            MIXER_RELAYER_ABI,
+            options.signer
+        )
+        this.minFee = options.minFee ?? 0n
+        this.circuit = options.circuit
+    }
+
+    async status() {
+        const network = await this.options.signer.provider!.getNetwork()
+        return {
+            relayer: await this.options.signer.getAddress(),
+            mixer: this.options.mixerAddress,
+            chainId: network.chainId.toString(),
+            token: await this.mixer.i_token(),
+            minFee: this.minFee.toString(),
+            depositAmount: (await this.mixer.DEPOSIT_AMOUNT()).toString(),
+        }
+    }
+
+    /**
+     * Checks a withdrawal request without sending anything
+     * @returns the request with normalized values
+     */
+    async check(request: RelayRequest) {
+        this.assertNotPending(
+            assertBytes32(request.nullifierHash, "nullifierHash")
+        )
+        return this.validate(request)
+    }
+
+    /**
+     * Checks a withdrawal request and sends it from the relayer account
+     * @returns hash of the mined transaction
+     */
+    async relay(request: RelayRequest): Promise<string> {
+        // Reserved before the first await, so a second request for the same
+        // note can't pass the checks while this one is still being checked
+        const nullifierHash = assertBytes32(
+            request.nullifierHash,
+            "nullifierHash"
+        )
+        this.assertNotPending(nullifierHash)
+        this.pending.add(nullifierHash)
+        try {
+            const checked = await this.validate(request)
+
+            const send = async () => {
+                const tx = await this.mixer.withdraw(
+                    checked.proof,
+                    checked.root,
+                    checked.nullifierHash,
+                    checked.recipient,
+                    checked.relayer,
+                    checked.fee
+                )
+                await tx.wait()
+                return tx.hash as string
+            }
+
+            const result = this.queue.then(send, send)
+            this.queue = result.catch(() => undefined)
+            return await result
+        } finally {
+            this.pending.delete(nullifierHash)
+        }
+    }
+
+    async destroy() {
+        if (this.honk) {
+            await this.honk.destroy()
+            this.honk = null
+        }
+    }
+
+    private assertNotPending(nullifierHash: string) {
+        if (this.pending.has(nullifierHash)) {
+            throw new RelayerError(
+                "A withdrawal for this nullifier is already being relayed",
+                409
+            )
+        }
+    }
+
+    // Everything check() looks at but the withdrawals in flight
+    private async validate(request: RelayRequest) {
+        if (
+            typeof request.proof !== "string" ||
+            !ethers.isHexString(request.proof)
+        ) {
+            throw new RelayerError("proof must be a hex string")
+        }
+        const root = assertBytes32(request.root, "root")
+        const nullifierHash = assertBytes32(
+            request.nullifierHash,
+            "nullifierHash"
+        )
+        if (!ethers.isAddress(request.recipient)) {
+            throw new RelayerError("recipient must be an address")
+        }
+        const recipient = ethers.getAddress(request.recipient)
+
+        // BigInt alone would take "" or " " as 0 and hex as well
+        if (typeof request.fee !== "string" || !/^[0-9]+$/.test(request.fee)) {
+            throw new RelayerError("fee must be a decimal integer amount")
+        }
+        const fee = BigInt(request.fee)
+        const depositAmount: bigint = await this.mixer.DEPOSIT_AMOUNT()
+        if (fee < this.minFee) {
+            throw new RelayerError(`fee must be at least ${this.minFee}`)
+        }
+        if (fee > depositAmount) {
+            throw new RelayerError(
+                `fee cannot exceed the deposit amount of ${depositAmount}`
+            )
+        }
+
+        if (await this.mixer.s_nullifierHashes(nullifierHash)) {
+            throw new RelayerError("This deposit has already been withdrawn")
+        }
+        if (!(await this.mixer.isKnownRoot(root))) {
+            throw new RelayerError(
+                "Unknown root, sync the tree and generate a new proof"
+            )
+        }
+
+        const relayer = await this.options.signer.getAddress()
+        const publicInputs = encodeWithdrawalInputs({
+            proof: request.proof,
+            root,
+            nullifierHash,
+            recipient,
+            relayer,
+            fee,
+        })
+        const valid = await this.backend()
+            .verifyProof(
+                { proof: ethers.getBytes(request.proof), publicInputs },
+                { keccak: true }
+            )
+            .catch(() => false)
+        if (!valid) {
+            throw new RelayerError(
+                `Invalid proof, it must be generated for relayer ${relayer} and a fee of ${fee}`
+            )
+        }
+
+        return {
+            proof: request.proof,
+            root,
+            nullifierHash,
+            recipient,
+            relayer,
+            fee,
+        }
+    }
+
+    private backend(): UltraHonkBackend {
+        if (!this.honk) {
+            const circuit = this.circuit ?? loadCircuit()
+            this.honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+        }
+        return this.honk
+    }
+}
+
+function readBody(req: http.IncomingMessage): Promise<any> {
+    return new Promise((resolve, reject) => {
+        let body = ""
+        req.on("data", (chunk) => {
+            body += chunk
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new RelayerError("Request body too large", 413))
+                req.destroy()
+            }
+        })
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(body))
+            } catch {
+                reject(new RelayerError("Request body must be JSON"))
+            }
+        })
+        req.on("error", reject)
+    })
+}
+
+/**
+ * HTTP front of a Relayer
+ * GET /status returns the relayer address and fee policy,
+ * POST /withdraw takes a RelayRequest and answers with the transaction hash.
+ */
+export function createRelayerServer(relayer: Relayer): http.Server {
+    return http.createServer(async (req, res) => {
+        const reply = (status: number, body: object) => {
+            res.writeHead(status, { "Content-Type": "application/json" })
+            res.end(JSON.stringify(body))
+        }
+
+        try {
+            if (req.method === "GET" && req.url === "/status") {
+                reply(200, await relayer.status())
+            } else if (req.method === "POST" && req.url === "/withdraw") {
+                const txHash = await relayer.relay(await readBody(req))
+                reply(200, { txHash })
+            } else {
+                reply(404, { error: "Not found" })
+            }
+        } catch (error: any) {
+            if (error instanceof RelayerError) {
+                reply(error.status, { error: error.message })
+            } else {
+                console.error("❌ Relay failed:", error)
+                reply(500, { error: error.shortMessage ?? error.message })
+            }
+        }
+    })
+}
+
+// CLI usage
+// The relayer key is read from the RELAYER_PRIVATE_KEY environment variable
+async function main() {
+    const args = process.argv.slice(2)
+    const flags: Record<string, string> = {}
+    const positional: string[] = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [mixerAddress] = positional
+
+    if (!mixerAddress || !process.env.RELAYER_PRIVATE_KEY) {
+        console.log(
+            "Usage: RELAYER_PRIVATE_KEY=<key> node relayer.js <mixerAddress> [--rpc <url>] [--port <port>] [--min-fee <wei>]"
+        )
+        process.exit(1)
+    }
+
+    const provider = new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    const signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+    const relayer = new Relayer({
+        mixerAddress,
+        signer,
+        minFee: flags["min-fee"] ? BigInt(flags["min-fee"]) : undefined,
+    })
+    const port = Number(flags.port ?? DEFAULT_RELAYER_PORT)
+
+    createRelayerServer(relayer).listen(port, "127.0.0.1", () => {
+        console.log(`🚀 Relayer ${signer.address} listening on port ${port}`)
+    })
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
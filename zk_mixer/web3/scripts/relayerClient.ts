@@ -0,0 +1,123 @@
+import type { GenerateProofOptions } from "./generateProof"
+import { DEFAULT_RELAYER_PORT } from "./relayer"
+
+export const DEFAULT_RELAYER_URL = `http://127.0.0.1:${DEFAULT_RELAYER_PORT}`
+
+// What GET /status of a relayer answers
+export interface RelayerStatus {
+    relayer: string
+    mixer: string
+    // Token of the pool, ethers.ZeroAddress for ETH
+    token: string
+    chainId: bigint
+    minFee: bigint
+    depositAmount: bigint
+}
+
+async function request(url: string, init?: RequestInit): Promise<any> {
+    const response = await fetch(url, init)
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+        throw new Error(
+            `Relayer refused the request (${response.status}): ${body.error ?? response.statusText}`
+        )
+    }
+    return body
+}
+
+export async function getRelayerStatus(
+    relayerUrl: string
+): Promise<RelayerStatus> {
+    const status = await request(`${relayerUrl}/status`)
+    return {
+        relayer: status.relayer,
+        mixer: status.mixer,
+        token: status.token,
+        chainId: BigInt(status.chainId),
+        minFee: BigInt(status.minFee),
+        depositAmount: BigInt(status.depositAmount),
+    }
+}
+
+/**
+ * Generates a proof bound to the relayer and asks it to submit the withdrawal,
+ * so the recipient never needs ETH for gas
+ * @param note - Deposit note string
+ * @param recipient - Address receiving the deposit amount minus the fee
+ * @param options.fee - Fee paid to the relayer in the pool's smallest unit, defaults to its minimum fee
+ * @returns hash of the withdrawal transaction
+ */
+export async function relayWithdrawal(
+    relayerUrl: string,
+    note: string,
+    recipient: string,
+    options: GenerateProofOptions & { allCommitments?: string[] } = {}
+): Promise<string> {
+    const { allCommitments = [], ...proofOptions } = options
+    const status = await getRelayerStatus(relayerUrl)
+    const fee = proofOptions.fee ?? status.minFee
+
+    // Loaded here as it reads the compiled circuit, which status queries don't need
+    const { generateProof } = await import("./generateProof")
+
+    const withdrawal = await generateProof(note, recipient, allCommitments, {
+        mixerAddress: allCommitments.length === 0 ? status.mixer : undefined,
+        ...proofOptions,
+        relayer: status.relayer,
+        fee,
+    })
+
+    const { txHash } = await request(`${relayerUrl}/withdraw`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            proof: withdrawal.hexProof,
+            root: withdrawal.root,
+            nullifierHash: withdrawal.nullifierHash,
+            recipient: withdrawal.recipient,
+            fee: fee.toString(),
+        }),
+    })
+    return txHash
+}
+
+// CLI usage
+async function main() {
+    const args = process.argv.slice(2)
+    const flags: Record<string, string> = {}
+    const positional: string[] = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+
+    if (positional.length < 2) {
+        console.log(
+            "Usage: node relayerClient.js [--relayer <url>] [--fee <amount>] [--rpc <url>] [--snapshot <file>] <note> <recipient>"
+        )
+        process.exit(1)
+    }
+
+    const [note, recipient] = positional
+    const txHash = await relayWithdrawal(
+        flags.relayer ?? DEFAULT_RELAYER_URL,
+        note,
+        recipient,
+        {
+            fee: flags.fee ? BigInt(flags.fee) : undefined,
+            rpcUrl: flags.rpc,
+            snapshotPath: flags.snapshot,
+        }
+    )
+    console.log(`✅ Withdrawal relayed in transaction ${txHash}`)
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
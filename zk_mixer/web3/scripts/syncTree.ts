@@ -0,0 +1,319 @@
+import { Barretenberg } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import fs from "fs"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { merkleTree } from "./merkleTree.js"
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { loadSnapshot, saveSnapshot } from "./treeSnapshot.js"
+
+// Default JSON-RPC endpoint, a local `npx hardhat node`
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
+// Number of blocks requested per eth_getLogs call
+export const DEFAULT_BATCH_SIZE = 2000
+// How far back to roll the tree when the last synced block was reorged out
+export const DEFAULT_MAX_REORG_DEPTH = 64
+
+// Only the parts of the Mixer ABI the indexer needs
+export const MIXER_SYNC_ABI = [
+    "event Mixer__Deposit(bytes32 indexed commitment, uint256 leafIndex, uint256 timestamp)",
+    "event IncrementalMerkleTree__LeafInserted(uint256 indexed leafIndex, bytes32 leaf, bytes32 newRoot)",
+    "function TREE_DEPTH() view returns (uint256)",
+    "function getLeafCount() view returns (uint256)",
+    "function isKnownRoot(bytes32 _root) view returns (bool)",
+]
+
+export interface SyncOptions {
+    provider: ethers.Provider
+    mixerAddress: string
+    // Snapshot to resume from and write back to
+    snapshotPath?: string
+    // Block the mixer was deployed at, where a sync from scratch starts
+    fromBlock?: number
+    // Stay this many blocks behind the chain head
+    confirmations?: number
+    batchSize?: number
+    maxReorgDepth?: number
+    // Expected tree depth, e.g. the one the circuit was compiled for
+    depth?: number
+    // Optional Barretenberg instance to share with the caller
+    bb?: Barretenberg
+}
+
+export interface SyncResult {
+    // PoseidonTree holding every deposit up to lastSyncedBlock
+    tree: any
+    lastSyncedBlock: number
+    // Number of leaves added by this sync
+    added: number
+    // Whether the tree had to be rolled back because of a reorg
+    rolledBack: boolean
+}
+
+export interface LeafEvent {
+    leafIndex: number
+    leaf: string
+    blockNumber: number
+}
+
+/**
+ * Sorts leaf events by leafIndex and checks they continue the tree without gaps
+ * @param events - LeafInserted events, possibly out of order or duplicated
+ * @param nextIndex - Index the first event is expected to have (leaves already in the tree)
+ * @returns the leaves in insertion order
+ */
+export function orderLeaves(events: LeafEvent[], nextIndex: number): string[] {
+    const byIndex = new Map<number, string>()
+    for (const event of events) {
+        const known = byIndex.get(event.leafIndex)
+        if (known !== undefined && known !== event.leaf) {
+            throw new Error(
+                `Conflicting leaves for index ${event.leafIndex}: ${known} and ${event.leaf}`
+            )
+        }
+        byIndex.set(event.leafIndex, event.leaf)
+    }
+
+    const leaves: string[] = []
+    const indices = [...byIndex.keys()].sort((a, b) => a - b)
+    for (const index of indices) {
+        if (index < nextIndex) {
+            throw new Error(
+                `Leaf ${index} is already in the tree, expected ${nextIndex} or later`
+            )
+        }
+        if (index !== nextIndex + leaves.length) {
+            throw new Error(
+                `Missing leaf ${nextIndex + leaves.length}, next event is for leaf ${index}`
+            )
+        }
+        leaves.push(byIndex.get(index)!)
+    }
+    return leaves
+}
+
+/**
+ * Reads Mixer__Deposit and IncrementalMerkleTree__LeafInserted logs in block ranges
+ * and cross-checks them, every deposit must match the leaf inserted at its index.
+ */
+async function fetchLeafEvents(
+    mixer: ethers.Contract,
+    fromBlock: number,
+    toBlock: number,
+    batchSize: number
+): Promise<LeafEvent[]> {
+    const events: LeafEvent[] = []
+
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock)
+        const [deposits, inserts] = await Promise.all([
+            mixer.queryFilter(mixer.filters.Mixer__Deposit(), start, end),
+            mixer.queryFilter(
+                mixer.filters.IncrementalMerkleTree__LeafInserted(),
+                start,
+                end
+            ),
+        ])
+
+        const commitments = new Map<number, string>()
+        for (const log of deposits as ethers.EventLog[]) {
+            commitments.set(Number(log.args.leafIndex), log.args.commitment)
+        }
+
+        for (const log of inserts as ethers.EventLog[]) {
+            const leafIndex = Number(log.args.leafIndex)
+            const leaf: string = log.args.leaf
+            if (commitments.get(leafIndex) !== leaf) {
+                throw new Error(
+                    `Leaf ${leafIndex} (${leaf}) has no matching Mixer__Deposit in blocks ${start}-${end}`
+                )
+            }
+            commitments.delete(leafIndex)
+            events.push({ leafIndex, leaf, blockNumber: log.blockNumber })
+        }
+
+        if (commitments.size > 0) {
+            throw new Error(
+                `Mixer__Deposit without a matching leaf insert for index ${[
+                    ...commitments.keys(),
+                ].join(", ")}`
+            )
+        }
+    }
+
+    return events
+}
+
+/**
+ * Brings the local deposit tree up to date with a Mixer contract.
+ * Resumes from the snapshot when there is one, rolls back when the last
+ * synced block was reorged out, and checks the resulting root with isKnownRoot.
+ */
+export async function syncTree(options: SyncOptions): Promise<SyncResult> {
+    const {
+        provider,
+        mixerAddress,
+        snapshotPath,
+        confirmations = 0,
+        batchSize = DEFAULT_BATCH_SIZE,
+        maxReorgDepth = DEFAULT_MAX_REORG_DEPTH,
+        bb,
+    } = options
+
+    const mixer = new ethers.Contract(mixerAddress, MIXER_SYNC_ABI, provider)
+    const { chainId } = await provider.getNetwork()
+    const depth = Number(await mixer.TREE_DEPTH())
+    if (options.depth !== undefined && options.depth !== depth) {
+        throw new Error(
+            `Mixer tree depth is ${depth}, expected ${options.depth}`
+        )
+    }
+
+    const meta = { chainId: chainId.toString(), mixerAddress }
+    let tree: any
+    let fromBlock = options.fromBlock ?? 0
+    let rolledBack = false
+
+    if (snapshotPath && fs.existsSync(snapshotPath)) {
+        const snapshot = await loadSnapshot(snapshotPath, { bb, depth, meta })
+        tree = snapshot.tree
+
+        if (snapshot.lastSyncedBlock === null) {
+            // Built from commitments given by hand, nothing ties it to a block
+            await tree.dispose()
+            tree = await merkleTree([], { depth, bb })
+        } else {
+            const block = await provider.getBlock(snapshot.lastSyncedBlock)
+            if (block && block.hash === snapshot.lastSyncedBlockHash) {
+                fromBlock = snapshot.lastSyncedBlock + 1
+            } else {
+                // The block we stopped at is gone, go back to one old enough to be
+                // final and keep as many leaves as the contract had back then
+                const safeBlock = Math.max(
+                    snapshot.lastSyncedBlock - maxReorgDepth,
+                    fromBlock - 1
+                )
+                // Before the mixer was deployed there is nothing to keep
+                let leafCount = 0
+                if (
+                    safeBlock >= fromBlock &&
+                    (await provider.getCode(mixerAddress, safeBlock)) !== "0x"
+                ) {
+                    leafCount = Number(
+                        await mixer.getLeafCount({ blockTag: safeBlock })
+                    )
+                }
+                const kept = tree.leaves().slice(0, leafCount)
+                await tree.dispose()
+                tree = await merkleTree(kept, { depth, bb })
+                fromBlock = safeBlock + 1
+                rolledBack = true
+            }
+        }
+    } else {
+        tree = await merkleTree([], { depth, bb })
+    }
+
+    try {
+        const head = await provider.getBlockNumber()
+        const toBlock = head - confirmations
+        const leavesBefore = tree.totalLeaves
+
+        if (toBlock >= fromBlock) {
+            const events = await fetchLeafEvents(
+                mixer,
+                fromBlock,
+                toBlock,
+                batchSize
+            )
+            await tree.insertMany(orderLeaves(events, tree.totalLeaves))
+        }
+        const lastSyncedBlock = Math.max(toBlock, fromBlock - 1)
+
+        // Both checks are pinned to the synced block so later deposits don't interfere
+        const leafCount = Number(
+            await mixer.getLeafCount({ blockTag: lastSyncedBlock })
+        )
+        if (leafCount !== tree.totalLeaves) {
+            throw new Error(
+                `Contract has ${leafCount} leaves at block ${lastSyncedBlock}, local tree has ${tree.totalLeaves}`
+            )
+        }
+        if (
+            leafCount > 0 &&
+            !(await mixer.isKnownRoot(tree.root(), {
+                blockTag: lastSyncedBlock,
+            }))
+        ) {
+            throw new Error(
+                `Local root ${tree.root()} is not known to the contract at block ${lastSyncedBlock}`
+            )
+        }
+
+        if (snapshotPath) {
+            const block = await provider.getBlock(lastSyncedBlock)
+            await saveSnapshot(snapshotPath, tree, {
+                lastSyncedBlock,
+                lastSyncedBlockHash: block?.hash ?? null,
+                meta,
+            })
+        }
+
+        return {
+            tree,
+            lastSyncedBlock,
+            added: tree.totalLeaves - leavesBefore,
+            rolledBack,
+        }
+    } catch (error) {
+        await tree.dispose()
+        throw error
+    }
+}
+
+// CLI usage
+async function main() {
+    const args = process.argv.slice(2)
+    const flags: Record<string, string> = {}
+    const positional: string[] = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+
+    if (positional.length < 1) {
+        console.log(
+            "Usage: node syncTree.js <mixerAddress> [--rpc <url>] [--snapshot <file>] [--from <block>] [--confirmations <n>]"
+        )
+        process.exit(1)
+    }
+
+    const provider = new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    const { tree, lastSyncedBlock, added, rolledBack } = await syncTree({
+        provider,
+        mixerAddress: positional[0],
+        snapshotPath: flags.snapshot,
+        fromBlock: flags.from ? Number(flags.from) : undefined,
+        confirmations: flags.confirmations
+            ? Number(flags.confirmations)
+            : undefined,
+    })
+
+    if (rolledBack) {
+        console.log("⚠️  Last synced block was reorged out, tree rolled back")
+    }
+    console.log(`✅ Synced up to block ${lastSyncedBlock}`)
+    console.log(`   Leaves: ${tree.totalLeaves} (+${added})`)
+    console.log(`   Root: ${tree.root()}`)
+    await tree.dispose()
+}
+
+if (typeof require !== "undefined" && require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
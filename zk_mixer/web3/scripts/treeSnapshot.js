@@ -0,0 +1,156 @@
+import fs from "fs"
+import path from "path"
+
+import { PoseidonTree } from "./merkleTree.js"
+
+// Bumped whenever the layout of the snapshot file changes
+export const SNAPSHOT_VERSION = 1
+
+/**
+ * Writes the tree state to disk. The file is written next to the target and
+ * renamed over it, so an interrupted save never leaves a half-written snapshot.
+ * @param file - Path of the snapshot file
+ * @param tree - PoseidonTree to save
+ * @param options.lastSyncedBlock - Last block whose deposits are in the tree
+ * @param options.lastSyncedBlockHash - Hash of that block, to notice when it got reorged out
+ * @param options.meta - Free-form identifiers of the tree (chain id, mixer address...)
+ */
+export async function saveSnapshot(
+    file,
+    tree,
+    { lastSyncedBlock = null, lastSyncedBlockHash = null, meta = {} } = {}
+) {
+    const data = {
+        version: SNAPSHOT_VERSION,
+        lastSyncedBlock,
+        lastSyncedBlockHash,
+        meta,
+        ...tree.serialize(),
+    }
+
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), {
+        recursive: true,
+    })
+    const tmpFile = `${file}.tmp`
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data))
+    await fs.promises.rename(tmpFile, file)
+}
+
+/**
+ * Loads a tree saved with saveSnapshot.
+ * Unless verify is false, every node is recomputed from the leaves and the load
+ * fails if the snapshot was corrupted or doesn't match the expected tree.
+ * @param file - Path of the snapshot file
+ * @param options.bb - Optional Barretenberg instance to share with the caller
+ * @param options.depth - Expected tree depth
+ * @param options.meta - Expected meta values, each one must match the snapshot
+ * @param options.verify - Recompute the tree from its leaves and check the root
+ * @returns the tree, the last synced block (number and hash) and the snapshot meta
+ */
+export async function loadSnapshot(
+    file,
+    { bb = null, depth, meta = {}, verify = true } = {}
+) {
+    let data
+    try {
+        data = JSON.parse(await fs.promises.readFile(file, "utf8"))
+    } catch (error) {
+        throw new Error(`Could not read snapshot ${file}: ${error.message}`)
+    }
+
+    if (data.version !== SNAPSHOT_VERSION) {
+        throw new Error(
+            `Snapshot ${file} has version ${data.version}, expected ${SNAPSHOT_VERSION}.`
+        )
+    }
+    if (depth !== undefined && data.levels !== depth) {
+        throw new Error(
+            `Snapshot ${file} is for a tree of depth ${data.levels}, expected ${depth}.`
+        )
+    }
+    for (const [key, expected] of Object.entries(meta)) {
+        const actual = (data.meta || {})[key]
+        if (String(actual).toLowerCase() !== String(expected).toLowerCase()) {
+            throw new Error(
+                `Snapshot ${file} has ${key} ${actual}, expected ${expected}.`
+            )
+        }
+    }
+
+    const tree = await PoseidonTree.restore(data, bb)
+    if (verify) {
+        try {
+            await verifyTree(tree, data.root)
+        } catch (error) {
+            await tree.dispose()
+            throw new Error(`Snapshot ${file} is corrupted: ${error.message}`)
+        }
+    }
+
+    return {
+        tree,
+        lastSyncedBlock: data.lastSyncedBlock,
+        lastSyncedBlockHash: data.lastSyncedBlockHash ?? null,
+        meta: data.meta,
+    }
+}
+
+/**
+ * Recomputes the whole tree from its leaves and checks it against the stored
+ * nodes and the expected root. Throws on the first difference.
+ * @param tree - PoseidonTree to check
+ * @param expectedRoot - Root the tree is supposed to have
+ */
+export async function verifyTree(tree, expectedRoot) {
+    const leaves = tree.leaves()
+    const missing = leaves.findIndex((leaf) => leaf === undefined)
+    if (missing !== -1) {
+        throw new Error(`leaf ${missing} is missing`)
+    }
+
+    const rebuilt = new PoseidonTree(tree.levels, tree.zeros, tree.bb)
+    await rebuilt.init(leaves)
+
+    if (rebuilt.root() !== expectedRoot) {
+        throw new Error(
+            `recomputed root ${rebuilt.root()} does not match ${expectedRoot}`
+        )
+    }
+    if (rebuilt.storage.size !== tree.storage.size) {
+        throw new Error(
+            `expected ${rebuilt.storage.size} nodes, found ${tree.storage.size}`
+        )
+    }
+    for (const [key, value] of rebuilt.storage.entries()) {
+        if (tree.storage.get(key) !== value) {
+            throw new Error(`node ${key} does not match its children`)
+        }
+    }
+}
+
+/**
+ * Brings a tree up to date with the full list of leaves, inserting only the
+ * ones it doesn't have yet.
+ * @param tree - PoseidonTree to update
+ * @param leaves - All leaves in insertion order, starting from the first one
+ * @returns number of leaves inserted
+ */
+export async function appendLeaves(tree, leaves) {
+    if (leaves.length < tree.totalLeaves) {
+        throw new Error(
+            `Tree has ${tree.totalLeaves} leaves but only ${leaves.length} were given.`
+        )
+    }
+    for (let index = 0; index < tree.totalLeaves; index++) {
+        if (
+            tree.storage.get(PoseidonTree.indexToKey(0, index)) !==
+            leaves[index]
+        ) {
+            throw new Error(`Tree and leaves diverge at index ${index}.`)
+        }
+    }
+
+    const newLeaves = leaves.slice(tree.totalLeaves)
+    await tree.insertMany(newLeaves)
+    return newLeaves.length
+}
@@ -0,0 +1,275 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import fs from "fs"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { DEFAULT_TREE_DEPTH, merkleTree } from "./merkleTree.js"
+import {
+    DISCLOSURE_CIRCUIT_PATH,
+    DISCLOSURE_VERSION,
+    Disclosure,
+    DisclosureStatement,
+    disclosureDepth,
+    encodeDisclosureInputs,
+    loadCommitmentList,
+} from "./disclosure"
+import { loadCircuit } from "./verifyProof"
+
+export interface DisclosureVerifyOptions {
+    // The auditor's own copy of the mixer's commitments in deposit order,
+    // e.g. from a syncTree snapshot, to check the origin form against
+    commitments?: string[]
+    // The auditor's own allow list, to check the allowList form against
+    allowList?: string[]
+    // Compiled disclosure circuit, loaded from DISCLOSURE_CIRCUIT_PATH when omitted
+    circuit?: any
+}
+
+export interface DisclosureReport {
+    // True when the proof verifies and every check that could be made passed
+    valid: boolean
+    proofValid: boolean
+    // What the disclosure proves, in plain language
+    claims: string[]
+    // One sentence per failed check
+    problems: string[]
+    // Checks that need data that wasn't given
+    unchecked: string[]
+}
+
+/**
+ * Checks what a disclosure claims against the auditor's own data, without
+ * the proof. Needs no network: the trees are rebuilt from the lists.
+ * @param options.depth - Depth of the circuit's trees
+ */
+export async function checkDisclosureStatement(
+    statement: DisclosureStatement,
+    options: DisclosureVerifyOptions & { depth?: number } = {}
+): Promise<{ problems: string[]; unchecked: string[] }> {
+    const problems: string[] = []
+    const unchecked: string[] = []
+    const depth = options.depth ?? DEFAULT_TREE_DEPTH
+
+    if (statement.version !== DISCLOSURE_VERSION) {
+        problems.push(
+            `The disclosure has version ${statement.version}, this verifier reads version ${DISCLOSURE_VERSION}.`
+        )
+        return { problems, unchecked }
+    }
+
+    // Root of the first leafCount leaves, the tree the proof was made against
+    const rootOf = async (leaves: string[]) => {
+        const tree = await merkleTree(leaves.slice(0, statement.leafCount), {
+            depth,
+        })
+        const root = tree.root()
+        await tree.dispose()
+        return root
+    }
+
+    if (statement.form === "origin") {
+        if (statement.commitment === null || statement.leafIndex === null) {
+            problems.push(
+                "An origin disclosure has to name the commitment and its leaf index."
+            )
+            return { problems, unchecked }
+        }
+        if (statement.leafIndex >= statement.leafCount) {
+            problems.push(
+                `Leaf ${statement.leafIndex} can't be in a tree of ${statement.leafCount} deposits.`
+            )
+        }
+        const { commitments } = options
+        if (!commitments) {
+            unchecked.push(
+                `Root ${statement.root} wasn't compared with the mixer's deposits, pass the mixer's commitments to check it.`
+            )
+        } else if (commitments.length < statement.leafCount) {
+            problems.push(
+                `The proof is for the mixer tree after ${statement.leafCount} deposits, the commitment list only has ${commitments.length}. Sync it and verify again.`
+            )
+        } else {
+            if (
+                BigInt(commitments[statement.leafIndex] ?? 0) !==
+                BigInt(statement.commitment)
+            ) {
+                problems.push(
+                    `Deposit ${statement.leafIndex} of the mixer is ${
+                        commitments[statement.leafIndex]
+                    }, not ${statement.commitment}.`
+                )
+            }
+            if (BigInt(await rootOf(commitments)) !== BigInt(statement.root)) {
+                problems.push(
+                    `Root ${statement.root} is not the root of the mixer tree after ${statement.leafCount} deposits. The commitment list is for another mixer or the disclosure was made against a forged tree.`
+                )
+            }
+        }
+    } else if (statement.form === "allowList") {
+        if (statement.commitment !== null || statement.leafIndex !== null) {
+            problems.push(
+                "An allow-list disclosure doesn't name a commitment or leaf index."
+            )
+        }
+        const { allowList } = options
+        if (!allowList) {
+            unchecked.push(
+                `Root ${statement.root} wasn't compared with an allow list, pass the allow list to check it.`
+            )
+        } else if (allowList.length !== statement.leafCount) {
+            problems.push(
+                `The proof is for an allow list of ${statement.leafCount} commitments, this one has ${allowList.length}.`
+            )
+        } else if (BigInt(await rootOf(allowList)) !== BigInt(statement.root)) {
+            problems.push(
+                `Root ${statement.root} is not the root of this allow list, the proof was made for a different list.`
+            )
+        }
+    } else {
+        problems.push(`Unknown disclosure form "${statement.form}".`)
+    }
+
+    return { problems, unchecked }
+}
+
+/**
+ * Plain language summary of a disclosure's statement
+ */
+export function describeDisclosure(statement: DisclosureStatement): string[] {
+    const claims = [
+        `The withdrawal with nullifier hash ${statement.nullifierHash} spent a deposit of mixer ${statement.mixerAddress} on chain ${statement.chainId}.`,
+    ]
+    if (statement.form === "origin") {
+        claims.push(
+            `That deposit is commitment ${statement.commitment}, leaf ${statement.leafIndex} of the mixer tree with root ${statement.root}.`
+        )
+    } else {
+        claims.push(
+            `That deposit is one of the ${statement.leafCount} commitments of the allow list with root ${statement.root}; which one is not disclosed.`
+        )
+    }
+    claims.push(
+        statement.context
+            ? `The proof was made for the request "${statement.context}".`
+            : "The proof isn't bound to a request."
+    )
+    return claims
+}
+
+/**
+ * Verifies a disclosure offline: the proof against its statement, and the
+ * statement against whatever data the auditor has
+ */
+export async function verifyDisclosure(
+    disclosure: Disclosure,
+    options: DisclosureVerifyOptions = {}
+): Promise<DisclosureReport> {
+    const circuit = options.circuit ?? loadCircuit(DISCLOSURE_CIRCUIT_PATH)
+    const { problems, unchecked } = await checkDisclosureStatement(disclosure, {
+        ...options,
+        depth: disclosureDepth(circuit),
+    })
+
+    let proofValid = false
+    if (disclosure.version === DISCLOSURE_VERSION) {
+        const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+        try {
+            // A statement that can't be encoded can't have a valid proof either
+            proofValid = await honk
+                .verifyProof({
+                    proof: ethers.getBytes(disclosure.proof),
+                    publicInputs: encodeDisclosureInputs(disclosure),
+                })
+                .catch(() => false)
+        } catch {
+            proofValid = false
+        } finally {
+            await honk.destroy()
+        }
+        if (!proofValid) {
+            problems.unshift(
+                "The proof doesn't verify for this statement. It was changed after proving, made for another statement or with a different circuit."
+            )
+        }
+    }
+
+    return {
+        valid: problems.length === 0,
+        proofValid,
+        claims: describeDisclosure(disclosure),
+        problems,
+        unchecked,
+    }
+}
+
+/**
+ * Prints a report the way the CLI shows it
+ */
+export function printDisclosureReport(report: DisclosureReport) {
+    console.log("The disclosure claims:")
+    for (const claim of report.claims) {
+        console.log(`  - ${claim}`)
+    }
+    if (report.valid) {
+        console.log("✅ Proof verified, the claims hold")
+    } else {
+        console.log("❌ The disclosure doesn't hold:")
+        for (const problem of report.problems) {
+            console.log(`  - ${problem}`)
+        }
+    }
+    for (const check of report.unchecked) {
+        console.log(`⚠️  ${check}`)
+    }
+}
+
+// Removes `--name <value>` from args and returns the value
+function takeFlag(args: string[], name: string): string | undefined {
+    const index = args.indexOf(`--${name}`)
+    if (index === -1) return undefined
+    const [, value] = args.splice(index, 2)
+    return value
+}
+
+// CLI usage, needs no RPC: the auditor brings the mixer's commitments
+// (JSON array or syncTree snapshot) and/or the allow list
+async function main() {
+    const args = process.argv.slice(2)
+    const commitmentsFile = takeFlag(args, "commitments")
+    const allowListFile = takeFlag(args, "allow-list")
+    const [disclosureFile] = args
+
+    if (!disclosureFile) {
+        console.log(
+            "Usage: node verifyDisclosure.js <disclosure.json> [--commitments <commitments.json|snapshot.json>] [--allow-list <commitments.json>]"
+        )
+        process.exit(1)
+    }
+
+    const disclosure: Disclosure = JSON.parse(
+        fs.readFileSync(disclosureFile, "utf8")
+    )
+    const report = await verifyDisclosure(disclosure, {
+        // A snapshot has to be of the disclosure's mixer
+        commitments: commitmentsFile
+            ? await loadCommitmentList(commitmentsFile, {
+                  chainId: disclosure.chainId,
+                  mixerAddress: disclosure.mixerAddress,
+              })
+            : undefined,
+        allowList: allowListFile
+            ? await loadCommitmentList(allowListFile)
+            : undefined,
+    })
+    printDisclosureReport(report)
+    if (!report.valid) {
+        process.exit(1)
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
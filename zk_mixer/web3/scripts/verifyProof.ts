@@ -0,0 +1,418 @@
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { ethers } from "ethers"
+import path from "path"
+import fs from "fs"
+
+import { DEFAULT_RPC_URL } from "./syncTree"
+import { addressToField, fieldToAddress, toBytes32, toField } from "./fields"
+
+// Compiled circuit, produced by `nargo compile` in zk_mixer/circuit
+export const CIRCUIT_PATH = path.resolve(
+    __dirname,
+    "../../circuit/target/circuit.json"
+)
+
+// Order of the public inputs in main.nr and Mixer.withdraw
+const PUBLIC_INPUT_NAMES = [
+    "root",
+    "nullifierHash",
+    "recipient",
+    "relayer",
+    "fee",
+] as const
+
+// Mixer state a withdrawal depends on
+const MIXER_STATE_ABI = [
+    "function DEPOSIT_AMOUNT() view returns (uint256)",
+    "function isKnownRoot(bytes32 _root) view returns (bool)",
+    "function s_nullifierHashes(bytes32) view returns (bool)",
+    "function ROOT_HISTORY_SIZE() view returns (uint32)",
+    "function i_verifier() view returns (address)",
+]
+
+// HonkVerifier as Mixer.withdraw calls it, with the errors it reverts with
+const VERIFIER_ABI = [
+    "function verify(bytes _proof, bytes32[] _publicInputs) view returns (bool)",
+    "error ProofLengthWrong()",
+    "error PublicInputsLengthWrong()",
+    "error SumcheckFailed()",
+    "error ShpleminiFailed()",
+]
+
+// Why the deployed verifier rejects a proof the circuit accepts
+const VERIFIER_ERRORS: Record<string, string> = {
+    ProofLengthWrong:
+        "It expects proofs of another size, it was generated with another version of bb.",
+    PublicInputsLengthWrong:
+        "It expects another number of public inputs, so it was generated for another version of main.nr. Regenerate contracts/Verifier.sol with scripts/generateVerifier.ts and deploy a new mixer.",
+    SumcheckFailed:
+        "It was generated for another version of the circuit, or the proof wasn't made with the keccak transcript.",
+    ShpleminiFailed:
+        "It was generated for another version of the circuit, or the proof wasn't made with the keccak transcript.",
+}
+
+// Arguments Mixer.withdraw is going to be called with
+export interface WithdrawalCall {
+    proof: string
+    root: string
+    nullifierHash: string
+    recipient: string
+    // ethers.ZeroAddress and 0 when withdrawing without a relayer
+    relayer?: string
+    fee?: bigint
+}
+
+// Public inputs of a proof, decoded
+export interface WithdrawalInputs {
+    root: string
+    nullifierHash: string
+    recipient: string
+    relayer: string
+    fee: bigint
+}
+
+export interface VerifyOptions {
+    // Public inputs the proof was generated with, as returned by generateProof.
+    // Without them a bad proof can only be reported as not matching the call
+    publicInputs?: string[]
+    // Check the call against this Mixer's state as well
+    mixerAddress?: string
+    provider?: ethers.Provider
+    rpcUrl?: string
+    // Compiled mixer circuit, loaded from CIRCUIT_PATH when omitted
+    circuit?: any
+}
+
+export interface VerificationReport {
+    // True when Mixer.withdraw is expected to succeed with this call
+    valid: boolean
+    // Whether the proof verifies against the public inputs of the call
+    proofValid: boolean
+    // Whether the mixer's own verifier was asked too, only with a mixer address
+    verifierChecked: boolean
+    // Public inputs the proof was made for, when known
+    inputs?: WithdrawalInputs
+    // Plain language explanation of every problem found
+    problems: string[]
+}
+
+export function loadCircuit(circuitPath = CIRCUIT_PATH) {
+    return JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+}
+
+/**
+ * Public inputs in the form the Solidity verifier gets them from Mixer.withdraw
+ */
+export function encodeWithdrawalInputs(call: WithdrawalCall): string[] {
+    return [
+        ethers.zeroPadValue(call.root, 32),
+        ethers.zeroPadValue(call.nullifierHash, 32),
+        addressToField(call.recipient),
+        addressToField(call.relayer ?? ethers.ZeroAddress),
+        ethers.toBeHex(call.fee ?? 0n, 32),
+    ]
+}
+
+/**
+ * Reads the public inputs of a mixer proof back into withdraw arguments
+ * @throws if they can't come from the mixer circuit
+ */
+export function decodeWithdrawalInputs(
+    publicInputs: string[]
+): WithdrawalInputs {
+    if (publicInputs.length !== PUBLIC_INPUT_NAMES.length) {
+        throw new Error(
+            `A withdrawal proof has ${
+                PUBLIC_INPUT_NAMES.length
+            } public inputs (${PUBLIC_INPUT_NAMES.join(", ")}), got ${
+                publicInputs.length
+            }`
+        )
+    }
+    const [root, nullifierHash, recipient, relayer, fee] = publicInputs.map(
+        (input, i) => toField(input, `Public input ${PUBLIC_INPUT_NAMES[i]}`)
+    )
+    return {
+        root: toBytes32(root),
+        nullifierHash: toBytes32(nullifierHash),
+        recipient: fieldToAddress(recipient, "Public input recipient"),
+        relayer: fieldToAddress(relayer, "Public input relayer"),
+        fee,
+    }
+}
+
+/**
+ * Compares what a proof was made for with how it is about to be used
+ * @returns one sentence per argument that differs
+ */
+export function explainInputMismatches(
+    proven: WithdrawalInputs,
+    call: WithdrawalCall
+): string[] {
+    const problems: string[] = []
+    const relayer = call.relayer ?? ethers.ZeroAddress
+    const fee = call.fee ?? 0n
+
+    if (BigInt(proven.root) !== BigInt(call.root)) {
+        problems.push(
+            `The proof is for Merkle root ${proven.root}, but the withdrawal passes root ${call.root}. Pass the root returned with the proof.`
+        )
+    }
+    if (BigInt(proven.nullifierHash) !== BigInt(call.nullifierHash)) {
+        problems.push(
+            `The proof spends nullifier hash ${proven.nullifierHash}, but the withdrawal passes ${call.nullifierHash}. The nullifier hash can't be changed, it comes from the note.`
+        )
+    }
+    if (proven.recipient.toLowerCase() !== call.recipient.toLowerCase()) {
+        problems.push(
+            `The proof pays out to ${proven.recipient}, but the withdrawal sends to ${call.recipient}. Generate a new proof for ${call.recipient}.`
+        )
+    }
+    if (proven.relayer.toLowerCase() !== relayer.toLowerCase()) {
+        problems.push(
+            proven.relayer === ethers.ZeroAddress
+                ? `The proof was made for a withdrawal without a relayer, but the withdrawal names relayer ${relayer}.`
+                : `The proof can only be relayed by ${proven.relayer}, but the withdrawal names relayer ${relayer}.`
+        )
+    }
+    if (proven.fee !== fee) {
+        problems.push(
+            `The proof allows a relayer fee of ${proven.fee}, but the withdrawal asks for ${fee}.`
+        )
+    }
+    return problems
+}
+
+/**
+ * Checks a withdrawal against the Mixer's current state, in the order
+ * Mixer.withdraw checks it
+ * @returns one sentence per check that would make the withdrawal revert
+ */
+export async function checkWithdrawalState(
+    mixer: ethers.Contract,
+    call: WithdrawalCall
+): Promise<string[]> {
+    const problems: string[] = []
+    const fee = call.fee ?? 0n
+    const [depositAmount, spent, knownRoot, historySize] = await Promise.all([
+        mixer.DEPOSIT_AMOUNT(),
+        mixer.s_nullifierHashes(call.nullifierHash),
+        mixer.isKnownRoot(call.root),
+        mixer.ROOT_HISTORY_SIZE(),
+    ])
+
+    if (fee > depositAmount) {
+        problems.push(
+            `The fee of ${fee} is more than the deposit amount of ${depositAmount} (Mixer__FeeExceedsDepositAmount).`
+        )
+    }
+    if (
+        fee > 0n &&
+        (call.relayer ?? ethers.ZeroAddress) === ethers.ZeroAddress
+    ) {
+        problems.push(
+            `The fee of ${fee} has no relayer to be paid to and would be burned (Mixer__FeeWithoutRelayer).`
+        )
+    }
+    if (spent) {
+        problems.push(
+            `This deposit has already been withdrawn, nullifier hash ${call.nullifierHash} is spent (Mixer__NullifierAlreadyUsed).`
+        )
+    }
+    if (!knownRoot) {
+        problems.push(
+            `Root ${call.root} is not one of the last ${historySize} roots of the mixer (Mixer__UnknownRoot). Either more deposits came in since the proof was made or the tree was built from the wrong commitments: sync the tree and generate a new proof.`
+        )
+    }
+    return problems
+}
+
+// Custom error a call reverted with, from ethers or from the raw revert
+// data the Hardhat provider passes on
+function revertName(
+    contractInterface: ethers.Interface,
+    error: any
+): string | undefined {
+    if (error.revert) return error.revert.name
+    const data = error.data ?? error.info?.error?.data
+    try {
+        return contractInterface.parseError(data)?.name
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Asks the verifier the Mixer was deployed with, which can disagree with
+ * bb.js when its Verifier.sol is out of date with the circuit
+ * @returns one sentence when the verifier rejects the proof
+ */
+export async function checkDeployedVerifier(
+    mixer: ethers.Contract,
+    call: WithdrawalCall
+): Promise<string[]> {
+    const address: string = await mixer.i_verifier()
+    const verifier = new ethers.Contract(address, VERIFIER_ABI, mixer.runner)
+    try {
+        if (await verifier.verify(call.proof, encodeWithdrawalInputs(call))) {
+            return []
+        }
+        return [`The mixer's verifier ${address} rejects the proof.`]
+    } catch (error: any) {
+        const name = revertName(verifier.interface, error)
+        return [
+            `The mixer's verifier ${address} rejects the proof${
+                name ? ` (${name})` : ""
+            }. ${
+                (name && VERIFIER_ERRORS[name]) ??
+                "It may not be a HonkVerifier for this circuit."
+            }`,
+        ]
+    }
+}
+
+/**
+ * Verifies a withdrawal off-chain before it is sent, so a bad proof or
+ * stale root is caught without paying for a reverting transaction
+ * @param call - Arguments Mixer.withdraw will be called with
+ */
+export async function verifyWithdrawal(
+    call: WithdrawalCall,
+    options: VerifyOptions = {}
+): Promise<VerificationReport> {
+    const problems: string[] = []
+    let inputs: WithdrawalInputs | undefined
+    let verifierChecked = false
+
+    if (options.publicInputs) {
+        inputs = decodeWithdrawalInputs(options.publicInputs)
+        problems.push(...explainInputMismatches(inputs, call))
+    }
+
+    const circuit = options.circuit ?? loadCircuit()
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    let proofValid: boolean
+    try {
+        proofValid = await honk
+            .verifyProof(
+                {
+                    proof: ethers.getBytes(call.proof),
+                    publicInputs: encodeWithdrawalInputs(call),
+                },
+                { keccak: true }
+            )
+            .catch(() => false)
+    } finally {
+        await honk.destroy()
+    }
+    // Mismatched inputs already explain why it fails
+    if (!proofValid && problems.length === 0) {
+        problems.push(
+            inputs
+                ? "The proof is invalid even for the inputs it was made for. It was corrupted or generated with a different circuit."
+                : "The proof doesn't verify with these arguments. It was made for another root, nullifier hash, recipient, relayer or fee, or with a different circuit."
+        )
+    }
+
+    if (options.mixerAddress) {
+        const provider =
+            options.provider ??
+            new ethers.JsonRpcProvider(options.rpcUrl ?? DEFAULT_RPC_URL)
+        const mixer = new ethers.Contract(
+            options.mixerAddress,
+            MIXER_STATE_ABI,
+            provider
+        )
+        problems.push(...(await checkWithdrawalState(mixer, call)))
+        if (proofValid) {
+            problems.push(...(await checkDeployedVerifier(mixer, call)))
+            verifierChecked = true
+        }
+    }
+
+    return {
+        valid: problems.length === 0,
+        proofValid,
+        verifierChecked,
+        inputs,
+        problems,
+    }
+}
+
+/**
+ * Prints a report the way the CLIs show it
+ */
+export function printReport(report: VerificationReport) {
+    if (report.inputs) {
+        console.log("Proof public inputs:")
+        for (const name of PUBLIC_INPUT_NAMES) {
+            console.log(`  ${name}: ${report.inputs[name]}`)
+        }
+    }
+    if (report.valid && report.verifierChecked) {
+        console.log(
+            "✅ Proof accepted by the mixer's verifier, the withdrawal should succeed"
+        )
+    } else if (report.valid) {
+        console.log(
+            "✅ Proof verified against the circuit. Pass the mixer address to check it with the deployed verifier and the mixer's state too"
+        )
+    } else {
+        console.log("❌ The withdrawal would fail:")
+        for (const problem of report.problems) {
+            console.log(`  - ${problem}`)
+        }
+    }
+}
+
+// CLI usage
+// Takes the JSON written by `generateProof --out`, the withdraw arguments
+// default to the ones stored with the proof and can be overridden
+async function main() {
+    const args = process.argv.slice(2)
+    const flags: Record<string, string> = {}
+    const positional: string[] = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [proofFile] = positional
+
+    if (!proofFile) {
+        console.log(
+            "Usage: node verifyProof.js <proof.json> [--mixer <address>] [--rpc <url>] [--root <root>] [--recipient <address>] [--relayer <address>] [--fee <wei>]"
+        )
+        process.exit(1)
+    }
+
+    const saved = JSON.parse(fs.readFileSync(proofFile, "utf8"))
+    const report = await verifyWithdrawal(
+        {
+            proof: saved.hexProof,
+            root: flags.root ?? saved.root,
+            nullifierHash: saved.nullifierHash,
+            recipient: flags.recipient ?? saved.recipient,
+            relayer: flags.relayer ?? saved.relayer,
+            fee: BigInt(flags.fee ?? saved.fee),
+        },
+        {
+            publicInputs: saved.publicInputs,
+            mixerAddress: flags.mixer,
+            rpcUrl: flags.rpc,
+        }
+    )
+    printReport(report)
+    if (!report.valid) {
+        process.exit(1)
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Error:", error)
+        process.exit(1)
+    })
+}
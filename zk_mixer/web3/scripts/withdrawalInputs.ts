@@ -0,0 +1,34 @@
+import { Fr } from "@aztec/bb.js"
+
+import type { CommitmentData } from "./generateCommitment"
+import type { InputMap } from "./proverToml"
+import { addressToField, toBytes32 } from "./fields"
+
+// Path of a leaf, as PoseidonTree.proof returns it
+export interface MerklePath {
+    root: string
+    pathElements: any[]
+    pathIndices: number[]
+}
+
+/**
+ * Inputs of the withdrawal circuit for a deposit and its path in the tree.
+ * Reads no files, so the web app proves with the same inputs as the scripts.
+ */
+export function withdrawalInputs(
+    data: CommitmentData,
+    merkleProof: MerklePath,
+    withdrawal: { recipient: string; relayer: string; fee: bigint }
+): InputMap {
+    return {
+        root: merkleProof.root,
+        nullifier_hash: Fr.fromString(data.nullifierHash).toString(),
+        recipient: addressToField(withdrawal.recipient),
+        relayer: addressToField(withdrawal.relayer),
+        fee: toBytes32(withdrawal.fee, "fee"),
+        nullifier: Fr.fromString(data.nullifier).toString(),
+        secret: Fr.fromString(data.secret).toString(),
+        merkle_proof: merkleProof.pathElements.map((e: any) => e.toString()),
+        is_even: merkleProof.pathIndices.map((i: any) => i % 2 === 0),
+    }
+}
@@ -0,0 +1,170 @@
+import {
+    AddressLike,
+    BaseContract,
+    BaseContractMethod,
+    BigNumberish,
+    BytesLike,
+    ContractRunner,
+    ContractTransactionResponse,
+    ethers,
+} from "ethers"
+
+// Typed bindings for the parts of the contracts the clients use, written by
+// hand over human-readable ABIs so they don't depend on a typechain build
+
+type View<A extends any[], R> = BaseContractMethod<A, R, R>
+type Send<A extends any[], R = void> = BaseContractMethod<
+    A,
+    R,
+    ContractTransactionResponse
+>
+
+// Errors of the OpenZeppelin contracts the Mixer and Panagram build on,
+// so reverts bubbling up from a token can be decoded as well
+const OPENZEPPELIN_ERRORS = [
+    "error SafeERC20FailedOperation(address token)",
+    "error ReentrancyGuardReentrantCall()",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+]
+
+export const MIXER_ABI = [
+    "function i_token() view returns (address)",
+    "function i_verifier() view returns (address)",
+    "function DEPOSIT_AMOUNT() view returns (uint256)",
+    "function TREE_DEPTH() view returns (uint256)",
+    "function ROOT_HISTORY_SIZE() view returns (uint32)",
+    "function getRoot() view returns (bytes32)",
+    "function getLeafCount() view returns (uint256)",
+    "function getCapacity() view returns (uint256)",
+    "function isKnownRoot(bytes32 _root) view returns (bool)",
+    "function s_commitments(bytes32) view returns (bool)",
+    "function s_nullifierHashes(bytes32) view returns (bool)",
+    "function deposit(bytes32 _commitment) payable",
+    "function withdraw(bytes _proof, bytes32 _root, bytes32 _nullifierHash, address _recipient, address _relayer, uint256 _fee)",
+    "event Mixer__Deposit(bytes32 indexed commitment, uint256 leafIndex, uint256 timestamp)",
+    "event Mixer__Withdraw(address indexed recipient, bytes32 nullifierHash, address indexed relayer, uint256 fee, uint256 timestamp)",
+    "error Mixer__CommitmentAlreadyExists(bytes32 commitment)",
+    "error Mixer__DepositAmountNotMet(uint256 amountSent, uint256 requiredAmount)",
+    "error Mixer__NullifierAlreadyUsed(bytes32 nullifierHash)",
+    "error Mixer__UnknownRoot(bytes32 root)",
+    "error Mixer__InvalidProof()",
+    "error Mixer__WithdrawFailed(address recipient)",
+    "error Mixer__FeeExceedsDepositAmount(uint256 fee, uint256 depositAmount)",
+    "error Mixer__FeeWithoutRelayer(uint256 fee)",
+    "error Mixer__DenominationIsZero()",
+    "error Mixer__EtherNotAccepted(uint256 amountSent)",
+    "error IncrementalMerkleTree__TreeIsFull()",
+    "error IncrementalMerkleTree__InvalidLeaf()",
+    "error IncrementalMerkleTree__ValueOutOfRange(bytes32 value)",
+    ...OPENZEPPELIN_ERRORS,
+]
+
+export const PANAGRAM_ABI = [
+    "function s_correctAnswerHash() view returns (bytes32)",
+    "function s_salt() view returns (bytes32)",
+    "function s_scramble() view returns (bytes32)",
+    "function s_currentRound() view returns (uint256)",
+    "function s_roundStartTime() view returns (uint256)",
+    "function s_currentRoundWinner() view returns (address)",
+    "function s_lastCorrectGuessRound(address) view returns (uint256)",
+    "function s_winnerWins(address) view returns (uint256)",
+    "function MIN_ROUND_DURATION() view returns (uint256)",
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+    "function makeGuess(bytes _proof) returns (bool)",
+    "event Panagram__NewRoundStarted(uint256 round, uint256 startTime)",
+    "event Panagram__CorrectGuess(address indexed player, uint256 round, bool isWinner, uint256 tokenId)",
+    "error Panagram__MinRoundDurationNotMet(uint256 timeLeft)",
+    "error Panagram__NoRoundWinner()",
+    "error Panagram__GameNotStarted()",
+    "error Panagram__AlreadyGuessedThisRound()",
+    "error Panagram__InvalidProof()",
+    ...OPENZEPPELIN_ERRORS,
+]
+
+export const ERC20_ABI = [
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    ...OPENZEPPELIN_ERRORS,
+]
+
+export interface MixerContract extends BaseContract {
+    // ethers.ZeroAddress for an ETH pool
+    i_token: View<[], string>
+    i_verifier: View<[], string>
+    DEPOSIT_AMOUNT: View<[], bigint>
+    TREE_DEPTH: View<[], bigint>
+    ROOT_HISTORY_SIZE: View<[], bigint>
+    getRoot: View<[], string>
+    getLeafCount: View<[], bigint>
+    getCapacity: View<[], bigint>
+    isKnownRoot: View<[root: BytesLike], boolean>
+    s_commitments: View<[commitment: BytesLike], boolean>
+    s_nullifierHashes: View<[nullifierHash: BytesLike], boolean>
+    deposit: Send<[commitment: BytesLike]>
+    withdraw: Send<
+        [
+            proof: BytesLike,
+            root: BytesLike,
+            nullifierHash: BytesLike,
+            recipient: AddressLike,
+            relayer: AddressLike,
+            fee: BigNumberish
+        ]
+    >
+}
+
+export interface PanagramContract extends BaseContract {
+    s_correctAnswerHash: View<[], string>
+    s_salt: View<[], string>
+    s_scramble: View<[], string>
+    s_currentRound: View<[], bigint>
+    s_roundStartTime: View<[], bigint>
+    s_currentRoundWinner: View<[], string>
+    s_lastCorrectGuessRound: View<[player: AddressLike], bigint>
+    s_winnerWins: View<[player: AddressLike], bigint>
+    MIN_ROUND_DURATION: View<[], bigint>
+    balanceOf: View<[account: AddressLike, id: BigNumberish], bigint>
+    makeGuess: Send<[proof: BytesLike], boolean>
+}
+
+export interface ERC20Contract extends BaseContract {
+    balanceOf: View<[account: AddressLike], bigint>
+    allowance: View<[owner: AddressLike, spender: AddressLike], bigint>
+    approve: Send<[spender: AddressLike, value: BigNumberish], boolean>
+}
+
+export function connectMixer(
+    address: string,
+    runner: ContractRunner
+): MixerContract {
+    return new ethers.Contract(
+        address,
+        MIXER_ABI,
+        runner
+    ) as unknown as MixerContract
+}
+
+export function connectPanagram(
+    address: string,
+    runner: ContractRunner
+): PanagramContract {
+    return new ethers.Contract(
+        address,
+        PANAGRAM_ABI,
+        runner
+    ) as unknown as PanagramContract
+}
+
+export function connectERC20(
+    address: string,
+    runner: ContractRunner
+): ERC20Contract {
+    return new ethers.Contract(
+        address,
+        ERC20_ABI,
+        runner
+    ) as unknown as ERC20Contract
+}
@@ -0,0 +1,246 @@
+import { ethers } from "ethers"
+
+/**
+ * A transaction or call reverted with a custom error. Errors the SDK knows
+ * get a subclass with typed fields, any other one decoded from the ABI is
+ * thrown as a ContractError with its name and arguments.
+ */
+export class ContractError extends Error {
+    constructor(
+        message: string,
+        // Name in the contract, e.g. Mixer__UnknownRoot
+        public readonly errorName: string,
+        public readonly args: readonly unknown[] = []
+    ) {
+        super(message)
+    }
+}
+
+export class MixerCommitmentAlreadyExistsError extends ContractError {
+    constructor(public readonly commitment: string) {
+        super(
+            `Commitment ${commitment} has already been deposited`,
+            "Mixer__CommitmentAlreadyExists",
+            [commitment]
+        )
+    }
+}
+
+export class MixerDepositAmountNotMetError extends ContractError {
+    constructor(
+        public readonly amountSent: bigint,
+        public readonly requiredAmount: bigint
+    ) {
+        super(
+            `The pool takes deposits of exactly ${requiredAmount} wei, ${amountSent} was sent`,
+            "Mixer__DepositAmountNotMet",
+            [amountSent, requiredAmount]
+        )
+    }
+}
+
+export class MixerNullifierAlreadyUsedError extends ContractError {
+    constructor(public readonly nullifierHash: string) {
+        super(
+            `The note with nullifier hash ${nullifierHash} has already been withdrawn`,
+            "Mixer__NullifierAlreadyUsed",
+            [nullifierHash]
+        )
+    }
+}
+
+export class MixerUnknownRootError extends ContractError {
+    constructor(public readonly root: string) {
+        super(
+            `Merkle root ${root} is not one of the pool's recent roots, generate the proof again`,
+            "Mixer__UnknownRoot",
+            [root]
+        )
+    }
+}
+
+export class MixerInvalidProofError extends ContractError {
+    constructor() {
+        super(
+            "The verifier rejected the withdrawal proof",
+            "Mixer__InvalidProof"
+        )
+    }
+}
+
+export class MixerWithdrawFailedError extends ContractError {
+    constructor(public readonly recipient: string) {
+        super(
+            `Sending the withdrawal to ${recipient} failed`,
+            "Mixer__WithdrawFailed",
+            [recipient]
+        )
+    }
+}
+
+export class MixerFeeExceedsDepositAmountError extends ContractError {
+    constructor(
+        public readonly fee: bigint,
+        public readonly depositAmount: bigint
+    ) {
+        super(
+            `Fee ${fee} exceeds the deposit amount ${depositAmount}`,
+            "Mixer__FeeExceedsDepositAmount",
+            [fee, depositAmount]
+        )
+    }
+}
+
+export class MixerFeeWithoutRelayerError extends ContractError {
+    constructor(public readonly fee: bigint) {
+        super(
+            `A fee of ${fee} needs a relayer to be paid to`,
+            "Mixer__FeeWithoutRelayer",
+            [fee]
+        )
+    }
+}
+
+export class MixerEtherNotAcceptedError extends ContractError {
+    constructor(public readonly amountSent: bigint) {
+        super(
+            `The pool takes a token, not ETH (${amountSent} wei was sent)`,
+            "Mixer__EtherNotAccepted",
+            [amountSent]
+        )
+    }
+}
+
+export class TreeIsFullError extends ContractError {
+    constructor() {
+        super(
+            "The pool's Merkle tree is full, deposit into another pool",
+            "IncrementalMerkleTree__TreeIsFull"
+        )
+    }
+}
+
+export class PanagramMinRoundDurationNotMetError extends ContractError {
+    constructor(public readonly timeLeft: bigint) {
+        super(
+            `The round can only be ended in ${timeLeft} seconds`,
+            "Panagram__MinRoundDurationNotMet",
+            [timeLeft]
+        )
+    }
+}
+
+export class PanagramNoRoundWinnerError extends ContractError {
+    constructor() {
+        super(
+            "The round can't be ended before someone has guessed the answer",
+            "Panagram__NoRoundWinner"
+        )
+    }
+}
+
+export class PanagramGameNotStartedError extends ContractError {
+    constructor() {
+        super("No round has been started yet", "Panagram__GameNotStarted")
+    }
+}
+
+export class PanagramAlreadyGuessedThisRoundError extends ContractError {
+    constructor() {
+        super(
+            "This account has already guessed the answer of this round",
+            "Panagram__AlreadyGuessedThisRound"
+        )
+    }
+}
+
+export class PanagramInvalidProofError extends ContractError {
+    constructor() {
+        super("The verifier rejected the guess proof", "Panagram__InvalidProof")
+    }
+}
+
+// Typed exception of every custom error the SDK knows, by name
+const KNOWN_ERRORS: Record<string, (args: ethers.Result) => ContractError> = {
+    Mixer__CommitmentAlreadyExists: ([commitment]) =>
+        new MixerCommitmentAlreadyExistsError(commitment),
+    Mixer__DepositAmountNotMet: ([amountSent, requiredAmount]) =>
+        new MixerDepositAmountNotMetError(amountSent, requiredAmount),
+    Mixer__NullifierAlreadyUsed: ([nullifierHash]) =>
+        new MixerNullifierAlreadyUsedError(nullifierHash),
+    Mixer__UnknownRoot: ([root]) => new MixerUnknownRootError(root),
+    Mixer__InvalidProof: () => new MixerInvalidProofError(),
+    Mixer__WithdrawFailed: ([recipient]) =>
+        new MixerWithdrawFailedError(recipient),
+    Mixer__FeeExceedsDepositAmount: ([fee, depositAmount]) =>
+        new MixerFeeExceedsDepositAmountError(fee, depositAmount),
+    Mixer__FeeWithoutRelayer: ([fee]) => new MixerFeeWithoutRelayerError(fee),
+    Mixer__EtherNotAccepted: ([amountSent]) =>
+        new MixerEtherNotAcceptedError(amountSent),
+    IncrementalMerkleTree__TreeIsFull: () => new TreeIsFullError(),
+    Panagram__MinRoundDurationNotMet: ([timeLeft]) =>
+        new PanagramMinRoundDurationNotMetError(timeLeft),
+    Panagram__NoRoundWinner: () => new PanagramNoRoundWinnerError(),
+    Panagram__GameNotStarted: () => new PanagramGameNotStartedError(),
+    Panagram__AlreadyGuessedThisRound: () =>
+        new PanagramAlreadyGuessedThisRoundError(),
+    Panagram__InvalidProof: () => new PanagramInvalidProofError(),
+}
+
+// Revert data of a failed call, wherever the provider put it
+function revertData(error: any, depth = 0): string | null {
+    if (!error || typeof error !== "object" || depth > 4) return null
+    if (typeof error.data === "string" && ethers.isHexString(error.data)) {
+        return error.data
+    }
+    return (
+        revertData(error.error, depth + 1) ??
+        revertData(error.info?.error, depth + 1) ??
+        revertData(error.cause, depth + 1)
+    )
+}
+
+/**
+ * Turns a revert with a custom error of the given ABI into a ContractError,
+ * or one of its typed subclasses when the SDK knows the error
+ * @returns the error unchanged when it has no revert data the ABI decodes
+ */
+export function decodeContractError(
+    error: unknown,
+    contractInterface: ethers.Interface
+): unknown {
+    if (error instanceof ContractError) return error
+    const data = revertData(error)
+    if (!data || data === "0x") return error
+
+    let decoded: ethers.ErrorDescription | null = null
+    try {
+        decoded = contractInterface.parseError(data)
+    } catch {
+        // Not one of the ABI's errors, e.g. a plain require message
+    }
+    if (!decoded) return error
+
+    const known = KNOWN_ERRORS[decoded.name]
+    if (known) return known(decoded.args)
+    const args = decoded.args.toArray()
+    return new ContractError(
+        `Reverted with ${decoded.name}(${args.join(", ")})`,
+        decoded.name,
+        args
+    )
+}
+
+/**
+ * Runs a contract call, throwing decoded errors for its reverts
+ */
+export async function withContractErrors<T>(
+    contractInterface: ethers.Interface,
+    action: () => Promise<T>
+): Promise<T> {
+    try {
+        return await action()
+    } catch (error) {
+        throw decodeContractError(error, contractInterface)
+    }
+}
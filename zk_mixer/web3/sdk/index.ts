@@ -0,0 +1,25 @@
+/**
+ * TypeScript SDK for the Mixer and Panagram contracts
+ *
+ *   import { MixerClient, MixerUnknownRootError } from "./sdk"
+ */
+
+export * from "./contracts"
+export * from "./errors"
+export * from "./mixerClient"
+export * from "./panagramClient"
+export * from "../scripts/fields"
+export {
+    DepositNote,
+    createNote,
+    generateNote,
+    parseNote,
+    serializeNote,
+} from "../scripts/note"
+export {
+    AnonymityReport,
+    WithdrawalPrivacyOptions,
+    analyzeAnonymitySet,
+    anonymityReportForNote,
+    fetchMixerActivity,
+} from "../scripts/anonymitySet"
@@ -0,0 +1,225 @@
+import { ethers } from "ethers"
+
+import { DepositNote, noteToCommitmentData, parseNote } from "../scripts/note"
+import type {
+    GenerateProofOptions,
+    WithdrawalProof,
+} from "../scripts/generateProof"
+import { toBytes32 } from "../scripts/fields"
+import { MixerContract, connectERC20, connectMixer } from "./contracts"
+import { withContractErrors } from "./errors"
+
+export interface MixerState {
+    address: string
+    chainId: bigint
+    // ethers.ZeroAddress for an ETH pool
+    token: string
+    // Deposit amount in wei, or the token's smallest unit
+    denomination: bigint
+    root: string
+    leafCount: bigint
+    capacity: bigint
+    treeDepth: bigint
+    // Deposits the pool holds, in the same unit as denomination
+    balance: bigint
+}
+
+export interface DepositReceipt {
+    commitment: string
+    leafIndex: bigint
+    transactionHash: string
+}
+
+export interface WithdrawReceipt {
+    nullifierHash: string
+    recipient: string
+    relayer: string
+    fee: bigint
+    transactionHash: string
+}
+
+// What withdraw passes on to generateProof; the pool and provider are the client's
+export type WithdrawOptions = Omit<
+    GenerateProofOptions,
+    "mixerAddress" | "provider" | "rpcUrl" | "registryPath"
+>
+
+// Proof and public inputs submitWithdrawal sends, as returned by generateProof
+export type WithdrawalSubmission = Pick<
+    WithdrawalProof,
+    "hexProof" | "root" | "nullifierHash" | "recipient" | "relayer" | "fee"
+>
+
+/**
+ * One Mixer pool. Reads need a provider, deposits and withdrawals a signer;
+ * reverts are thrown as the typed errors of errors.ts.
+ *
+ *   const mixer = new MixerClient(note.mixerAddress, signer)
+ *   await mixer.deposit(note)
+ *   await mixer.withdraw(note, recipient)
+ */
+export class MixerClient {
+    readonly contract: MixerContract
+
+    constructor(
+        readonly address: string,
+        private readonly runner: ethers.Signer | ethers.Provider
+    ) {
+        this.contract = connectMixer(address, runner)
+    }
+
+    async getState(): Promise<MixerState> {
+        const provider = this.provider()
+        const [network, token, denomination, root, leafCount, capacity] =
+            await Promise.all([
+                provider.getNetwork(),
+                this.contract.i_token(),
+                this.contract.DEPOSIT_AMOUNT(),
+                this.contract.getRoot(),
+                this.contract.getLeafCount(),
+                this.contract.getCapacity(),
+            ])
+        const balance =
+            token === ethers.ZeroAddress
+                ? await provider.getBalance(this.address)
+                : await connectERC20(token, provider).balanceOf(this.address)
+        return {
+            address: this.address,
+            chainId: network.chainId,
+            token,
+            denomination,
+            root,
+            leafCount,
+            capacity,
+            treeDepth: await this.contract.TREE_DEPTH(),
+            balance,
+        }
+    }
+
+    /**
+     * Deposits the note's commitment, approving the pool's token first
+     * when the allowance doesn't cover the deposit
+     * @throws if the note is for another pool or chain
+     */
+    async deposit(note: string | DepositNote): Promise<DepositReceipt> {
+        const signer = this.signer()
+        const depositNote = await this.checkNote(note)
+        const { commitment } = await noteToCommitmentData(depositNote)
+
+        return withContractErrors(this.contract.interface, async () => {
+            let value = depositNote.denomination
+            if (depositNote.token !== ethers.ZeroAddress) {
+                value = 0n
+                const token = connectERC20(depositNote.token, signer)
+                const allowance = await token.allowance(
+                    await signer.getAddress(),
+                    this.address
+                )
+                if (allowance < depositNote.denomination) {
+                    const approval = await token.approve(
+                        this.address,
+                        depositNote.denomination
+                    )
+                    await approval.wait()
+                }
+            }
+            const tx = await this.contract.deposit(commitment, { value })
+            const receipt = await tx.wait()
+            const event = receipt!.logs
+                .map((log) => this.contract.interface.parseLog(log))
+                .find((parsed) => parsed?.name === "Mixer__Deposit")
+            return {
+                commitment,
+                leafIndex: event!.args.leafIndex,
+                transactionHash: receipt!.hash,
+            }
+        })
+    }
+
+    /**
+     * Proves the withdrawal against the pool's current tree and submits it
+     * from the client's signer. Set options.relayer and options.fee to pay
+     * an address other than the recipient for the gas. Set options.privacy
+     * to refuse a withdrawal that is easy to link to its deposit.
+     */
+    async withdraw(
+        note: string | DepositNote,
+        recipient: string,
+        options: WithdrawOptions = {}
+    ): Promise<WithdrawReceipt> {
+        const depositNote = await this.checkNote(note)
+        // Loaded here as it reads the compiled circuit, which reads and deposits don't need
+        const { generateProof } = await import("../scripts/generateProof")
+        const proof = await generateProof(depositNote, recipient, [], {
+            ...options,
+            mixerAddress: this.address,
+            provider: this.provider(),
+        })
+        return this.submitWithdrawal(proof)
+    }
+
+    /**
+     * Sends Mixer.withdraw for a proof made elsewhere, e.g. on a prover pool
+     */
+    async submitWithdrawal(
+        proof: WithdrawalSubmission
+    ): Promise<WithdrawReceipt> {
+        this.signer()
+        return withContractErrors(this.contract.interface, async () => {
+            const tx = await this.contract.withdraw(
+                proof.hexProof,
+                toBytes32(proof.root, "root"),
+                toBytes32(proof.nullifierHash, "nullifierHash"),
+                proof.recipient,
+                proof.relayer,
+                proof.fee
+            )
+            const receipt = await tx.wait()
+            return {
+                nullifierHash: toBytes32(proof.nullifierHash),
+                recipient: ethers.getAddress(proof.recipient),
+                relayer: ethers.getAddress(proof.relayer),
+                fee: proof.fee,
+                transactionHash: receipt!.hash,
+            }
+        })
+    }
+
+    // A parsed note, checked to be for this pool on the connected chain
+    private async checkNote(note: string | DepositNote): Promise<DepositNote> {
+        const depositNote = typeof note === "string" ? parseNote(note) : note
+        if (
+            depositNote.mixerAddress.toLowerCase() !==
+            this.address.toLowerCase()
+        ) {
+            throw new Error(
+                `Note is for mixer ${depositNote.mixerAddress}, not ${this.address}`
+            )
+        }
+        const { chainId } = await this.provider().getNetwork()
+        if (chainId !== depositNote.chainId) {
+            throw new Error(
+                `Note is for chain ${depositNote.chainId}, provider is on chain ${chainId}`
+            )
+        }
+        return depositNote
+    }
+
+    private provider(): ethers.Provider {
+        const provider =
+            "getAddress" in this.runner ? this.runner.provider : this.runner
+        if (!provider) {
+            throw new Error("The signer is not connected to a provider")
+        }
+        return provider
+    }
+
+    private signer(): ethers.Signer {
+        if (!("getAddress" in this.runner)) {
+            throw new Error(
+                "Deposits and withdrawals need a signer, not a provider"
+            )
+        }
+        return this.runner
+    }
+}
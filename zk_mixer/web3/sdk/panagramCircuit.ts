@@ -0,0 +1,8 @@
+import path from "path"
+
+// Compiled circuit, generated by 'nargo compile' in zk_panagram/circuit.
+// Node only, panagramClient loads it when it has to find the circuit itself
+export const PANAGRAM_CIRCUIT_PATH = path.resolve(
+    __dirname,
+    "../../../zk_panagram/circuit/target/zk_panagram.json"
+)
@@ -0,0 +1,266 @@
+import { Barretenberg, Fr, UltraHonkBackend } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+import { ethers } from "ethers"
+import fs from "fs"
+
+import {
+    addressToField,
+    answerPreimage,
+    decodeScramble,
+    toBytes32,
+    wordToLetters,
+} from "../scripts/fields"
+import type { InputMap } from "../scripts/proverToml"
+import type { ProverPool } from "../scripts/proverPool"
+import { PanagramContract, connectPanagram } from "./contracts"
+import {
+    PanagramAlreadyGuessedThisRoundError,
+    PanagramGameNotStartedError,
+    withContractErrors,
+} from "./errors"
+
+// Everything a guess is proven against
+export interface PanagramRound {
+    round: bigint
+    answerHash: string
+    salt: string
+    scramble: string
+    startTime: bigint
+    // null until someone has guessed the answer
+    winner: string | null
+    panagramAddress: string
+}
+
+export interface GuessReceipt {
+    round: bigint
+    // First correct guess of the round, rewarded with the winner token
+    isWinner: boolean
+    tokenId: bigint
+    transactionHash: string
+}
+
+// Proves a guess from its circuit inputs, for provers other than the built-in one
+export type GuessProver = (inputs: InputMap) => Promise<{ hexProof: string }>
+
+export interface PanagramClientOptions {
+    // Compiled circuit, defaults to PANAGRAM_CIRCUIT_PATH of panagramCircuit.ts
+    circuitPath?: string
+    // Prove on this pool's threads instead of in this thread
+    pool?: ProverPool
+    // Or with this function, e.g. a remote prover
+    prover?: GuessProver
+}
+
+/**
+ * The Panagram game. Reads need a provider, guesses a signer; reverts are
+ * thrown as the typed errors of errors.ts. destroy() releases the prover.
+ *
+ *   const game = new PanagramClient(address, signer)
+ *   const { scramble } = await game.currentRound()
+ *   const { isWinner } = await game.guess("triangles")
+ */
+export class PanagramClient {
+    readonly contract: PanagramContract
+    private prover: { noir: Noir; honk: UltraHonkBackend } | null = null
+    // Hashes guesses before they are proven, created on the first one
+    private bb: Barretenberg | null = null
+
+    constructor(
+        readonly address: string,
+        private readonly runner: ethers.Signer | ethers.Provider,
+        private readonly options: PanagramClientOptions = {}
+    ) {
+        this.contract = connectPanagram(address, runner)
+    }
+
+    /**
+     * @throws PanagramGameNotStartedError before the first round
+     */
+    async currentRound(): Promise<PanagramRound> {
+        const [round, answerHash, salt, scramble, startTime, winner] =
+            await Promise.all([
+                this.contract.s_currentRound(),
+                this.contract.s_correctAnswerHash(),
+                this.contract.s_salt(),
+                this.contract.s_scramble(),
+                this.contract.s_roundStartTime(),
+                this.contract.s_currentRoundWinner(),
+            ])
+        if (round === 0n) {
+            throw new PanagramGameNotStartedError()
+        }
+        return {
+            round,
+            answerHash,
+            salt,
+            scramble: decodeScramble(scramble),
+            startTime,
+            winner: winner === ethers.ZeroAddress ? null : winner,
+            panagramAddress: ethers.getAddress(this.address),
+        }
+    }
+
+    /**
+     * Proves the word is the answer of the current round and submits it.
+     * The word is checked first, so no time is spent proving a wrong guess.
+     * @throws PanagramAlreadyGuessedThisRoundError after a correct guess this round
+     */
+    async guess(word: string): Promise<GuessReceipt> {
+        const signer = this.signer()
+        const player = await signer.getAddress()
+        const round = await this.currentRound()
+        if (
+            (await this.contract.s_lastCorrectGuessRound(player)) ===
+            round.round
+        ) {
+            throw new PanagramAlreadyGuessedThisRoundError()
+        }
+        const sorted = (letters: string) => [...letters].sort().join("")
+        if (sorted(word) !== sorted(round.scramble)) {
+            throw new Error(
+                `"${word}" is not an anagram of "${round.scramble}"`
+            )
+        }
+        if (
+            BigInt(await commitWord(word, round.salt, await this.hasher())) !==
+            BigInt(round.answerHash)
+        ) {
+            throw new Error(`"${word}" is not the answer of this round`)
+        }
+
+        const { hexProof } = await this.prove(guessInputs(word, round, player))
+        return withContractErrors(this.contract.interface, async () => {
+            const tx = await this.contract.makeGuess(hexProof)
+            const receipt = await tx.wait()
+            const event = receipt!.logs
+                .map((log) => this.contract.interface.parseLog(log))
+                .find((parsed) => parsed?.name === "Panagram__CorrectGuess")
+            return {
+                round: event!.args.round,
+                isWinner: event!.args.isWinner,
+                tokenId: event!.args.tokenId,
+                transactionHash: receipt!.hash,
+            }
+        })
+    }
+
+    /**
+     * Calls onRound with every round started from now on
+     * @returns a function that stops watching
+     */
+    watchRounds(
+        onRound: (round: PanagramRound) => void,
+        onError: (error: unknown) => void = console.error
+    ): () => void {
+        const listener = () => this.currentRound().then(onRound, onError)
+        const event = this.contract.getEvent("Panagram__NewRoundStarted")
+        this.contract.on(event, listener).catch(onError)
+        return () => {
+            this.contract.off(event, listener).catch(onError)
+        }
+    }
+
+    /**
+     * Releases the in-thread prover and hasher, a pool passed in is left running
+     */
+    async destroy() {
+        await this.prover?.honk.destroy()
+        await this.bb?.destroy()
+        this.prover = null
+        this.bb = null
+    }
+
+    private async hasher(): Promise<Barretenberg> {
+        if (!this.bb) {
+            this.bb = await Barretenberg.new({ threads: 1 })
+        }
+        return this.bb
+    }
+
+    private async prove(inputs: InputMap): Promise<{ hexProof: string }> {
+        if (this.options.prover) {
+            return this.options.prover(inputs)
+        }
+        if (this.options.pool) {
+            return this.options.pool.prove({
+                circuitPath: await this.circuitPath(),
+                inputs,
+                label: "guess",
+            })
+        }
+        if (!this.prover) {
+            const circuit = JSON.parse(
+                fs.readFileSync(await this.circuitPath(), "utf8")
+            )
+            this.prover = {
+                noir: new Noir(circuit),
+                honk: new UltraHonkBackend(circuit.bytecode, { threads: 1 }),
+            }
+        }
+        const { witness } = await this.prover.noir.execute(inputs)
+        // Keccak transcript, as the Solidity verifier expects
+        const { proof } = await this.prover.honk.generateProof(witness, {
+            keccak: true,
+        })
+        return { hexProof: ethers.hexlify(proof) }
+    }
+
+    private async circuitPath(): Promise<string> {
+        if (this.options.circuitPath) {
+            return this.options.circuitPath
+        }
+        // Loaded here as the default is resolved from this file's directory,
+        // which a browser with its own prover doesn't have
+        const { PANAGRAM_CIRCUIT_PATH } = await import("./panagramCircuit")
+        return PANAGRAM_CIRCUIT_PATH
+    }
+
+    private signer(): ethers.Signer {
+        if (!("getAddress" in this.runner)) {
+            throw new Error("Guesses need a signer, not a provider")
+        }
+        return this.runner
+    }
+}
+
+/**
+ * Circuit inputs of a guess, as toCircuitInputs in zk_panagram/web3/scripts/generate-proof.mjs
+ */
+export function guessInputs(
+    word: string,
+    round: PanagramRound,
+    player: string
+): InputMap {
+    return {
+        guess: wordToLetters(word).map(String),
+        answer_hash: toBytes32(round.answerHash, "answer hash"),
+        prover_address: addressToField(player),
+        round: toBytes32(round.round, "round"),
+        panagram_address: addressToField(round.panagramAddress),
+        salt: toBytes32(round.salt, "salt"),
+        scramble: wordToLetters(round.scramble).map(String),
+    }
+}
+
+/**
+ * Poseidon2 of the salt followed by the word's letters, as answers are stored on-chain
+ * @param bb - Optional Barretenberg instance to hash with. When omitted one is
+ *             created for this call and destroyed after it
+ */
+export async function commitWord(
+    word: string,
+    salt: string | bigint,
+    bb: Barretenberg | null = null
+): Promise<string> {
+    const hasher = bb ?? (await Barretenberg.new({ threads: 1 }))
+    try {
+        const preimage = answerPreimage(word, salt).map(
+            (value) => new Fr(value)
+        )
+        return (await hasher.poseidon2Hash(preimage)).toString()
+    } finally {
+        if (!bb) {
+            await hasher.destroy()
+        }
+    }
+}
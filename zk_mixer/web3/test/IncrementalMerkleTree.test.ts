@@ -0,0 +1,82 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Barretenberg, Fr } from "@aztec/bb.js"
+
+import {
+    computeZeroValues,
+    verifyZeroValues,
+    merkleTree,
+    MAX_TREE_DEPTH,
+    // @ts-ignore - JavaScript module without TypeScript declarations
+} from "../scripts/merkleTree.js"
+
+describe("IncrementalMerkleTree zero values", function () {
+    this.timeout(120000)
+
+    let bb: Barretenberg
+    let zeros: string[]
+
+    before(async function () {
+        bb = await Barretenberg.new()
+        zeros = await computeZeroValues(MAX_TREE_DEPTH, bb)
+    })
+
+    after(async function () {
+        await bb.destroy()
+    })
+
+    it("Should match getZeroHash and getPrecomputedZeroHash at every level", async function () {
+        // getPrecomputedZeroHash covers all MAX_DEPTH levels whatever the depth,
+        // getZeroHash re-hashes on every call so a shallow tree keeps this quick
+        const tree = await ethers.deployContract("IncrementalMerkleTree", [8])
+
+        const mismatches = await verifyZeroValues(tree, zeros)
+        expect(mismatches).to.deep.equal([])
+    })
+
+    for (const depth of [1, 4, 20]) {
+        it(`Should start from the same empty root at depth ${depth}`, async function () {
+            const contract = await ethers.deployContract(
+                "IncrementalMerkleTree",
+                [depth]
+            )
+            const tree = await merkleTree([], { depth, bb })
+
+            expect(await contract.getRoot()).to.equal(zeros[depth])
+            expect(tree.root()).to.equal(zeros[depth])
+            await tree.dispose()
+        })
+    }
+
+    it("Should agree with the Mixer root after deposits at a custom depth", async function () {
+        const depth = 5
+        const [owner] = await ethers.getSigners()
+        // The verifier is only called on withdraw, so any address will do here
+        const mixer = await ethers.deployContract("Mixer", [
+            owner.address,
+            depth,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        const amount = await mixer.DEPOSIT_AMOUNT()
+
+        const leaves: string[] = []
+        for (let i = 0; i < 6; i++) {
+            const leaf = Fr.random().toString()
+            leaves.push(leaf)
+            await mixer.deposit(leaf, { value: amount })
+        }
+
+        const tree = await merkleTree(leaves, { depth, bb })
+        expect(tree.root()).to.equal(await mixer.getRoot())
+        await tree.dispose()
+    })
+
+    it("Should reject depths the contract would reject", async function () {
+        for (const depth of [0, MAX_TREE_DEPTH + 1, 2.5]) {
+            await expect(merkleTree([], { depth, bb })).to.be.rejectedWith(
+                `Tree depth must be an integer between 1 and ${MAX_TREE_DEPTH}`
+            )
+        }
+    })
+})
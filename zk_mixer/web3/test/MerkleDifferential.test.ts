@@ -0,0 +1,296 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Barretenberg, Fr } from "@aztec/bb.js"
+import { Noir } from "@noir-lang/noir_js"
+
+import { CIRCUIT_DIR, compileCircuit } from "../scripts/compileCircuit"
+import { FIELD_MODULUS } from "../scripts/generateCommitment"
+import {
+    ROOT_HISTORY_SIZE,
+    merkleTree,
+    // @ts-ignore - JavaScript module without TypeScript declarations
+} from "../scripts/merkleTree.js"
+
+// Rerun a failure with FUZZ_SEED=<seed> from the log
+const SEED = Number(process.env.FUZZ_SEED ?? Date.now() % 2 ** 32)
+
+// Small seeded generator (mulberry32), so a failing run can be replayed
+function random(seed: number) {
+    let state = seed >>> 0
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32
+    }
+    return {
+        int: (max: number) => Math.floor(next() * max),
+        // A leaf the contract accepts: non-zero and below the field modulus,
+        // with the values at either end of that range now and then
+        leaf: (): string => {
+            const pick = next()
+            let value: bigint
+            if (pick < 0.05) {
+                value = 1n
+            } else if (pick < 0.1) {
+                value = FIELD_MODULUS - 1n
+            } else {
+                value = 0n
+                for (let i = 0; i < 8; i++) {
+                    value =
+                        (value << 32n) | BigInt(Math.floor(next() * 2 ** 32))
+                }
+                value = (value % (FIELD_MODULUS - 1n)) + 1n
+            }
+            return ethers.toBeHex(value, 32)
+        },
+    }
+}
+
+describe("Merkle tree implementations agree", function () {
+    this.timeout(600000)
+
+    let bb: Barretenberg
+    let rng: ReturnType<typeof random>
+
+    // Root compute_merkle_root in main.nr gets from a PoseidonTree proof
+    async function rootFromPath(
+        leaf: string,
+        pathElements: string[],
+        pathIndices: number[]
+    ) {
+        let current = Fr.fromString(leaf)
+        for (const [level, sibling] of pathElements.entries()) {
+            const other = Fr.fromString(sibling)
+            current = await bb.poseidon2Hash(
+                pathIndices[level] % 2 === 0
+                    ? [current, other]
+                    : [other, current]
+            )
+        }
+        return current.toString()
+    }
+
+    // Inserts the same leaves into both trees, comparing roots after each one
+    async function insertBoth(contract: any, tree: any, leaves: string[]) {
+        const roots: string[] = []
+        for (const leaf of leaves) {
+            const index = Number(await contract.insert.staticCall(leaf))
+            await contract.insert(leaf)
+            await tree.insert(leaf)
+            expect(index).to.equal(tree.totalLeaves - 1)
+            expect(tree.root()).to.equal(
+                await contract.getRoot(),
+                `root after leaf ${index}`
+            )
+            roots.push(tree.root())
+        }
+        return roots
+    }
+
+    before(async function () {
+        bb = await Barretenberg.new()
+        console.log(`🎲 FUZZ_SEED=${SEED}`)
+    })
+
+    beforeEach(function () {
+        rng = random(SEED)
+    })
+
+    afterEach(function () {
+        if (this.currentTest?.state === "failed") {
+            console.log(`🎲 Replay with FUZZ_SEED=${SEED}`)
+        }
+    })
+
+    after(async function () {
+        await bb.destroy()
+    })
+
+    it("Should give the same root after every random insert", async function () {
+        const depth = 6
+        const contract = await ethers.deployContract("MerkleTreeHarness", [
+            depth,
+        ])
+        const tree = await merkleTree([], { depth, bb })
+        expect(tree.root()).to.equal(await contract.getRoot())
+
+        const leaves = Array.from({ length: 20 + rng.int(20) }, rng.leaf)
+        await insertBoth(contract, tree, leaves)
+
+        // Bulk insertion takes another code path to the same root
+        const bulk = await merkleTree(leaves, { depth, bb })
+        expect(bulk.root()).to.equal(tree.root())
+
+        // Every path leads back to the root, as the circuit recomputes it
+        for (let i = 0; i < 10; i++) {
+            const index = rng.int(leaves.length)
+            const { leaf, root, pathElements, pathIndices } = tree.proof(index)
+            expect(leaf).to.equal(leaves[index])
+            expect(pathElements).to.have.length(depth)
+            expect(
+                await rootFromPath(leaf, pathElements, pathIndices)
+            ).to.equal(root)
+            expect(bulk.proof(index)).to.deep.equal(tree.proof(index))
+        }
+        await tree.dispose()
+        await bulk.dispose()
+    })
+
+    it("Should agree on the first and last leaf of a full tree", async function () {
+        const depth = 3
+        const contract = await ethers.deployContract("MerkleTreeHarness", [
+            depth,
+        ])
+        const tree = await merkleTree([], { depth, bb })
+        const leaves = Array.from({ length: 2 ** depth }, rng.leaf)
+        await insertBoth(contract, tree, leaves)
+
+        expect(await contract.isFull()).to.equal(true)
+        for (const index of [0, leaves.length - 1]) {
+            const { leaf, root, pathElements, pathIndices } = tree.proof(index)
+            expect(
+                await rootFromPath(leaf, pathElements, pathIndices)
+            ).to.equal(await contract.getRoot())
+            // The first leaf is left all the way up, the last one right
+            expect(pathIndices).to.deep.equal(
+                Array(depth).fill(index === 0 ? 0 : 1)
+            )
+            expect(root).to.equal(await contract.getRoot())
+        }
+
+        await expect(contract.insert(rng.leaf())).to.be.revertedWithCustomError(
+            contract,
+            "IncrementalMerkleTree__TreeIsFull"
+        )
+        let error: unknown
+        try {
+            await tree.insertMany([rng.leaf()])
+        } catch (e) {
+            error = e
+        }
+        expect(error)
+            .to.be.an("error")
+            .with.property("message", "Tree is full.")
+        await tree.dispose()
+    })
+
+    it("Should keep the same ring buffer of recent roots", async function () {
+        const depth = 6
+        const contract = await ethers.deployContract("MerkleTreeHarness", [
+            depth,
+        ])
+        const tree = await merkleTree([], { depth, bb })
+        const emptyRoot = tree.root()
+        const inserts = ROOT_HISTORY_SIZE + 1 + rng.int(ROOT_HISTORY_SIZE)
+        const roots = [
+            emptyRoot,
+            ...(await insertBoth(
+                contract,
+                tree,
+                Array.from({ length: inserts }, rng.leaf)
+            )),
+        ]
+
+        // Slot i holds the root after the latest k inserts with k % size == i
+        const history: string[] = await contract.getRootHistory()
+        expect(history).to.have.length(ROOT_HISTORY_SIZE)
+        for (let slot = 0; slot < ROOT_HISTORY_SIZE; slot++) {
+            const k = inserts - ((inserts - slot) % ROOT_HISTORY_SIZE)
+            expect(history[slot]).to.equal(roots[k], `slot ${slot}`)
+        }
+        expect(await contract.getCurrentRootIndex()).to.equal(
+            BigInt(inserts % ROOT_HISTORY_SIZE)
+        )
+
+        // Both sides know the last ROOT_HISTORY_SIZE roots and nothing older
+        const recent = roots.slice(-ROOT_HISTORY_SIZE)
+        expect(tree.rootHistory.map(({ root }: any) => root)).to.deep.equal(
+            recent
+        )
+        for (const [k, root] of roots.entries()) {
+            const known = k > inserts - ROOT_HISTORY_SIZE
+            expect(await contract.isKnownRoot(root)).to.equal(
+                known,
+                `root ${k}`
+            )
+            expect(tree.isKnownRoot(root)).to.equal(known, `root ${k}`)
+        }
+        await tree.dispose()
+    })
+
+    describe("with the compiled circuit", function () {
+        let noir: Noir
+        let depth: number
+
+        // Compiled from main.nr, so the paths are checked against the
+        // circuit as it is now
+        before(async function () {
+            const circuit = await compileCircuit(CIRCUIT_DIR)
+            noir = new Noir(circuit)
+            depth = circuit.abi.parameters.find(
+                (param: any) => param.name === "merkle_proof"
+            ).type.length
+        })
+
+        // Executes the circuit for the note at index; it only succeeds when
+        // compute_merkle_root gets the root from the path
+        async function execute(
+            tree: any,
+            index: number,
+            note: { nullifier: Fr; secret: Fr },
+            tamper?: (pathElements: string[]) => void
+        ) {
+            const { root, pathElements, pathIndices } = tree.proof(index)
+            tamper?.(pathElements)
+            return noir.execute({
+                root,
+                nullifier_hash: (
+                    await bb.poseidon2Hash([note.nullifier])
+                ).toString(),
+                recipient: ethers.toBeHex(1, 32),
+                relayer: ethers.toBeHex(0, 32),
+                fee: ethers.toBeHex(0, 32),
+                nullifier: note.nullifier.toString(),
+                secret: note.secret.toString(),
+                merkle_proof: pathElements,
+                is_even: pathIndices.map((i: number) => i % 2 === 0),
+            })
+        }
+
+        it("Should accept PoseidonTree paths for the first, a random and the latest leaf", async function () {
+            const notes = Array.from({ length: 12 + rng.int(12) }, () => ({
+                nullifier: Fr.fromString(rng.leaf()),
+                secret: Fr.fromString(rng.leaf()),
+            }))
+            const commitments = await Promise.all(
+                notes.map(async ({ nullifier, secret }) =>
+                    (await bb.poseidon2Hash([nullifier, secret])).toString()
+                )
+            )
+            const contract = await ethers.deployContract("MerkleTreeHarness", [
+                depth,
+            ])
+            const tree = await merkleTree([], { depth, bb })
+            await insertBoth(contract, tree, commitments)
+
+            for (const index of [
+                0,
+                1 + rng.int(notes.length - 2),
+                notes.length - 1,
+            ]) {
+                await execute(tree, index, notes[index])
+            }
+
+            // A wrong sibling anywhere on the path gives another root
+            const level = rng.int(depth)
+            await expect(
+                execute(tree, 0, notes[0], (pathElements) => {
+                    pathElements[level] = rng.leaf()
+                })
+            ).to.be.rejectedWith("Merkle root does not match")
+            await tree.dispose()
+        })
+    })
+})
@@ -0,0 +1,329 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+
+import { generateCommitment } from "../scripts/generateCommitment"
+import { createNote, serializeNote } from "../scripts/note"
+import { CIRCUIT_DIR, compileCircuit } from "../scripts/compileCircuit"
+import { CIRCUIT_PATH } from "../scripts/verifyProof"
+
+describe("Mixer deposit and withdraw", function () {
+    this.timeout(600000)
+
+    // generateProof reads the compiled circuit when it is loaded, so it is
+    // only imported by the proof tests once they compiled the circuit
+    let prover: typeof import("../scripts/generateProof") | null = null
+    let verifier: any
+    let mixer: any
+    let amount: bigint
+    let recipient: any
+    let relayer: any
+
+    // Deposits a fresh commitment and returns its note
+    async function deposit() {
+        const data = await generateCommitment()
+        await mixer.deposit(data.commitment, { value: amount })
+        const { chainId } = await ethers.provider.getNetwork()
+        const noteString = serializeNote(
+            createNote(data, {
+                chainId,
+                mixerAddress: await mixer.getAddress(),
+                denomination: amount,
+            })
+        )
+        return { noteString, data }
+    }
+
+    function withdraw(proof: any, overrides: { recipient?: string } = {}) {
+        return mixer.withdraw(
+            proof.hexProof,
+            proof.root,
+            proof.nullifierHash,
+            overrides.recipient ?? proof.recipient,
+            proof.relayer,
+            proof.fee
+        )
+    }
+
+    beforeEach(async function () {
+        ;[, recipient, relayer] = await ethers.getSigners()
+
+        verifier = await ethers.deployContract("HonkVerifier")
+        // The contract tree has to be as deep as the circuit's merkle proof
+        mixer = await ethers.deployContract("Mixer", [
+            await verifier.getAddress(),
+            prover?.TREE_DEPTH ?? 20,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        amount = await mixer.DEPOSIT_AMOUNT()
+    })
+
+    it("Should only accept the exact deposit amount", async function () {
+        const { commitment } = await generateCommitment()
+
+        await expect(mixer.deposit(commitment, { value: amount - 1n }))
+            .to.be.revertedWithCustomError(mixer, "Mixer__DepositAmountNotMet")
+            .withArgs(amount - 1n, amount)
+        await expect(mixer.deposit(commitment, { value: amount * 2n }))
+            .to.be.revertedWithCustomError(mixer, "Mixer__DepositAmountNotMet")
+            .withArgs(amount * 2n, amount)
+
+        await expect(mixer.deposit(commitment, { value: amount }))
+            .to.emit(mixer, "Mixer__Deposit")
+            .withArgs(commitment, 0, (timestamp: bigint) => timestamp > 0n)
+        await expect(
+            mixer.deposit(commitment, { value: amount })
+        ).to.be.revertedWithCustomError(mixer, "Mixer__CommitmentAlreadyExists")
+    })
+
+    it("Should refuse withdrawals against an unknown root", async function () {
+        await deposit()
+        const root = Fr.random().toString()
+
+        // The root is checked before the proof, so an empty proof will do
+        await expect(
+            mixer.withdraw(
+                "0x",
+                root,
+                Fr.random().toString(),
+                recipient.address,
+                ethers.ZeroAddress,
+                0
+            )
+        )
+            .to.be.revertedWithCustomError(mixer, "Mixer__UnknownRoot")
+            .withArgs(root)
+    })
+
+    it("Should refuse a fee without a relayer to pay it to", async function () {
+        await deposit()
+
+        await expect(
+            mixer.withdraw(
+                "0x",
+                await mixer.getRoot(),
+                Fr.random().toString(),
+                recipient.address,
+                ethers.ZeroAddress,
+                1
+            )
+        )
+            .to.be.revertedWithCustomError(mixer, "Mixer__FeeWithoutRelayer")
+            .withArgs(1)
+    })
+
+    it("Should use a verifier for as many public inputs as withdraw passes", async function () {
+        // A verifier generated for another version of main.nr fails every
+        // withdrawal on the length check, before it looks at the proof
+        const proof = new Uint8Array(440 * 32)
+        const publicInputs = Array(5).fill(ethers.ZeroHash)
+        await expect(
+            verifier.verify(proof, publicInputs)
+        ).not.to.be.revertedWithCustomError(verifier, "PublicInputsLengthWrong")
+    })
+
+    describe("with proofs", function () {
+        before(async function () {
+            // Compiled from main.nr on every run, so the proofs are always of
+            // the circuit HonkVerifier has to match
+            await compileCircuit(CIRCUIT_DIR, CIRCUIT_PATH)
+            prover = await import("../scripts/generateProof")
+        })
+
+        it("Should withdraw a deposit to the recipient", async function () {
+            const { noteString, data } = await deposit()
+            const proof = await prover!.generateProof(
+                noteString,
+                recipient.address,
+                [data.commitment]
+            )
+
+            await expect(withdraw(proof)).to.changeEtherBalances(
+                [mixer, recipient],
+                [-amount, amount]
+            )
+            expect(await mixer.s_nullifierHashes(data.nullifierHash)).to.equal(
+                true
+            )
+        })
+
+        it("Should reject a second withdrawal of the same deposit", async function () {
+            const { noteString, data } = await deposit()
+            const proof = await prover!.generateProof(
+                noteString,
+                recipient.address,
+                [data.commitment]
+            )
+
+            await withdraw(proof)
+            await expect(withdraw(proof))
+                .to.be.revertedWithCustomError(
+                    mixer,
+                    "Mixer__NullifierAlreadyUsed"
+                )
+                .withArgs(data.nullifierHash)
+        })
+
+        it("Should reject a proof made out to another recipient", async function () {
+            const { noteString, data } = await deposit()
+            const proof = await prover!.generateProof(
+                noteString,
+                recipient.address,
+                [data.commitment]
+            )
+
+            // The verifier reverts with its own error when the public inputs don't match
+            await expect(withdraw(proof, { recipient: relayer.address })).to.be
+                .reverted
+            expect(await mixer.s_nullifierHashes(data.nullifierHash)).to.equal(
+                false
+            )
+        })
+
+        it("Should verify a proof off-chain and explain a wrong recipient", async function () {
+            const { noteString, data } = await deposit()
+            const proof = await prover!.generateProof(
+                noteString,
+                recipient.address,
+                [data.commitment]
+            )
+            const { verifyWithdrawal } = await import("../scripts/verifyProof")
+            const options = {
+                publicInputs: proof.publicInputs,
+                mixerAddress: await mixer.getAddress(),
+                provider: ethers.provider,
+            }
+            const call = { ...proof, proof: proof.hexProof }
+
+            const report = await verifyWithdrawal(call, options)
+            expect(report.valid).to.equal(true)
+            expect(report.verifierChecked).to.equal(true)
+            expect(report.inputs!.recipient).to.equal(recipient.address)
+
+            const wrong = await verifyWithdrawal(
+                { ...call, recipient: relayer.address },
+                options
+            )
+            expect(wrong.proofValid).to.equal(false)
+            expect(wrong.problems).to.have.length(1)
+            expect(wrong.problems[0]).to.include(
+                `pays out to ${recipient.address}`
+            )
+
+            await withdraw(proof)
+            const spent = await verifyWithdrawal(call, options)
+            expect(spent.proofValid).to.equal(true)
+            expect(spent.problems[0]).to.include("already been withdrawn")
+        })
+
+        it("Should withdraw against an older root still in the history", async function () {
+            const first = await deposit()
+            const oldRoot = await mixer.getRoot()
+            const second = await deposit()
+            expect(await mixer.getRoot()).to.not.equal(oldRoot)
+
+            // Built from the tree as it was before the second deposit
+            const proof = await prover!.generateProof(
+                first.noteString,
+                recipient.address,
+                [first.data.commitment]
+            )
+            expect(proof.root).to.equal(oldRoot)
+
+            await expect(withdraw(proof)).to.changeEtherBalance(
+                recipient,
+                amount
+            )
+
+            // The second deposit is still there to withdraw with the current root
+            const latest = await prover!.generateProof(
+                second.noteString,
+                recipient.address,
+                [first.data.commitment, second.data.commitment]
+            )
+            await expect(withdraw(latest)).to.changeEtherBalance(
+                recipient,
+                amount
+            )
+        })
+
+        it("Should split the deposit between recipient and relayer", async function () {
+            const { noteString, data } = await deposit()
+            const fee = amount / 10n
+            const proof = await prover!.generateProof(
+                noteString,
+                recipient.address,
+                [data.commitment],
+                { relayer: relayer.address, fee }
+            )
+
+            await expect(
+                mixer
+                    .connect(relayer)
+                    .withdraw.staticCall(
+                        proof.hexProof,
+                        proof.root,
+                        proof.nullifierHash,
+                        proof.recipient,
+                        recipient.address,
+                        fee
+                    )
+            ).to.be.reverted
+            await expect(withdraw(proof)).to.changeEtherBalances(
+                [recipient, relayer],
+                [amount - fee, fee]
+            )
+        })
+
+        it("Should withdraw tokens from an ERC20 pool", async function () {
+            const token = await ethers.deployContract("MockERC20", [
+                "Test USD",
+                "TUSD",
+                6,
+            ])
+            const tokenAmount = ethers.parseUnits("100", 6)
+            const pool = await ethers.deployContract("Mixer", [
+                await verifier.getAddress(),
+                prover!.TREE_DEPTH,
+                await token.getAddress(),
+                tokenAmount,
+            ])
+            const [depositor] = await ethers.getSigners()
+            await token.mint(depositor.address, tokenAmount)
+            await token.approve(await pool.getAddress(), tokenAmount)
+
+            const data = await generateCommitment()
+            await pool.deposit(data.commitment)
+            const { chainId } = await ethers.provider.getNetwork()
+            const note = createNote(data, {
+                chainId,
+                mixerAddress: await pool.getAddress(),
+                token: await token.getAddress(),
+                denomination: tokenAmount,
+            })
+
+            const fee = tokenAmount / 100n
+            const proof = await prover!.generateProof(
+                note,
+                recipient.address,
+                [data.commitment],
+                { relayer: relayer.address, fee }
+            )
+            await expect(
+                pool.withdraw(
+                    proof.hexProof,
+                    proof.root,
+                    proof.nullifierHash,
+                    proof.recipient,
+                    proof.relayer,
+                    proof.fee
+                )
+            ).to.changeTokenBalances(
+                token,
+                [pool, recipient, relayer],
+                [-tokenAmount, tokenAmount - fee, fee]
+            )
+        })
+    })
+})
@@ -0,0 +1,148 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+import { deployPools, parsePoolList } from "../scripts/deploy"
+import { generateCommitment } from "../scripts/generateCommitment"
+import { createNote } from "../scripts/note"
+import { findPool, loadRegistry, poolForNote } from "../scripts/registry"
+
+describe("Mixer pools", function () {
+    this.timeout(120000)
+
+    const depth = 4
+    let owner: any
+    let user: any
+    let factory: any
+    let token: any
+
+    beforeEach(async function () {
+        ;[owner, user] = await ethers.getSigners()
+        // The verifier is only called on withdraw, so any address will do here
+        factory = await ethers.deployContract("MixerFactory", [
+            owner.address,
+            depth,
+        ])
+        token = await ethers.deployContract("MockERC20", [
+            "Test USD",
+            "TUSD",
+            6,
+        ])
+    })
+
+    it("Should deploy one pool per token and denomination", async function () {
+        const tokenAddress = await token.getAddress()
+        const amount = ethers.parseUnits("100", 6)
+
+        await expect(
+            factory.createPool(ethers.ZeroAddress, ethers.parseEther("1"))
+        ).to.emit(factory, "MixerFactory__PoolCreated")
+        await factory.createPool(tokenAddress, amount)
+
+        const pool = await ethers.getContractAt(
+            "Mixer",
+            await factory.getPool(tokenAddress, amount)
+        )
+        expect(await pool.i_token()).to.equal(tokenAddress)
+        expect(await pool.DEPOSIT_AMOUNT()).to.equal(amount)
+        expect(await pool.i_verifier()).to.equal(owner.address)
+        expect(await pool.TREE_DEPTH()).to.equal(depth)
+        expect(await factory.getPools()).to.have.length(2)
+
+        await expect(
+            factory.createPool(tokenAddress, amount)
+        ).to.be.revertedWithCustomError(
+            factory,
+            "MixerFactory__PoolAlreadyExists"
+        )
+        await expect(
+            factory.createPool(tokenAddress, 0)
+        ).to.be.revertedWithCustomError(pool, "Mixer__DenominationIsZero")
+    })
+
+    it("Should take ERC20 deposits and refuse ETH in token pools", async function () {
+        const tokenAddress = await token.getAddress()
+        const amount = ethers.parseUnits("100", 6)
+        await factory.createPool(tokenAddress, amount)
+        const pool: any = await ethers.getContractAt(
+            "Mixer",
+            await factory.getPool(tokenAddress, amount)
+        )
+        const commitment = Fr.random().toString()
+
+        await token.mint(user.address, amount)
+        await expect(
+            pool.connect(user).deposit(commitment)
+        ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance")
+
+        await token.connect(user).approve(await pool.getAddress(), amount)
+        await expect(
+            pool.connect(user).deposit(commitment, { value: 1 })
+        ).to.be.revertedWithCustomError(pool, "Mixer__EtherNotAccepted")
+        await expect(
+            pool.connect(user).deposit(commitment)
+        ).to.changeTokenBalances(token, [user, pool], [-amount, amount])
+        expect(await pool.getLeafCount()).to.equal(1)
+    })
+
+    it("Should write a registry and pick pools from it", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mixer-registry-"))
+        const registryPath = path.join(dir, "registry.json")
+        const tokenAddress = await token.getAddress()
+
+        try {
+            const options = {
+                registryPath,
+                treeDepth: depth,
+                verifier: owner.address,
+            }
+            await deployPools(parsePoolList("ETH:0.1"), options)
+            // A second run keeps the factory and only adds the new pool
+            const deployment = await deployPools(
+                parsePoolList(`ETH:0.1,${tokenAddress}:100`),
+                options
+            )
+            expect(deployment.pools).to.have.length(2)
+
+            const registry = loadRegistry(registryPath)
+            const { chainId } = await ethers.provider.getNetwork()
+            const tokenPool = findPool(
+                registry,
+                chainId,
+                tokenAddress,
+                ethers.parseUnits("100", 6)
+            )!
+            expect(tokenPool.symbol).to.equal("TUSD")
+            const onChain = await ethers.getContractAt(
+                "MixerFactory",
+                deployment.factory
+            )
+            expect(tokenPool.address).to.equal(
+                await onChain.getPool(tokenAddress, tokenPool.denomination)
+            )
+            expect(
+                findPool(registry, chainId, "ETH", ethers.parseEther("0.1"))
+            ).to.not.equal(undefined)
+            expect(
+                findPool(registry, chainId, "ETH", ethers.parseEther("5"))
+            ).to.equal(undefined)
+
+            const data = await generateCommitment()
+            const note = createNote(data, {
+                chainId,
+                mixerAddress: tokenPool.address,
+                token: tokenAddress,
+                denomination: ethers.parseUnits("100", 6),
+            })
+            expect(poolForNote(registry, note)).to.deep.equal(tokenPool)
+            expect(() =>
+                poolForNote(registry, { ...note, token: ethers.ZeroAddress })
+            ).to.throw("No pool")
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true })
+        }
+    })
+})
@@ -0,0 +1,165 @@
+import { expect } from "chai"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { Barretenberg, Fr } from "@aztec/bb.js"
+
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { PoseidonTree, merkleTree } from "../scripts/merkleTree.js"
+import {
+    appendLeaves,
+    loadSnapshot,
+    saveSnapshot,
+    // @ts-ignore - JavaScript module without TypeScript declarations
+} from "../scripts/treeSnapshot.js"
+
+describe("PoseidonTree bulk insert", function () {
+    this.timeout(120000)
+
+    let bb: Barretenberg
+
+    before(async function () {
+        bb = await Barretenberg.new()
+    })
+
+    after(async function () {
+        await bb.destroy()
+    })
+
+    it("Should give the same root and paths as inserting one leaf at a time", async function () {
+        const leaves = Array.from({ length: 37 }, () => Fr.random().toString())
+        const sequential = new PoseidonTree(8, null, bb)
+        await sequential.init()
+        for (const leaf of leaves) {
+            await sequential.insert(leaf)
+        }
+
+        // Uneven chunks so the ranges start and end on both odd and even indices
+        const bulk = new PoseidonTree(8, null, bb)
+        await bulk.init(leaves.slice(0, 5))
+        await bulk.insertMany(leaves.slice(5, 6))
+        await bulk.insertMany(leaves.slice(6))
+
+        expect(bulk.root()).to.equal(sequential.root())
+        for (const index of [0, 5, 6, 36]) {
+            expect(bulk.proof(index)).to.deep.equal(sequential.proof(index))
+        }
+    })
+
+    it("Should build a tree of tens of thousands of leaves in seconds", async function () {
+        const leaves = Array.from({ length: 20000 }, () =>
+            Fr.random().toString()
+        )
+
+        const start = Date.now()
+        const tree = await merkleTree(leaves, { bb })
+        const elapsed = Date.now() - start
+        expect(elapsed).to.be.below(30000)
+
+        // Too many leaves to insert one by one, so check paths hash up to the root
+        for (const index of [0, 12345, leaves.length - 1]) {
+            const { pathElements, pathIndices, leaf } = tree.proof(index)
+            let node = leaf
+            for (let level = 0; level < tree.levels; level++) {
+                node =
+                    pathIndices[level] === 0
+                        ? await tree.hashLeftRight(node, pathElements[level])
+                        : await tree.hashLeftRight(pathElements[level], node)
+            }
+            expect(node).to.equal(tree.root())
+        }
+    })
+})
+
+describe("PoseidonTree snapshots", function () {
+    this.timeout(120000)
+
+    const depth = 8
+    let bb: Barretenberg
+    let dir: string
+    let leaves: string[]
+
+    before(async function () {
+        bb = await Barretenberg.new()
+        leaves = Array.from({ length: 12 }, () => Fr.random().toString())
+    })
+
+    after(async function () {
+        await bb.destroy()
+    })
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mixer-tree-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should restore the same tree from disk", async function () {
+        const file = path.join(dir, "tree.json")
+        const tree = await merkleTree(leaves, { depth, bb })
+        await saveSnapshot(file, tree, {
+            lastSyncedBlock: 42,
+            meta: { chainId: 31337 },
+        })
+
+        const loaded = await loadSnapshot(file, {
+            bb,
+            depth,
+            meta: { chainId: 31337 },
+        })
+        expect(loaded.lastSyncedBlock).to.equal(42)
+        expect(loaded.tree.root()).to.equal(tree.root())
+        expect(loaded.tree.totalLeaves).to.equal(leaves.length)
+        expect(loaded.tree.rootHistory).to.deep.equal(tree.rootHistory)
+        expect(loaded.tree.getIndex(leaves[7])).to.equal(7)
+        expect(loaded.tree.proof(7)).to.deep.equal(tree.proof(7))
+    })
+
+    it("Should apply new leaves on top of a loaded snapshot", async function () {
+        const file = path.join(dir, "tree.json")
+        const partial = await merkleTree(leaves.slice(0, 5), { depth, bb })
+        await saveSnapshot(file, partial)
+
+        const { tree } = await loadSnapshot(file, { bb, depth })
+        expect(await appendLeaves(tree, leaves)).to.equal(leaves.length - 5)
+
+        const full = await merkleTree(leaves, { depth, bb })
+        expect(tree.root()).to.equal(full.root())
+        expect(tree.isKnownRoot(partial.root())).to.equal(true)
+
+        const other = [...leaves]
+        other[2] = Fr.random().toString()
+        await expect(appendLeaves(tree, other)).to.be.rejectedWith(
+            "Tree and leaves diverge at index 2"
+        )
+    })
+
+    it("Should reject corrupted or mismatched snapshots", async function () {
+        const file = path.join(dir, "tree.json")
+        const tree = await merkleTree(leaves, { depth, bb })
+        await saveSnapshot(file, tree, { meta: { chainId: 31337 } })
+
+        const expectLoadToFail = (options: object, message: string) =>
+            expect(loadSnapshot(file, { bb, ...options })).to.be.rejectedWith(
+                message
+            )
+
+        await expectLoadToFail(
+            { depth: depth + 1 },
+            `is for a tree of depth ${depth}, expected ${depth + 1}`
+        )
+        await expectLoadToFail(
+            { meta: { chainId: 1 } },
+            "has chainId 31337, expected 1"
+        )
+
+        // Swap a leaf without touching the stored root or nodes above it
+        const data = JSON.parse(fs.readFileSync(file, "utf8"))
+        const leafNode = data.nodes.find(([key]: [string]) => key === "0-3")
+        leafNode[1] = Fr.random().toString()
+        fs.writeFileSync(file, JSON.stringify(data))
+        await expectLoadToFail({}, "is corrupted")
+    })
+})
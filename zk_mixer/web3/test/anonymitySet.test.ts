@@ -0,0 +1,188 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+
+import {
+    analyzeAnonymitySet,
+    anonymityReportForNote,
+    checkWithdrawalPrivacy,
+    fetchMixerActivity,
+    formatDuration,
+} from "../scripts/anonymitySet"
+import { generateNote } from "../scripts/note"
+
+describe("Anonymity set", function () {
+    this.timeout(120000)
+
+    const day = 24 * 60 * 60
+    let mixer: any
+    let mixerAddress: string
+    let amount: bigint
+
+    async function deposit(count: number) {
+        for (let i = 0; i < count; i++) {
+            await mixer.deposit(Fr.random().toString(), { value: amount })
+        }
+    }
+
+    // The mock verifier takes any proof, only the nullifier hash has to be new
+    async function withdraw(count: number) {
+        const [, recipient] = await ethers.getSigners()
+        for (let i = 0; i < count; i++) {
+            await mixer.withdraw(
+                "0x",
+                await mixer.getRoot(),
+                Fr.random().toString(),
+                recipient.address,
+                ethers.ZeroAddress,
+                0
+            )
+        }
+    }
+
+    async function wait(seconds: number) {
+        await ethers.provider.send("evm_increaseTime", [seconds])
+        await ethers.provider.send("evm_mine", [])
+    }
+
+    async function note() {
+        const { note, data } = await generateNote({
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            mixerAddress,
+            denomination: amount,
+        })
+        await mixer.deposit(data.commitment, { value: amount })
+        return note
+    }
+
+    beforeEach(async function () {
+        const verifier = await ethers.deployContract("MockVerifier")
+        mixer = await ethers.deployContract("Mixer", [
+            await verifier.getAddress(),
+            6,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        mixerAddress = await mixer.getAddress()
+        amount = await mixer.DEPOSIT_AMOUNT()
+    })
+
+    it("Should report deposits and withdrawals over time", async function () {
+        await deposit(4)
+        await wait(2 * day)
+        await withdraw(1)
+
+        const activity = await fetchMixerActivity({
+            provider: ethers.provider,
+            mixerAddress,
+            batchSize: 2,
+        })
+        expect(activity.leafCount).to.equal(4)
+        expect(activity.deposits.map((event) => event.leafIndex)).to.deep.equal(
+            [0, 1, 2, 3]
+        )
+        expect(activity.withdrawals).to.have.length(1)
+
+        const report = analyzeAnonymitySet(activity, mixerAddress, {
+            minAnonymitySet: 3,
+        })
+        expect(report.anonymitySet).to.equal(3)
+        expect(report.deposit).to.equal(null)
+        expect(report.problems).to.deep.equal([])
+        expect(report.timeline.length).to.be.at.least(2)
+        const last = report.timeline[report.timeline.length - 1]
+        expect(last.withdrawals).to.equal(1)
+        expect(last.pooled).to.equal(3)
+        expect(
+            report.timeline.reduce((sum, bucket) => sum + bucket.deposits, 0)
+        ).to.equal(4)
+
+        expect(
+            analyzeAnonymitySet(activity, mixerAddress).problems[0]
+        ).to.include("Only 3 deposits are still in the pool")
+
+        // Events missed by starting too late are noticed
+        await expect(
+            fetchMixerActivity({
+                provider: ethers.provider,
+                mixerAddress,
+                fromBlock: activity.deposits[1].blockNumber,
+            })
+        ).to.be.rejectedWith("found 3 Mixer__Deposit events")
+    })
+
+    it("Should rate the timing risk of withdrawing a note", async function () {
+        await deposit(2)
+        const own = await note()
+        const thresholds = { minAnonymitySet: 2, minDepositAge: day }
+
+        let report = await anonymityReportForNote(own, {
+            provider: ethers.provider,
+            ...thresholds,
+        })
+        expect(report.deposit).to.include({
+            leafIndex: 2,
+            depositsSince: 0,
+            withdrawalsSince: 0,
+        })
+        expect(report.timingRisk).to.equal("high")
+        expect(report.problems).to.have.length(1)
+        expect(report.problems[0]).to.include("Wait at least 1d")
+        expect(report.warnings[0]).to.include("No one has deposited since")
+
+        await wait(2 * day)
+        await deposit(1)
+        report = await anonymityReportForNote(own, {
+            provider: ethers.provider,
+            ...thresholds,
+        })
+        expect(report.problems).to.deep.equal([])
+        expect(report.deposit!.depositsSince).to.equal(1)
+        expect(report.timingRisk).to.equal("medium")
+
+        await deposit(1)
+        await withdraw(1)
+        report = await anonymityReportForNote(own, {
+            provider: ethers.provider,
+            ...thresholds,
+        })
+        expect(report.deposit).to.include({
+            depositsSince: 2,
+            withdrawalsSince: 1,
+        })
+        expect(report.anonymitySet).to.equal(4)
+        expect(report.timingRisk).to.equal("low")
+        expect(report.warnings).to.deep.equal([])
+    })
+
+    it("Should refuse a withdrawal that is easy to link unless forced", async function () {
+        const own = await note()
+
+        await expect(
+            checkWithdrawalPrivacy(own, { provider: ethers.provider })
+        ).to.be.rejectedWith("Withdrawal refused: Only 1 deposits")
+
+        const report = await checkWithdrawalPrivacy(own, {
+            provider: ethers.provider,
+            force: true,
+        })
+        expect(report.problems).to.have.length(2)
+
+        // A note of another mixer has no deposit here
+        const other = await generateNote({
+            chainId: 31337n,
+            mixerAddress,
+            denomination: amount,
+        })
+        await expect(
+            anonymityReportForNote(other.note, { provider: ethers.provider })
+        ).to.be.rejectedWith("was not deposited in mixer")
+    })
+
+    it("Should format durations", function () {
+        expect(formatDuration(0)).to.equal("0s")
+        expect(formatDuration(90)).to.equal("1m 30s")
+        expect(formatDuration(day + 7200 + 30)).to.equal("1d 2h")
+        expect(formatDuration(2 * day)).to.equal("2d")
+    })
+})
@@ -0,0 +1,173 @@
+import { expect } from "chai"
+
+import {
+    BenchmarkReport,
+    CircuitResult,
+    compareReports,
+    summarize,
+} from "../scripts/benchmark"
+
+describe("Benchmark reports", function () {
+    function result(overrides: Partial<CircuitResult> = {}): CircuitResult {
+        return {
+            runs: 3,
+            proofBytes: 14080,
+            publicInputs: 5,
+            witnessMs: summarize([40, 42, 44]),
+            proveMs: summarize([2000, 2100, 2200]),
+            verifyMs: summarize([30, 30, 30]),
+            peakRssMb: summarize([900, 910, 920]),
+            gas: { withdraw: summarize([2500000, 2500000, 2500000]) },
+            ...overrides,
+        }
+    }
+
+    function report(circuits: BenchmarkReport["circuits"]): BenchmarkReport {
+        return {
+            version: 1,
+            createdAt: "2026-01-01T00:00:00.000Z",
+            node: "v20.0.0",
+            platform: "linux x64",
+            cpus: 4,
+            runs: 3,
+            circuits,
+        }
+    }
+
+    it("Should summarize samples", function () {
+        expect(summarize([3, 1, 2])).to.deep.equal({
+            mean: 2,
+            median: 2,
+            min: 1,
+            max: 3,
+            samples: [3, 1, 2],
+        })
+        expect(summarize([4, 1, 2, 10.006])).to.include({
+            median: 3,
+            mean: 4.25,
+            max: 10.01,
+        })
+    })
+
+    it("Should flag slowdowns past the tolerance and any gas increase", function () {
+        const baseline = report({ zk_mixer: result() })
+
+        // 10% slower is within the default 20%
+        expect(
+            compareReports(
+                report({
+                    zk_mixer: result({ proveMs: summarize([2310]) }),
+                }),
+                baseline
+            )
+        ).to.deep.equal([])
+
+        const regressions = compareReports(
+            report({
+                zk_mixer: result({
+                    proveMs: summarize([2730]),
+                    proofBytes: 14112,
+                    gas: { withdraw: summarize([2500001]) },
+                }),
+            }),
+            baseline
+        )
+        expect(regressions).to.deep.equal([
+            {
+                circuit: "zk_mixer",
+                metric: "proveMs.median",
+                baseline: 2100,
+                current: 2730,
+                change: 0.3,
+            },
+            {
+                circuit: "zk_mixer",
+                metric: "proofBytes",
+                baseline: 14080,
+                current: 14112,
+                change: 0.002,
+            },
+            {
+                circuit: "zk_mixer",
+                metric: "gas.withdraw.median",
+                baseline: 2500000,
+                current: 2500001,
+                change: 0,
+            },
+        ])
+        // A looser tolerance lets the timing through
+        expect(
+            compareReports(
+                report({ zk_mixer: result({ proveMs: summarize([2730]) }) }),
+                baseline,
+                0.5
+            )
+        ).to.deep.equal([])
+    })
+
+    it("Should ignore circuits the baseline has no results for", function () {
+        const current = report({
+            zk_mixer: result({ proveMs: summarize([9999]) }),
+            zk_panagram: { skipped: "not compiled" },
+            first_circuit: result({ gas: { deposit: summarize([1]) } }),
+        })
+        expect(
+            compareReports(
+                current,
+                report({
+                    zk_mixer: { failed: "fetch failed" },
+                    zk_panagram: { skipped: "not compiled" },
+                    first_circuit: result({ gas: {} }),
+                })
+            )
+        ).to.deep.equal([])
+    })
+
+    it("Should flag results missing or failing against the baseline", function () {
+        const baseline = report({
+            zk_mixer: result(),
+            zk_panagram: result(),
+            first_circuit: result(),
+            zk_signVerification: result(),
+        })
+        const regressions = compareReports(
+            report({
+                zk_mixer: result({
+                    gas: {},
+                    errors: { submit: "PublicInputsLengthWrong()" },
+                }),
+                zk_panagram: { skipped: "not compiled" },
+                first_circuit: { failed: "fetch failed" },
+            }),
+            baseline
+        )
+        expect(regressions).to.deep.equal([
+            {
+                circuit: "zk_mixer",
+                metric: "gas.withdraw.median",
+                baseline: 2500000,
+                reason: "no longer recorded",
+            },
+            {
+                circuit: "zk_mixer",
+                metric: "errors.submit",
+                reason: "PublicInputsLengthWrong()",
+            },
+            {
+                circuit: "zk_panagram",
+                metric: "result",
+                reason: "skipped: not compiled",
+            },
+            {
+                circuit: "first_circuit",
+                metric: "result",
+                reason: "failed: fetch failed",
+            },
+            {
+                circuit: "zk_signVerification",
+                metric: "result",
+                reason: "not benchmarked",
+            },
+        ])
+    })
+})
@@ -0,0 +1,257 @@
+import { expect } from "chai"
+import { ethers } from "ethers"
+import { Noir } from "@noir-lang/noir_js"
+
+import {
+    DISCLOSURE_CIRCUIT_DIR,
+    compileCircuit,
+} from "../scripts/compileCircuit"
+import { FIELD_MODULUS } from "../scripts/generateCommitment"
+import { DepositNote, generateNote } from "../scripts/note"
+import {
+    DISCLOSURE_CIRCUIT_PATH,
+    DISCLOSURE_VERSION,
+    DisclosureStatement,
+    contextToField,
+    encodeDisclosureInputs,
+    generateDisclosure,
+    prepareDisclosure,
+} from "../scripts/disclosure"
+import {
+    checkDisclosureStatement,
+    verifyDisclosure,
+} from "../scripts/verifyDisclosure"
+// @ts-ignore - JavaScript module without TypeScript declarations
+import { merkleTree } from "../scripts/merkleTree.js"
+
+describe("Selective disclosure", function () {
+    this.timeout(600000)
+
+    const depth = 20
+    const mixerAddress = ethers.Wallet.createRandom().address
+    let notes: DepositNote[]
+    let commitments: string[]
+
+    async function rootOf(leaves: string[]) {
+        const tree = await merkleTree(leaves, { depth })
+        const root = tree.root()
+        await tree.dispose()
+        return root
+    }
+
+    before(async function () {
+        notes = []
+        commitments = []
+        for (let i = 0; i < 4; i++) {
+            const { note, data } = await generateNote({
+                chainId: 31337n,
+                mixerAddress,
+                denomination: ethers.parseEther("0.001"),
+            })
+            notes.push(note)
+            commitments.push(data.commitment)
+        }
+    })
+
+    describe("statement checks", function () {
+        let origin: DisclosureStatement
+
+        beforeEach(async function () {
+            origin = {
+                version: DISCLOSURE_VERSION,
+                form: "origin",
+                chainId: "31337",
+                mixerAddress,
+                root: await rootOf(commitments.slice(0, 3)),
+                leafCount: 3,
+                nullifierHash: ethers.toBeHex(7, 32),
+                context: "audit #1",
+                commitment: commitments[1],
+                leafIndex: 1,
+            }
+        })
+
+        it("Should check an origin disclosure against the mixer's deposits", async function () {
+            // Deposits made after the proof don't matter
+            expect(
+                await checkDisclosureStatement(origin, { commitments })
+            ).to.deep.equal({ problems: [], unchecked: [] })
+
+            const { problems, unchecked } = await checkDisclosureStatement(
+                origin
+            )
+            expect(problems).to.deep.equal([])
+            expect(unchecked[0]).to.include("pass the mixer's commitments")
+
+            const wrongLeaf = await checkDisclosureStatement(
+                { ...origin, commitment: commitments[2] },
+                { commitments }
+            )
+            expect(wrongLeaf.problems).to.have.length(1)
+            expect(wrongLeaf.problems[0]).to.include(
+                `Deposit 1 of the mixer is ${commitments[1]}`
+            )
+
+            const forged = await checkDisclosureStatement(
+                { ...origin, root: await rootOf(commitments) },
+                { commitments }
+            )
+            expect(forged.problems[0]).to.include("is not the root")
+
+            const short = await checkDisclosureStatement(origin, {
+                commitments: commitments.slice(0, 2),
+            })
+            expect(short.problems[0]).to.include("only has 2")
+        })
+
+        it("Should check an allow-list disclosure against the allow list", async function () {
+            const allowList = [commitments[0], commitments[2]]
+            const statement: DisclosureStatement = {
+                ...origin,
+                form: "allowList",
+                root: await rootOf(allowList),
+                leafCount: 2,
+                commitment: null,
+                leafIndex: null,
+            }
+            expect(
+                await checkDisclosureStatement(statement, { allowList })
+            ).to.deep.equal({ problems: [], unchecked: [] })
+
+            const other = await checkDisclosureStatement(statement, {
+                allowList: [commitments[0], commitments[3]],
+            })
+            expect(other.problems[0]).to.include("different list")
+
+            const longer = await checkDisclosureStatement(statement, {
+                allowList: commitments,
+            })
+            expect(longer.problems[0]).to.include("this one has 4")
+
+            const revealing = await checkDisclosureStatement(
+                { ...statement, leafIndex: 0 },
+                { allowList }
+            )
+            expect(revealing.problems[0]).to.include(
+                "doesn't name a commitment"
+            )
+        })
+
+        it("Should encode the statement as the circuit's public inputs", function () {
+            const context = contextToField("audit #1")
+            expect(BigInt(context) < FIELD_MODULUS).to.equal(true)
+            expect(contextToField("audit #2")).to.not.equal(context)
+
+            expect(encodeDisclosureInputs(origin)).to.deep.equal([
+                origin.root,
+                origin.nullifierHash,
+                context,
+                ethers.toBeHex(1, 32),
+                origin.commitment,
+                ethers.toBeHex(1, 32),
+            ])
+            // Nothing about the deposit in the allow-list form
+            expect(
+                encodeDisclosureInputs({ ...origin, form: "allowList" }).slice(
+                    3
+                )
+            ).to.deep.equal(Array(3).fill(ethers.toBeHex(0, 32)))
+        })
+    })
+
+    describe("with the compiled circuit", function () {
+        let circuit: any
+        let noir: Noir
+
+        // Compiled from disclosure_circuit/src/main.nr and written where
+        // generateDisclosure and verifyDisclosure load it from
+        before(async function () {
+            circuit = await compileCircuit(
+                DISCLOSURE_CIRCUIT_DIR,
+                DISCLOSURE_CIRCUIT_PATH
+            )
+            noir = new Noir(circuit)
+        })
+
+        it("Should disclose a deposit's commitment and leaf index", async function () {
+            const { circuitInputs, statement } = await prepareDisclosure(
+                notes[2],
+                commitments,
+                { form: "origin", context: "audit #1", circuit }
+            )
+            expect(statement).to.include({
+                form: "origin",
+                commitment: commitments[2],
+                leafIndex: 2,
+                leafCount: 4,
+                root: await rootOf(commitments),
+            })
+            await noir.execute(circuitInputs)
+
+            // Another leaf index or commitment than the path's is refused
+            await expect(
+                noir.execute({
+                    ...circuitInputs,
+                    leaf_index: ethers.toBeHex(3, 32),
+                })
+            ).to.be.rejectedWith("Leaf index does not match")
+            await expect(
+                noir.execute({ ...circuitInputs, commitment: commitments[3] })
+            ).to.be.rejectedWith("Commitment does not match")
+        })
+
+        it("Should prove allow-list membership without revealing the deposit", async function () {
+            const allowList = [commitments[0], commitments[2], commitments[3]]
+            const { circuitInputs, statement } = await prepareDisclosure(
+                notes[3],
+                [],
+                { form: "allowList", allowList, circuit }
+            )
+            expect(statement).to.include({
+                commitment: null,
+                leafIndex: null,
+                leafCount: 3,
+                root: await rootOf(allowList),
+            })
+            await noir.execute(circuitInputs)
+
+            // The commitment can't be slipped into the public inputs
+            await expect(
+                noir.execute({ ...circuitInputs, commitment: commitments[3] })
+            ).to.be.rejectedWith("Commitment must be 0 without reveal")
+
+            // A flagged deposit isn't on the list, so there is nothing to prove
+            await expect(
+                prepareDisclosure(notes[1], [], {
+                    form: "allowList",
+                    allowList,
+                    circuit,
+                })
+            ).to.be.rejectedWith("is not on the allow list")
+        })
+
+        it("Should verify a disclosure offline and refuse an altered one", async function () {
+            const disclosure = await generateDisclosure(notes[0], commitments, {
+                form: "origin",
+                context: "audit #1",
+                circuit,
+            })
+            const report = await verifyDisclosure(disclosure, {
+                commitments,
+                circuit,
+            })
+            expect(report.problems).to.deep.equal([])
+            expect(report.valid).to.equal(true)
+
+            // Claiming another request or deposit breaks the proof
+            for (const altered of [
+                { ...disclosure, context: "audit #2" },
+                { ...disclosure, leafIndex: 1, commitment: commitments[1] },
+            ]) {
+                const altReport = await verifyDisclosure(altered, { circuit })
+                expect(altReport.proofValid).to.equal(false)
+                expect(altReport.valid).to.equal(false)
+            }
+        })
+    })
+})
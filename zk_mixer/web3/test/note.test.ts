@@ -0,0 +1,95 @@
+import { expect } from "chai"
+import { ethers } from "ethers"
+
+import { generateCommitment } from "../scripts/generateCommitment"
+import {
+    createNote,
+    decryptNote,
+    encryptNote,
+    noteToCommitmentData,
+    parseNote,
+    serializeNote,
+} from "../scripts/note"
+
+describe("Deposit notes", function () {
+    this.timeout(120000)
+
+    const deposit = {
+        chainId: 31337n,
+        mixerAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        denomination: ethers.parseEther("0.001"),
+    }
+
+    it("Should round-trip through the note string", async function () {
+        const data = await generateCommitment()
+        const note = createNote(data, deposit)
+        const noteString = serializeNote(note)
+
+        expect(noteString).to.match(/^zkmixer-v2-31337-0x/)
+        expect(parseNote(noteString)).to.deep.equal(note)
+
+        const recomputed = await noteToCommitmentData(parseNote(noteString))
+        expect(recomputed.commitment).to.equal(data.commitment)
+        expect(recomputed.nullifierHash).to.equal(data.nullifierHash)
+    })
+
+    it("Should reject mistyped or malformed notes", async function () {
+        const noteString = serializeNote(
+            createNote(await generateCommitment(), deposit)
+        )
+
+        // Flip one hex character of the secret part
+        const parts = noteString.split("-")
+        const preimage = parts[6]
+        const flipped = preimage.endsWith("0") ? "1" : "0"
+        parts[6] = preimage.slice(0, -1) + flipped
+        expect(() => parseNote(parts.join("-"))).to.throw("checksum")
+
+        expect(() => parseNote(noteString.slice(0, -3))).to.throw()
+        expect(() => parseNote("tornado-eth-0.1-1-0x00")).to.throw(
+            "Not a zkmixer note"
+        )
+    })
+
+    it("Should keep the token and read v1 notes as ETH notes", async function () {
+        const data = await generateCommitment()
+        const token = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+        const tokenNote = createNote(data, { ...deposit, token })
+        expect(parseNote(serializeNote(tokenNote)).token).to.equal(token)
+
+        // Notes written before tokens were supported
+        const body = [
+            "zkmixer",
+            "v1",
+            "31337",
+            deposit.mixerAddress,
+            deposit.denomination.toString(),
+            `0x${data.nullifier.slice(2)}${data.secret.slice(2)}`,
+        ].join("-")
+        const checksum = ethers.keccak256(ethers.toUtf8Bytes(body)).slice(2, 10)
+        const v1Note = parseNote(`${body}-${checksum}`)
+
+        expect(v1Note.version).to.equal(1)
+        expect(v1Note.token).to.equal(ethers.ZeroAddress)
+        expect(v1Note.nullifier).to.equal(data.nullifier)
+        expect(serializeNote(v1Note)).to.equal(
+            serializeNote(createNote(data, deposit))
+        )
+        expect(() => parseNote(`${body}-00000000`)).to.throw("checksum")
+    })
+
+    it("Should encrypt and decrypt a note backup", async function () {
+        const noteString = serializeNote(
+            createNote(await generateCommitment(), deposit)
+        )
+
+        const keystore = encryptNote(noteString, "correct horse")
+        expect(JSON.stringify(keystore)).to.not.include(
+            noteString.split("-")[6].slice(2)
+        )
+        expect(decryptNote(keystore, "correct horse")).to.equal(noteString)
+        expect(() => decryptNote(keystore, "wrong horse")).to.throw(
+            "Wrong password"
+        )
+    })
+})
@@ -0,0 +1,57 @@
+import { expect } from "chai"
+import { compile_program, createFileManager } from "@noir-lang/noir_wasm"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+import { ProverPool, ProverProgress } from "../scripts/proverPool"
+
+// The pool is shared with zk_panagram and tested in its prover-pool.test.js,
+// this only checks it runs the mixer's TypeScript worker
+describe("Prover pool", function () {
+    this.timeout(120000)
+
+    let dir: string
+    let circuitPath: string
+
+    before(async function () {
+        // first_circuit has no dependencies, so it compiles offline
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mixer-pool-"))
+        const { program } = await compile_program(
+            createFileManager(path.resolve(__dirname, "../../../first_circuit"))
+        )
+        circuitPath = path.join(dir, "first_circuit.json")
+        fs.writeFileSync(circuitPath, JSON.stringify(program))
+    })
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should run jobs on the mixer's worker thread", async function () {
+        const progress: ProverProgress[] = []
+        const pool = new ProverPool({
+            threads: 1,
+            onProgress: (event) => progress.push(event),
+        })
+        try {
+            expect(pool.threads).to.equal(1)
+            await pool.warm(circuitPath)
+
+            // x != y is asserted, the worker answers with noir's error
+            await expect(
+                pool.prove({
+                    circuitPath,
+                    inputs: { x: 3, y: 3 },
+                    label: "equal",
+                })
+            ).to.be.rejectedWith(/^equal: /)
+            expect(progress.map(({ status }) => status)).to.deep.equal([
+                "started",
+                "failed",
+            ])
+        } finally {
+            await pool.destroy()
+        }
+    })
+})
@@ -0,0 +1,45 @@
+import { expect } from "chai"
+import { compile_program, createFileManager } from "@noir-lang/noir_wasm"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+import { executeToml, saveWitness } from "../scripts/proverToml"
+
+// The checks and the TOML format come from zk_panagram's circuit-inputs.mjs
+// and are tested there, this covers the mixer's executeToml on top of them
+describe("Prover.toml bridge", function () {
+    this.timeout(120000)
+
+    let dir: string
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mixer-toml-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should replay a nargo Prover.toml with noir_js", async function () {
+        // first_circuit has no dependencies, so it compiles offline
+        const project = path.resolve(__dirname, "../../../first_circuit")
+        const { program } = await compile_program(createFileManager(project))
+        const circuitPath = path.join(dir, "first_circuit.json")
+        fs.writeFileSync(circuitPath, JSON.stringify(program))
+
+        const tomlPath = path.join(project, "Prover.toml")
+        const { witness } = await executeToml(tomlPath, circuitPath)
+        const witnessFile = path.join(dir, "Prover.gz")
+        saveWitness(witnessFile, witness)
+        // gzip, like the witness nargo execute writes
+        expect([...fs.readFileSync(witnessFile).subarray(0, 2)]).to.deep.equal([
+            0x1f, 0x8b,
+        ])
+
+        // x != y is asserted
+        const failing = path.join(dir, "Failing.toml")
+        fs.writeFileSync(failing, 'x = "3"\ny = "3"\n')
+        await expect(executeToml(failing, circuitPath)).to.be.rejected
+    })
+})
@@ -0,0 +1,151 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+import { AddressInfo } from "net"
+import http from "http"
+
+import { Relayer, createRelayerServer } from "../scripts/relayer"
+import { getRelayerStatus } from "../scripts/relayerClient"
+
+describe("Withdrawal relayer", function () {
+    this.timeout(120000)
+
+    let mixer: any
+    let relayerAccount: any
+    let server: http.Server
+    let url: string
+    let root: string
+
+    const minFee = ethers.parseEther("0.0001")
+
+    async function post(body: object) {
+        const response = await fetch(`${url}/withdraw`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+        })
+        return { status: response.status, body: await response.json() }
+    }
+
+    function request(overrides: object = {}) {
+        return {
+            proof: "0x1234",
+            root,
+            nullifierHash: Fr.random().toString(),
+            recipient: ethers.Wallet.createRandom().address,
+            fee: minFee.toString(),
+            ...overrides,
+        }
+    }
+
+    beforeEach(async function () {
+        const [owner, account] = await ethers.getSigners()
+        relayerAccount = account
+        // Every request below is refused before the proof is looked at
+        mixer = await ethers.deployContract("Mixer", [
+            owner.address,
+            4,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        await mixer.deposit(Fr.random().toString(), {
+            value: await mixer.DEPOSIT_AMOUNT(),
+        })
+        root = await mixer.getRoot()
+
+        const relayer = new Relayer({
+            mixerAddress: await mixer.getAddress(),
+            signer: relayerAccount,
+            minFee,
+        })
+        server = createRelayerServer(relayer)
+        await new Promise<void>((resolve) =>
+            server.listen(0, "127.0.0.1", resolve)
+        )
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`
+    })
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve))
+    })
+
+    it("Should report its address and fee policy", async function () {
+        const status = await getRelayerStatus(url)
+
+        expect(status.relayer).to.equal(relayerAccount.address)
+        expect(status.mixer).to.equal(await mixer.getAddress())
+        expect(status.token).to.equal(ethers.ZeroAddress)
+        expect(status.minFee).to.equal(minFee)
+        expect(status.depositAmount).to.equal(await mixer.DEPOSIT_AMOUNT())
+    })
+
+    it("Should refuse fees outside the accepted range", async function () {
+        const tooLow = await post(request({ fee: "1" }))
+        expect(tooLow.status).to.equal(400)
+        expect(tooLow.body.error).to.match(/at least/)
+
+        const tooHigh = await post(
+            request({ fee: ethers.parseEther("2").toString() })
+        )
+        expect(tooHigh.status).to.equal(400)
+        expect(tooHigh.body.error).to.match(/cannot exceed/)
+    })
+
+    it("Should refuse fees that aren't decimal amounts", async function () {
+        for (const fee of ["", " ", "0x10", "1e18", "-1"]) {
+            const { status, body } = await post(request({ fee }))
+            expect(status).to.equal(400)
+            expect(body.error).to.match(/decimal integer/)
+        }
+    })
+
+    it("Should relay one request per nullifier at a time", async function () {
+        const same = request({
+            root: Fr.random().toString(),
+            fee: ethers.parseEther("0.0002").toString(),
+        })
+        const [first, second] = await Promise.all([
+            post(same),
+            post({
+                ...same,
+                nullifierHash: same.nullifierHash
+                    .toUpperCase()
+                    .replace("0X", "0x"),
+            }),
+        ])
+        expect([first.status, second.status]).to.have.members([400, 409])
+
+        // Released once the first request failed
+        const retry = await post(same)
+        expect(retry.status).to.equal(400)
+        expect(retry.body.error).to.match(/Unknown root/)
+    })
+
+    it("Should refuse unknown roots", async function () {
+        const { status, body } = await post(
+            request({ root: Fr.random().toString() })
+        )
+
+        expect(status).to.equal(400)
+        expect(body.error).to.match(/Unknown root/)
+    })
+
+    it("Should refuse malformed requests", async function () {
+        const badRecipient = await post(request({ recipient: "0x1234" }))
+        expect(badRecipient.status).to.equal(400)
+        expect(badRecipient.body.error).to.match(/recipient/)
+
+        const badRoot = await post(
+            request({ root: ethers.MaxUint256.toString() })
+        )
+        expect(badRoot.status).to.equal(400)
+        expect(badRoot.body.error).to.match(/root/)
+
+        const notJson = await fetch(`${url}/withdraw`, {
+            method: "POST",
+            body: "not json",
+        })
+        expect(notJson.status).to.equal(400)
+        expect((await fetch(`${url}/unknown`)).status).to.equal(404)
+    })
+})
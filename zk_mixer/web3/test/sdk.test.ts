@@ -0,0 +1,363 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+import fs from "fs"
+import path from "path"
+
+import {
+    ContractError,
+    MixerClient,
+    MixerCommitmentAlreadyExistsError,
+    MixerFeeExceedsDepositAmountError,
+    MixerUnknownRootError,
+    PANAGRAM_ABI,
+    PanagramAlreadyGuessedThisRoundError,
+    PanagramClient,
+    PanagramGameNotStartedError,
+    PanagramMinRoundDurationNotMetError,
+    PanagramRound,
+    addressToField,
+    commitWord,
+    decodeContractError,
+    decodeScramble,
+    encodeScramble,
+    fieldToAddress,
+    generateNote,
+    toBytes32,
+    wordToLetters,
+} from "../sdk"
+import { FIELD_MODULUS } from "../scripts/generateCommitment"
+
+// Contracts of zk_panagram/web3, compiled there with npx hardhat compile
+const PANAGRAM_ARTIFACTS = path.resolve(
+    __dirname,
+    "../../../zk_panagram/web3/artifacts/contracts"
+)
+
+// Resolves the returned promise with whatever the call threw
+async function thrown(promise: Promise<unknown>): Promise<any> {
+    try {
+        await promise
+    } catch (error) {
+        return error
+    }
+    throw new Error("Expected the call to throw")
+}
+
+describe("SDK", function () {
+    this.timeout(120000)
+
+    describe("field conversions", function () {
+        it("Should round-trip addresses and refuse values outside the field", function () {
+            const { address } = ethers.Wallet.createRandom()
+            const field = addressToField(address)
+            expect(field).to.have.length(66)
+            expect(fieldToAddress(field)).to.equal(address)
+            expect(() =>
+                fieldToAddress(ethers.toBeHex(1n << 160n, 32))
+            ).to.throw("value is not an address")
+
+            expect(toBytes32(42)).to.equal(ethers.toBeHex(42, 32))
+            expect(() => toBytes32(FIELD_MODULUS, "root")).to.throw(
+                "root exceeds the field modulus"
+            )
+            expect(() => toBytes32(-1n)).to.throw("value is negative")
+        })
+
+        it("Should pack scrambles like Panagram.s_scramble", function () {
+            expect(wordToLetters("abc").slice(0, 4)).to.deep.equal([
+                97, 98, 99, 0,
+            ])
+            const encoded = encodeScramble("alertings")
+            expect(ethers.dataLength(encoded)).to.equal(32)
+            expect(decodeScramble(encoded)).to.equal("alertings")
+            expect(() => wordToLetters("Hello")).to.throw("lowercase letters")
+        })
+    })
+
+    describe("MixerClient", function () {
+        let mixer: any
+        let client: MixerClient
+        let depositor: any
+
+        async function note(mixerContract = mixer) {
+            const { chainId } = await ethers.provider.getNetwork()
+            const { note } = await generateNote({
+                chainId,
+                mixerAddress: await mixerContract.getAddress(),
+                token: await mixerContract.i_token(),
+                denomination: await mixerContract.DEPOSIT_AMOUNT(),
+            })
+            return note
+        }
+
+        beforeEach(async function () {
+            ;[, depositor] = await ethers.getSigners()
+            const verifier = await ethers.deployContract("HonkVerifier")
+            mixer = await ethers.deployContract("Mixer", [
+                await verifier.getAddress(),
+                20,
+                ethers.ZeroAddress,
+                ethers.parseEther("0.001"),
+            ])
+            client = new MixerClient(await mixer.getAddress(), depositor)
+        })
+
+        it("Should deposit a note and report the pool's state", async function () {
+            const empty = await client.getState()
+            expect(empty.leafCount).to.equal(0n)
+            expect(empty.balance).to.equal(0n)
+            expect(empty.token).to.equal(ethers.ZeroAddress)
+            expect(empty.treeDepth).to.equal(20n)
+            expect(empty.capacity).to.equal(2n ** 20n)
+
+            const depositNote = await note()
+            const receipt = await client.deposit(depositNote)
+            expect(receipt.leafIndex).to.equal(0n)
+            expect(await mixer.s_commitments(receipt.commitment)).to.equal(true)
+
+            // Reads work with a provider alone
+            const reader = new MixerClient(client.address, ethers.provider)
+            const state = await reader.getState()
+            expect(state.leafCount).to.equal(1n)
+            expect(state.balance).to.equal(ethers.parseEther("0.001"))
+            expect(state.root).to.equal(await mixer.getRoot())
+            expect(state.root).to.not.equal(empty.root)
+            await expect(reader.deposit(depositNote)).to.be.rejectedWith(
+                "need a signer"
+            )
+
+            const error = await thrown(client.deposit(depositNote))
+            expect(error).to.be.instanceOf(MixerCommitmentAlreadyExistsError)
+            expect(error.errorName).to.equal("Mixer__CommitmentAlreadyExists")
+            expect(error.commitment).to.equal(receipt.commitment)
+        })
+
+        it("Should approve the token before a token deposit", async function () {
+            const token = await ethers.deployContract("MockERC20", [
+                "Test",
+                "TST",
+                6,
+            ])
+            const tokenMixer = await ethers.deployContract("Mixer", [
+                await mixer.i_verifier(),
+                20,
+                await token.getAddress(),
+                1000n,
+            ])
+            const tokenClient = new MixerClient(
+                await tokenMixer.getAddress(),
+                depositor
+            )
+
+            // Not minted yet, the token's own error comes back decoded
+            const error = await thrown(
+                tokenClient.deposit(await note(tokenMixer))
+            )
+            expect(error).to.be.instanceOf(ContractError)
+            expect(error.errorName).to.equal("ERC20InsufficientBalance")
+
+            await token.mint(depositor.address, 1000n)
+            await tokenClient.deposit(await note(tokenMixer))
+            expect((await tokenClient.getState()).balance).to.equal(1000n)
+            expect(await token.balanceOf(depositor.address)).to.equal(0n)
+        })
+
+        it("Should refuse notes of another pool", async function () {
+            const other = await note()
+            other.mixerAddress = ethers.Wallet.createRandom().address
+            await expect(client.deposit(other)).to.be.rejectedWith(
+                `Note is for mixer ${other.mixerAddress}`
+            )
+            const wrongChain = { ...(await note()), chainId: 1n }
+            await expect(client.deposit(wrongChain)).to.be.rejectedWith(
+                "Note is for chain 1"
+            )
+        })
+
+        it("Should throw typed errors for rejected withdrawals", async function () {
+            const withdrawal = {
+                hexProof: "0x",
+                root: Fr.random().toString(),
+                nullifierHash: Fr.random().toString(),
+                recipient: depositor.address,
+                relayer: ethers.ZeroAddress,
+                fee: 0n,
+            }
+            const unknownRoot = await thrown(
+                client.submitWithdrawal(withdrawal)
+            )
+            expect(unknownRoot).to.be.instanceOf(MixerUnknownRootError)
+            expect(unknownRoot.root).to.equal(withdrawal.root)
+            expect(unknownRoot.message).to.include("recent roots")
+
+            const tooHigh = await thrown(
+                client.submitWithdrawal({
+                    ...withdrawal,
+                    fee: ethers.parseEther("1"),
+                })
+            )
+            expect(tooHigh).to.be.instanceOf(MixerFeeExceedsDepositAmountError)
+            expect(tooHigh.fee).to.equal(ethers.parseEther("1"))
+            expect(tooHigh.depositAmount).to.equal(ethers.parseEther("0.001"))
+        })
+    })
+
+    describe("PanagramClient", function () {
+        const panagramInterface = new ethers.Interface(PANAGRAM_ABI)
+
+        it("Should decode Panagram errors", function () {
+            const revert = (name: string, args: unknown[] = []) => ({
+                data: panagramInterface.encodeErrorResult(name, args),
+            })
+            expect(
+                decodeContractError(
+                    revert("Panagram__AlreadyGuessedThisRound"),
+                    panagramInterface
+                )
+            ).to.be.instanceOf(PanagramAlreadyGuessedThisRoundError)
+            const tooEarly: any = decodeContractError(
+                // Nested the way ethers wraps provider errors
+                {
+                    info: {
+                        error: revert("Panagram__MinRoundDurationNotMet", [60]),
+                    },
+                },
+                panagramInterface
+            )
+            expect(tooEarly).to.be.instanceOf(
+                PanagramMinRoundDurationNotMetError
+            )
+            expect(tooEarly.timeLeft).to.equal(60n)
+
+            // Anything else is passed through as it is
+            const plain = new Error("network down")
+            expect(decodeContractError(plain, panagramInterface)).to.equal(
+                plain
+            )
+            const unknown = { data: "0xdeadbeef" }
+            expect(decodeContractError(unknown, panagramInterface)).to.equal(
+                unknown
+            )
+        })
+
+        describe("with the Panagram contracts", function () {
+            let panagram: any
+            let owner: any
+            let player: any
+            let client: PanagramClient
+            let proven: any[]
+            const salt = toBytes32(42)
+
+            function deploy(file: string, name: string, args: unknown[] = []) {
+                const { abi, bytecode } = JSON.parse(
+                    fs.readFileSync(
+                        path.join(PANAGRAM_ARTIFACTS, file, `${name}.json`),
+                        "utf8"
+                    )
+                )
+                return new ethers.ContractFactory(abi, bytecode, owner).deploy(
+                    ...args
+                )
+            }
+
+            before(function () {
+                if (!fs.existsSync(PANAGRAM_ARTIFACTS)) {
+                    console.log(
+                        `⚠️  ${PANAGRAM_ARTIFACTS} not found, run npx hardhat compile in zk_panagram/web3 to test PanagramClient on-chain`
+                    )
+                    this.skip()
+                }
+            })
+
+            beforeEach(async function () {
+                ;[owner, player] = await ethers.getSigners()
+                // The mock verifier accepts any proof, the circuit isn't needed
+                const verifier = await deploy(
+                    "mocks/MockVerifier.sol",
+                    "MockVerifier"
+                )
+                panagram = await deploy("Panagram.sol", "Panagram", [
+                    await verifier.getAddress(),
+                ])
+                proven = []
+                client = new PanagramClient(
+                    await panagram.getAddress(),
+                    player,
+                    {
+                        prover: async (inputs) => {
+                            proven.push(inputs)
+                            return { hexProof: "0x01" }
+                        },
+                    }
+                )
+            })
+
+            afterEach(async function () {
+                // Releases the hasher guess() keeps
+                await client.destroy()
+            })
+
+            it("Should read the round and guess its answer once", async function () {
+                expect(await thrown(client.currentRound())).to.be.instanceOf(
+                    PanagramGameNotStartedError
+                )
+
+                await panagram.newRound(
+                    await commitWord("triangles", salt),
+                    salt,
+                    encodeScramble("alertings")
+                )
+                const round = await client.currentRound()
+                expect(round.round).to.equal(1n)
+                expect(round.scramble).to.equal("alertings")
+                expect(round.winner).to.equal(null)
+
+                await expect(client.guess("integrals")).to.be.rejectedWith(
+                    "not the answer"
+                )
+                await expect(client.guess("triangle")).to.be.rejectedWith(
+                    "not an anagram"
+                )
+                expect(proven).to.have.length(0)
+
+                const receipt = await client.guess("triangles")
+                expect(receipt).to.include({
+                    round: 1n,
+                    isWinner: true,
+                    tokenId: 0n,
+                })
+                expect(proven[0].prover_address).to.equal(
+                    addressToField(player.address)
+                )
+                expect(proven[0].round).to.equal(toBytes32(1))
+                expect((await client.currentRound()).winner).to.equal(
+                    player.address
+                )
+
+                expect(
+                    await thrown(client.guess("triangles"))
+                ).to.be.instanceOf(PanagramAlreadyGuessedThisRoundError)
+                expect(proven).to.have.length(1)
+            })
+
+            it("Should report new rounds", async function () {
+                const rounds: PanagramRound[] = []
+                const stop = client.watchRounds((round) => rounds.push(round))
+                await panagram.newRound(
+                    await commitWord("triangles", salt),
+                    salt,
+                    encodeScramble("alertings")
+                )
+                const deadline = Date.now() + 30000
+                while (rounds.length === 0 && Date.now() < deadline) {
+                    await new Promise((resolve) => setTimeout(resolve, 200))
+                }
+                stop()
+                expect(rounds).to.have.length(1)
+                expect(rounds[0].round).to.equal(1n)
+                expect(rounds[0].scramble).to.equal("alertings")
+            })
+        })
+    })
+})
@@ -0,0 +1,130 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { Fr } from "@aztec/bb.js"
+
+import { orderLeaves, syncTree } from "../scripts/syncTree"
+
+describe("Mixer tree indexer", function () {
+    this.timeout(120000)
+
+    const depth = 6
+    let mixer: any
+    let amount: bigint
+    let dir: string
+    let snapshotPath: string
+
+    async function deposit(count: number): Promise<string[]> {
+        const commitments = []
+        for (let i = 0; i < count; i++) {
+            const commitment = Fr.random().toString()
+            await mixer.deposit(commitment, { value: amount })
+            commitments.push(commitment)
+        }
+        return commitments
+    }
+
+    beforeEach(async function () {
+        const [owner] = await ethers.getSigners()
+        // The verifier is only called on withdraw, so any address will do here
+        mixer = await ethers.deployContract("Mixer", [
+            owner.address,
+            depth,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        amount = await mixer.DEPOSIT_AMOUNT()
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mixer-sync-"))
+        snapshotPath = path.join(dir, "tree.json")
+    })
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should rebuild the tree from deposit events in small block ranges", async function () {
+        const commitments = await deposit(5)
+
+        const { tree, added } = await syncTree({
+            provider: ethers.provider,
+            mixerAddress: await mixer.getAddress(),
+            batchSize: 2,
+        })
+
+        expect(added).to.equal(5)
+        expect(tree.leaves()).to.deep.equal(commitments)
+        expect(tree.root()).to.equal(await mixer.getRoot())
+        await tree.dispose()
+    })
+
+    it("Should resume from a snapshot and only add new deposits", async function () {
+        const mixerAddress = await mixer.getAddress()
+        await deposit(3)
+        const first = await syncTree({
+            provider: ethers.provider,
+            mixerAddress,
+            snapshotPath,
+        })
+        await first.tree.dispose()
+
+        await deposit(2)
+        const second = await syncTree({
+            provider: ethers.provider,
+            mixerAddress,
+            snapshotPath,
+        })
+
+        expect(second.added).to.equal(2)
+        expect(second.rolledBack).to.equal(false)
+        expect(second.tree.root()).to.equal(await mixer.getRoot())
+        await second.tree.dispose()
+    })
+
+    it("Should roll back when the last synced block is reorged out", async function () {
+        const mixerAddress = await mixer.getAddress()
+        const kept = await deposit(2)
+        const chainSnapshot = await ethers.provider.send("evm_snapshot", [])
+        await deposit(2)
+
+        const before = await syncTree({
+            provider: ethers.provider,
+            mixerAddress,
+            snapshotPath,
+        })
+        expect(before.tree.totalLeaves).to.equal(4)
+        await before.tree.dispose()
+
+        // Replace the last two deposits with three different ones
+        await ethers.provider.send("evm_revert", [chainSnapshot])
+        const replaced = await deposit(3)
+
+        const after = await syncTree({
+            provider: ethers.provider,
+            mixerAddress,
+            snapshotPath,
+        })
+        expect(after.rolledBack).to.equal(true)
+        expect(after.tree.leaves()).to.deep.equal([...kept, ...replaced])
+        expect(after.tree.root()).to.equal(await mixer.getRoot())
+        await after.tree.dispose()
+    })
+
+    it("Should order leaf events and detect gaps", function () {
+        const event = (leafIndex: number) => ({
+            leafIndex,
+            leaf: `0x${leafIndex.toString(16).padStart(64, "0")}`,
+            blockNumber: 1,
+        })
+
+        expect(orderLeaves([event(4), event(3), event(3)], 3)).to.deep.equal([
+            event(3).leaf,
+            event(4).leaf,
+        ])
+        expect(() => orderLeaves([event(3), event(5)], 3)).to.throw(
+            "Missing leaf 4"
+        )
+        expect(() => orderLeaves([event(2)], 3)).to.throw("already in the tree")
+    })
+})
@@ -0,0 +1,140 @@
+import { expect } from "chai"
+import { ethers } from "hardhat"
+import { Fr } from "@aztec/bb.js"
+
+import { generateCommitment } from "../scripts/generateCommitment"
+import {
+    checkDeployedVerifier,
+    checkWithdrawalState,
+    decodeWithdrawalInputs,
+    encodeWithdrawalInputs,
+    explainInputMismatches,
+} from "../scripts/verifyProof"
+
+describe("Withdrawal verification", function () {
+    this.timeout(120000)
+
+    let recipient: any
+    let relayer: any
+
+    beforeEach(async function () {
+        ;[, recipient, relayer] = await ethers.getSigners()
+    })
+
+    it("Should decode the public inputs back into withdraw arguments", function () {
+        const call = {
+            proof: "0x",
+            root: Fr.random().toString(),
+            nullifierHash: Fr.random().toString(),
+            recipient: recipient.address,
+            relayer: relayer.address,
+            fee: 1234n,
+        }
+        const inputs = decodeWithdrawalInputs(encodeWithdrawalInputs(call))
+        expect(inputs).to.deep.equal({
+            root: call.root,
+            nullifierHash: call.nullifierHash,
+            recipient: recipient.address,
+            relayer: relayer.address,
+            fee: 1234n,
+        })
+        expect(explainInputMismatches(inputs, call)).to.deep.equal([])
+
+        expect(() =>
+            decodeWithdrawalInputs(encodeWithdrawalInputs(call).slice(0, 3))
+        ).to.throw("5 public inputs")
+        const notAnAddress = encodeWithdrawalInputs(call)
+        notAnAddress[2] = ethers.toBeHex(1n << 160n, 32)
+        expect(() => decodeWithdrawalInputs(notAnAddress)).to.throw(
+            "recipient is not an address"
+        )
+    })
+
+    it("Should explain which withdraw argument differs from the proof", function () {
+        const proven = decodeWithdrawalInputs(
+            encodeWithdrawalInputs({
+                proof: "0x",
+                root: Fr.random().toString(),
+                nullifierHash: Fr.random().toString(),
+                recipient: recipient.address,
+            })
+        )
+
+        const problems = explainInputMismatches(proven, {
+            proof: "0x",
+            root: proven.root,
+            nullifierHash: proven.nullifierHash,
+            recipient: relayer.address,
+            relayer: relayer.address,
+            fee: 10n,
+        })
+        expect(problems).to.have.length(3)
+        expect(problems[0]).to.include(`pays out to ${recipient.address}`)
+        expect(problems[1]).to.include("without a relayer")
+        expect(problems[2]).to.include("fee of 0")
+    })
+
+    it("Should check the root, nullifier and fee against the mixer", async function () {
+        const [owner] = await ethers.getSigners()
+        // Only state is read here, the verifier is never called
+        const mixer: any = await ethers.deployContract("Mixer", [
+            owner.address,
+            4,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.001"),
+        ])
+        const { commitment } = await generateCommitment()
+        await mixer.deposit(commitment, { value: ethers.parseEther("0.001") })
+        const root = await mixer.getRoot()
+
+        const call = {
+            proof: "0x",
+            root,
+            nullifierHash: Fr.random().toString(),
+            recipient: recipient.address,
+        }
+        expect(await checkWithdrawalState(mixer, call)).to.deep.equal([])
+
+        const problems = await checkWithdrawalState(mixer, {
+            ...call,
+            root: Fr.random().toString(),
+            relayer: recipient.address,
+            fee: ethers.parseEther("1"),
+        })
+        expect(problems).to.have.length(2)
+        expect(problems[0]).to.include("Mixer__FeeExceedsDepositAmount")
+        expect(problems[1]).to.include("not one of the last 30 roots")
+
+        const burned = await checkWithdrawalState(mixer, { ...call, fee: 1n })
+        expect(burned).to.have.length(1)
+        expect(burned[0]).to.include("Mixer__FeeWithoutRelayer")
+    })
+
+    it("Should ask the verifier the mixer was deployed with", async function () {
+        const deploy = async (verifier: any) =>
+            (await ethers.deployContract("Mixer", [
+                await verifier.getAddress(),
+                4,
+                ethers.ZeroAddress,
+                ethers.parseEther("0.001"),
+            ])) as any
+        const call = {
+            proof: ethers.hexlify(new Uint8Array(440 * 32)),
+            root: Fr.random().toString(),
+            nullifierHash: Fr.random().toString(),
+            recipient: recipient.address,
+        }
+
+        const mock = await ethers.deployContract("MockVerifier")
+        expect(
+            await checkDeployedVerifier(await deploy(mock), call)
+        ).to.deep.equal([])
+
+        const honk = await ethers.deployContract("HonkVerifier")
+        const problems = await checkDeployedVerifier(await deploy(honk), call)
+        expect(problems).to.have.length(1)
+        expect(problems[0]).to.include(
+            `verifier ${await honk.getAddress()} rejects the proof (`
+        )
+    })
+})
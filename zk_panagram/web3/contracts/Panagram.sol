@@ -8,7 +8,12 @@ import { IVerifier } from "./Verifier.sol";
 contract Panagram is ERC1155, Ownable {
     IVerifier public s_verifier;
     uint256 public s_roundStartTime;
+    // Poseidon2 hash of s_salt and the answer's letters
     bytes32 public s_correctAnswerHash;
+    // Public per round, so answer hashes can't be precomputed or reused
+    bytes32 public s_salt;
+    // Letters of the answer in another order, left-aligned and zero padded
+    bytes32 public s_scramble;
     address public s_currentRoundWinner;
     uint256 public s_currentRound;
 
@@ -18,6 +23,8 @@ contract Panagram is ERC1155, Ownable {
     uint256 public constant MIN_ROUND_DURATION = 1 days;
     uint256 public constant WINNER_TOKEN_ID = 0;
     uint256 public constant PARTICIPANT_TOKEN_ID = 1;
+    // answer_hash, prover_address, round, panagram_address, salt and one per scramble letter
+    uint256 public constant NUMBER_OF_PUBLIC_INPUTS = 37;
 
     event Panagram__VerifierUpdated(IVerifier verifier);
     event Panagram__NewRoundStarted(uint256 round, uint256 startTime);
@@ -45,7 +52,11 @@ contract Panagram is ERC1155, Ownable {
         s_verifier = IVerifier(_verifier);
     }
 
-    function newRound(bytes32 _correctAnswerHash) external onlyOwner {
+    function newRound(
+        bytes32 _correctAnswerHash,
+        bytes32 _salt,
+        bytes32 _scramble
+    ) external onlyOwner {
         if (s_roundStartTime != 0) {
             if (block.timestamp < s_roundStartTime + MIN_ROUND_DURATION) {
                 revert Panagram__MinRoundDurationNotMet(
@@ -59,6 +70,8 @@ contract Panagram is ERC1155, Ownable {
         }
 
         s_correctAnswerHash = _correctAnswerHash;
+        s_salt = _salt;
+        s_scramble = _scramble;
         s_roundStartTime = block.timestamp;
         s_currentRound++;
         emit Panagram__NewRoundStarted(s_currentRound, s_roundStartTime);
@@ -74,12 +87,21 @@ contract Panagram is ERC1155, Ownable {
         }
 
         // Verify the proof
-        bytes32[] memory inputs = new bytes32[](2);
+        bytes32[] memory inputs = new bytes32[](NUMBER_OF_PUBLIC_INPUTS);
         inputs[0] = s_correctAnswerHash;
         // the double conversion is to ensure the address is correctly formatted
         // as a bytes32 from a 20-byte address to a 20 * 8 bit number to a 32 byte number
         // and then back to bytes32
         inputs[1] = bytes32(uint256(uint160(msg.sender)));
+        // the round and this contract bind the proof to this round of this game,
+        // so it can't be replayed in a later round with the same answer
+        inputs[2] = bytes32(s_currentRound);
+        inputs[3] = bytes32(uint256(uint160(address(this))));
+        // the guess has to hash to the answer with this salt and use the scramble's letters
+        inputs[4] = s_salt;
+        for (uint256 i = 0; i < 32; i++) {
+            inputs[5 + i] = bytes32(uint256(uint8(s_scramble[i])));
+        }
         bool isProofValid = s_verifier.verify(_proof, inputs);
         if (!isProofValid) {
             revert Panagram__InvalidProof();
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IVerifier } from "../Verifier.sol";
+
+// Accepts every proof unless told otherwise, for tests that don't need real proofs
+contract MockVerifier is IVerifier {
+    bool public s_result = true;
+    // When set, proofs are only accepted with exactly these public inputs
+    bytes32 public s_expectedInputsHash;
+
+    function setResult(bool _result) external {
+        s_result = _result;
+    }
+
+    function expectInputs(bytes32[] calldata _publicInputs) external {
+        s_expectedInputsHash = keccak256(abi.encode(_publicInputs));
+    }
+
+    function verify(
+        bytes calldata,
+        bytes32[] calldata _publicInputs
+    ) external view returns (bool) {
+        if (
+            s_expectedInputsHash != bytes32(0) &&
+            keccak256(abi.encode(_publicInputs)) != s_expectedInputsHash
+        ) {
+            return false;
+        }
+        return s_result;
+    }
+}
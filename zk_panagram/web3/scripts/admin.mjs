@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+/**
+ * Round Administration for Panagram Game
+ *
+ * Owner tooling to start rounds without hand-computing answer hashes:
+ * words are normalized and checked against the published scramble, each round
+ * gets a fresh salt and the answer hash is computed exactly as the circuit
+ * expects (see commitWord).
+ *
+ * Usage: node scripts/admin.mjs <command> [args] [--panagram <address>] [--rpc <url>]
+ * The owner key is read from the PANAGRAM_OWNER_KEY environment variable.
+ */
+
+import fs from "fs"
+import path from "path"
+import { ethers } from "ethers"
+import { fileURLToPath } from "url"
+
+import {
+    MAX_LETTERS,
+    commitWord,
+    decodeScramble,
+    destroyProver,
+    encodeScramble,
+    randomSalt,
+} from "./generate-proof.mjs"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
+// Upcoming rounds, kept out of version control since it holds the answers
+export const DEFAULT_SCHEDULE_PATH = path.resolve(
+    __dirname,
+    "../.panagram-schedule.json"
+)
+
+// Accepted answer lengths, after normalization
+export const MIN_WORD_LENGTH = 4
+export const MAX_WORD_LENGTH = MAX_LETTERS
+
+// Only the parts of the Panagram ABI the admin tooling needs
+export const PANAGRAM_ADMIN_ABI = [
+    "function owner() view returns (address)",
+    "function s_verifier() view returns (address)",
+    "function s_roundStartTime() view returns (uint256)",
+    "function s_correctAnswerHash() view returns (bytes32)",
+    "function s_salt() view returns (bytes32)",
+    "function s_scramble() view returns (bytes32)",
+    "function s_currentRoundWinner() view returns (address)",
+    "function s_currentRound() view returns (uint256)",
+    "function MIN_ROUND_DURATION() view returns (uint256)",
+    "function newRound(bytes32 _correctAnswerHash, bytes32 _salt, bytes32 _scramble)",
+    "function setVerifier(address _verifier)",
+    "error Panagram__MinRoundDurationNotMet(uint256 timeLeft)",
+    "error Panagram__NoRoundWinner()",
+    "error OwnableUnauthorizedAccount(address account)",
+]
+
+/**
+ * Lowercases a word, strips accents and surrounding spaces
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+    return word
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .trim()
+        .toLowerCase()
+}
+
+function sortedLetters(word) {
+    return [...word].sort().join("")
+}
+
+/**
+ * Checks a word can be used as the answer for a published scramble
+ * @param {string} word - The answer
+ * @param {string} scramble - The letters shown to players
+ * @returns {{word: string, scramble: string}} both normalized
+ * @throws with the reason the pair is rejected
+ */
+export function validateAnagram(word, scramble) {
+    const answer = normalizeWord(word)
+    const letters = normalizeWord(scramble)
+
+    if (!/^[a-z]+$/.test(answer)) {
+        throw new Error(`"${word}" must only contain the letters a-z`)
+    }
+    if (answer.length < MIN_WORD_LENGTH || answer.length > MAX_WORD_LENGTH) {
+        throw new Error(
+            `"${answer}" must be ${MIN_WORD_LENGTH} to ${MAX_WORD_LENGTH} letters long, it has ${answer.length}`
+        )
+    }
+    if (sortedLetters(answer) !== sortedLetters(letters)) {
+        throw new Error(
+            `"${answer}" is not an anagram of the scramble "${letters}"`
+        )
+    }
+    if (answer === letters) {
+        throw new Error("The scramble gives the answer away, shuffle it")
+    }
+    return { word: answer, scramble: letters }
+}
+
+/**
+ * @param {number|bigint} seconds
+ * @returns {string} e.g. "3h 02m 05s"
+ */
+export function formatDuration(seconds) {
+    const total = Number(seconds)
+    const hours = Math.floor(total / 3600)
+    const minutes = Math.floor((total % 3600) / 60)
+    const rest = total % 60
+    const pad = (value) => String(value).padStart(2, "0")
+    return `${hours}h ${pad(minutes)}m ${pad(rest)}s`
+}
+
+/**
+ * Turns a Panagram revert into a sentence for the owner
+ * @param {any} error - Error thrown by ethers
+ * @returns {string}
+ */
+export function describeRoundError(error) {
+    const iface = new ethers.Interface(PANAGRAM_ADMIN_ABI)
+    const data = error?.data ?? error?.info?.error?.data
+    let parsed = null
+    try {
+        parsed = data ? iface.parseError(data) : null
+    } catch {
+        parsed = null
+    }
+
+    switch (parsed?.name) {
+        case "Panagram__MinRoundDurationNotMet":
+            return `The current round is too recent, a new one can start in ${formatDuration(
+                parsed.args.timeLeft
+            )}`
+        case "Panagram__NoRoundWinner":
+            return "Nobody has solved the current round yet, it can't be replaced"
+        case "OwnableUnauthorizedAccount":
+            return `${parsed.args.account} is not the owner of this Panagram`
+        default:
+            return error?.shortMessage ?? error?.message ?? String(error)
+    }
+}
+
+/**
+ * Reads the state of the current round
+ * @param {ethers.Contract} panagram
+ */
+export async function getRoundStatus(panagram) {
+    const provider = panagram.runner.provider ?? panagram.runner
+    const [
+        round,
+        startTime,
+        answerHash,
+        scramble,
+        winner,
+        minDuration,
+        verifier,
+        block,
+    ] = await Promise.all([
+        panagram.s_currentRound(),
+        panagram.s_roundStartTime(),
+        panagram.s_correctAnswerHash(),
+        panagram.s_scramble(),
+        panagram.s_currentRoundWinner(),
+        panagram.MIN_ROUND_DURATION(),
+        panagram.s_verifier(),
+        provider.getBlock("latest"),
+    ])
+
+    const now = BigInt(block.timestamp)
+    const endsAt = startTime + minDuration
+    const timeLeft = round > 0n && now < endsAt ? endsAt - now : 0n
+    const hasWinner = winner !== ethers.ZeroAddress
+    return {
+        round,
+        startTime,
+        answerHash,
+        scramble: decodeScramble(scramble),
+        winner: hasWinner ? winner : null,
+        verifier,
+        timeLeft,
+        canStartNewRound: round === 0n || (timeLeft === 0n && hasWinner),
+    }
+}
+
+/**
+ * Validates the word, salts it and starts a round with its answer hash and
+ * the scramble. The call is simulated first, so a round that can't start yet
+ * costs no gas.
+ * @param {ethers.Contract} panagram - Connected to the owner
+ * @param {string} [salt] - Defaults to a fresh random salt, never reuse one
+ * @returns {Promise<{answerHash: string, salt: string, txHash: string}>}
+ * @throws with a readable reason when the contract refuses the round
+ */
+export async function startRound(
+    panagram,
+    word,
+    scramble,
+    salt = randomSalt()
+) {
+    const answer = validateAnagram(word, scramble)
+    const answerHash = await commitWord(answer.word, salt)
+    const args = [answerHash, salt, encodeScramble(answer.scramble)]
+
+    try {
+        await panagram.newRound.staticCall(...args)
+        const tx = await panagram.newRound(...args)
+        await tx.wait()
+        return { answerHash, salt, txHash: tx.hash }
+    } catch (error) {
+        throw new Error(describeRoundError(error))
+    }
+}
+
+/**
+ * @param {string} [file]
+ * @returns {{word: string, scramble: string, notBefore: number|null}[]}
+ */
+export function loadSchedule(file = DEFAULT_SCHEDULE_PATH) {
+    if (!fs.existsSync(file)) {
+        return []
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+export function saveSchedule(schedule, file = DEFAULT_SCHEDULE_PATH) {
+    fs.writeFileSync(file, JSON.stringify(schedule, null, 2) + "\n")
+}
+
+/**
+ * Queues a word for an upcoming round
+ * @param {number|null} [notBefore] - Unix time before which the round shouldn't start
+ */
+export function addToSchedule(
+    word,
+    scramble,
+    notBefore = null,
+    file = DEFAULT_SCHEDULE_PATH
+) {
+    const entry = { ...validateAnagram(word, scramble), notBefore }
+    const schedule = loadSchedule(file)
+    if (schedule.some((queued) => queued.word === entry.word)) {
+        throw new Error(`"${entry.word}" is already scheduled`)
+    }
+    schedule.push(entry)
+    saveSchedule(schedule, file)
+    return schedule
+}
+
+/**
+ * Starts a round with the first scheduled word, if it is due and the
+ * contract accepts a new round. The word leaves the schedule once mined.
+ * Its salt is only drawn now, so it isn't known before the round starts.
+ * @returns {Promise<{word: string, answerHash: string, salt: string, txHash: string}|null>}
+ *          null when nothing is due
+ */
+export async function runSchedule(panagram, file = DEFAULT_SCHEDULE_PATH) {
+    const [next, ...rest] = loadSchedule(file)
+    if (!next) {
+        return null
+    }
+    const block = await panagram.runner.provider.getBlock("latest")
+    if (next.notBefore && block.timestamp < next.notBefore) {
+        return null
+    }
+
+    const result = await startRound(panagram, next.word, next.scramble)
+    saveSchedule(rest, file)
+    return { word: next.word, ...result }
+}
+
+function parseArgs(argv) {
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith("--")) {
+            flags[argv[i].slice(2)] = argv[++i]
+        } else {
+            positional.push(argv[i])
+        }
+    }
+    return { flags, positional }
+}
+
+function usage() {
+    console.error(
+        "Usage: node scripts/admin.mjs new-round <word> --scramble <letters>\n" +
+            "       node scripts/admin.mjs status\n" +
+            "       node scripts/admin.mjs set-verifier <address>\n" +
+            "       node scripts/admin.mjs schedule add <word> <scramble> [--at <date>]\n" +
+            "       node scripts/admin.mjs schedule list\n" +
+            "       node scripts/admin.mjs schedule run\n" +
+            "Options: --panagram <address> (or PANAGRAM_ADDRESS) --rpc <url> --schedule <file>"
+    )
+    process.exit(1)
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2))
+    const [command, ...args] = positional
+    const scheduleFile = flags.schedule ?? DEFAULT_SCHEDULE_PATH
+
+    // Schedule edits are local, they don't need a chain
+    if (command === "schedule" && args[0] === "add" && args.length === 3) {
+        const notBefore = flags.at
+            ? Math.floor(new Date(flags.at).getTime() / 1000)
+            : null
+        if (Number.isNaN(notBefore)) {
+            throw new Error(`Invalid date ${flags.at}`)
+        }
+        const schedule = addToSchedule(
+            args[1],
+            args[2],
+            notBefore,
+            scheduleFile
+        )
+        console.log(`✅ Scheduled, ${schedule.length} word(s) queued`)
+        return
+    }
+    if (command === "schedule" && args[0] === "list") {
+        const schedule = loadSchedule(scheduleFile)
+        if (schedule.length === 0) {
+            console.log("📭 Nothing scheduled")
+        }
+        schedule.forEach((entry, index) => {
+            const when = entry.notBefore
+                ? new Date(entry.notBefore * 1000).toISOString()
+                : "as soon as possible"
+            console.log(
+                `${index + 1}. ${entry.word} (scramble: ${entry.scramble}), ${when}`
+            )
+        })
+        return
+    }
+
+    const address = flags.panagram ?? process.env.PANAGRAM_ADDRESS
+    if (!command || !address) {
+        usage()
+    }
+    const provider = new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    const runner = process.env.PANAGRAM_OWNER_KEY
+        ? new ethers.Wallet(process.env.PANAGRAM_OWNER_KEY, provider)
+        : provider
+    const panagram = new ethers.Contract(address, PANAGRAM_ADMIN_ABI, runner)
+
+    if (command === "status") {
+        const status = await getRoundStatus(panagram)
+        console.log(`🎮 Panagram ${address}`)
+        console.log(`   Round: ${status.round}`)
+        if (status.round > 0n) {
+            console.log(
+                `   Started: ${new Date(
+                    Number(status.startTime) * 1000
+                ).toISOString()}`
+            )
+            console.log(`   Scramble: ${status.scramble}`)
+            console.log(`   Answer hash: ${status.answerHash}`)
+            console.log(`   Winner: ${status.winner ?? "none yet"}`)
+        }
+        console.log(`   Verifier: ${status.verifier}`)
+        if (status.canStartNewRound) {
+            console.log("✅ A new round can start now")
+        } else if (status.timeLeft > 0n) {
+            console.log(
+                `⏳ A new round can start in ${formatDuration(status.timeLeft)}`
+            )
+        } else {
+            console.log("⏳ A new round can start once someone solves this one")
+        }
+        console.log(`   Scheduled words: ${loadSchedule(scheduleFile).length}`)
+        return
+    }
+
+    if (runner === provider) {
+        throw new Error("Set PANAGRAM_OWNER_KEY to send owner transactions")
+    }
+
+    if (command === "new-round" && args.length === 1) {
+        if (!flags.scramble) {
+            throw new Error("Pass the published scramble with --scramble")
+        }
+        const { answerHash, salt, txHash } = await startRound(
+            panagram,
+            args[0],
+            flags.scramble
+        )
+        console.log(`🎯 New round started with answer hash ${answerHash}`)
+        console.log(`   Salt: ${salt}`)
+        console.log(`   Transaction: ${txHash}`)
+    } else if (command === "set-verifier" && args.length === 1) {
+        const verifier = ethers.getAddress(args[0])
+        if ((await provider.getCode(verifier)) === "0x") {
+            throw new Error(`No contract deployed at ${verifier}`)
+        }
+        try {
+            const tx = await panagram.setVerifier(verifier)
+            await tx.wait()
+        } catch (error) {
+            throw new Error(describeRoundError(error))
+        }
+        console.log(`✅ Verifier set to ${verifier}`)
+    } else if (command === "schedule" && args[0] === "run") {
+        const result = await runSchedule(panagram, scheduleFile)
+        if (result) {
+            console.log(
+                `🎯 Round started with the scheduled word "${result.word}"`
+            )
+            console.log(`   Transaction: ${result.txHash}`)
+        } else {
+            console.log("📭 No scheduled word is due")
+        }
+    } else {
+        usage()
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main()
+        .catch((err) => {
+            console.error(`❌ ${err.message}`)
+            process.exitCode = 1
+        })
+        // commitWord keeps a Poseidon2 hasher alive
+        .finally(destroyProver)
+}
@@ -0,0 +1,492 @@
+/**
+ * Circuit inputs checked against the ABI of a compiled circuit: every
+ * parameter present, array lengths such as [u8; 32], integer widths and
+ * fields below FIELD_MODULUS. Inputs are written to and read from
+ * Prover.toml, the file 'nargo execute' runs a circuit on.
+ *
+ * Only Node built-ins are imported, so the mixer uses this module as it is
+ * for its own circuit. prover-toml.mjs adds the Panagram circuit and
+ * noir_js on top.
+ */
+
+import fs from "fs"
+import path from "path"
+
+// Field modulus for BN254 elliptic curve used by Noir
+export const FIELD_MODULUS = BigInt(
+    "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+)
+
+/**
+ * The type as written in Noir, e.g. [u8; 32]
+ * @param {object} type - Parameter type from the ABI
+ * @returns {string}
+ */
+export function describeType(type) {
+    switch (type.kind) {
+        case "field":
+            return "Field"
+        case "boolean":
+            return "bool"
+        case "integer":
+            return `${type.sign === "signed" ? "i" : "u"}${type.width}`
+        case "string":
+            return `str<${type.length}>`
+        case "array":
+            return `[${describeType(type.type)}; ${type.length}]`
+        case "tuple":
+            return `(${type.fields.map(describeType).join(", ")})`
+        case "struct":
+            return type.path
+    }
+}
+
+// Integer value of a number, bigint or decimal/hex string, null if it has none
+function toBigInt(value) {
+    if (typeof value === "bigint") return value
+    if (typeof value === "number") {
+        return Number.isSafeInteger(value) ? BigInt(value) : null
+    }
+    if (typeof value === "string") {
+        const text = value.trim()
+        if (!/^-?(0x[0-9a-fA-F]+|[0-9]+)$/.test(text)) return null
+        return text.startsWith("-") ? -BigInt(text.slice(1)) : BigInt(text)
+    }
+    return null
+}
+
+// Invalid values in messages, bigints from parseToml included
+function show(value) {
+    return typeof value === "bigint" ? String(value) : JSON.stringify(value)
+}
+
+// Checks one value against its type, collecting every problem with the
+// path of the value. Returns the value in the form noir_js takes.
+function checkValue(type, value, at, problems) {
+    const expected = describeType(type)
+    const problem = (message) => {
+        problems.push(`${at}: ${message}`)
+        return ""
+    }
+
+    switch (type.kind) {
+        case "field": {
+            const number = toBigInt(value)
+            if (number === null) {
+                return problem(`expected a Field, got ${show(value)}`)
+            }
+            if (number < 0n || number >= FIELD_MODULUS) {
+                return problem(
+                    `${value} is outside the field (0 to FIELD_MODULUS - 1)`
+                )
+            }
+            return `0x${number.toString(16)}`
+        }
+        case "integer": {
+            const number = toBigInt(value)
+            if (number === null) {
+                return problem(`expected ${expected}, got ${show(value)}`)
+            }
+            const bits = BigInt(type.width)
+            const [min, max] =
+                type.sign === "signed"
+                    ? [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n]
+                    : [0n, (1n << bits) - 1n]
+            if (number < min || number > max) {
+                return problem(
+                    `${value} does not fit in ${expected} (${min} to ${max})`
+                )
+            }
+            return number.toString()
+        }
+        case "boolean":
+            if (typeof value !== "boolean") {
+                return problem(`expected a bool, got ${show(value)}`)
+            }
+            return value
+        case "string":
+            if (typeof value !== "string" || value.length !== type.length) {
+                return problem(`expected ${expected}, got ${show(value)}`)
+            }
+            return value
+        case "array":
+        case "tuple": {
+            const types =
+                type.kind === "array"
+                    ? new Array(type.length).fill(type.type)
+                    : type.fields
+            if (!Array.isArray(value)) {
+                return problem(`expected ${expected}, got ${show(value)}`)
+            }
+            if (value.length !== types.length) {
+                return problem(
+                    `expected ${expected}, got ${value.length} elements`
+                )
+            }
+            return types.map((elementType, i) =>
+                checkValue(elementType, value[i], `${at}[${i}]`, problems)
+            )
+        }
+        case "struct": {
+            if (
+                typeof value !== "object" ||
+                value === null ||
+                Array.isArray(value)
+            ) {
+                return problem(
+                    `expected struct ${expected}, got ${show(value)}`
+                )
+            }
+            return checkFields(type.fields, value, `${at}.`, problems)
+        }
+    }
+}
+
+function checkFields(fields, values, prefix, problems) {
+    const checked = {}
+    for (const { name, type } of fields) {
+        if (values[name] === undefined) {
+            problems.push(
+                `${prefix}${name}: missing, expected ${describeType(type)}`
+            )
+        } else {
+            checked[name] = checkValue(
+                type,
+                values[name],
+                `${prefix}${name}`,
+                problems
+            )
+        }
+    }
+    for (const name of Object.keys(values)) {
+        if (!fields.some((field) => field.name === name)) {
+            problems.push(`${prefix}${name}: not a parameter of the circuit`)
+        }
+    }
+    return checked
+}
+
+/**
+ * Checks inputs against the circuit's ABI: every parameter present and no
+ * other, array lengths, integer widths and fields below FIELD_MODULUS.
+ * Accepts numbers, bigints and decimal or hex strings for fields and integers.
+ * @param {object} abi - The `abi` of a compiled circuit
+ * @param {object} inputs - Parameter name to value
+ * @returns {object} the inputs as noir_js takes them, fields as 0x hex
+ * @throws listing every problem found
+ */
+export function validateInputs(abi, inputs) {
+    const problems = []
+    const checked = checkFields(
+        abi.parameters.map(({ name, type }) => ({ name, type })),
+        inputs,
+        "",
+        problems
+    )
+    if (problems.length > 0) {
+        throw new Error(
+            `Invalid circuit inputs:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+        )
+    }
+    return checked
+}
+
+// A checked value in TOML, inline tables for structs inside arrays
+function tomlValue(type, value) {
+    switch (type.kind) {
+        case "field":
+            return JSON.stringify(value)
+        case "integer": {
+            // Bare when it fits in a JS number, like hand-written files
+            const number = Number(value)
+            return Number.isSafeInteger(number) && number >= 0
+                ? String(number)
+                : JSON.stringify(value)
+        }
+        case "boolean":
+            return String(value)
+        case "string":
+            return JSON.stringify(value)
+        case "array":
+        case "tuple": {
+            return `[${value
+                .map((element, i) =>
+                    tomlValue(
+                        type.kind === "array" ? type.type : type.fields[i],
+                        element
+                    )
+                )
+                .join(", ")}]`
+        }
+        case "struct": {
+            return `{ ${type.fields
+                .map(
+                    ({ name, type }) =>
+                        `${name} = ${tomlValue(type, value[name])}`
+                )
+                .join(", ")} }`
+        }
+    }
+}
+
+// Struct parameters become [tables], after the plain keys as TOML requires
+function tomlTable(fields, values, header) {
+    const lines = []
+    const tables = []
+    for (const { name, type } of fields) {
+        if (type.kind === "struct") {
+            const table = header ? `${header}.${name}` : name
+            tables.push("", `[${table}]`)
+            tables.push(...tomlTable(type.fields, values[name], table))
+        } else {
+            lines.push(`${name} = ${tomlValue(type, values[name])}`)
+        }
+    }
+    return [...lines, ...tables]
+}
+
+/**
+ * Formats inputs as a Prover.toml for `nargo execute`, in ABI order
+ * @param {object} abi
+ * @param {object} inputs
+ * @param {string} [comment] - Written as a comment at the top, e.g. where the inputs come from
+ * @returns {string}
+ * @throws if the inputs don't match the ABI, see validateInputs
+ */
+export function toProverToml(abi, inputs, comment) {
+    const checked = validateInputs(abi, inputs)
+    const lines = tomlTable(abi.parameters, checked, "")
+    if (comment) {
+        lines.unshift(...comment.split("\n").map((line) => `# ${line}`))
+    }
+    return `${lines.join("\n")}\n`
+}
+
+/**
+ * Parses the subset of TOML used by Prover.toml files: key = value pairs,
+ * [tables], strings, integers, booleans, arrays and inline tables
+ * @param {string} text
+ * @returns {object} integers as bigints, the rest as plain values
+ */
+export function parseToml(text) {
+    let pos = 0
+    const root = {}
+    let table = root
+
+    const fail = (message) => {
+        const line = text.slice(0, pos).split("\n").length
+        throw new Error(`TOML line ${line}: ${message}`)
+    }
+    // Skips spaces and comments, and line breaks too when `lines` is set
+    const skip = (lines) => {
+        while (pos < text.length) {
+            const char = text[pos]
+            if (char === "#") {
+                while (pos < text.length && text[pos] !== "\n") pos++
+            } else if (" \t\r".includes(char) || (lines && char === "\n")) {
+                pos++
+            } else {
+                break
+            }
+        }
+    }
+    const parseString = () => {
+        const quote = text[pos++]
+        let value = ""
+        while (text[pos] !== quote) {
+            if (pos >= text.length || text[pos] === "\n") {
+                fail("unterminated string")
+            }
+            if (quote === '"' && text[pos] === "\\") {
+                const escape = text[pos + 1]
+                const simple = {
+                    n: "\n",
+                    t: "\t",
+                    r: "\r",
+                    '"': '"',
+                    "\\": "\\",
+                }
+                if (escape in simple) {
+                    value += simple[escape]
+                    pos += 2
+                } else if (escape === "u") {
+                    value += String.fromCharCode(
+                        parseInt(text.slice(pos + 2, pos + 6), 16)
+                    )
+                    pos += 6
+                } else {
+                    fail(`unsupported escape \\${escape}`)
+                }
+            } else {
+                value += text[pos++]
+            }
+        }
+        pos++
+        return value
+    }
+    const parseKey = () => {
+        const keys = []
+        for (;;) {
+            skip(false)
+            if (text[pos] === '"' || text[pos] === "'") {
+                keys.push(parseString())
+            } else {
+                const bare = /^[A-Za-z0-9_-]+/.exec(text.slice(pos))
+                if (!bare) fail("expected a key")
+                keys.push(bare[0])
+                pos += bare[0].length
+            }
+            skip(false)
+            if (text[pos] !== ".") return keys
+            pos++
+        }
+    }
+    // Walks to the table at `keys`, creating it as needed
+    const tableAt = (start, keys) => {
+        let current = start
+        for (const key of keys) {
+            current[key] ??= {}
+            if (
+                typeof current[key] !== "object" ||
+                Array.isArray(current[key])
+            ) {
+                fail(`${keys.join(".")} is already a value`)
+            }
+            current = current[key]
+        }
+        return current
+    }
+    const assign = (target, keys, value) => {
+        const parent = tableAt(target, keys.slice(0, -1))
+        const key = keys[keys.length - 1]
+        if (key in parent) fail(`${keys.join(".")} is defined twice`)
+        parent[key] = value
+    }
+    const parseValue = () => {
+        const char = text[pos]
+        if (char === '"' || char === "'") {
+            if (text.startsWith(char.repeat(3), pos)) {
+                fail("multi-line strings are not supported")
+            }
+            return parseString()
+        }
+        if (char === "[") {
+            pos++
+            const values = []
+            for (;;) {
+                skip(true)
+                if (text[pos] === "]") break
+                values.push(parseValue())
+                skip(true)
+                if (text[pos] === ",") pos++
+                else if (text[pos] !== "]") fail("expected , or ] in array")
+            }
+            pos++
+            return values
+        }
+        if (char === "{") {
+            pos++
+            const values = {}
+            skip(false)
+            while (text[pos] !== "}") {
+                const keys = parseKey()
+                if (text[pos] !== "=") fail("expected = in inline table")
+                pos++
+                skip(false)
+                assign(values, keys, parseValue())
+                skip(false)
+                if (text[pos] === ",") {
+                    pos++
+                    skip(false)
+                } else if (text[pos] !== "}") {
+                    fail("expected , or } in inline table")
+                }
+            }
+            pos++
+            return values
+        }
+        const word = /^[^\s,\]}#]+/.exec(text.slice(pos))?.[0] ?? ""
+        pos += word.length
+        if (word === "true" || word === "false") return word === "true"
+        const integer =
+            /^([+-]?)(0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[0-9_]+)$/.exec(word)
+        if (!integer) {
+            return fail(`unsupported value ${JSON.stringify(word)}`)
+        }
+        const magnitude = BigInt(integer[2].replace(/_/g, ""))
+        return integer[1] === "-" ? -magnitude : magnitude
+    }
+
+    for (;;) {
+        skip(true)
+        if (pos >= text.length) break
+        if (text[pos] === "[") {
+            if (text[pos + 1] === "[") {
+                fail("arrays of tables are not supported")
+            }
+            pos++
+            const keys = parseKey()
+            if (text[pos] !== "]") fail("expected ] after the table name")
+            pos++
+            table = tableAt(root, keys)
+        } else {
+            const keys = parseKey()
+            if (text[pos] !== "=") fail("expected = after the key")
+            pos++
+            skip(false)
+            assign(table, keys, parseValue())
+        }
+        skip(false)
+        if (pos < text.length && text[pos] !== "\n") {
+            fail("expected a line break")
+        }
+    }
+    return root
+}
+
+/**
+ * Reads a Prover.toml and checks it against the circuit's ABI
+ * @param {object} abi
+ * @param {string} text
+ * @returns {object} the inputs as noir_js takes them
+ */
+export function parseProverToml(abi, text) {
+    return validateInputs(abi, parseToml(text))
+}
+
+/**
+ * Where the witness of a dumped Prover.toml goes, next to it with a .gz
+ * extension like the files `nargo execute` writes to target/
+ * @param {string} tomlPath
+ * @returns {string}
+ */
+export function witnessPath(tomlPath) {
+    const { dir, name } = path.parse(tomlPath)
+    return path.join(dir, `${name}.gz`)
+}
+
+/**
+ * Saves a witness as returned by noir_js `execute`, in the same compressed
+ * format as nargo, so `bb prove -w <file>` can use it
+ * @param {string} file
+ * @param {Uint8Array} witness
+ */
+export function saveWitness(file, witness) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+    fs.writeFileSync(file, witness)
+}
+
+/**
+ * Writes the inputs of a proof as a Prover.toml. Call it before executing
+ * the circuit, so the inputs of a failing proof can be replayed with
+ * `nargo execute`, and save the witness to witnessPath(tomlPath) after.
+ * @param {string} tomlPath
+ * @param {object} abi
+ * @param {object} inputs
+ * @throws if the inputs don't match the ABI, before anything is written
+ */
+export function dumpInputs(tomlPath, abi, inputs) {
+    const toml = toProverToml(abi, inputs, "Replay with nargo execute")
+    fs.mkdirSync(path.dirname(path.resolve(tomlPath)), { recursive: true })
+    fs.writeFileSync(tomlPath, toml)
+}
@@ -0,0 +1,28 @@
+/**
+ * Compiles the Panagram circuit in this process with noir_wasm, the same
+ * program 'nargo compile' writes to circuit/target/
+ */
+
+import fs from "fs"
+import path from "path"
+import { compile_program, createFileManager } from "@noir-lang/noir_wasm"
+import { fileURLToPath } from "url"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Noir package holding Nargo.toml and src/main.nr
+export const CIRCUIT_DIR = path.resolve(__dirname, "../../circuit")
+
+/**
+ * @param {string} [outputPath] - Also write the program here, e.g. CIRCUIT_PATH
+ * @returns {Promise<object>} Compiled program
+ */
+export async function compileCircuit(outputPath) {
+    const { program } = await compile_program(createFileManager(CIRCUIT_DIR))
+    if (outputPath) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+        fs.writeFileSync(outputPath, JSON.stringify(program))
+    }
+    return program
+}
@@ -3,88 +3,314 @@
 /**
  * Zero-Knowledge Proof Generator for Panagram Game
  *
- * This script generates a zero-knowledge proof using the Noir circuit
- * to demonstrate that a user knows the correct answer to a word puzzle
- * without revealing the actual guess or answer.
+ * Generates zero-knowledge proofs with the Noir circuit to demonstrate that a
+ * user knows the correct answer to a word puzzle without revealing it.
  *
  * The proof verifies:
- * 1. The user has a valid guess that matches the answer
- * 2. The prover address is legitimate (non-zero)
- * 3. All values are within the BN254 field modulus
+ * 1. The private letters of the guess hash to the answer with the round's salt
+ * 2. The guess uses exactly the letters of the published scramble
+ * 3. The prover address, round and contract are the ones the proof is used with
+ *
+ * Import it to prove in-process: the circuit is loaded once and the Noir
+ * program and Ultra Honk backend stay warm between proofs. Run it directly
+ * for the command line version.
  */
 
 import fs from "fs"
 import path from "path"
 import { ethers } from "ethers"
 import { Noir } from "@noir-lang/noir_js"
-import { UltraHonkBackend } from "@aztec/bb.js"
+import { Barretenberg, Fr, UltraHonkBackend } from "@aztec/bb.js"
 import { fileURLToPath } from "url"
 
+import {
+    addressToField as padAddress,
+    answerPreimage,
+    decodeScramble,
+    wordToLetters,
+} from "./words.mjs"
+
+export { FIELD_MODULUS } from "./circuit-inputs.mjs"
+export {
+    MAX_LETTERS,
+    decodeScramble,
+    encodeScramble,
+    wordToLetters,
+} from "./words.mjs"
+
 // Get __dirname equivalent in ES modules (needed for path resolution)
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-async function main() {
-    // Parse command line arguments
-    // Expected format: node generate-proof.mjs <guessHash> <answerHash> <proverAddress>
-    const [guessHashHex, answerHashHex, proverAddressDec] =
-        process.argv.slice(2)
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
 
-    // Validate that all required arguments are provided
-    if (!guessHashHex || !answerHashHex || !proverAddressDec) {
-        console.error(
-            "Usage: generate-proof <guessHash> <answerHash> <proverAddress>"
-        )
-        process.exit(1)
+// Compiled circuit, generated by 'nargo compile' in zk_panagram/circuit
+export const CIRCUIT_PATH = path.resolve(
+    __dirname,
+    "../../circuit/target/zk_panagram.json"
+)
+
+// The round state a proof is made against
+export const PANAGRAM_ROUND_ABI = [
+    "function s_correctAnswerHash() view returns (bytes32)",
+    "function s_salt() view returns (bytes32)",
+    "function s_scramble() view returns (bytes32)",
+    "function s_currentRound() view returns (uint256)",
+]
+
+// Warm prover state, created on first use and reused by every proof
+let circuit = null
+let noir = null
+let honk = null
+// Poseidon2 hasher, also used by the owner tooling without a circuit
+let bb = null
+
+/**
+ * @returns {string} a random salt for a new round, as a 32-byte hex field element
+ */
+export function randomSalt() {
+    return Fr.random().toString()
+}
+
+/**
+ * Hashes a word the way answers are stored on-chain:
+ * Poseidon2 of the round's salt followed by the word's letters
+ * @param {string} word - The answer, lowercase a-z
+ * @param {string|bigint} salt - Salt of the round (s_salt)
+ * @returns {Promise<string>} 32-byte hex string, usable as a circuit input and as bytes32
+ */
+export async function commitWord(word, salt) {
+    if (!bb) {
+        bb = await Barretenberg.new({ threads: 1 })
     }
+    const preimage = answerPreimage(word, salt).map((value) => new Fr(value))
+    const hash = await bb.poseidon2Hash(preimage)
+    return hash.toString()
+}
 
-    // Load the compiled Noir circuit from the target directory
-    // This JSON file contains the circuit bytecode and ABI generated by 'nargo compile'
-    const circuitPath = path.resolve(
-        __dirname,
-        "../../circuit/target/zk_panagram.json"
-    )
-    const circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
-
-    // Prepare inputs for the Noir circuit
-    // These must match the parameter names in main.nr exactly
-    const input = {
-        guess_hash: guessHashHex, // Private input: user's guess (as field element)
-        answer_hash: answerHashHex, // Public input: expected answer (as field element)
-        prover_address: proverAddressDec, // Public input: prover's address (as field element)
+/**
+ * Converts an address to the field element the contract passes as public input
+ * @param {string} address - Ethereum address
+ * @returns {string} 32-byte hex string
+ */
+export function addressToField(address) {
+    return padAddress(ethers.getAddress(address))
+}
+
+/**
+ * Reads everything a proof is made against from the contract
+ * @param {ethers.Contract} panagram
+ * @returns {Promise<{answerHash: string, salt: string, scramble: string, round: bigint, panagramAddress: string}>}
+ */
+export async function readRound(panagram) {
+    const [answerHash, salt, scramble, round, panagramAddress] =
+        await Promise.all([
+            panagram.s_correctAnswerHash(),
+            panagram.s_salt(),
+            panagram.s_scramble(),
+            panagram.s_currentRound(),
+            panagram.getAddress(),
+        ])
+    return {
+        answerHash,
+        salt,
+        scramble: decodeScramble(scramble),
+        round,
+        panagramAddress,
     }
-    console.error("Field inputs:", input)
+}
 
-    // Initialize the Noir program with the compiled circuit
-    const noir = new Noir(circuit)
+/**
+ * Loads the compiled circuit once and sets up the Noir program and backend
+ * @param {string} [circuitPath] - Compiled circuit JSON, defaults to CIRCUIT_PATH
+ */
+export function loadCircuit(circuitPath = CIRCUIT_PATH) {
+    if (!circuit) {
+        circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+        noir = new Noir(circuit)
+        honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    }
+    return circuit
+}
 
-    // Execute the circuit with the provided inputs to generate a witness
-    // The witness contains all intermediate values computed during circuit execution
-    const { witness } = await noir.execute(input)
+/**
+ * Circuit inputs of a guess
+ * These must match the parameter names in main.nr exactly
+ * @param {string} word - Private input: the guessed word
+ * @param {object} roundInfo - The round, as returned by readRound
+ * @param {string} address - Address that will call makeGuess
+ */
+export function toCircuitInputs(word, roundInfo, address) {
+    return {
+        guess: wordToLetters(word),
+        answer_hash: ethers.toBeHex(roundInfo.answerHash, 32),
+        prover_address: addressToField(address),
+        round: ethers.toBeHex(roundInfo.round, 32),
+        panagram_address: addressToField(roundInfo.panagramAddress),
+        salt: ethers.toBeHex(roundInfo.salt, 32),
+        scramble: wordToLetters(roundInfo.scramble),
+    }
+}
+
+/**
+ * Generates a proof without checking the word first, the circuit refuses
+ * to execute when it is wrong
+ * @param {string} word - Private input: the guessed word
+ * @param {object} roundInfo - The round, as returned by readRound
+ * @param {string} address - Address that will call makeGuess
+ * @param {object} [options]
+ * @param {string} [options.dumpInputs] - Write the inputs to this Prover.toml
+ * before proving, and the witness next to it, to replay with 'nargo execute'
+ * (the witness only when proving in this thread)
+ * @param {object} [options.pool] - Prove on this pool's threads instead, see
+ * createProverPool in prover-pool.mjs
+ * @returns {Promise<{proof: Uint8Array, hexProof: string, publicInputs: string[]}>}
+ */
+export async function proveWord(word, roundInfo, address, options = {}) {
+    loadCircuit()
+    const input = toCircuitInputs(word, roundInfo, address)
+    // prover-toml.mjs imports this module, so it is only loaded when needed
+    const bridge = options.dumpInputs && (await import("./prover-toml.mjs"))
+    if (bridge) {
+        bridge.dumpInputs(options.dumpInputs, circuit.abi, input)
+        console.error(`📝 Circuit inputs written to ${options.dumpInputs}`)
+    }
 
-    // Initialize the Ultra Honk backend for proof generation
-    // Ultra Honk is a SNARK proving system optimized for efficiency
-    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    if (options.pool) {
+        const { proof, hexProof, publicInputs } = await options.pool.prove({
+            inputs: input,
+            label: `${word} for ${address}`,
+        })
+        return { proof, hexProof, publicInputs }
+    }
 
-    // Generate the actual zero-knowledge proof
-    // The 'keccak: true' option ensures compatibility with Ethereum's keccak256 hashing
-    const { proof } = await honk.generateProof(witness, {
+    // Execute the circuit to get the witness, then prove with keccak
+    // so the proof can be checked by the Solidity verifier
+    const { witness } = await noir.execute(input)
+    if (bridge) {
+        bridge.saveWitness(bridge.witnessPath(options.dumpInputs), witness)
+    }
+    const { proof, publicInputs } = await honk.generateProof(witness, {
         keccak: true,
     })
 
-    // Convert the proof bytes to hexadecimal format for Ethereum compatibility
-    const hexProof = ethers.hexlify(proof)
+    return { proof, hexProof: ethers.hexlify(proof), publicInputs }
+}
+
+/**
+ * Proves that `word` is the answer of the round, for `address` to submit
+ * @param {string} word - The guessed word
+ * @param {object} roundInfo - The round, as returned by readRound
+ * @param {string} address - Address that will call makeGuess
+ * @param {object} [options] - See proveWord
+ * @throws if the word isn't an anagram of the scramble or isn't the answer,
+ * no valid proof exists then
+ */
+export async function proveGuess(word, roundInfo, address, options = {}) {
+    const sorted = (letters) => [...letters].sort().join("")
+    if (sorted(word) !== sorted(roundInfo.scramble)) {
+        throw new Error(
+            `"${word}" is not an anagram of "${roundInfo.scramble}"`
+        )
+    }
+    const answerHash = await commitWord(word, roundInfo.salt)
+    if (BigInt(answerHash) !== BigInt(roundInfo.answerHash)) {
+        throw new Error(`"${word}" is not the answer of this round`)
+    }
+    return proveWord(word, roundInfo, address, options)
+}
+
+/**
+ * Verifies a proof with the warm backend, as the Solidity verifier would
+ * @param {Uint8Array|string} proof - Proof bytes or hex
+ * @param {string[]} publicInputs - As makeGuess passes them, see encodePublicInputs in verify-proof.mjs
+ * @returns {Promise<boolean>} false for a malformed proof too
+ */
+export async function verifyProof(proof, publicInputs) {
+    loadCircuit()
+    return honk
+        .verifyProof(
+            { proof: ethers.getBytes(proof), publicInputs },
+            { keccak: true }
+        )
+        .catch(() => false)
+}
+
+/**
+ * Releases the backend so the process can exit
+ */
+export async function destroyProver() {
+    if (honk) {
+        await honk.destroy()
+    }
+    if (bb) {
+        await bb.destroy()
+    }
+    circuit = null
+    noir = null
+    honk = null
+    bb = null
+}
+
+async function main() {
+    const args = process.argv.slice(2)
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [word] = positional
+    const address = flags.panagram ?? process.env.PANAGRAM_ADDRESS
 
-    // Log proof information to stderr (for debugging)
-    console.error("Proof length:", proof.length)
+    if (!word || !flags.player || !address) {
+        console.error(
+            "Usage: generate-proof <word> --player <address> --panagram <address> [--rpc <url>] [--dump-inputs <Prover.toml>]"
+        )
+        process.exit(1)
+    }
 
-    // Output the hex-encoded proof to stdout
-    // This allows the calling script to capture the proof for contract interaction
-    process.stdout.write(hexProof)
+    const panagram = new ethers.Contract(
+        address,
+        PANAGRAM_ROUND_ABI,
+        new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    )
+
+    try {
+        const roundInfo = await readRound(panagram)
+        const { proof, hexProof, publicInputs } = await proveGuess(
+            word.trim().toLowerCase(),
+            roundInfo,
+            flags.player,
+            { dumpInputs: flags["dump-inputs"] }
+        )
+        console.error("Proof length:", proof.length)
+
+        // Check the proof before it is submitted, verify-proof.mjs imports
+        // this module so it is only loaded here
+        const { verifyGuess, printReport } = await import("./verify-proof.mjs")
+        const report = await verifyGuess(
+            { proof, player: flags.player, ...roundInfo },
+            { publicInputs }
+        )
+        printReport(report)
+        if (!report.valid) {
+            process.exitCode = 1
+            return
+        }
+        // The hex proof goes to stdout so callers can capture it
+        process.stdout.write(hexProof)
+    } finally {
+        await destroyProver()
+    }
 }
 
-// Execute the main function and handle any errors
-main().catch((err) => {
-    console.error(err)
-    process.exit(1)
-})
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(err)
+        process.exit(1)
+    })
+}
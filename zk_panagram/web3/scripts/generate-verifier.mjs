@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Solidity Verifier Generator for Panagram Game
+ *
+ * Compiles the circuit and writes contracts/Verifier.sol (HonkVerifier) for
+ * it, with the keccak transcript the proofs from generate-proof.mjs use. Run
+ * it again after every change to main.nr, then point the game at the new
+ * verifier with setVerifier.
+ *
+ * Usage: node scripts/generate-verifier.mjs [output]
+ */
+
+import fs from "fs"
+import path from "path"
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { fileURLToPath } from "url"
+
+import { compileCircuit } from "./compile-circuit.mjs"
+import { CIRCUIT_PATH } from "./generate-proof.mjs"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const VERIFIER_PATH = path.resolve(
+    __dirname,
+    "../contracts/Verifier.sol"
+)
+
+/**
+ * @param {object} circuit - Compiled program
+ * @returns {Promise<string>} Solidity source of the verifier
+ */
+export async function generateVerifier(circuit) {
+    const honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    try {
+        const vk = await honk.getVerificationKey({ keccak: true })
+        return await honk.getSolidityVerifier(vk)
+    } finally {
+        await honk.destroy()
+    }
+}
+
+async function main() {
+    const output = process.argv[2] ?? VERIFIER_PATH
+    // Recompiled so the verifier can't lag behind main.nr
+    const circuit = await compileCircuit(CIRCUIT_PATH)
+    fs.writeFileSync(output, await generateVerifier(circuit))
+    console.log(`📜 Verifier written to ${output}`)
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(err)
+        process.exit(1)
+    })
+}
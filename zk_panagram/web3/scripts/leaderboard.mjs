@@ -0,0 +1,521 @@
+#!/usr/bin/env node
+
+/**
+ * Leaderboard and History Indexer for Panagram Game
+ *
+ * Replays Panagram__NewRoundStarted, Panagram__CorrectGuess and the ERC1155
+ * transfer events into a local JSON store, then answers questions the contract
+ * can't: who solved which round and how fast, the all-time leaderboard,
+ * streaks and token balances. Results export to JSON or CSV and can be served
+ * read-only over HTTP for a dashboard.
+ *
+ * Usage: node scripts/leaderboard.mjs <command> --panagram <address> [--rpc <url>] [--store <file>]
+ */
+
+import fs from "fs"
+import http from "http"
+import path from "path"
+import { ethers } from "ethers"
+import { fileURLToPath } from "url"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
+export const DEFAULT_STORE_PATH = path.resolve(
+    __dirname,
+    "../.panagram-index.json"
+)
+export const DEFAULT_PORT = 8547
+// Bumped whenever the layout of the store file changes
+export const STORE_VERSION = 1
+// Number of blocks requested per eth_getLogs call
+const DEFAULT_BATCH_SIZE = 2000
+
+export const WINNER_TOKEN_ID = 0n
+export const PARTICIPANT_TOKEN_ID = 1n
+
+// Only the events the indexer replays
+export const PANAGRAM_EVENTS_ABI = [
+    "event Panagram__NewRoundStarted(uint256 round, uint256 startTime)",
+    "event Panagram__CorrectGuess(address indexed player, uint256 round, bool isWinner, uint256 tokenId)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+]
+
+/**
+ * @returns an empty store for a Panagram contract
+ */
+export function createStore(chainId, address) {
+    return {
+        version: STORE_VERSION,
+        chainId: chainId.toString(),
+        address: ethers.getAddress(address),
+        lastSyncedBlock: null,
+        // round number => { startTime, startBlock, solvers: [...] }
+        rounds: {},
+        // address => { winner, participant } as decimal strings
+        balances: {},
+    }
+}
+
+export function loadStore(file) {
+    const store = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (store.version !== STORE_VERSION) {
+        throw new Error(
+            `Store ${file} has version ${store.version}, expected ${STORE_VERSION}.`
+        )
+    }
+    return store
+}
+
+export function saveStore(file, store) {
+    const tmpFile = `${file}.tmp`
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2))
+    fs.renameSync(tmpFile, file)
+}
+
+function addBalance(store, owner, id, delta) {
+    if (owner === ethers.ZeroAddress) return
+    const kind =
+        id === WINNER_TOKEN_ID
+            ? "winner"
+            : id === PARTICIPANT_TOKEN_ID
+              ? "participant"
+              : null
+    if (!kind) return
+
+    const balance = store.balances[owner] ?? { winner: "0", participant: "0" }
+    balance[kind] = (BigInt(balance[kind]) + delta).toString()
+    store.balances[owner] = balance
+}
+
+/**
+ * Applies one decoded log to the store, logs must come in chain order
+ * @param {object} store
+ * @param {ethers.LogDescription} event
+ * @param {ethers.Log} log
+ * @param {number} timestamp - Timestamp of the block the log is in
+ */
+export function applyEvent(store, event, log, timestamp) {
+    switch (event.name) {
+        case "Panagram__NewRoundStarted": {
+            store.rounds[event.args.round.toString()] = {
+                startTime: Number(event.args.startTime),
+                startBlock: log.blockNumber,
+                solvers: [],
+            }
+            break
+        }
+        case "Panagram__CorrectGuess": {
+            const round = store.rounds[event.args.round.toString()]
+            if (!round) {
+                throw new Error(
+                    `Correct guess for round ${event.args.round} before it started, sync from an earlier block`
+                )
+            }
+            round.solvers.push({
+                player: event.args.player,
+                isWinner: event.args.isWinner,
+                tokenId: Number(event.args.tokenId),
+                // Seconds since s_roundStartTime
+                solveTime: timestamp - round.startTime,
+                block: log.blockNumber,
+                txHash: log.transactionHash,
+            })
+            break
+        }
+        case "TransferSingle": {
+            addBalance(store, event.args.from, event.args.id, -event.args.value)
+            addBalance(store, event.args.to, event.args.id, event.args.value)
+            break
+        }
+        case "TransferBatch": {
+            event.args.ids.forEach((id, i) => {
+                addBalance(store, event.args.from, id, -event.args[4][i])
+                addBalance(store, event.args.to, id, event.args[4][i])
+            })
+            break
+        }
+    }
+}
+
+/**
+ * Brings the store up to date with the chain
+ * @param {object} options
+ * @param {ethers.Provider} options.provider
+ * @param {string} options.address - Panagram contract
+ * @param {string} [options.storePath] - Store to resume from and write back to
+ * @param {number} [options.fromBlock] - Block the contract was deployed at
+ * @param {number} [options.confirmations] - Stay this many blocks behind the head
+ * @returns {Promise<object>} the store
+ */
+export async function syncIndex({
+    provider,
+    address,
+    storePath,
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+}) {
+    const { chainId } = await provider.getNetwork()
+    let store
+    if (storePath && fs.existsSync(storePath)) {
+        store = loadStore(storePath)
+        if (
+            store.chainId !== chainId.toString() ||
+            store.address.toLowerCase() !== address.toLowerCase()
+        ) {
+            throw new Error(
+                `Store ${storePath} is for ${store.address} on chain ${store.chainId}`
+            )
+        }
+    } else {
+        store = createStore(chainId, address)
+    }
+
+    const iface = new ethers.Interface(PANAGRAM_EVENTS_ABI)
+    const topics = [
+        iface.getEvent("Panagram__NewRoundStarted").topicHash,
+        iface.getEvent("Panagram__CorrectGuess").topicHash,
+        iface.getEvent("TransferSingle").topicHash,
+        iface.getEvent("TransferBatch").topicHash,
+    ]
+    const start =
+        store.lastSyncedBlock === null ? fromBlock : store.lastSyncedBlock + 1
+    const toBlock = (await provider.getBlockNumber()) - confirmations
+    const timestamps = new Map()
+
+    for (let from = start; from <= toBlock; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, toBlock)
+        const logs = await provider.getLogs({
+            address,
+            topics: [topics],
+            fromBlock: from,
+            toBlock: to,
+        })
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+
+        for (const log of logs) {
+            if (!timestamps.has(log.blockNumber)) {
+                const block = await provider.getBlock(log.blockNumber)
+                timestamps.set(log.blockNumber, block.timestamp)
+            }
+            applyEvent(
+                store,
+                iface.parseLog(log),
+                log,
+                timestamps.get(log.blockNumber)
+            )
+        }
+    }
+
+    store.lastSyncedBlock = Math.max(toBlock, start - 1)
+    if (storePath) {
+        saveStore(storePath, store)
+    }
+    return store
+}
+
+/**
+ * @returns correct guesses of a round, in the order they were made
+ */
+export function roundSolvers(store, round) {
+    const entry = store.rounds[round.toString()]
+    if (!entry) {
+        throw new Error(`Round ${round} is not in the index`)
+    }
+    return entry.solvers.map((solver, index) => ({
+        round: Number(round),
+        position: index + 1,
+        ...solver,
+    }))
+}
+
+/**
+ * All-time leaderboard: most wins first, then most solves, then fastest average
+ */
+export function leaderboard(store) {
+    const players = new Map()
+    for (const round of Object.values(store.rounds)) {
+        for (const solver of round.solvers) {
+            const entry = players.get(solver.player) ?? {
+                player: solver.player,
+                wins: 0,
+                solves: 0,
+                fastestSolveTime: null,
+                totalSolveTime: 0,
+            }
+            entry.solves++
+            if (solver.isWinner) entry.wins++
+            entry.totalSolveTime += solver.solveTime
+            entry.fastestSolveTime =
+                entry.fastestSolveTime === null
+                    ? solver.solveTime
+                    : Math.min(entry.fastestSolveTime, solver.solveTime)
+            players.set(solver.player, entry)
+        }
+    }
+
+    return [...players.values()]
+        .map(({ totalSolveTime, ...entry }) => ({
+            ...entry,
+            averageSolveTime: Math.round(totalSolveTime / entry.solves),
+        }))
+        .sort(
+            (a, b) =>
+                b.wins - a.wins ||
+                b.solves - a.solves ||
+                a.averageSolveTime - b.averageSolveTime
+        )
+        .map((entry, index) => ({ rank: index + 1, ...entry }))
+}
+
+/**
+ * Runs of consecutive rounds each player solved (solveStreak) or won (winStreak).
+ * The current streak still counts when the latest round is unsolved by the
+ * player, since that round may still be in progress.
+ */
+export function streaks(store) {
+    const rounds = Object.keys(store.rounds)
+        .map(Number)
+        .sort((a, b) => a - b)
+    const latest = rounds.length > 0 ? rounds[rounds.length - 1] : 0
+    const solved = new Map()
+    const won = new Map()
+    for (const round of rounds) {
+        for (const solver of store.rounds[round].solvers) {
+            if (!solved.has(solver.player)) {
+                solved.set(solver.player, new Set())
+                won.set(solver.player, new Set())
+            }
+            solved.get(solver.player).add(round)
+            if (solver.isWinner) won.get(solver.player).add(round)
+        }
+    }
+
+    const runs = (set) => {
+        let longest = 0
+        let run = 0
+        for (const round of rounds) {
+            run = set.has(round) ? run + 1 : 0
+            longest = Math.max(longest, run)
+        }
+        let current = 0
+        let round = set.has(latest) ? latest : latest - 1
+        while (set.has(round)) {
+            current++
+            round--
+        }
+        return { current, longest }
+    }
+
+    return [...solved.keys()]
+        .map((player) => {
+            const solve = runs(solved.get(player))
+            const win = runs(won.get(player))
+            return {
+                player,
+                currentSolveStreak: solve.current,
+                longestSolveStreak: solve.longest,
+                currentWinStreak: win.current,
+                longestWinStreak: win.longest,
+            }
+        })
+        .sort(
+            (a, b) =>
+                b.longestSolveStreak - a.longestSolveStreak ||
+                b.currentSolveStreak - a.currentSolveStreak
+        )
+}
+
+/**
+ * ERC1155 balances of WINNER_TOKEN_ID and PARTICIPANT_TOKEN_ID, from transfers
+ * so tokens moved after minting are counted where they are now
+ */
+export function balances(store) {
+    return Object.entries(store.balances)
+        .map(([owner, balance]) => ({
+            owner,
+            winnerTokens: Number(balance.winner),
+            participantTokens: Number(balance.participant),
+        }))
+        .filter((row) => row.winnerTokens > 0 || row.participantTokens > 0)
+        .sort(
+            (a, b) =>
+                b.winnerTokens - a.winnerTokens ||
+                b.participantTokens - a.participantTokens
+        )
+}
+
+/**
+ * Every correct guess, one row per guess, for the history export
+ */
+export function history(store) {
+    return Object.keys(store.rounds)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .flatMap((round) => roundSolvers(store, round))
+}
+
+/**
+ * Serializes rows of flat objects to CSV, with a header from the first row's keys
+ */
+export function toCSV(rows) {
+    if (rows.length === 0) return ""
+    const columns = Object.keys(rows[0])
+    const escape = (value) => {
+        const text = value === null || value === undefined ? "" : String(value)
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+    return [
+        columns.join(","),
+        ...rows.map((row) =>
+            columns.map((column) => escape(row[column])).join(",")
+        ),
+    ].join("\n")
+}
+
+// Views available to the export command and the HTTP endpoint
+export const VIEWS = {
+    history,
+    leaderboard,
+    streaks,
+    balances,
+}
+
+/**
+ * Read-only HTTP endpoint over the store
+ * GET /leaderboard, /streaks, /balances, /history, /rounds/<n>
+ * Add ?format=csv for CSV instead of JSON.
+ * @param {() => object} getStore - Returns the current store, so it can be resynced
+ */
+export function createServer(getStore) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost")
+        const reply = (status, body, csv = false) => {
+            res.writeHead(status, {
+                "Content-Type": csv ? "text/csv" : "application/json",
+                "Access-Control-Allow-Origin": "*",
+            })
+            res.end(csv ? body : JSON.stringify(body))
+        }
+
+        if (req.method !== "GET") {
+            return reply(405, { error: "Read-only endpoint" })
+        }
+
+        try {
+            const store = getStore()
+            const [view, arg] = url.pathname.split("/").filter(Boolean)
+            let rows
+            if (view === "rounds" && arg !== undefined) {
+                rows = roundSolvers(store, Number(arg))
+            } else if (Object.hasOwn(VIEWS, view)) {
+                rows = VIEWS[view](store)
+            } else {
+                return reply(404, { error: "Not found" })
+            }
+
+            if (url.searchParams.get("format") === "csv") {
+                reply(200, toCSV(rows), true)
+            } else {
+                reply(200, rows)
+            }
+        } catch (error) {
+            reply(404, { error: error.message })
+        }
+    })
+}
+
+function parseArgs(argv) {
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith("--")) {
+            flags[argv[i].slice(2)] = argv[++i]
+        } else {
+            positional.push(argv[i])
+        }
+    }
+    return { flags, positional }
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2))
+    const [command, arg] = positional
+    const address = flags.panagram ?? process.env.PANAGRAM_ADDRESS
+    const storePath = flags.store ?? DEFAULT_STORE_PATH
+
+    if (!command || !address) {
+        console.error(
+            "Usage: node scripts/leaderboard.mjs sync [--from <block>]\n" +
+                "       node scripts/leaderboard.mjs round <n>\n" +
+                "       node scripts/leaderboard.mjs <leaderboard|streaks|balances|history> [--format csv] [--out <file>]\n" +
+                "       node scripts/leaderboard.mjs serve [--port <port>] [--interval <seconds>]\n" +
+                "Options: --panagram <address> (or PANAGRAM_ADDRESS) --rpc <url> --store <file>"
+        )
+        process.exit(1)
+    }
+
+    const provider = new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    const sync = () =>
+        syncIndex({
+            provider,
+            address,
+            storePath,
+            fromBlock: flags.from ? Number(flags.from) : 0,
+        })
+
+    let store = await sync()
+    if (command === "sync") {
+        console.log(`✅ Indexed up to block ${store.lastSyncedBlock}`)
+        console.log(`   Rounds: ${Object.keys(store.rounds).length}`)
+        return
+    }
+
+    if (command === "serve") {
+        const port = Number(flags.port ?? DEFAULT_PORT)
+        const interval = Number(flags.interval ?? 15) * 1000
+        // The next sync is scheduled once this one is done, so two never
+        // write the store at the same time
+        const resync = async () => {
+            try {
+                store = await sync()
+            } catch (error) {
+                console.error(`❌ Sync failed: ${error.message}`)
+            }
+            setTimeout(resync, interval)
+        }
+        setTimeout(resync, interval)
+        createServer(() => store).listen(port, "127.0.0.1", () => {
+            console.log(`🚀 Leaderboard served on http://127.0.0.1:${port}`)
+        })
+        return
+    }
+
+    let rows
+    if (command === "round") {
+        rows = roundSolvers(store, Number(arg))
+    } else if (Object.hasOwn(VIEWS, command)) {
+        rows = VIEWS[command](store)
+    } else {
+        throw new Error(`Unknown command ${command}`)
+    }
+
+    const output =
+        flags.format === "csv" ? toCSV(rows) : JSON.stringify(rows, null, 2)
+    if (flags.out) {
+        fs.writeFileSync(flags.out, output + "\n")
+        console.log(`📝 ${rows.length} row(s) written to ${flags.out}`)
+    } else {
+        console.log(output)
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(`❌ ${err.message}`)
+        process.exit(1)
+    })
+}
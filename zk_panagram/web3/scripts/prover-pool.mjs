@@ -0,0 +1,48 @@
+/**
+ * Prover Pool for Panagram Game
+ *
+ * Proves on worker threads that keep their circuits loaded between jobs, so
+ * many guesses (or proofs of any other compiled circuit) can be made in
+ * parallel. Jobs go in one queue and are handed to the first idle thread.
+ *
+ * With a cache directory, proofs are stored under a hash of the circuit and
+ * its inputs and a repeated job is answered from disk without proving.
+ *
+ *   const pool = createProverPool({ threads: 2, cacheDir: ".proof-cache" })
+ *   const { hexProof } = await proveGuess(word, roundInfo, player, { pool })
+ *   await pool.destroy()
+ *
+ * The pool itself is in prover-threads.mjs, which the mixer uses too.
+ */
+
+import path from "path"
+import { fileURLToPath } from "url"
+
+import { CIRCUIT_PATH } from "./generate-proof.mjs"
+import { startProverPool } from "./prover-threads.mjs"
+
+export { proofCacheKey } from "./prover-threads.mjs"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const WORKER_PATH = path.join(__dirname, "prover-worker.mjs")
+
+/**
+ * Starts the proving threads, for the Panagram circuit unless a job names
+ * another one
+ * @param {object} [options]
+ * @param {number} [options.threads] - Proving threads, defaults to one per core but one
+ * @param {string} [options.cacheDir] - Directory to cache proofs in, nothing is cached when unset
+ * @param {function} [options.onProgress] - Called with { label, status, done, total, worker, timings, error }
+ * as jobs are answered from the cache, started, finished or failed
+ * @param {boolean} [options.keccak] - Keccak transcript as the Solidity verifier expects, true by default
+ * @returns {{ threads: number, prove: function, proveAll: function, warm: function, destroy: function }}
+ */
+export function createProverPool(options = {}) {
+    return startProverPool({
+        ...options,
+        workerPath: WORKER_PATH,
+        circuitPath: CIRCUIT_PATH,
+    })
+}
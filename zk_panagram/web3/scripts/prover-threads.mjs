@@ -0,0 +1,390 @@
+/**
+ * Prover threads shared by the Panagram and mixer prover pools: the pool,
+ * which queues jobs and caches proofs, and the loop each thread runs.
+ *
+ * Only Node built-ins are imported. Noir and the backend come from the
+ * worker script each project starts, so they resolve from that project's
+ * packages: see prover-worker.mjs here and proverWorker.ts in zk_mixer.
+ */
+
+import crypto from "crypto"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { Worker, parentPort } from "worker_threads"
+
+import { validateInputs } from "./circuit-inputs.mjs"
+
+// Circuits read once per process, by path: ABI plus a hash of the bytecode
+const circuitInfo = new Map()
+
+function describeCircuit(circuitPath) {
+    let info = circuitInfo.get(circuitPath)
+    if (!info) {
+        const circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+        info = {
+            abi: circuit.abi,
+            hash: crypto
+                .createHash("sha256")
+                .update(circuit.bytecode)
+                .digest("hex"),
+        }
+        circuitInfo.set(circuitPath, info)
+    }
+    return info
+}
+
+/**
+ * Key a proof is cached under. Inputs are normalized against the circuit ABI
+ * first, so 0x2a and "42" for a field give the same key, and a recompiled
+ * circuit never reuses proofs of the old one.
+ * @param {string} circuitPath - Compiled circuit JSON
+ * @param {object} inputs - Circuit inputs, as for noir.execute
+ * @param {boolean} [keccak] - Whether the proof uses the keccak transcript
+ * @returns {string} hex sha256
+ */
+export function proofCacheKey(circuitPath, inputs, keccak = true) {
+    const { abi, hash } = describeCircuit(path.resolve(circuitPath))
+    return crypto
+        .createHash("sha256")
+        .update(JSON.stringify([hash, validateInputs(abi, inputs), keccak]))
+        .digest("hex")
+}
+
+/**
+ * Starts the proving threads
+ * @param {object} options
+ * @param {string} options.workerPath - Script the threads run, calling serveProofs
+ * @param {string[]} [options.execArgv] - Node options of the threads, e.g. to load ts-node
+ * @param {string} options.circuitPath - Compiled circuit JSON of jobs that don't name one
+ * @param {number} [options.threads] - Proving threads, defaults to one per core but one
+ * @param {string} [options.cacheDir] - Directory to cache proofs in, nothing is cached when unset
+ * @param {function} [options.onProgress] - Called with { label, status, done, total, worker, timings, error }
+ * as jobs are answered from the cache, started, finished or failed
+ * @param {boolean} [options.keccak] - Keccak transcript as the Solidity verifier expects, true by default
+ * @returns {{ threads: number, prove: function, proveAll: function, warm: function, destroy: function }}
+ */
+export function startProverPool(options) {
+    const threads = Math.max(
+        1,
+        options.threads ?? os.availableParallelism() - 1
+    )
+    const keccak = options.keccak ?? true
+    const { cacheDir, onProgress, workerPath, execArgv } = options
+    if (cacheDir) {
+        fs.mkdirSync(cacheDir, { recursive: true })
+    }
+
+    const workers = []
+    const queue = []
+    let submitted = 0
+    let settled = 0
+    let nextId = 0
+    let destroyed = false
+
+    const report = (progress) =>
+        onProgress?.({ ...progress, done: settled, total: submitted })
+
+    function readCache(key) {
+        const file = path.join(cacheDir, `${key}.json`)
+        if (!fs.existsSync(file)) return null
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"))
+        return {
+            proof: Uint8Array.from(Buffer.from(saved.proof.slice(2), "hex")),
+            hexProof: saved.proof,
+            publicInputs: saved.publicInputs,
+        }
+    }
+
+    // Written under a temporary name first so a killed run never leaves half a file
+    function writeCache(key, result) {
+        const file = path.join(cacheDir, `${key}.json`)
+        const partial = `${file}.${process.pid}.tmp`
+        fs.writeFileSync(
+            partial,
+            JSON.stringify({
+                proof: result.hexProof,
+                publicInputs: result.publicInputs,
+            })
+        )
+        fs.renameSync(partial, file)
+    }
+
+    function spawn(index) {
+        const worker = {
+            index,
+            thread: new Worker(workerPath, { execArgv }),
+            job: null,
+            startedAt: 0,
+        }
+        worker.thread.on("message", (message) => finish(worker, message))
+        worker.thread.on("error", (error) => crash(worker, error))
+        worker.thread.on("exit", (code) => {
+            if (!destroyed) {
+                crash(worker, new Error(`Prover thread exited (${code})`))
+            }
+        })
+        return worker
+    }
+
+    // A crashed thread fails its job and is replaced
+    function crash(worker, error) {
+        if (destroyed || workers[worker.index] !== worker) return
+        const job = worker.job
+        worker.job = null
+        worker.thread.removeAllListeners()
+        worker.thread.terminate()
+        workers[worker.index] = spawn(worker.index)
+        if (job) {
+            fail(worker, job, error.message)
+        }
+        dispatch()
+    }
+
+    function fail(worker, job, error) {
+        settled++
+        report({
+            label: job.label,
+            status: "failed",
+            worker: worker.index,
+            error,
+        })
+        job.reject(new Error(`${job.label}: ${error}`))
+    }
+
+    function dispatch() {
+        for (const worker of workers) {
+            if (queue.length === 0) return
+            if (worker.job) continue
+            const job = queue.shift()
+            worker.job = job
+            worker.startedAt = performance.now()
+            report({
+                label: job.label,
+                status: "started",
+                worker: worker.index,
+            })
+            worker.thread.postMessage({
+                type: "prove",
+                id: `job-${nextId++}`,
+                circuitPath: job.circuitPath,
+                inputs: job.inputs,
+                keccak,
+            })
+        }
+    }
+
+    function finish(worker, message) {
+        const job = worker.job
+        // Answers to warm requests are handled in warm()
+        if (!job || String(message.id).startsWith("warm-")) return
+        worker.job = null
+
+        if (message.error) {
+            fail(worker, job, message.error)
+        } else {
+            const timings = {
+                witnessMs: message.timings.witnessMs,
+                proveMs: message.timings.proveMs,
+                waitMs: worker.startedAt - job.queuedAt,
+                totalMs: performance.now() - job.queuedAt,
+            }
+            const proof = new Uint8Array(message.proof)
+            const result = {
+                proof,
+                hexProof: `0x${Buffer.from(proof).toString("hex")}`,
+                publicInputs: message.publicInputs,
+                cached: false,
+                timings,
+                label: job.label,
+            }
+            if (job.cacheKey) {
+                writeCache(job.cacheKey, result)
+            }
+            settled++
+            report({
+                label: job.label,
+                status: "finished",
+                worker: worker.index,
+                timings,
+            })
+            job.resolve(result)
+        }
+        dispatch()
+    }
+
+    for (let index = 0; index < threads; index++) {
+        workers.push(spawn(index))
+    }
+
+    /**
+     * Queues a job, resolved with its proof once a thread has made it
+     * @param {object} job
+     * @param {object} job.inputs - Circuit inputs, checked against the ABI before queueing
+     * @param {string} [job.circuitPath] - Compiled circuit JSON, defaults to options.circuitPath
+     * @param {string} [job.label] - Name in progress events and errors
+     * @returns {Promise<{proof: Uint8Array, hexProof: string, publicInputs: string[], cached: boolean, timings: object, label: string}>}
+     */
+    async function prove(job) {
+        if (destroyed) {
+            throw new Error("The prover pool has been destroyed")
+        }
+        const circuitPath = path.resolve(job.circuitPath ?? options.circuitPath)
+        const { abi } = describeCircuit(circuitPath)
+        // Invalid inputs are refused here rather than on a thread
+        const inputs = validateInputs(abi, job.inputs)
+        const label = job.label ?? `job ${submitted + 1}`
+        submitted++
+
+        const cacheKey = cacheDir
+            ? proofCacheKey(circuitPath, inputs, keccak)
+            : null
+        const cached = cacheKey && readCache(cacheKey)
+        if (cached) {
+            settled++
+            const timings = { witnessMs: 0, proveMs: 0, waitMs: 0, totalMs: 0 }
+            report({ label, status: "cached", timings })
+            return { ...cached, cached: true, timings, label }
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.push({
+                circuitPath,
+                inputs,
+                label,
+                cacheKey,
+                queuedAt: performance.now(),
+                resolve,
+                reject,
+            })
+            dispatch()
+        })
+    }
+
+    return {
+        threads,
+        prove,
+
+        /**
+         * Proves every job, in parallel as far as there are threads
+         * @returns {Promise<object[]>} the proofs in the order of the jobs
+         */
+        proveAll(jobs) {
+            return Promise.all(
+                jobs.map((job, index) =>
+                    prove({ ...job, label: job.label ?? `job ${index + 1}` })
+                )
+            )
+        },
+
+        /**
+         * Loads a circuit on every thread ahead of the first job
+         * @param {string} [circuitPath] - Defaults to options.circuitPath
+         */
+        async warm(circuitPath = options.circuitPath) {
+            const absolute = path.resolve(circuitPath)
+            await Promise.all(
+                workers.map(
+                    ({ thread }) =>
+                        new Promise((resolve, reject) => {
+                            const id = `warm-${nextId++}`
+                            const onMessage = (message) => {
+                                if (message.id !== id) return
+                                thread.off("message", onMessage)
+                                if (message.error) {
+                                    reject(new Error(message.error))
+                                } else {
+                                    resolve()
+                                }
+                            }
+                            thread.on("message", onMessage)
+                            thread.postMessage({
+                                type: "warm",
+                                id,
+                                circuitPath: absolute,
+                            })
+                        })
+                )
+            )
+        },
+
+        /**
+         * Stops the threads so the process can exit, queued jobs are rejected
+         */
+        async destroy() {
+            if (destroyed) return
+            destroyed = true
+            for (const job of queue.splice(0)) {
+                job.reject(new Error("The prover pool has been destroyed"))
+            }
+            await Promise.all(
+                workers.map(
+                    ({ thread }) =>
+                        new Promise((resolve) => {
+                            thread.once("exit", resolve)
+                            thread.postMessage({ type: "destroy" })
+                        })
+                )
+            )
+        },
+    }
+}
+
+/**
+ * Answers the pool's prove, warm and destroy messages on this thread.
+ * Circuits stay loaded between jobs.
+ * @param {Function} Noir - Noir class of @noir-lang/noir_js
+ * @param {Function} UltraHonkBackend - UltraHonkBackend class of @aztec/bb.js
+ */
+export function serveProofs(Noir, UltraHonkBackend) {
+    // Compiled circuit path => { noir, honk }
+    const circuits = new Map()
+
+    function circuitFor(circuitPath) {
+        let warm = circuits.get(circuitPath)
+        if (!warm) {
+            const circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+            warm = {
+                noir: new Noir(circuit),
+                honk: new UltraHonkBackend(circuit.bytecode, { threads: 1 }),
+            }
+            circuits.set(circuitPath, warm)
+        }
+        return warm
+    }
+
+    parentPort.on("message", async (message) => {
+        if (message.type === "destroy") {
+            for (const { honk } of circuits.values()) {
+                await honk.destroy()
+            }
+            process.exit(0)
+        }
+
+        try {
+            const { noir, honk } = circuitFor(message.circuitPath)
+            if (message.type === "warm") {
+                parentPort.postMessage({ id: message.id })
+                return
+            }
+
+            const started = performance.now()
+            const { witness } = await noir.execute(message.inputs)
+            const witnessed = performance.now()
+            const { proof, publicInputs } = await honk.generateProof(witness, {
+                keccak: message.keccak,
+            })
+            parentPort.postMessage({
+                id: message.id,
+                proof,
+                publicInputs,
+                timings: {
+                    witnessMs: witnessed - started,
+                    proveMs: performance.now() - witnessed,
+                },
+            })
+        } catch (error) {
+            parentPort.postMessage({ id: message.id, error: error.message })
+        }
+    })
+}
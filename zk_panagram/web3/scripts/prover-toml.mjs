@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Prover.toml Bridge for Panagram Game
+ *
+ * The checks and Prover.toml format of circuit-inputs.mjs, for the Panagram
+ * circuit: a proof made by generate-proof.mjs can be replayed with
+ * 'nargo execute' and a hand-written Prover.toml can be run with noir_js.
+ *
+ * Usage: node scripts/prover-toml.mjs <Prover.toml> [--circuit <target/zk_panagram.json>] [--witness <file.gz>]
+ */
+
+import fs from "fs"
+import path from "path"
+import { Noir } from "@noir-lang/noir_js"
+import { fileURLToPath } from "url"
+
+import { CIRCUIT_PATH } from "./generate-proof.mjs"
+import { parseProverToml, saveWitness, witnessPath } from "./circuit-inputs.mjs"
+
+export * from "./circuit-inputs.mjs"
+
+const __filename = fileURLToPath(import.meta.url)
+
+/**
+ * Reads the ABI of a compiled circuit
+ * @param {string} [circuitPath] - Compiled circuit JSON, defaults to CIRCUIT_PATH
+ */
+export function loadAbi(circuitPath = CIRCUIT_PATH) {
+    return JSON.parse(fs.readFileSync(circuitPath, "utf8")).abi
+}
+
+/**
+ * Runs a circuit on a Prover.toml with noir_js, like 'nargo execute'
+ * @param {string} tomlPath
+ * @param {string} [circuitPath] - Compiled circuit JSON, defaults to CIRCUIT_PATH
+ * @returns {Promise<{witness: Uint8Array, returnValue: any}>}
+ */
+export async function executeToml(tomlPath, circuitPath = CIRCUIT_PATH) {
+    const circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+    const inputs = parseProverToml(
+        circuit.abi,
+        fs.readFileSync(tomlPath, "utf8")
+    )
+    return new Noir(circuit).execute(inputs)
+}
+
+async function main() {
+    const args = process.argv.slice(2)
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [tomlPath] = positional
+    const circuitPath = flags.circuit ?? CIRCUIT_PATH
+
+    if (!tomlPath) {
+        console.error(
+            "Usage: prover-toml <Prover.toml> [--circuit <target/zk_panagram.json>] [--witness <file.gz>]"
+        )
+        process.exit(1)
+    }
+
+    const { witness } = await executeToml(tomlPath, circuitPath)
+    console.error(`✅ ${tomlPath} satisfies ${path.basename(circuitPath)}`)
+    const out = flags.witness ?? witnessPath(tomlPath)
+    saveWitness(out, witness)
+    console.error(`📝 Witness saved to ${out}`)
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(`❌ ${err.message}`)
+        process.exit(1)
+    })
+}
@@ -0,0 +1,11 @@
+/**
+ * Proving thread of the prover pool, see prover-threads.mjs for the messages
+ * it takes. Circuits stay loaded between jobs.
+ */
+
+import { Noir } from "@noir-lang/noir_js"
+import { UltraHonkBackend } from "@aztec/bb.js"
+
+import { serveProofs } from "./prover-threads.mjs"
+
+serveProofs(Noir, UltraHonkBackend)
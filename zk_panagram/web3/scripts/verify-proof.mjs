@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+
+/**
+ * Off-chain Proof Verification for Panagram Game
+ *
+ * Checks a guess proof before makeGuess is sent, so a proof for the wrong
+ * round or account is caught without paying for Panagram__InvalidProof.
+ * The public inputs are decoded and compared with the call, then with the
+ * contract state and the contract's verifier, and every problem is explained
+ * in plain language.
+ *
+ * Usage: node scripts/verify-proof.mjs <proofHex|proofFile> --player <address> --panagram <address> [--answer-hash <hash>] [--round <n>] [--rpc <url>]
+ */
+
+import fs from "fs"
+import path from "path"
+import { ethers } from "ethers"
+import { fileURLToPath } from "url"
+
+import {
+    FIELD_MODULUS,
+    MAX_LETTERS,
+    addressToField,
+    decodeScramble,
+    destroyProver,
+    readRound,
+    verifyProof,
+    wordToLetters,
+} from "./generate-proof.mjs"
+
+const __filename = fileURLToPath(import.meta.url)
+
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
+
+// Panagram state a guess depends on
+export const PANAGRAM_GUESS_ABI = [
+    "function s_correctAnswerHash() view returns (bytes32)",
+    "function s_salt() view returns (bytes32)",
+    "function s_scramble() view returns (bytes32)",
+    "function s_currentRound() view returns (uint256)",
+    "function s_lastCorrectGuessRound(address) view returns (uint256)",
+    "function s_verifier() view returns (address)",
+]
+
+// HonkVerifier as makeGuess calls it, with the errors it reverts with
+const VERIFIER_ABI = [
+    "function verify(bytes _proof, bytes32[] _publicInputs) view returns (bool)",
+    "error ProofLengthWrong()",
+    "error PublicInputsLengthWrong()",
+    "error SumcheckFailed()",
+    "error ShpleminiFailed()",
+]
+
+// Why the deployed verifier rejects a proof the circuit accepts
+const VERIFIER_ERRORS = {
+    ProofLengthWrong:
+        "It expects proofs of another size, it was generated with another version of bb.",
+    PublicInputsLengthWrong:
+        "It expects another number of public inputs, so it was generated for another version of main.nr. Regenerate contracts/Verifier.sol and point the contract at it with setVerifier.",
+    SumcheckFailed:
+        "It was generated for another version of the circuit, or the proof wasn't made with the keccak transcript.",
+    ShpleminiFailed:
+        "It was generated for another version of the circuit, or the proof wasn't made with the keccak transcript.",
+}
+
+// Names of the public inputs in main.nr, in order
+const PUBLIC_INPUT_NAMES = [
+    "answer_hash",
+    "prover_address",
+    "round",
+    "panagram_address",
+    "salt",
+    ...Array.from({ length: MAX_LETTERS }, (_, i) => `scramble[${i}]`),
+]
+
+/**
+ * Public inputs in the order makeGuess passes them to the verifier
+ * @param {{answerHash: string|bigint, player: string, round: string|bigint, panagramAddress: string, salt: string|bigint, scramble: string}} guess
+ * @returns {string[]}
+ */
+export function encodePublicInputs({
+    answerHash,
+    player,
+    round,
+    panagramAddress,
+    salt,
+    scramble,
+}) {
+    return [
+        ethers.toBeHex(answerHash, 32),
+        addressToField(player),
+        ethers.toBeHex(round, 32),
+        addressToField(panagramAddress),
+        ethers.toBeHex(salt, 32),
+        ...wordToLetters(scramble).map((letter) => ethers.toBeHex(letter, 32)),
+    ]
+}
+
+/**
+ * Reads the public inputs of a guess proof
+ * @param {string[]} publicInputs - As returned by proveGuess / proveWord
+ * @returns {{answerHash: string, player: string, round: bigint, panagramAddress: string, salt: string, scramble: string}}
+ * @throws if they can't come from the Panagram circuit
+ */
+export function decodePublicInputs(publicInputs) {
+    if (publicInputs.length !== PUBLIC_INPUT_NAMES.length) {
+        throw new Error(
+            `A guess proof has ${PUBLIC_INPUT_NAMES.length} public inputs (${PUBLIC_INPUT_NAMES.join(", ")}), got ${publicInputs.length}`
+        )
+    }
+    const values = publicInputs.map(BigInt)
+    values.forEach((value, i) => {
+        if (value >= FIELD_MODULUS) {
+            throw new Error(
+                `Public input ${PUBLIC_INPUT_NAMES[i]} exceeds the field modulus`
+            )
+        }
+    })
+    const toAddress = (value, name) => {
+        if (value >> 160n !== 0n) {
+            throw new Error(`Public input ${name} is not an address`)
+        }
+        return ethers.getAddress(ethers.toBeHex(value, 20))
+    }
+    const toLetter = (value, i) => {
+        if (value !== 0n && (value < 97n || value > 122n)) {
+            throw new Error(`Public input scramble[${i}] is not a letter a-z`)
+        }
+        return Number(value)
+    }
+    return {
+        answerHash: ethers.toBeHex(values[0], 32),
+        player: toAddress(values[1], "prover_address"),
+        round: values[2],
+        panagramAddress: toAddress(values[3], "panagram_address"),
+        salt: ethers.toBeHex(values[4], 32),
+        scramble: decodeScramble(Uint8Array.from(values.slice(5), toLetter)),
+    }
+}
+
+/**
+ * Compares what a proof was made for with how it is about to be used
+ * @returns {string[]} one sentence per difference
+ */
+export function explainMismatches(proven, expected) {
+    const problems = []
+    if (BigInt(proven.round) !== BigInt(expected.round)) {
+        problems.push(
+            `The proof is for round ${proven.round}, but round ${expected.round} is being played. A proof only counts in the round it was made for, generate a new one.`
+        )
+    } else if (BigInt(proven.answerHash) !== BigInt(expected.answerHash)) {
+        problems.push(
+            `The proof is for answer hash ${proven.answerHash}, but ${ethers.toBeHex(expected.answerHash, 32)} was expected. It was made for another word.`
+        )
+    } else if (BigInt(proven.salt) !== BigInt(expected.salt)) {
+        problems.push(
+            `The proof is for salt ${proven.salt}, but the round's salt is ${ethers.toBeHex(expected.salt, 32)}. Read the round again and generate a new proof.`
+        )
+    } else if (proven.scramble !== expected.scramble) {
+        problems.push(
+            `The proof is for the scramble "${proven.scramble}", but the round's scramble is "${expected.scramble}".`
+        )
+    }
+    if (proven.player.toLowerCase() !== expected.player.toLowerCase()) {
+        problems.push(
+            `The proof was made for ${proven.player}, but ${expected.player} is going to submit it. Only the account a proof was made for can use it, generate a new one for ${expected.player}.`
+        )
+    }
+    if (
+        proven.panagramAddress.toLowerCase() !==
+        expected.panagramAddress.toLowerCase()
+    ) {
+        problems.push(
+            `The proof was made for the Panagram contract at ${proven.panagramAddress}, not ${expected.panagramAddress}.`
+        )
+    }
+    return problems
+}
+
+/**
+ * Checks a guess against the contract, in the order makeGuess checks it
+ * @param {ethers.Contract} panagram
+ * @param {{answerHash: string, player: string, round: string|bigint, panagramAddress: string, salt: string, scramble: string}} guess
+ * @returns {Promise<string[]>} one sentence per check that would make makeGuess revert
+ */
+export async function checkGuessState(panagram, guess) {
+    const [current, lastCorrectRound] = await Promise.all([
+        readRound(panagram),
+        panagram.s_lastCorrectGuessRound(guess.player),
+    ])
+    const { round, answerHash: correctAnswerHash, salt, scramble } = current
+
+    if (round === 0n) {
+        return ["No round has started yet (Panagram__GameNotStarted)."]
+    }
+    const problems = []
+    if (lastCorrectRound === round) {
+        problems.push(
+            `${guess.player} already guessed round ${round} correctly (Panagram__AlreadyGuessedThisRound).`
+        )
+    }
+    if (BigInt(guess.round) !== round) {
+        problems.push(
+            `The proof is for round ${guess.round}, but the contract is on round ${round} (Panagram__InvalidProof). A new round started since the proof was made, generate a new one.`
+        )
+    } else if (BigInt(guess.answerHash) !== BigInt(correctAnswerHash)) {
+        problems.push(
+            `The proof is for answer hash ${ethers.toBeHex(guess.answerHash, 32)}, but round ${round} expects ${correctAnswerHash} (Panagram__InvalidProof). The word is not this round's answer.`
+        )
+    } else if (BigInt(guess.salt) !== BigInt(salt)) {
+        problems.push(
+            `The proof is for salt ${ethers.toBeHex(guess.salt, 32)}, but round ${round} uses ${salt} (Panagram__InvalidProof).`
+        )
+    } else if (guess.scramble !== scramble) {
+        problems.push(
+            `The proof is for the scramble "${guess.scramble}", but round ${round} shows "${scramble}" (Panagram__InvalidProof).`
+        )
+    }
+    if (
+        guess.panagramAddress.toLowerCase() !==
+        current.panagramAddress.toLowerCase()
+    ) {
+        problems.push(
+            `The proof is for the Panagram contract at ${guess.panagramAddress}, not ${current.panagramAddress} (Panagram__InvalidProof).`
+        )
+    }
+    return problems
+}
+
+// Custom error a call reverted with, from ethers or from the raw revert
+// data the Hardhat provider passes on
+function revertName(contractInterface, error) {
+    if (error.revert) return error.revert.name
+    const data = error.data ?? error.info?.error?.data
+    try {
+        return contractInterface.parseError(data)?.name
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Asks the verifier makeGuess calls, which can disagree with bb.js when its
+ * Verifier.sol is out of date with the circuit
+ * @param {ethers.Contract} panagram
+ * @param {Uint8Array|string} proof
+ * @param {string[]} publicInputs - As makeGuess passes them, see encodePublicInputs
+ * @returns {Promise<string[]>} one sentence when the verifier rejects the proof
+ */
+export async function checkDeployedVerifier(panagram, proof, publicInputs) {
+    const address = await panagram.s_verifier()
+    const verifier = new ethers.Contract(address, VERIFIER_ABI, panagram.runner)
+    try {
+        if (await verifier.verify(proof, publicInputs)) {
+            return []
+        }
+        return [`The contract's verifier ${address} rejects the proof.`]
+    } catch (error) {
+        const name = revertName(verifier.interface, error)
+        return [
+            `The contract's verifier ${address} rejects the proof${
+                name ? ` (${name})` : ""
+            }. ${
+                VERIFIER_ERRORS[name] ??
+                "It may not be a HonkVerifier for this circuit."
+            }`,
+        ]
+    }
+}
+
+/**
+ * Verifies a guess off-chain before makeGuess is sent
+ * @param {object} guess
+ * @param {Uint8Array|string} guess.proof
+ * @param {string} guess.player - Address that will call makeGuess
+ * @param {string|bigint} [guess.answerHash] - Defaults to the round's s_correctAnswerHash
+ * @param {string|bigint} [guess.round] - Defaults to the contract's s_currentRound
+ * @param {string} [guess.panagramAddress] - Defaults to the contract's address
+ * @param {string|bigint} [guess.salt] - Defaults to the round's s_salt
+ * @param {string} [guess.scramble] - Defaults to the round's s_scramble
+ * @param {object} [options]
+ * @param {string[]} [options.publicInputs] - Public inputs the proof was made with
+ * @param {ethers.Contract} [options.panagram] - Check the contract state and its verifier too
+ * @returns {Promise<{valid: boolean, proofValid: boolean, verifierChecked: boolean, inputs?: object, problems: string[]}>}
+ */
+export async function verifyGuess(guess, options = {}) {
+    const problems = []
+    let inputs
+    const { panagram } = options
+    const current = panagram ? await readRound(panagram) : {}
+    const expected = {
+        player: guess.player,
+        answerHash: guess.answerHash ?? current.answerHash,
+        round: guess.round ?? current.round,
+        panagramAddress: guess.panagramAddress ?? current.panagramAddress,
+        salt: guess.salt ?? current.salt,
+        scramble: guess.scramble ?? current.scramble,
+    }
+    for (const [name, value] of Object.entries(expected)) {
+        if (value === undefined) {
+            throw new Error(`Give the ${name} or the Panagram contract`)
+        }
+    }
+
+    if (options.publicInputs) {
+        inputs = decodePublicInputs(options.publicInputs)
+        problems.push(...explainMismatches(inputs, expected))
+    }
+
+    const publicInputs = encodePublicInputs(expected)
+    const proofValid = await verifyProof(guess.proof, publicInputs)
+    // Mismatched inputs already explain why it fails
+    if (!proofValid && problems.length === 0) {
+        problems.push(
+            inputs
+                ? "The proof is invalid even for the inputs it was made for. It was corrupted or generated with a different circuit."
+                : `The proof doesn't verify for ${guess.player} in round ${expected.round} with answer hash ${ethers.toBeHex(expected.answerHash, 32)}. It was made for another account, round or contract, or the guess was wrong.`
+        )
+    }
+
+    let verifierChecked = false
+    if (panagram) {
+        problems.push(...(await checkGuessState(panagram, expected)))
+        if (proofValid) {
+            problems.push(
+                ...(await checkDeployedVerifier(
+                    panagram,
+                    guess.proof,
+                    publicInputs
+                ))
+            )
+            verifierChecked = true
+        }
+    }
+
+    return {
+        valid: problems.length === 0,
+        proofValid,
+        verifierChecked,
+        inputs,
+        problems,
+    }
+}
+
+/**
+ * Prints a report to stderr, stdout is kept for the proof
+ */
+export function printReport(report) {
+    if (report.inputs) {
+        console.error("Proof public inputs:")
+        console.error(`  answer_hash: ${report.inputs.answerHash}`)
+        console.error(`  prover_address: ${report.inputs.player}`)
+        console.error(`  round: ${report.inputs.round}`)
+        console.error(`  panagram_address: ${report.inputs.panagramAddress}`)
+        console.error(`  salt: ${report.inputs.salt}`)
+        console.error(`  scramble: ${report.inputs.scramble}`)
+    }
+    if (report.valid && report.verifierChecked) {
+        console.error(
+            "✅ Proof accepted by the contract's verifier, the guess should be accepted"
+        )
+    } else if (report.valid) {
+        console.error(
+            "✅ Proof verified against the circuit. Pass the Panagram contract to check it with its verifier and the round too"
+        )
+    } else {
+        console.error("❌ The guess would be rejected:")
+        for (const problem of report.problems) {
+            console.error(`  - ${problem}`)
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2)
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [proofArg] = positional
+    const address = flags.panagram ?? process.env.PANAGRAM_ADDRESS
+
+    if (!proofArg || !flags.player || !address) {
+        console.error(
+            "Usage: verify-proof <proofHex|proofFile> --player <address> --panagram <address> [--answer-hash <hash>] [--round <n>] [--rpc <url>]"
+        )
+        process.exit(1)
+    }
+
+    const proof = ethers.isHexString(proofArg)
+        ? proofArg
+        : fs.readFileSync(proofArg, "utf8").trim()
+    const panagram = new ethers.Contract(
+        address,
+        PANAGRAM_GUESS_ABI,
+        new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+    )
+
+    try {
+        const report = await verifyGuess(
+            {
+                proof,
+                player: flags.player,
+                answerHash: flags["answer-hash"],
+                round: flags.round,
+                panagramAddress: address,
+            },
+            { panagram }
+        )
+        printReport(report)
+        if (!report.valid) {
+            process.exitCode = 1
+        }
+    } finally {
+        await destroyProver()
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(`❌ ${err.message}`)
+        process.exit(1)
+    })
+}
@@ -0,0 +1,81 @@
+/**
+ * Encoding of Panagram words and addresses as main.nr and Panagram.sol
+ * expect them.
+ *
+ * Nothing is imported, so the mixer's SDK and web app use this module as it
+ * is instead of keeping their own copy. Hashing needs Barretenberg, which the
+ * caller brings: see commitWord in generate-proof.mjs.
+ */
+
+// Length of the guess and scramble letter arrays, MAX_LETTERS in main.nr
+export const MAX_LETTERS = 32
+
+/**
+ * Converts a word to the circuit's letter array
+ * @param {string} word - 1 to MAX_LETTERS lowercase letters a-z
+ * @returns {number[]} MAX_LETTERS character codes, zero padded
+ */
+export function wordToLetters(word) {
+    if (!/^[a-z]+$/.test(word) || word.length > MAX_LETTERS) {
+        throw new Error(
+            `"${word}" must be 1 to ${MAX_LETTERS} lowercase letters a-z`
+        )
+    }
+    const letters = [...word].map((char) => char.charCodeAt(0))
+    return letters.concat(new Array(MAX_LETTERS - letters.length).fill(0))
+}
+
+/**
+ * Packs a scramble into the bytes32 stored in s_scramble
+ * @param {string} scramble
+ * @returns {string} 32-byte hex string
+ */
+export function encodeScramble(scramble) {
+    const hex = wordToLetters(scramble).map((letter) =>
+        letter.toString(16).padStart(2, "0")
+    )
+    return `0x${hex.join("")}`
+}
+
+/**
+ * Reads a scramble back from s_scramble
+ * @param {string|Uint8Array} encoded - bytes32, as hex or bytes
+ * @returns {string}
+ */
+export function decodeScramble(encoded) {
+    let bytes = encoded
+    if (typeof encoded === "string") {
+        if (!/^0x([0-9a-fA-F]{2})*$/.test(encoded)) {
+            throw new Error(`Scramble ${encoded} is not a hex string`)
+        }
+        bytes = (encoded.slice(2).match(/../g) ?? []).map((byte) =>
+            parseInt(byte, 16)
+        )
+    }
+    return String.fromCharCode(...[...bytes].filter((byte) => byte !== 0))
+}
+
+/**
+ * The field elements an answer hash is the Poseidon2 hash of: the round's
+ * salt followed by the word's letters
+ * @param {string} word - The answer, lowercase a-z
+ * @param {string|bigint} salt - Salt of the round (s_salt)
+ * @returns {bigint[]}
+ */
+export function answerPreimage(word, salt) {
+    return [BigInt(salt), ...wordToLetters(word).map(BigInt)]
+}
+
+/**
+ * Converts an address to the field element the contract passes as public
+ * input, bytes32(uint256(uint160(address))). The checksum of a mixed-case
+ * address isn't checked here, pass it through ethers.getAddress for that.
+ * @param {string} address - Ethereum address
+ * @returns {string} 32-byte hex string
+ */
+export function addressToField(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`${address} is not an address`)
+    }
+    return `0x${address.slice(2).toLowerCase().padStart(64, "0")}`
+}
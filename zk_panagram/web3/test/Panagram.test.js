@@ -1,25 +1,11 @@
 const { expect } = require("chai")
 const { ethers } = require("hardhat")
-const { execSync } = require("child_process")
+const path = require("path")
 
 describe("Panagram Contract with Zero Knowledge Proof", function () {
-    // Field modulus for BN254 elliptic curve used by Noir
-    const FIELD_MODULUS = BigInt(
-        "21888242871839275222246405745257275088548364400416034343698204186575808495617"
-    )
-
-    // Utility function to ensure values fit within the field modulus
-    function mod(value, modulus) {
-        return BigInt(value) % BigInt(modulus)
-    }
-
-    // Compute the correct guess hash from the word "triangles"
-    const CORRECT_GUESS_HASH = ethers.keccak256(ethers.toUtf8Bytes("triangles"))
-    const CORRECT_GUESS = mod(CORRECT_GUESS_HASH, FIELD_MODULUS)
-
-    // For this test, ANSWER equals CORRECT_GUESS (simplified implementation)
-    const ANSWER_HASH = ethers.keccak256(ethers.toUtf8Bytes("triangles"))
-    const ANSWER = mod(ANSWER_HASH, FIELD_MODULUS)
+    // The answer of the first round and the letters shown to players
+    const ANSWER_WORD = "triangles"
+    const SCRAMBLE = "alertings"
 
     let verifier
     let panagram
@@ -27,45 +13,71 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
     let user
     let user2
     let proof
+    // In-process prover (scripts/generate-proof.mjs), loaded once for all tests
+    let prover
+    // Proving thread with a proof cache, the deployments and the salt are the
+    // same on every run so a rerun reuses the proofs of the last one
+    let pool
+    const SALT = ethers.toBeHex(42, 32)
+    let ANSWER
+
+    // Generate a zero-knowledge proof that `word` is the answer, for `userAddr`
+    // in the current round of `panagram`
+    // Throws when no proof can be made, which fails the test
+    async function generateProof(word, userAddr) {
+        const roundInfo = await prover.readRound(panagram)
+        console.log(`🔧 Generating proof for guess: ${word}`)
+        console.log(
+            `🔧 Expected answer: ${roundInfo.answerHash.slice(0, 10)}...`
+        )
 
-    // Generate a zero-knowledge proof using the Noir circuit
-    // Takes guess, answer, and user address as field elements
-    async function generateProof(guess, answer, userAddr) {
-        // Convert Ethereum address to a field element for the circuit
-        const userAddrField = mod(BigInt(userAddr), FIELD_MODULUS).toString()
-
-        try {
-            console.log(
-                `🔧 Generating proof for guess: ${guess
-                    .toString()
-                    .slice(0, 10)}...`
-            )
-            console.log(
-                `🔧 Expected answer: ${answer.toString().slice(0, 10)}...`
-            )
-            console.log(
-                `🔧 User address (field): ${userAddrField.slice(0, 10)}...`
-            )
+        const { hexProof } = await prover.proveGuess(
+            word,
+            roundInfo,
+            userAddr,
+            { pool }
+        )
 
-            // Execute the proof generation script with field-compatible values
-            const result = execSync(
-                `node scripts/generate-proof.mjs ${guess.toString()} ${answer.toString()} ${userAddrField}`,
-                { encoding: "utf8", timeout: 60000 }
-            )
+        console.log(
+            `✅ Proof generated successfully (${hexProof.length} characters)`
+        )
+        return hexProof
+    }
 
-            console.log(
-                `✅ Proof generated successfully (${
-                    result.trim().length
-                } characters)`
-            )
-            // Return the hexlified proof from the generation script
-            return result.trim()
+    // Runs an async call that should fail and returns its error message
+    async function errorOf(promise) {
+        try {
+            await promise
         } catch (error) {
-            console.error(`❌ Proof generation failed: ${error.message}`)
-            return null
+            return error.message
         }
+        throw new Error("Expected the call to fail")
     }
 
+    before(async function () {
+        this.timeout(120000)
+
+        prover = await import("../scripts/generate-proof.mjs")
+        // Compiled from main.nr on every run, so the proofs are always of the
+        // circuit HonkVerifier has to match
+        const { compileCircuit } = await import(
+            "../scripts/compile-circuit.mjs"
+        )
+        await compileCircuit(prover.CIRCUIT_PATH)
+
+        const { createProverPool } = await import("../scripts/prover-pool.mjs")
+        pool = createProverPool({
+            threads: 1,
+            cacheDir: path.resolve(__dirname, "../.proof-cache"),
+        })
+        ANSWER = await prover.commitWord(ANSWER_WORD, SALT)
+    })
+
+    after(async function () {
+        await pool.destroy()
+        await prover.destroyProver()
+    })
+
     beforeEach(async function () {
         this.timeout(120000) // Extended timeout for zero-knowledge proof generation
 
@@ -94,19 +106,12 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
         console.log(`🎮 Panagram contract deployed at: ${panagram.target}`)
 
         // Initialize a new game round with the correct answer hash
-        const answerBytes32 = ethers.zeroPadValue(ethers.toBeHex(ANSWER), 32)
-        await panagram.newRound(answerBytes32)
-        console.log(`🎯 New round started with answer hash: ${answerBytes32}`)
+        await panagram.newRound(ANSWER, SALT, prover.encodeScramble(SCRAMBLE))
+        console.log(`🎯 New round started with answer hash: ${ANSWER}`)
 
         // Pre-generate proof for the main test user
         console.log("⏳ Pre-generating proof for primary test user...")
-        proof = await generateProof(CORRECT_GUESS, ANSWER, user.address)
-
-        // Skip all tests if proof generation fails (circuit or setup issues)
-        if (!proof) {
-            console.warn("⚠️  Skipping tests due to proof generation failure")
-            this.skip()
-        }
+        proof = await generateProof(ANSWER_WORD, user.address)
     })
 
     it("Should pass with correct guess", async function () {
@@ -137,6 +142,35 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
         console.log("✅ Duplicate guess prevention working")
     })
 
+    it("Should verify a guess off-chain before it is submitted", async function () {
+        this.timeout(60000)
+
+        const { verifyGuess } = await import("../scripts/verify-proof.mjs")
+        const { publicInputs } = await prover.proveGuess(
+            ANSWER_WORD,
+            await prover.readRound(panagram),
+            user.address
+        )
+
+        const report = await verifyGuess(
+            { proof, player: user.address },
+            { publicInputs, panagram }
+        )
+        expect(report.valid).to.equal(true)
+        expect(report.verifierChecked).to.equal(true)
+        expect(report.inputs.answerHash).to.equal(ANSWER)
+        expect(report.inputs.scramble).to.equal(SCRAMBLE)
+
+        // Submitted by another account, the verifier would reject it
+        const stolen = await verifyGuess(
+            { proof, player: user2.address },
+            { publicInputs, panagram }
+        )
+        expect(stolen.proofValid).to.equal(false)
+        expect(stolen.problems).to.have.length(1)
+        expect(stolen.problems[0]).to.include(`made for ${user.address}`)
+    })
+
     it("Should start a new round correctly", async function () {
         this.timeout(60000)
 
@@ -149,19 +183,9 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
         // Record the current round number for comparison
         const initialRound = await panagram.s_currentRound()
 
-        // Calculate hash values for the next round using a different word
-        const newAnswerText = "abcdefghi"
-        const newGuessHash = ethers.keccak256(ethers.toUtf8Bytes(newAnswerText))
-        const newGuess = mod(newGuessHash, FIELD_MODULUS)
-        const newGuessBytes32 = ethers.zeroPadValue(
-            ethers.toBeHex(newGuess),
-            32
-        )
-        const newAnswerIntermediate = ethers.keccak256(newGuessBytes32)
-        const newAnswerHash = ethers.zeroPadValue(
-            ethers.toBeHex(mod(newAnswerIntermediate, FIELD_MODULUS)),
-            32
-        )
+        // Hash the answer of the next round the same way the circuit does
+        const newSalt = prover.randomSalt()
+        const newAnswerHash = await prover.commitWord("abcdefghi", newSalt)
         console.log(`🔄 Prepared new answer hash: ${newAnswerHash}`)
 
         // Advance blockchain time to meet minimum round duration requirement
@@ -173,11 +197,16 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
         console.log(`⏰ Advanced time by ${minDuration} seconds`)
 
         // Start the new round with the calculated answer hash
-        await panagram.newRound(newAnswerHash)
+        await panagram.newRound(
+            newAnswerHash,
+            newSalt,
+            prover.encodeScramble("ihgfedcba")
+        )
         console.log("🎯 New round initiated")
 
         // Verify that game state has been properly reset
         expect(await panagram.s_correctAnswerHash()).to.equal(newAnswerHash)
+        expect(await panagram.s_salt()).to.equal(newSalt)
         expect(await panagram.s_currentRoundWinner()).to.equal(
             ethers.ZeroAddress
         )
@@ -185,46 +214,55 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
         console.log("✅ Round state reset successfully")
     })
 
+    it("Should reject an old proof after newRound", async function () {
+        this.timeout(60000)
+
+        await panagram.connect(user).makeGuess(proof)
+        await ethers.provider.send("evm_increaseTime", [
+            Number(await panagram.MIN_ROUND_DURATION()) + 1,
+        ])
+        // Same answer and salt again, the proof of round 1 must not count in round 2
+        await panagram.newRound(ANSWER, SALT, prover.encodeScramble(SCRAMBLE))
+
+        await expect(
+            panagram.connect(user).makeGuess(proof)
+        ).to.be.revertedWithCustomError(panagram, "Panagram__InvalidProof")
+
+        const fresh = await generateProof(ANSWER_WORD, user.address)
+        await panagram.connect(user).makeGuess(fresh)
+        expect(await panagram.s_lastCorrectGuessRound(user.address)).to.equal(2)
+    })
+
     it("Should fail with incorrect guess", async function () {
         this.timeout(60000)
 
         console.log("🧪 Testing incorrect guess rejection...")
 
-        // Create an intentionally incorrect guess using a different word
-        const incorrectText = "outnumber"
-        const incorrectGuessHash = ethers.keccak256(
-            ethers.toUtf8Bytes(incorrectText)
-        )
-        const incorrectGuess = mod(incorrectGuessHash, FIELD_MODULUS)
+        // An anagram of the scramble, but not the answer
+        const incorrectText = "alterings"
+
+        // proveGuess checks the word before proving
+        expect(
+            await errorOf(generateProof(incorrectText, user.address))
+        ).to.match(/not the answer/)
+        expect(
+            await errorOf(generateProof("outnumber", user.address))
+        ).to.match(/not an anagram/)
+
+        // Without the checks the circuit refuses to execute,
+        // since the salted hash != answer_hash
+        expect(
+            await errorOf(
+                prover.proveWord(
+                    incorrectText,
+                    await prover.readRound(panagram),
+                    user.address
+                )
+            )
+        ).to.match(/Wrong answer/)
         console.log(
-            `❌ Generated incorrect guess: ${incorrectGuess
-                .toString()
-                .slice(0, 10)}...`
+            "✅ Zero-knowledge circuit correctly prevented invalid proof generation"
         )
-
-        // Attempt to generate proof with mismatched guess and answer
-        // This should fail at the circuit level since guess_hash != answer_hash
-        const incorrectProof = await generateProof(
-            incorrectGuess,
-            CORRECT_GUESS, // Intentionally different from incorrectGuess
-            user.address
-        )
-
-        if (incorrectProof) {
-            // If proof generation somehow succeeds, the contract should reject it
-            console.log(
-                "⚠️  Proof generated despite mismatch, testing contract rejection..."
-            )
-            await expect(
-                panagram.connect(user).makeGuess(incorrectProof)
-            ).to.be.revertedWithCustomError(panagram, "Panagram__InvalidProof")
-            console.log("✅ Contract correctly rejected invalid proof")
-        } else {
-            // Expected behavior: circuit constraint should prevent proof generation
-            console.log(
-                "✅ Zero-knowledge circuit correctly prevented invalid proof generation"
-            )
-        }
     })
 
     it("Should handle second winner correctly", async function () {
@@ -244,25 +282,52 @@ describe("Panagram Contract with Zero Knowledge Proof", function () {
 
         // Generate proof for second user with the same correct answer
         console.log("⏳ Generating proof for second user...")
-        const proof2 = await generateProof(CORRECT_GUESS, ANSWER, user2.address)
-
-        if (proof2) {
-            // Second user submits correct guess and becomes runner-up
-            await panagram.connect(user2).makeGuess(proof2)
-            console.log("🥈 Second user submitted guess")
-
-            // Verify second user receives runner-up status and NFT
-            expect(await panagram.s_winnerWins(user2.address)).to.equal(0)
-            expect(await panagram.balanceOf(user2.address, 0)).to.equal(0)
-            expect(await panagram.balanceOf(user2.address, 1)).to.equal(1)
-            console.log(
-                "✅ Second user correctly assigned runner-up status and NFT"
+        const proof2 = await generateProof(ANSWER_WORD, user2.address)
+
+        // Second user submits correct guess and becomes runner-up
+        await panagram.connect(user2).makeGuess(proof2)
+        console.log("🥈 Second user submitted guess")
+
+        // Verify second user receives runner-up status and NFT
+        expect(await panagram.s_winnerWins(user2.address)).to.equal(0)
+        expect(await panagram.balanceOf(user2.address, 0)).to.equal(0)
+        expect(await panagram.balanceOf(user2.address, 1)).to.equal(1)
+        console.log(
+            "✅ Second user correctly assigned runner-up status and NFT"
+        )
+    })
+})
+
+describe("HonkVerifier", function () {
+    it("Should take the public inputs of the salted circuit", async function () {
+        this.timeout(120000)
+
+        // answer_hash, prover_address, round, panagram_address, salt and the
+        // scramble letters, as main.nr declares them
+        const { compileCircuit } = await import(
+            "../scripts/compile-circuit.mjs"
+        )
+        const { abi } = await compileCircuit()
+        const publicInputs = abi.parameters
+            .filter((param) => param.visibility === "public")
+            .reduce(
+                (count, { type }) =>
+                    count + (type.kind === "array" ? type.length : 1),
+                0
             )
-        } else {
-            console.warn(
-                "⚠️  Skipping second winner test due to proof generation failure"
+
+        const verifier = await ethers.deployContract("HonkVerifier")
+        const panagram = await ethers.deployContract("Panagram", [
+            verifier.target,
+        ])
+        expect(await panagram.NUMBER_OF_PUBLIC_INPUTS()).to.equal(publicInputs)
+
+        // The proof is rubbish, so it fails a later check when the count is right
+        await expect(
+            verifier.verify(
+                new Uint8Array(440 * 32),
+                Array(publicInputs).fill(ethers.ZeroHash)
             )
-            this.skip() // Skip if proof generation failed
-        }
+        ).not.to.be.revertedWithCustomError(verifier, "PublicInputsLengthWrong")
     })
 })
@@ -0,0 +1,143 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Panagram round administration", function () {
+    let admin
+    let prover
+    let panagram
+    let owner
+    let user
+    let scheduleFile
+
+    // Runs an async call that should fail and returns its error message
+    async function errorOf(promise) {
+        try {
+            await promise
+        } catch (error) {
+            return error.message
+        }
+        throw new Error("Expected the call to fail")
+    }
+
+    before(async function () {
+        admin = await import("../scripts/admin.mjs")
+        prover = await import("../scripts/generate-proof.mjs")
+    })
+
+    beforeEach(async function () {
+        ;[owner, user] = await ethers.getSigners()
+        // No proofs are made here, so the verifier is never called
+        const Panagram = await ethers.getContractFactory("Panagram")
+        panagram = await Panagram.deploy(owner.address)
+        scheduleFile = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), "panagram-")),
+            "schedule.json"
+        )
+    })
+
+    after(async function () {
+        await prover.destroyProver()
+    })
+
+    afterEach(function () {
+        fs.rmSync(path.dirname(scheduleFile), { recursive: true, force: true })
+    })
+
+    it("Should only accept real anagrams of the scramble", function () {
+        expect(
+            admin.validateAnagram("  Triangles ", "ALERTINGS")
+        ).to.deep.equal({ word: "triangles", scramble: "alertings" })
+        expect(admin.validateAnagram("café", "éfac").word).to.equal("cafe")
+
+        expect(() => admin.validateAnagram("triangle", "alertings")).to.throw(
+            "not an anagram"
+        )
+        expect(() =>
+            admin.validateAnagram("tri-angles", "alertings-")
+        ).to.throw("letters a-z")
+        expect(() => admin.validateAnagram("abc", "cba")).to.throw("4 to 32")
+        expect(() => admin.validateAnagram("triangles", "triangles")).to.throw(
+            "gives the answer away"
+        )
+    })
+
+    it("Should start a round with the hash the circuit expects", async function () {
+        const { answerHash, salt } = await admin.startRound(
+            panagram,
+            "Triangles",
+            "Alertings"
+        )
+
+        expect(answerHash).to.equal(await prover.commitWord("triangles", salt))
+        expect(await panagram.s_correctAnswerHash()).to.equal(answerHash)
+        expect(await panagram.s_salt()).to.equal(salt)
+        expect(prover.decodeScramble(await panagram.s_scramble())).to.equal(
+            "alertings"
+        )
+        expect(await panagram.s_currentRound()).to.equal(1)
+        expect((await admin.getRoundStatus(panagram)).scramble).to.equal(
+            "alertings"
+        )
+    })
+
+    it("Should explain why a new round can't start yet", async function () {
+        await admin.startRound(panagram, "triangles", "alertings")
+
+        const early = await errorOf(
+            admin.startRound(panagram, "outnumber", "numbertou")
+        )
+        expect(early).to.match(
+            /too recent, a new one can start in 2[34]h \d\dm \d\ds/
+        )
+
+        const status = await admin.getRoundStatus(panagram)
+        expect(status.canStartNewRound).to.equal(false)
+        expect(status.timeLeft > 0n).to.equal(true)
+
+        await ethers.provider.send("evm_increaseTime", [86400])
+        await ethers.provider.send("evm_mine")
+        expect(
+            await errorOf(admin.startRound(panagram, "outnumber", "numbertou"))
+        ).to.equal(
+            "Nobody has solved the current round yet, it can't be replaced"
+        )
+
+        expect(
+            await errorOf(
+                admin.startRound(
+                    panagram.connect(user),
+                    "outnumber",
+                    "numbertou"
+                )
+            )
+        ).to.include("is not the owner")
+    })
+
+    it("Should run scheduled words in order once they are due", async function () {
+        const block = await ethers.provider.getBlock("latest")
+        admin.addToSchedule("triangles", "alertings", null, scheduleFile)
+        admin.addToSchedule(
+            "outnumber",
+            "numbertou",
+            block.timestamp + 7 * 86400,
+            scheduleFile
+        )
+        expect(() =>
+            admin.addToSchedule("Triangles", "gnitselar", null, scheduleFile)
+        ).to.throw("already scheduled")
+
+        const first = await admin.runSchedule(panagram, scheduleFile)
+        expect(first.word).to.equal("triangles")
+        // The salt is drawn when the round starts, it is never stored
+        expect(first.salt).to.equal(await panagram.s_salt())
+        expect(fs.readFileSync(scheduleFile, "utf8")).to.not.include("salt")
+        expect(admin.loadSchedule(scheduleFile)).to.have.length(1)
+
+        // The next word isn't due for a week
+        expect(await admin.runSchedule(panagram, scheduleFile)).to.equal(null)
+        expect(admin.loadSchedule(scheduleFile)).to.have.length(1)
+    })
+})
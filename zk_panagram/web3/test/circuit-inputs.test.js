@@ -0,0 +1,211 @@
+const { expect } = require("chai")
+const crypto = require("crypto")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+// circuit-inputs.mjs is shared with zk_mixer, so its circuit is tested here too
+describe("Circuit inputs and Prover.toml", function () {
+    let inputs
+    let dir
+
+    // ABI of zk_mixer/circuit as nargo compile writes it
+    const field = { kind: "field" }
+    const MIXER_ABI = {
+        parameters: [
+            { name: "root", type: field, visibility: "public" },
+            { name: "nullifier_hash", type: field, visibility: "public" },
+            { name: "recipient", type: field, visibility: "public" },
+            { name: "relayer", type: field, visibility: "public" },
+            { name: "fee", type: field, visibility: "public" },
+            { name: "nullifier", type: field, visibility: "private" },
+            { name: "secret", type: field, visibility: "private" },
+            {
+                name: "merkle_proof",
+                type: { kind: "array", length: 20, type: field },
+                visibility: "private",
+            },
+            {
+                name: "is_even",
+                type: { kind: "array", length: 20, type: { kind: "boolean" } },
+                visibility: "private",
+            },
+        ],
+        return_type: null,
+    }
+
+    // Any field element, as the 0x hex generateProof passes
+    function randomField() {
+        const value = BigInt(`0x${crypto.randomBytes(32).toString("hex")}`)
+        return `0x${(value % inputs.FIELD_MODULUS).toString(16)}`
+    }
+
+    // The same shape the mixer's generateProof builds
+    function mixerInputs() {
+        return {
+            root: randomField(),
+            nullifier_hash: randomField(),
+            recipient: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+            relayer: "0x0000000000000000000000000000000000000000",
+            fee: "0x00",
+            nullifier: randomField(),
+            secret: randomField(),
+            merkle_proof: Array.from({ length: 20 }, randomField),
+            is_even: Array.from({ length: 20 }, (_, i) => i % 3 === 0),
+        }
+    }
+
+    before(async function () {
+        inputs = await import("../scripts/circuit-inputs.mjs")
+    })
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "circuit-inputs-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should round-trip mixer inputs through Prover.toml", function () {
+        const values = mixerInputs()
+        const toml = inputs.toProverToml(MIXER_ABI, values, "withdrawal")
+
+        expect(toml).to.match(/^# withdrawal\nroot = "0x/)
+        expect(toml).to.include('fee = "0x0"\n')
+        expect(toml).to.include("is_even = [true, false, false, true")
+        expect(inputs.parseProverToml(MIXER_ABI, toml)).to.deep.equal(
+            inputs.validateInputs(MIXER_ABI, values)
+        )
+
+        // Dumped before proving, the witness goes next to it
+        const tomlPath = path.join(dir, "Failing.toml")
+        inputs.dumpInputs(tomlPath, MIXER_ABI, values)
+        expect(fs.readFileSync(tomlPath, "utf8")).to.include(
+            "# Replay with nargo execute"
+        )
+        expect(inputs.witnessPath(tomlPath)).to.equal(
+            path.join(dir, "Failing.gz")
+        )
+    })
+
+    it("Should list every input that doesn't match the ABI", function () {
+        const values = mixerInputs()
+        values.merkle_proof.pop()
+        values.root = inputs.FIELD_MODULUS
+        values.is_even = Array(20).fill("true")
+        delete values.secret
+        values.amount = 1
+
+        let message = ""
+        try {
+            inputs.validateInputs(MIXER_ABI, values)
+        } catch (error) {
+            message = error.message
+        }
+        const problems = message.split("\n").slice(1)
+        expect(problems).to.include.members([
+            `  - root: ${inputs.FIELD_MODULUS} is outside the field (0 to FIELD_MODULUS - 1)`,
+            "  - secret: missing, expected Field",
+            "  - merkle_proof: expected [Field; 20], got 19 elements",
+            '  - is_even[0]: expected a bool, got "true"',
+            "  - amount: not a parameter of the circuit",
+        ])
+        // Nothing is written for invalid inputs
+        const tomlPath = path.join(dir, "Prover.toml")
+        expect(() => inputs.dumpInputs(tomlPath, MIXER_ABI, values)).to.throw(
+            "Invalid circuit inputs"
+        )
+        expect(fs.existsSync(tomlPath)).to.equal(false)
+    })
+
+    it("Should read hand-written files with integers, structs and tables", function () {
+        const abi = {
+            parameters: [
+                {
+                    name: "bytes",
+                    type: {
+                        kind: "array",
+                        length: 3,
+                        type: { kind: "integer", sign: "unsigned", width: 8 },
+                    },
+                    visibility: "private",
+                },
+                {
+                    name: "delta",
+                    type: { kind: "integer", sign: "signed", width: 32 },
+                    visibility: "private",
+                },
+                {
+                    name: "pair",
+                    type: {
+                        kind: "tuple",
+                        fields: [field, { kind: "boolean" }],
+                    },
+                    visibility: "private",
+                },
+                {
+                    name: "label",
+                    type: { kind: "string", length: 2 },
+                    visibility: "public",
+                },
+                {
+                    name: "point",
+                    type: {
+                        kind: "struct",
+                        path: "Point",
+                        fields: [
+                            { name: "x", type: field },
+                            { name: "y", type: field },
+                        ],
+                    },
+                    visibility: "private",
+                },
+            ],
+            return_type: null,
+        }
+        const text = [
+            "# comments and multi-line arrays are fine",
+            "bytes = [",
+            "    1, 0x02,  # trailing comment",
+            "    255,",
+            "]",
+            'delta = "-5"',
+            'pair = ["7", true]',
+            "label = 'hi'",
+            "",
+            "[point]",
+            'x = "0x01"',
+            "y = 2",
+            "",
+        ].join("\n")
+
+        const values = inputs.parseProverToml(abi, text)
+        expect(values).to.deep.equal({
+            bytes: ["1", "2", "255"],
+            delta: "-5",
+            pair: ["0x7", true],
+            label: "hi",
+            point: { x: "0x1", y: "0x2" },
+        })
+        expect(
+            inputs.parseProverToml(abi, inputs.toProverToml(abi, values))
+        ).to.deep.equal(values)
+        expect(inputs.toProverToml(abi, values)).to.include(
+            '\n[point]\nx = "0x1"\n'
+        )
+        expect(inputs.parseToml("a = { b = 1, c = [true] }")).to.deep.equal({
+            a: { b: 1n, c: [true] },
+        })
+
+        expect(() =>
+            inputs.parseProverToml(abi, text.replace("255", "256"))
+        ).to.throw("bytes[2]: 256 does not fit in u8 (0 to 255)")
+        expect(() => inputs.parseToml("a = 1.5")).to.throw(
+            'TOML line 1: unsupported value "1.5"'
+        )
+        expect(() => inputs.parseToml("a = 1\na = 2")).to.throw(
+            "TOML line 2: a is defined twice"
+        )
+    })
+})
@@ -0,0 +1,214 @@
+const { expect } = require("chai")
+const { ethers, network } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Panagram leaderboard", function () {
+    let board
+    let panagram
+    let verifier
+    let owner
+    let alice
+    let bob
+    let carol
+    let storePath
+
+    async function nextRound() {
+        await network.provider.send("evm_increaseTime", [24 * 60 * 60])
+        await panagram.newRound(
+            ethers.ZeroHash,
+            ethers.ZeroHash,
+            ethers.ZeroHash
+        )
+    }
+
+    async function guessAfter(player, seconds) {
+        await network.provider.send("evm_increaseTime", [seconds])
+        await panagram.connect(player).makeGuess("0x")
+    }
+
+    function sync() {
+        return board.syncIndex({
+            provider: ethers.provider,
+            address: panagram.target,
+            storePath,
+            // Small batches so the sync is split over several getLogs calls
+            batchSize: 3,
+        })
+    }
+
+    before(async function () {
+        board = await import("../scripts/leaderboard.mjs")
+    })
+
+    beforeEach(async function () {
+        ;[owner, alice, bob, carol] = await ethers.getSigners()
+        // Accepts every proof, so guesses don't need the circuit
+        verifier = await ethers.deployContract("MockVerifier")
+        panagram = await ethers.deployContract("Panagram", [verifier.target])
+        storePath = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), "panagram-index-")),
+            "index.json"
+        )
+
+        // Round 1: alice wins, bob second. Round 2: bob wins, alice second.
+        // Round 3: alice wins, carol second.
+        await panagram.newRound(
+            ethers.ZeroHash,
+            ethers.ZeroHash,
+            ethers.ZeroHash
+        )
+        await guessAfter(alice, 60)
+        await guessAfter(bob, 120)
+        await nextRound()
+        await guessAfter(bob, 30)
+        await guessAfter(alice, 30)
+        await nextRound()
+        await guessAfter(alice, 90)
+        await guessAfter(carol, 10)
+    })
+
+    afterEach(function () {
+        fs.rmSync(path.dirname(storePath), { recursive: true, force: true })
+    })
+
+    it("Should record the solvers of each round with solve times", async function () {
+        const store = await sync()
+        expect(Object.keys(store.rounds)).to.deep.equal(["1", "2", "3"])
+
+        const round1 = board.roundSolvers(store, 1)
+        expect(round1.map((s) => s.player)).to.deep.equal([
+            alice.address,
+            bob.address,
+        ])
+        expect(round1.map((s) => s.isWinner)).to.deep.equal([true, false])
+        expect(round1[0].position).to.equal(1)
+        // evm_increaseTime is added on top of the one second per block
+        expect(round1[0].solveTime).to.be.within(60, 62)
+        expect(round1[1].solveTime).to.be.within(180, 184)
+        expect(store.rounds["3"].startTime).to.equal(
+            Number(await panagram.s_roundStartTime())
+        )
+        expect(() => board.roundSolvers(store, 4)).to.throw("not in the index")
+    })
+
+    it("Should rank players and track streaks and balances", async function () {
+        const store = await sync()
+
+        const ranking = board.leaderboard(store)
+        expect(ranking.map((r) => [r.player, r.wins, r.solves])).to.deep.equal([
+            [alice.address, 2, 3],
+            [bob.address, 1, 2],
+            [carol.address, 0, 1],
+        ])
+        expect(ranking[0].rank).to.equal(1)
+        expect(ranking[0].fastestSolveTime).to.be.within(60, 63)
+
+        // carol solved round 3, the latest, so her streak is current
+        const streaks = Object.fromEntries(
+            board.streaks(store).map((s) => [s.player, s])
+        )
+        expect(streaks[alice.address]).to.include({
+            currentSolveStreak: 3,
+            longestSolveStreak: 3,
+            currentWinStreak: 1,
+            longestWinStreak: 1,
+        })
+        expect(streaks[bob.address]).to.include({
+            currentSolveStreak: 2,
+            longestSolveStreak: 2,
+        })
+        expect(streaks[carol.address].currentSolveStreak).to.equal(1)
+
+        // Tokens moved after minting are counted where they are now
+        await panagram
+            .connect(alice)
+            .safeTransferFrom(alice.address, carol.address, 0, 1, "0x")
+        await panagram
+            .connect(bob)
+            .safeBatchTransferFrom(
+                bob.address,
+                carol.address,
+                [0, 1],
+                [1, 1],
+                "0x"
+            )
+        const resumed = await sync()
+        const balances = Object.fromEntries(
+            board.balances(resumed).map((b) => [b.owner, b])
+        )
+        expect(balances[carol.address]).to.include({
+            winnerTokens: 2,
+            participantTokens: 2,
+        })
+        expect(balances[alice.address]).to.include({
+            winnerTokens: 1,
+            participantTokens: 1,
+        })
+        expect(balances).to.not.have.property(bob.address)
+        for (const player of [alice, bob, carol]) {
+            expect(balances[player.address]?.winnerTokens ?? 0).to.equal(
+                Number(await panagram.balanceOf(player.address, 0))
+            )
+        }
+    })
+
+    it("Should resume from the store and export CSV", async function () {
+        await sync()
+        await nextRound()
+        await guessAfter(carol, 5)
+        const store = await sync()
+
+        expect(store.lastSyncedBlock).to.equal(
+            await ethers.provider.getBlockNumber()
+        )
+        expect(board.roundSolvers(store, 4)).to.have.length(1)
+        // Replaying from the stored block must not count anything twice
+        expect(board.history(store)).to.have.length(7)
+        expect(board.loadStore(storePath)).to.deep.equal(store)
+
+        const csv = board.toCSV(board.leaderboard(store)).split("\n")
+        expect(csv[0]).to.equal(
+            "rank,player,wins,solves,fastestSolveTime,averageSolveTime"
+        )
+        expect(csv).to.have.length(4)
+        expect(board.toCSV([{ word: 'a,"b"' }])).to.equal('word\n"a,""b"""')
+
+        await expect(
+            board.syncIndex({
+                provider: ethers.provider,
+                address: verifier.target,
+                storePath,
+            })
+        ).to.be.rejectedWith("Store")
+    })
+
+    it("Should serve the views read-only over HTTP", async function () {
+        const store = await sync()
+        const server = board.createServer(() => store)
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+        const url = `http://127.0.0.1:${server.address().port}`
+
+        try {
+            const ranking = await (await fetch(`${url}/leaderboard`)).json()
+            expect(ranking).to.deep.equal(board.leaderboard(store))
+
+            const round = await fetch(`${url}/rounds/2?format=csv`)
+            expect(round.headers.get("content-type")).to.equal("text/csv")
+            expect((await round.text()).split("\n")).to.have.length(3)
+
+            expect((await fetch(`${url}/rounds/9`)).status).to.equal(404)
+            expect((await fetch(`${url}/nothing`)).status).to.equal(404)
+            // Names every object has are not views
+            for (const name of ["constructor", "toString", "__proto__"]) {
+                expect((await fetch(`${url}/${name}`)).status).to.equal(404)
+            }
+            expect(
+                (await fetch(`${url}/leaderboard`, { method: "POST" })).status
+            ).to.equal(405)
+        } finally {
+            await new Promise((resolve) => server.close(resolve))
+        }
+    })
+})
@@ -0,0 +1,122 @@
+const { expect } = require("chai")
+const { compile_program, createFileManager } = require("@noir-lang/noir_wasm")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+// prover-threads.mjs is shared with zk_mixer, so the pool is tested here
+// with a circuit of neither project
+describe("Prover pool", function () {
+    this.timeout(120000)
+
+    let poolModule
+    let dir
+    let circuitPath
+    let pool
+    let progress
+
+    before(async function () {
+        poolModule = await import("../scripts/prover-pool.mjs")
+
+        // first_circuit has no dependencies, so it compiles without nargo
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "panagram-pool-"))
+        const { program } = await compile_program(
+            createFileManager(path.resolve(__dirname, "../../../first_circuit"))
+        )
+        circuitPath = path.join(dir, "first_circuit.json")
+        fs.writeFileSync(circuitPath, JSON.stringify(program))
+    })
+
+    beforeEach(function () {
+        progress = []
+        pool = poolModule.createProverPool({
+            threads: 1,
+            cacheDir: path.join(dir, "cache"),
+            onProgress: (event) => progress.push(event),
+        })
+    })
+
+    afterEach(async function () {
+        await pool.destroy()
+    })
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should key proofs by the normalized inputs", function () {
+        const { proofCacheKey } = poolModule
+        const key = proofCacheKey(circuitPath, { x: "42", y: 3 })
+        expect(key).to.match(/^[0-9a-f]{64}$/)
+        expect(proofCacheKey(circuitPath, { x: "0x2a", y: "0x03" })).to.equal(
+            key
+        )
+        expect(proofCacheKey(circuitPath, { x: "42", y: 4 })).to.not.equal(key)
+        // Without keccak the proof is another one
+        expect(
+            proofCacheKey(circuitPath, { x: "42", y: 3 }, false)
+        ).to.not.equal(key)
+        expect(() => proofCacheKey(circuitPath, { x: "42" })).to.throw(
+            "y: missing, expected Field"
+        )
+    })
+
+    it("Should answer from the cache without proving", async function () {
+        const inputs = { x: "2", y: "3" }
+        fs.writeFileSync(
+            path.join(
+                dir,
+                "cache",
+                `${poolModule.proofCacheKey(circuitPath, inputs)}.json`
+            ),
+            JSON.stringify({ proof: "0xc0ffee", publicInputs: ["0x03"] })
+        )
+
+        const [result] = await pool.proveAll([{ circuitPath, inputs }])
+        expect(result.cached).to.equal(true)
+        expect(result.label).to.equal("job 1")
+        expect(result.hexProof).to.equal("0xc0ffee")
+        expect([...result.proof]).to.deep.equal([0xc0, 0xff, 0xee])
+        expect(result.publicInputs).to.deep.equal(["0x03"])
+        expect(progress).to.deep.equal([
+            {
+                label: "job 1",
+                status: "cached",
+                done: 1,
+                total: 1,
+                timings: { witnessMs: 0, proveMs: 0, waitMs: 0, totalMs: 0 },
+            },
+        ])
+    })
+
+    it("Should fail a job with the circuit's error and keep the thread", async function () {
+        await pool.warm(circuitPath)
+
+        // x != y is asserted
+        await expect(
+            pool.prove({ circuitPath, inputs: { x: 3, y: 3 }, label: "equal" })
+        ).to.be.rejectedWith(/^equal: /)
+        expect(progress.map(({ status }) => status)).to.deep.equal([
+            "started",
+            "failed",
+        ])
+        expect(progress[1]).to.include({ worker: 0, done: 1, total: 1 })
+
+        // The thread takes the next job
+        await expect(
+            pool.prove({ circuitPath, inputs: { x: 4, y: 4 }, label: "again" })
+        ).to.be.rejectedWith(/^again: /)
+        expect(progress).to.have.length(4)
+
+        // Inputs that don't fit the circuit never reach a thread
+        await expect(
+            pool.prove({ circuitPath, inputs: { x: 2 } })
+        ).to.be.rejectedWith("Invalid circuit inputs")
+        expect(progress).to.have.length(4)
+
+        await pool.destroy()
+        await expect(
+            pool.prove({ circuitPath, inputs: { x: 2, y: 3 } })
+        ).to.be.rejectedWith("destroyed")
+    })
+})
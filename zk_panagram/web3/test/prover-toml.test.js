@@ -0,0 +1,94 @@
+const { expect } = require("chai")
+const { compile_program, createFileManager } = require("@noir-lang/noir_wasm")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Panagram Prover.toml bridge", function () {
+    this.timeout(120000)
+
+    let bridge
+    let prover
+    let dir
+    let circuitPath
+    let abi
+
+    // Answer hash of "triangles" with salt 42, as in verify-proof.test.js
+    const ROUND = {
+        answerHash:
+            "0x14228e9740cdda4d18d1c59fd4a8bd7b9d8a6bdad28d44cdcb8380e8191880e5",
+        salt: 42n,
+        scramble: "alertings",
+        round: 1n,
+        panagramAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    }
+    const PLAYER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+
+    before(async function () {
+        bridge = await import("../scripts/prover-toml.mjs")
+        prover = await import("../scripts/generate-proof.mjs")
+
+        // The circuit has no dependencies, so it compiles without nargo
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "panagram-toml-"))
+        const { program } = await compile_program(
+            createFileManager(path.resolve(__dirname, "../../circuit"))
+        )
+        circuitPath = path.join(dir, "zk_panagram.json")
+        fs.writeFileSync(circuitPath, JSON.stringify(program))
+        abi = bridge.loadAbi(circuitPath)
+    })
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should check guess inputs against the circuit ABI", function () {
+        const inputs = prover.toCircuitInputs("triangles", ROUND, PLAYER)
+        const checked = bridge.validateInputs(abi, inputs)
+        expect(checked.guess).to.have.length(32)
+        expect(checked.guess[0]).to.equal("116")
+        expect(checked.salt).to.equal("0x2a")
+
+        expect(() =>
+            bridge.validateInputs(abi, {
+                ...inputs,
+                guess: inputs.guess.slice(0, 9),
+                scramble: [...inputs.scramble.slice(1), 256],
+                salt: prover.FIELD_MODULUS,
+            })
+        ).to.throw(
+            [
+                "Invalid circuit inputs:",
+                "  - guess: expected [u8; 32], got 9 elements",
+                `  - salt: ${prover.FIELD_MODULUS} is outside the field (0 to FIELD_MODULUS - 1)`,
+                "  - scramble[31]: 256 does not fit in u8 (0 to 255)",
+            ].join("\n")
+        )
+    })
+
+    it("Should replay dumped inputs like nargo execute", async function () {
+        const tomlPath = path.join(dir, "Prover.toml")
+        bridge.dumpInputs(
+            tomlPath,
+            abi,
+            prover.toCircuitInputs("triangles", ROUND, PLAYER)
+        )
+        const toml = fs.readFileSync(tomlPath, "utf8")
+        expect(toml).to.include("guess = [116, 114, 105, 97, 110, 103")
+        expect(toml).to.include('salt = "0x2a"')
+
+        const { witness } = await bridge.executeToml(tomlPath, circuitPath)
+        bridge.saveWitness(bridge.witnessPath(tomlPath), witness)
+        expect(fs.existsSync(path.join(dir, "Prover.gz"))).to.equal(true)
+
+        // A wrong guess fails with the circuit's message
+        bridge.dumpInputs(
+            tomlPath,
+            abi,
+            prover.toCircuitInputs("alterings", ROUND, PLAYER)
+        )
+        await expect(
+            bridge.executeToml(tomlPath, circuitPath)
+        ).to.be.rejectedWith("Wrong answer")
+    })
+})
@@ -0,0 +1,216 @@
+const { expect } = require("chai")
+const { ethers, network } = require("hardhat")
+
+describe("Panagram proof verification", function () {
+    let verify
+    let prover
+    let panagram
+    let verifier
+    let owner
+    let user
+
+    // Answer hash of "triangles" with salt 42, as the circuit computes it
+    const SALT = ethers.toBeHex(42, 32)
+    const ANSWER =
+        "0x14228e9740cdda4d18d1c59fd4a8bd7b9d8a6bdad28d44cdcb8380e8191880e5"
+    const SCRAMBLE = "alertings"
+
+    function newRound() {
+        return panagram.newRound(ANSWER, SALT, prover.encodeScramble(SCRAMBLE))
+    }
+
+    before(async function () {
+        verify = await import("../scripts/verify-proof.mjs")
+        prover = await import("../scripts/generate-proof.mjs")
+    })
+
+    after(async function () {
+        await prover.destroyProver()
+    })
+
+    beforeEach(async function () {
+        ;[owner, user] = await ethers.getSigners()
+        // Accepts every proof, only the state checks are exercised here
+        verifier = await ethers.deployContract("MockVerifier")
+        panagram = await ethers.deployContract("Panagram", [verifier.target])
+    })
+
+    it("Should hash answers with the round's salt like the circuit", async function () {
+        expect(await prover.commitWord("triangles", SALT)).to.equal(ANSWER)
+        // Another salt gives another hash for the same word
+        expect(
+            await prover.commitWord("triangles", prover.randomSalt())
+        ).to.not.equal(ANSWER)
+
+        const scramble = prover.encodeScramble(SCRAMBLE)
+        expect(scramble).to.have.length(66)
+        expect(prover.decodeScramble(scramble)).to.equal(SCRAMBLE)
+        expect(() => prover.wordToLetters("Triangles")).to.throw("letters a-z")
+        expect(() => prover.wordToLetters("a".repeat(33))).to.throw("1 to 32")
+
+        const roundInfo = {
+            answerHash: ANSWER,
+            salt: SALT,
+            scramble: SCRAMBLE,
+            round: 1n,
+            panagramAddress: panagram.target,
+        }
+        await expect(
+            prover.proveGuess("outnumber", roundInfo, user.address)
+        ).to.be.rejectedWith("not an anagram")
+        await expect(
+            prover.proveGuess("alterings", roundInfo, user.address)
+        ).to.be.rejectedWith("not the answer")
+    })
+
+    it("Should decode the public inputs and explain mismatches", function () {
+        const guess = {
+            answerHash: ANSWER,
+            player: user.address,
+            round: 1n,
+            panagramAddress: panagram.target,
+            salt: SALT,
+            scramble: SCRAMBLE,
+        }
+        const proven = verify.decodePublicInputs(
+            verify.encodePublicInputs(guess)
+        )
+        expect(proven).to.deep.equal(guess)
+        expect(verify.explainMismatches(proven, guess)).to.deep.equal([])
+
+        const problems = verify.explainMismatches(proven, {
+            ...guess,
+            player: owner.address,
+            panagramAddress: owner.address,
+            round: 2n,
+        })
+        expect(problems).to.have.length(3)
+        expect(problems[0]).to.include("for round 1, but round 2")
+        expect(problems[1]).to.include(`made for ${user.address}`)
+        expect(problems[2]).to.include(`contract at ${panagram.target}`)
+        expect(
+            verify.explainMismatches(proven, {
+                ...guess,
+                answerHash: ethers.toBeHex(1, 32),
+            })[0]
+        ).to.include("another word")
+        expect(
+            verify.explainMismatches(proven, {
+                ...guess,
+                scramble: "gnitselar",
+            })
+        ).to.deep.equal([
+            'The proof is for the scramble "alertings", but the round\'s scramble is "gnitselar".',
+        ])
+
+        const inputs = verify.encodePublicInputs(guess)
+        expect(inputs).to.have.length(37)
+        expect(() => verify.decodePublicInputs(inputs.slice(0, 4))).to.throw(
+            "37 public inputs"
+        )
+        inputs[3] = ethers.toBeHex(1n << 160n, 32)
+        expect(() => verify.decodePublicInputs(inputs)).to.throw(
+            "panagram_address is not an address"
+        )
+    })
+
+    it("Should check the guess against the round state", async function () {
+        const guess = {
+            answerHash: ANSWER,
+            player: user.address,
+            round: 1n,
+            panagramAddress: panagram.target,
+            salt: SALT,
+            scramble: SCRAMBLE,
+        }
+
+        expect(await verify.checkGuessState(panagram, guess)).to.deep.equal([
+            "No round has started yet (Panagram__GameNotStarted).",
+        ])
+
+        await newRound()
+        expect(await verify.checkGuessState(panagram, guess)).to.deep.equal([])
+        expect(
+            (
+                await verify.checkGuessState(panagram, {
+                    ...guess,
+                    answerHash: ethers.toBeHex(1, 32),
+                })
+            )[0]
+        ).to.include("round 1 expects")
+        expect(
+            (
+                await verify.checkGuessState(panagram, {
+                    ...guess,
+                    salt: ethers.toBeHex(7, 32),
+                })
+            )[0]
+        ).to.include(`round 1 uses ${SALT}`)
+
+        await panagram.connect(user).makeGuess("0x")
+        const problems = await verify.checkGuessState(panagram, guess)
+        expect(problems).to.have.length(1)
+        expect(problems[0]).to.include("Panagram__AlreadyGuessedThisRound")
+    })
+
+    it("Should reject a proof of an earlier round with the same answer", async function () {
+        const guess = {
+            answerHash: ANSWER,
+            player: user.address,
+            round: 1n,
+            panagramAddress: panagram.target,
+            salt: SALT,
+            scramble: SCRAMBLE,
+        }
+        const roundOne = verify.encodePublicInputs(guess)
+        // The mock only accepts a proof made for round 1 of this contract
+        await verifier.expectInputs(roundOne)
+
+        await newRound()
+        await panagram.connect(user).makeGuess("0x")
+
+        await network.provider.send("evm_increaseTime", [24 * 60 * 60])
+        await newRound()
+        await expect(
+            panagram.connect(user).makeGuess("0x")
+        ).to.be.revertedWithCustomError(panagram, "Panagram__InvalidProof")
+        expect((await verify.checkGuessState(panagram, guess))[0]).to.include(
+            "contract is on round 2"
+        )
+    })
+
+    it("Should ask the contract's verifier", async function () {
+        const inputs = verify.encodePublicInputs({
+            answerHash: ANSWER,
+            player: user.address,
+            round: 1n,
+            panagramAddress: panagram.target,
+            salt: SALT,
+            scramble: SCRAMBLE,
+        })
+        const proof = ethers.hexlify(new Uint8Array(440 * 32))
+
+        await verifier.expectInputs(inputs)
+        expect(
+            await verify.checkDeployedVerifier(panagram, proof, inputs)
+        ).to.deep.equal([])
+        expect(
+            await verify.checkDeployedVerifier(panagram, proof, inputs.slice(1))
+        ).to.deep.equal([
+            `The contract's verifier ${verifier.target} rejects the proof.`,
+        ])
+
+        // The real verifier refuses an all-zero proof, whatever it was generated for
+        const honk = await ethers.deployContract("HonkVerifier")
+        await panagram.setVerifier(honk.target)
+        const problems = await verify.checkDeployedVerifier(
+            panagram,
+            proof,
+            inputs
+        )
+        expect(problems).to.have.length(1)
+        expect(problems[0]).to.include(
+            `verifier ${honk.target} rejects the proof (`
+        )
+    })
+})
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { IVerifier } from "./IVerifier.sol";
+
+/**
+ * @dev Sample gate: accounts become members by proving that the owner of
+ * i_owner signed them in, without the signature ever going on-chain. The
+ * owner signs challenge(account) with personal_sign; the challenge covers
+ * this contract, the chain, the account and its nonce, so a proof can't be
+ * replayed or used by anyone else.
+ */
+contract OwnershipGate {
+    IVerifier public immutable i_verifier;
+    // Address whose ownership has to be proved
+    address public immutable i_owner;
+
+    mapping(address => uint256) public s_nonces;
+    mapping(address => bool) public s_members;
+
+    // hashed_message is 32 bytes, one public input each, then expected_address
+    uint256 public constant NUMBER_OF_PUBLIC_INPUTS = 33;
+
+    event OwnershipGate__MemberAdded(address indexed member, uint256 nonce);
+    event OwnershipGate__Message(address indexed member, string message);
+
+    error OwnershipGate__InvalidProof();
+    error OwnershipGate__NotAMember(address account);
+
+    modifier onlyMember() {
+        if (!s_members[msg.sender]) {
+            revert OwnershipGate__NotAMember(msg.sender);
+        }
+        _;
+    }
+
+    constructor(IVerifier _verifier, address _owner) {
+        i_verifier = _verifier;
+        i_owner = _owner;
+    }
+
+    /**
+     * @dev The 32 bytes the owner signs to let `_account` in
+     */
+    function challenge(address _account) public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encodePacked(
+                    address(this),
+                    block.chainid,
+                    _account,
+                    s_nonces[_account]
+                )
+            );
+    }
+
+    /**
+     * @dev Public inputs of the proof `_account` has to submit to enter
+     */
+    function publicInputs(
+        address _account
+    ) public view returns (bytes32[] memory inputs) {
+        bytes32 hashedMessage = MessageHashUtils.toEthSignedMessageHash(
+            challenge(_account)
+        );
+        inputs = new bytes32[](NUMBER_OF_PUBLIC_INPUTS);
+        for (uint256 i = 0; i < 32; i++) {
+            inputs[i] = bytes32(uint256(uint8(hashedMessage[i])));
+        }
+        inputs[32] = bytes32(uint256(uint160(i_owner)));
+    }
+
+    function enter(bytes calldata _proof) external {
+        if (!i_verifier.verify(_proof, publicInputs(msg.sender))) {
+            revert OwnershipGate__InvalidProof();
+        }
+
+        emit OwnershipGate__MemberAdded(msg.sender, s_nonces[msg.sender]);
+        s_nonces[msg.sender]++;
+        s_members[msg.sender] = true;
+    }
+
+    // The gated action
+    function postMessage(string calldata _message) external onlyMember {
+        emit OwnershipGate__Message(msg.sender, _message);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IVerifier } from "../IVerifier.sol";
+
+// Accepts every proof unless told otherwise, for tests that don't need real proofs
+contract MockVerifier is IVerifier {
+    bool public s_result = true;
+
+    function setResult(bool _result) external {
+        s_result = _result;
+    }
+
+    function verify(
+        bytes calldata,
+        bytes32[] calldata
+    ) external view returns (bool) {
+        return s_result;
+    }
+}
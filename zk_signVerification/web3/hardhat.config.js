@@ -0,0 +1,27 @@
+require("@nomicfoundation/hardhat-toolbox")
+
+module.exports = {
+    solidity: {
+        version: "0.8.28",
+        settings: {
+            // OpenZeppelin's Bytes and Strings use mcopy since 5.5
+            evmVersion: "cancun",
+            optimizer: {
+                enabled: true,
+                runs: 200,
+            },
+        },
+    },
+    networks: {
+        hardhat: {
+            allowUnlimitedContractSize: true,
+            // Osaka, the default since Hardhat 2.29, caps a transaction at 2^24 gas
+            hardfork: "cancun",
+            gas: 100000000,
+            blockGasLimit: 100000000,
+            gasPrice: 1000000000, // Changed from 1 to 1 Gwei (1,000,000,000)
+            // Alternative approach using EIP-1559 gas settings:
+            initialBaseFeePerGas: 0, // Set initial base fee to zero
+        },
+    },
+}
@@ -0,0 +1,30 @@
+/**
+ * Compiles the zk_signVerification circuit in this process with noir_wasm,
+ * the same program 'nargo compile' writes to target/. The ecrecover
+ * dependency is downloaded from GitHub into the package directory the first
+ * time.
+ */
+
+import fs from "fs"
+import path from "path"
+import { compile_program, createFileManager } from "@noir-lang/noir_wasm"
+import { fileURLToPath } from "url"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Noir package holding Nargo.toml and src/main.nr
+export const CIRCUIT_DIR = path.resolve(__dirname, "../..")
+
+/**
+ * @param {string} [outputPath] - Also write the program here, e.g. CIRCUIT_PATH
+ * @returns {Promise<object>} Compiled program
+ */
+export async function compileCircuit(outputPath) {
+    const { program } = await compile_program(createFileManager(CIRCUIT_DIR))
+    if (outputPath) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+        fs.writeFileSync(outputPath, JSON.stringify(program))
+    }
+    return program
+}
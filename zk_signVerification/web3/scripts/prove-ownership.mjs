@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Proof of Address Ownership for zk_signVerification
+ *
+ * Signs a message with an ethers signer and turns the signature into inputs of
+ * the ecrecover circuit: the uncompressed public key split into pub_key_x and
+ * pub_key_y, the 64-byte signature (r and s, without v) and the EIP-191 hash
+ * of the message. The proof shows the message was signed by expected_address
+ * while the signature and public key stay private.
+ *
+ * Import it to prove in-process, the circuit stays warm between proofs. Run it
+ * directly to write a Prover.toml for nargo or to print a proof.
+ */
+
+import fs from "fs"
+import path from "path"
+import { ethers } from "ethers"
+import { Noir } from "@noir-lang/noir_js"
+import { UltraHonkBackend } from "@aztec/bb.js"
+import { fileURLToPath } from "url"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const DEFAULT_RPC_URL = "http://127.0.0.1:8545"
+
+// Compiled circuit, generated by 'nargo compile' in zk_signVerification
+export const CIRCUIT_PATH = path.resolve(
+    __dirname,
+    "../../target/zk_signVerification.json"
+)
+
+// Only the parts of the OwnershipGate ABI the CLI needs
+export const OWNERSHIP_GATE_ABI = [
+    "function challenge(address _account) view returns (bytes32)",
+]
+
+// Warm prover state, created on first use and reused by every proof
+let circuit = null
+let noir = null
+let honk = null
+
+/**
+ * Recovers the uncompressed public key of a signature
+ * @param {string} digest - 32-byte hash that was signed
+ * @param {string} signature - 65-byte signature
+ * @returns {{x: Uint8Array, y: Uint8Array}} the two 32-byte coordinates
+ */
+export function recoverPublicKey(digest, signature) {
+    // 0x04 prefix, then x and y
+    const key = ethers.getBytes(
+        ethers.SigningKey.recoverPublicKey(digest, signature)
+    )
+    return { x: key.slice(1, 33), y: key.slice(33, 65) }
+}
+
+/**
+ * Signs a message and prepares everything the circuit needs
+ * @param {ethers.Signer} signer - Owner of the address to prove
+ * @param {string|Uint8Array} message - Signed with personal_sign (EIP-191)
+ * @returns {Promise<{pubKeyX: Uint8Array, pubKeyY: Uint8Array, signature: Uint8Array, hashedMessage: string, expectedAddress: string}>}
+ */
+export async function signatureInputs(signer, message) {
+    const signature = await signer.signMessage(message)
+    const hashedMessage = ethers.hashMessage(message)
+    const { x, y } = recoverPublicKey(hashedMessage, signature)
+
+    const expectedAddress = await signer.getAddress()
+    const recovered = ethers.computeAddress(ethers.concat(["0x04", x, y]))
+    if (recovered !== expectedAddress) {
+        throw new Error(
+            `Signature recovers to ${recovered}, not the signer ${expectedAddress}`
+        )
+    }
+
+    return {
+        pubKeyX: x,
+        pubKeyY: y,
+        // r and s only, the circuit takes the key instead of recovering it with v
+        signature: ethers.getBytes(signature).slice(0, 64),
+        hashedMessage,
+        expectedAddress,
+    }
+}
+
+/**
+ * Converts signature inputs to the circuit's input map
+ * These must match the parameter names in main.nr exactly
+ */
+export function toCircuitInputs(inputs) {
+    return {
+        pub_key_x: Array.from(inputs.pubKeyX),
+        pub_key_y: Array.from(inputs.pubKeyY),
+        signature: Array.from(inputs.signature),
+        hashed_message: Array.from(ethers.getBytes(inputs.hashedMessage)),
+        expected_address: BigInt(inputs.expectedAddress).toString(),
+    }
+}
+
+/**
+ * Formats signature inputs as a Prover.toml for 'nargo execute'
+ * @returns {string}
+ */
+export function toProverToml(inputs) {
+    const circuitInputs = toCircuitInputs(inputs)
+    const array = (bytes) => `[${bytes.join(",")}]`
+    return [
+        `# signed by ${inputs.expectedAddress}`,
+        `pub_key_x = ${array(circuitInputs.pub_key_x)}`,
+        `pub_key_y = ${array(circuitInputs.pub_key_y)}`,
+        `signature = ${array(circuitInputs.signature)}`,
+        `hashed_message = ${array(circuitInputs.hashed_message)}`,
+        `expected_address = "${circuitInputs.expected_address}"`,
+        "",
+    ].join("\n")
+}
+
+/**
+ * Public inputs as the verifier gets them: one per byte of the hashed
+ * message, then the address (see OwnershipGate.publicInputs)
+ * @returns {string[]} 33 32-byte hex strings
+ */
+export function encodePublicInputs(hashedMessage, address) {
+    return [
+        ...Array.from(ethers.getBytes(hashedMessage), (byte) =>
+            ethers.toBeHex(byte, 32)
+        ),
+        ethers.zeroPadValue(ethers.getAddress(address), 32),
+    ]
+}
+
+/**
+ * Loads the compiled circuit once and sets up the Noir program and backend
+ * @param {string} [circuitPath] - Compiled circuit JSON, defaults to CIRCUIT_PATH
+ */
+export function loadCircuit(circuitPath = CIRCUIT_PATH) {
+    if (!circuit) {
+        circuit = JSON.parse(fs.readFileSync(circuitPath, "utf8"))
+        noir = new Noir(circuit)
+        honk = new UltraHonkBackend(circuit.bytecode, { threads: 1 })
+    }
+    return circuit
+}
+
+/**
+ * Generates a proof from prepared signature inputs
+ * @returns {Promise<{proof: Uint8Array, hexProof: string, publicInputs: string[]}>}
+ */
+export async function proveSignature(inputs) {
+    loadCircuit()
+
+    // Execute the circuit to get the witness, then prove with keccak
+    // so the proof can be checked by the Solidity verifier
+    const { witness } = await noir.execute(toCircuitInputs(inputs))
+    const { proof, publicInputs } = await honk.generateProof(witness, {
+        keccak: true,
+    })
+
+    return { proof, hexProof: ethers.hexlify(proof), publicInputs }
+}
+
+/**
+ * Signs `message` with `signer` and proves it was signed by the signer's address
+ * @param {ethers.Signer} signer
+ * @param {string|Uint8Array} message
+ */
+export async function proveOwnership(signer, message) {
+    const inputs = await signatureInputs(signer, message)
+    return {
+        ...(await proveSignature(inputs)),
+        hashedMessage: inputs.hashedMessage,
+        address: inputs.expectedAddress,
+    }
+}
+
+/**
+ * Verifies a proof with the warm backend, as the Solidity verifier would
+ * @returns {Promise<boolean>} false for a malformed proof too
+ */
+export async function verifyOwnershipProof(proof, hashedMessage, address) {
+    loadCircuit()
+    return honk
+        .verifyProof(
+            {
+                proof: ethers.getBytes(proof),
+                publicInputs: encodePublicInputs(hashedMessage, address),
+            },
+            { keccak: true }
+        )
+        .catch(() => false)
+}
+
+/**
+ * Releases the backend so the process can exit
+ */
+export async function destroyProver() {
+    if (honk) {
+        await honk.destroy()
+    }
+    circuit = null
+    noir = null
+    honk = null
+}
+
+async function main() {
+    const args = process.argv.slice(2)
+    const flags = {}
+    const positional = []
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            flags[args[i].slice(2)] = args[++i]
+        } else {
+            positional.push(args[i])
+        }
+    }
+    const [text] = positional
+
+    if (!process.env.SIGNER_PRIVATE_KEY || (!text && !flags.gate)) {
+        console.error(
+            "Usage: SIGNER_PRIVATE_KEY=<key> prove-ownership <message> [--toml <file>]\n" +
+                "       SIGNER_PRIVATE_KEY=<key> prove-ownership --gate <address> --account <address> [--rpc <url>] [--toml <file>]"
+        )
+        process.exit(1)
+    }
+
+    const signer = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY)
+    let message = text
+    if (flags.gate) {
+        // Sign an OwnershipGate challenge, to let --account in
+        const gate = new ethers.Contract(
+            flags.gate,
+            OWNERSHIP_GATE_ABI,
+            new ethers.JsonRpcProvider(flags.rpc ?? DEFAULT_RPC_URL)
+        )
+        message = ethers.getBytes(
+            await gate.challenge(flags.account ?? signer.address)
+        )
+    }
+
+    const inputs = await signatureInputs(signer, message)
+    if (flags.toml) {
+        fs.writeFileSync(flags.toml, toProverToml(inputs))
+        console.error(`📝 Inputs written to ${flags.toml}`)
+        return
+    }
+
+    try {
+        const { proof, hexProof } = await proveSignature(inputs)
+        console.error("Proof length:", proof.length)
+        console.error("Hashed message:", inputs.hashedMessage)
+        // The hex proof goes to stdout so callers can capture it
+        process.stdout.write(hexProof)
+    } finally {
+        await destroyProver()
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch((err) => {
+        console.error(err)
+        process.exit(1)
+    })
+}
@@ -0,0 +1,163 @@
+const { expect } = require("chai")
+const { ethers, artifacts, run } = require("hardhat")
+const fs = require("fs")
+const path = require("path")
+
+describe("Proof of address ownership", function () {
+    this.timeout(600000)
+
+    let prover
+    let owner
+    let user
+    let other
+
+    // Key of the first Hardhat account, the one Prover.toml was made with
+    const HARDHAT_KEY =
+        "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"
+
+    // Reads `key = value` lines, ignoring comments
+    function parseToml(text) {
+        return Object.fromEntries(
+            text
+                .split("\n")
+                .map((line) => line.replace(/#.*$/, "").trim())
+                .filter(Boolean)
+                .map((line) => line.split(/\s*=\s*/))
+        )
+    }
+
+    async function deployGate(verifier) {
+        return ethers.deployContract("OwnershipGate", [
+            verifier.target,
+            owner.address,
+        ])
+    }
+
+    before(async function () {
+        prover = await import("../scripts/prove-ownership.mjs")
+    })
+
+    after(async function () {
+        await prover.destroyProver()
+    })
+
+    beforeEach(async function () {
+        ;[owner, user, other] = await ethers.getSigners()
+    })
+
+    it("Should reproduce the hand-written Prover.toml", async function () {
+        const inputs = await prover.signatureInputs(
+            new ethers.Wallet(HARDHAT_KEY),
+            "hi"
+        )
+        const expected = parseToml(
+            fs.readFileSync(
+                path.resolve(__dirname, "../../Prover.toml"),
+                "utf8"
+            )
+        )
+        expect(parseToml(prover.toProverToml(inputs))).to.deep.equal(expected)
+    })
+
+    it("Should split the public key and drop v from the signature", async function () {
+        const wallet = ethers.Wallet.createRandom()
+        const inputs = await prover.signatureInputs(wallet, "gm")
+
+        expect(
+            ethers.concat(["0x04", inputs.pubKeyX, inputs.pubKeyY])
+        ).to.equal(wallet.signingKey.publicKey)
+        expect(inputs.signature).to.have.length(64)
+        const { r, s } = ethers.Signature.from(await wallet.signMessage("gm"))
+        expect(ethers.hexlify(inputs.signature)).to.equal(ethers.concat([r, s]))
+        expect(inputs.expectedAddress).to.equal(wallet.address)
+
+        // A signer that signs with another key is caught before proving
+        const liar = {
+            getAddress: async () => wallet.address,
+            signMessage: (message) =>
+                ethers.Wallet.createRandom().signMessage(message),
+        }
+        await expect(prover.signatureInputs(liar, "gm")).to.be.rejectedWith(
+            "not the signer"
+        )
+    })
+
+    it("Should gate the action on an accepted proof", async function () {
+        const verifier = await ethers.deployContract("MockVerifier")
+        const gate = await deployGate(verifier)
+
+        // The contract builds the same public inputs as the prover
+        const challenge = await gate.challenge(user.address)
+        expect(await gate.publicInputs(user.address)).to.deep.equal(
+            prover.encodePublicInputs(
+                ethers.hashMessage(ethers.getBytes(challenge)),
+                owner.address
+            )
+        )
+
+        await expect(gate.connect(user).postMessage("hello"))
+            .to.be.revertedWithCustomError(gate, "OwnershipGate__NotAMember")
+            .withArgs(user.address)
+
+        await verifier.setResult(false)
+        await expect(
+            gate.connect(user).enter("0x")
+        ).to.be.revertedWithCustomError(gate, "OwnershipGate__InvalidProof")
+
+        await verifier.setResult(true)
+        await expect(gate.connect(user).enter("0x"))
+            .to.emit(gate, "OwnershipGate__MemberAdded")
+            .withArgs(user.address, 0)
+        // Each entry uses up the challenge
+        expect(await gate.challenge(user.address)).to.not.equal(challenge)
+        await expect(gate.connect(user).postMessage("hello"))
+            .to.emit(gate, "OwnershipGate__Message")
+            .withArgs(user.address, "hello")
+    })
+
+    describe("with proofs", function () {
+        // Proves with the circuit as main.nr is now, and builds the verifier
+        // for it when contracts/Verifier.sol hasn't been generated yet
+        before(async function () {
+            const { compileCircuit } = await import(
+                "../scripts/compile-circuit.mjs"
+            )
+            await compileCircuit(prover.CIRCUIT_PATH)
+
+            if (!(await artifacts.artifactExists("HonkVerifier"))) {
+                const { VERIFIER_PATH, generateVerifier } = await import(
+                    "../scripts/generate-verifier.mjs"
+                )
+                fs.writeFileSync(VERIFIER_PATH, await generateVerifier())
+                await run("compile", { quiet: true })
+            }
+        })
+
+        it("Should let in the account the owner signed for, once", async function () {
+            const verifier = await ethers.deployContract("HonkVerifier")
+            const gate = await deployGate(verifier)
+
+            const challenge = ethers.getBytes(
+                await gate.challenge(user.address)
+            )
+            const { hexProof, hashedMessage } = await prover.proveOwnership(
+                owner,
+                challenge
+            )
+            expect(
+                await prover.verifyOwnershipProof(
+                    hexProof,
+                    hashedMessage,
+                    owner.address
+                )
+            ).to.equal(true)
+
+            // Bound to the account it was made for
+            await expect(gate.connect(other).enter(hexProof)).to.be.reverted
+            await gate.connect(user).enter(hexProof)
+            expect(await gate.s_members(user.address)).to.equal(true)
+            // and can't be replayed
+            await expect(gate.connect(user).enter(hexProof)).to.be.reverted
+        })
+    })
+})